@@ -0,0 +1,254 @@
+// js/attachmentLibrary.js - Stored files sent per contact, picked by the file name in a CSV column
+import { toast } from './utils.js';
+import {
+  listLibraryAttachments,
+  addLibraryAttachment,
+  deleteLibraryAttachment,
+} from './attachmentManager.js';
+
+const COLUMN_STORAGE_KEY = 'attachmentColumn';
+const ATTACHMENT_TYPES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'video/mp4': 'video',
+  'video/webm': 'video',
+  'application/pdf': 'pdf',
+};
+// Same limits as the composer attachment
+const MAX_ATTACHMENT_MB = { image: 5, pdf: 5, video: 5.25 };
+const ATTACHMENT_ICONS = {
+  image: 'ri-image-line',
+  video: 'ri-video-line',
+  pdf: 'ri-file-pdf-2-line',
+};
+
+let library = [];
+let contacts = [];
+let selectedColumn = '';
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+/** Cell value -> lookup key; content.js normalises the contact's cell the same way */
+function attachmentKey(value) {
+  return String(value ?? '').trim().toLowerCase();
+}
+
+function stripExtension(name) {
+  return name.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Match each contact's cell in `column` against the library by file name, with or without
+ * its extension ("INV-104" finds "inv-104.pdf"). Contacts with an empty cell get the
+ * composer attachment instead.
+ * @returns {{contactAttachments: Object<string, Object>, matched: number, empty: number,
+ *   missing: string[]}} `contactAttachments` maps attachmentKey(cell) to the file to send
+ */
+export function matchContactAttachments(rows, column, files) {
+  const byKey = new Map();
+  files.forEach(file => byKey.set(file.name.toLowerCase(), file));
+  // Full names win over extension-less ones when both could match
+  files.forEach(file => {
+    const key = stripExtension(file.name).toLowerCase();
+    if (!byKey.has(key)) {
+      byKey.set(key, file);
+    }
+  });
+
+  const contactAttachments = {};
+  const missing = new Set();
+  let matched = 0;
+  let empty = 0;
+  rows.forEach(row => {
+    const key = attachmentKey(row && row[column]);
+    if (!key) {
+      empty += 1;
+      return;
+    }
+    const file = byKey.get(key);
+    if (!file) {
+      missing.add(String(row[column]).trim());
+      return;
+    }
+    matched += 1;
+    contactAttachments[key] = {
+      attachmentRef: file.id,
+      name: file.name,
+      type: file.type,
+      size: file.size,
+    };
+  });
+  return { contactAttachments, matched, empty, missing: [...missing] };
+}
+
+function columnsOf(rows) {
+  const columns = new Set();
+  rows.slice(0, 50).forEach(row => {
+    if (row && typeof row === 'object') {
+      Object.keys(row).forEach(key => columns.add(key));
+    }
+  });
+  return [...columns];
+}
+
+function renderColumnSelect() {
+  const select = $('attachmentColumnSelect');
+  select.innerHTML = '<option value="">Off – everyone gets the attachment above</option>';
+  const columns = columnsOf(contacts);
+  if (selectedColumn && !columns.includes(selectedColumn)) {
+    columns.push(selectedColumn);
+  }
+  columns.forEach(column => {
+    const option = document.createElement('option');
+    option.value = column;
+    option.textContent = column;
+    select.appendChild(option);
+  });
+  select.value = selectedColumn;
+}
+
+function renderStatus() {
+  const status = $('attachmentLibraryStatus');
+  status.classList.remove('has-missing');
+  if (!selectedColumn) {
+    status.textContent = '';
+    return;
+  }
+  if (!contacts.length) {
+    status.textContent = 'Import contacts to match them with these files.';
+    return;
+  }
+  const { matched, empty, missing } = matchContactAttachments(contacts, selectedColumn, library);
+  const parts = [`${matched} of ${contacts.length} contacts get their own file`];
+  if (empty) {
+    parts.push(`${empty} with an empty "${selectedColumn}" get the attachment above`);
+  }
+  if (missing.length) {
+    status.classList.add('has-missing');
+    const shown = missing.slice(0, 5).join(', ') + (missing.length > 5 ? ', …' : '');
+    parts.push(`no file found for: ${shown}`);
+  }
+  status.textContent = parts.join(' · ');
+}
+
+function renderList() {
+  const list = $('attachmentLibraryList');
+  list.innerHTML = '';
+  library.forEach(file => {
+    const item = document.createElement('li');
+    const icon = document.createElement('i');
+    icon.className = ATTACHMENT_ICONS[file.type] || 'ri-file-line';
+    const name = document.createElement('span');
+    name.className = 'attachment-library-name';
+    name.textContent = file.name;
+    name.title = file.name;
+    const size = document.createElement('span');
+    size.className = 'attachment-library-size';
+    size.textContent = file.size;
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.title = 'Remove file';
+    remove.innerHTML = '<i class="ri-delete-bin-line"></i>';
+    remove.addEventListener('click', () => removeFile(file));
+    item.append(icon, name, size, remove);
+    list.appendChild(item);
+  });
+  list.style.display = library.length ? 'block' : 'none';
+}
+
+function render() {
+  renderList();
+  renderColumnSelect();
+  renderStatus();
+}
+
+async function refreshLibrary() {
+  library = await listLibraryAttachments();
+  render();
+}
+
+async function addFiles(input) {
+  const files = [...(input.files || [])];
+  input.value = '';
+  let added = 0;
+  for (const file of files) {
+    const type = ATTACHMENT_TYPES[file.type];
+    if (!type) {
+      toast(`${file.name}: only JPEG/PNG images, MP4/WebM videos and PDFs can be added`, 'error');
+      continue;
+    }
+    const sizeMB = file.size / 1048576;
+    if (sizeMB > MAX_ATTACHMENT_MB[type]) {
+      toast(`${file.name} is ${sizeMB.toFixed(2)} MB – ${type} files are limited to ${MAX_ATTACHMENT_MB[type]} MB`, 'error');
+      continue;
+    }
+    try {
+      await addLibraryAttachment(file, type);
+      added += 1;
+    } catch (error) {
+      console.error('Error storing library attachment:', error);
+      toast(`Failed to store ${file.name}`, 'error');
+    }
+  }
+  if (added) {
+    toast(`Added ${added} file${added === 1 ? '' : 's'}`, 'success');
+  }
+  await refreshLibrary();
+}
+
+async function removeFile(file) {
+  try {
+    await deleteLibraryAttachment(file.id);
+    await refreshLibrary();
+  } catch (error) {
+    console.error('Error removing library attachment:', error);
+    toast('Failed to remove file', 'error');
+  }
+}
+
+/**
+ * Per-contact attachments for the campaign settings, or null when no column is selected.
+ * @param {Array<Object>} rows - the campaign's contacts
+ * @returns {Promise<?{attachmentColumn: string, contactAttachments: Object<string, Object>}>}
+ * @throws {Error} when a contact names a file that is not in the library
+ */
+export async function getContactAttachmentsForCampaign(rows) {
+  if (!selectedColumn) {
+    return null;
+  }
+  library = await listLibraryAttachments();
+  const { contactAttachments, missing } = matchContactAttachments(rows, selectedColumn, library);
+  if (missing.length) {
+    const shown = missing.slice(0, 5).join(', ') + (missing.length > 5 ? ` and ${missing.length - 5} more` : '');
+    throw new Error(`No stored file matches "${selectedColumn}" for: ${shown}`);
+  }
+  return { attachmentColumn: selectedColumn, contactAttachments };
+}
+
+export function initAttachmentLibrary() {
+  const input = $('libraryAttachmentInput');
+  if (!input) {
+    return;
+  }
+  input.addEventListener('change', () => addFiles(input));
+  $('attachmentColumnSelect').addEventListener('change', event => {
+    selectedColumn = event.target.value;
+    chrome.storage.local.set({ [COLUMN_STORAGE_KEY]: selectedColumn });
+    renderStatus();
+  });
+  document.addEventListener('contactDataUpdated', event => {
+    if (event.detail && Array.isArray(event.detail.parsedData)) {
+      contacts = event.detail.parsedData;
+      renderColumnSelect();
+      renderStatus();
+    }
+  });
+
+  chrome.storage.local.get(['parsedData', COLUMN_STORAGE_KEY], result => {
+    contacts = Array.isArray(result.parsedData) ? result.parsedData : [];
+    selectedColumn = result[COLUMN_STORAGE_KEY] || '';
+    refreshLibrary().catch(error => console.error('Error loading attachment library:', error));
+  });
+}
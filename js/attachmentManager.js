@@ -682,6 +682,84 @@ export function showAttachmentPreview(attachment) {
  * Loads a previously saved attachment from chrome.storage (with optional IndexedDB blob)
  * and renders it via renderAttachment(). Returns true if something was restored.
  */
+async function deleteBlobFromIndexedDB(id) {
+  const db = await openAttachmentDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(ATTACHMENT_STORE, 'readwrite');
+    tx.objectStore(ATTACHMENT_STORE).delete(id);
+    tx.oncomplete = () => res();
+    tx.onerror = () => rej(tx.error);
+  });
+}
+
+// Saved templates and follow-up messages keep their attachment in the same IndexedDB store,
+// under their own id so replacing the composer attachment never removes their copy.
+export async function storeAttachmentCopy(attachment) {
+  if (!attachment || !attachment.file) {
+    return null;
+  }
+  const ref = 'attcopy_' + Date.now() + '_' + Math.floor(Math.random()*1e5);
+  await saveBlobToIndexedDB(ref, attachment.file, { name: attachment.name, type: attachment.type });
+  return { ref, name: attachment.name, type: attachment.type, size: attachment.size };
+}
+
+export async function loadAttachmentCopy(ref) {
+  const rec = await getBlobFromIndexedDB(ref);
+  if (!rec || !rec.blob) {
+    return null;
+  }
+  return new File([rec.blob], rec.meta?.name || 'attachment', { type: rec.blob.type || 'application/octet-stream' });
+}
+
+export async function deleteAttachmentCopy(ref) {
+  await deleteBlobFromIndexedDB(ref);
+}
+
+// Per-contact attachment library – files live in the same store under an 'attlib_' id and are
+// picked for each contact by the file name found in a CSV column.
+const LIBRARY_PREFIX = 'attlib_';
+
+async function getAllFromIndexedDB() {
+  const db = await openAttachmentDB();
+  return new Promise((res, rej) => {
+    const tx = db.transaction(ATTACHMENT_STORE, 'readonly');
+    const req = tx.objectStore(ATTACHMENT_STORE).getAll();
+    req.onsuccess = () => res(req.result || []);
+    req.onerror = () => rej(req.error);
+  });
+}
+
+/** @returns {Promise<Array<{id: string, name: string, type: string, size: string, addedAt: string}>>} */
+export async function listLibraryAttachments() {
+  const records = await getAllFromIndexedDB();
+  return records
+    .filter(rec => String(rec.id).startsWith(LIBRARY_PREFIX))
+    .map(rec => ({ id: rec.id, ...rec.meta }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Add a file to the library. A file with the same name (case-insensitive) is replaced so the
+ * name a contact row refers to always points at exactly one file.
+ */
+export async function addLibraryAttachment(file, type) {
+  const existing = (await listLibraryAttachments())
+    .find(item => item.name.toLowerCase() === file.name.toLowerCase());
+  const id = existing ? existing.id : LIBRARY_PREFIX + Date.now() + '_' + Math.floor(Math.random()*1e5);
+  const meta = {
+    name: file.name,
+    type,
+    size: (file.size / 1048576).toFixed(2) + ' MB',
+    addedAt: new Date().toISOString(),
+  };
+  await saveBlobToIndexedDB(id, file, meta);
+  return { id, ...meta, replaced: !!existing };
+}
+
+export async function deleteLibraryAttachment(id) {
+  await deleteBlobFromIndexedDB(id);
+}
+
 export async function loadSavedAttachment(attachmentPreview, attachmentError, setAttachment) {
   return new Promise((resolve) => {
     chrome.storage.local.get(['attachment', 'attachmentBase64', 'attachmentRef'], async (result) => {
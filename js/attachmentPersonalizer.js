@@ -0,0 +1,297 @@
+// js/attachmentPersonalizer.js - Personalised file settings: an image/PDF template with contact
+// fields and QR codes drawn on top for every recipient (see utils/personalizedAttachment.js)
+/* global WAPersonalize, WATemplate, WASpintax */
+import { toast, fileToBase64 } from './utils.js';
+import { storeAttachmentCopy, loadAttachmentCopy, deleteAttachmentCopy } from './attachmentManager.js';
+// Plain scripts (also used as content scripts); they publish WAQRCode, WAPdfOverlay,
+// WAPersonalize, WASpintax and WATemplate on globalThis
+import './utils/qrCode.js';
+import './utils/pdfOverlay.js';
+import './utils/personalizedAttachment.js';
+import './utils/spintax.js';
+import './utils/templateEngine.js';
+
+const STORAGE_KEY = 'personalizedAttachment';
+const TEMPLATE_TYPES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'application/pdf': 'pdf',
+};
+const MAX_TEMPLATE_MB = 5;
+const FIELD_DEFAULTS = {
+  text: { value: '{{Name}}', x: 50, y: 50, size: 4, color: '#000000', align: 'center', bold: false },
+  qr: { value: '{{Phone}}', x: 85, y: 80, size: 18 },
+};
+
+let settings = { enabled: false, template: null, fileName: '', fields: [] };
+let previewUrl = null;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function saveSettings() {
+  chrome.storage.local.set({ [STORAGE_KEY]: settings }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error saving personalised file settings:', chrome.runtime.lastError);
+    }
+  });
+}
+
+// Same substitution as content.js replaceVariables(): spintax first, then the template
+function renderText(template, contact) {
+  return WATemplate.renderTemplate(WASpintax.resolveSpintax(template), contact);
+}
+
+function numberInput(field, key, label, step) {
+  const wrapper = document.createElement('label');
+  wrapper.append(label + ' ');
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = '0';
+  input.max = '100';
+  input.step = step;
+  input.value = field[key];
+  input.title = `${label} in % of the page`;
+  input.addEventListener('change', () => {
+    field[key] = Math.min(100, Math.max(0, parseFloat(input.value) || 0));
+    input.value = field[key];
+    saveSettings();
+  });
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+function renderFieldRow(field) {
+  const row = document.createElement('div');
+  row.className = 'personalized-field';
+
+  const main = document.createElement('div');
+  main.className = 'personalized-field-main';
+  const icon = document.createElement('i');
+  icon.className = field.kind === 'qr' ? 'ri-qr-code-line' : 'ri-text';
+  icon.title = field.kind === 'qr' ? 'QR code' : 'Text';
+  const value = document.createElement('input');
+  value.type = 'text';
+  value.value = field.value;
+  value.placeholder = field.kind === 'qr' ? 'QR content, e.g. https://…/{{Ticket}}' : 'Text, e.g. {{Name}}';
+  value.addEventListener('input', () => {
+    field.value = value.value;
+    saveSettings();
+  });
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'follow-up-remove';
+  remove.title = 'Remove field';
+  remove.innerHTML = '<i class="ri-close-line"></i>';
+  remove.addEventListener('click', () => {
+    settings.fields = settings.fields.filter(f => f !== field);
+    saveSettings();
+    renderFields();
+  });
+  main.append(icon, value, remove);
+
+  const layout = document.createElement('div');
+  layout.className = 'personalized-field-layout';
+  layout.append(
+    numberInput(field, 'x', 'X', '0.5'),
+    numberInput(field, 'y', 'Y', '0.5'),
+    numberInput(field, 'size', 'Size', '0.1'),
+  );
+  if (field.kind === 'text') {
+    const color = document.createElement('input');
+    color.type = 'color';
+    color.value = field.color;
+    color.title = 'Text colour';
+    color.addEventListener('change', () => {
+      field.color = color.value;
+      saveSettings();
+    });
+    const align = document.createElement('select');
+    align.title = 'Alignment around X';
+    ['left', 'center', 'right'].forEach(option => {
+      align.add(new Option(option[0].toUpperCase() + option.slice(1), option));
+    });
+    align.value = field.align;
+    align.addEventListener('change', () => {
+      field.align = align.value;
+      saveSettings();
+    });
+    const bold = document.createElement('label');
+    const boldInput = document.createElement('input');
+    boldInput.type = 'checkbox';
+    boldInput.checked = !!field.bold;
+    boldInput.addEventListener('change', () => {
+      field.bold = boldInput.checked;
+      saveSettings();
+    });
+    bold.append(boldInput, ' Bold');
+    layout.append(color, align, bold);
+  }
+
+  row.append(main, layout);
+  return row;
+}
+
+function renderFields() {
+  const list = $('personalizedFieldList');
+  list.innerHTML = '';
+  settings.fields.forEach(field => list.appendChild(renderFieldRow(field)));
+}
+
+function renderTemplateInfo() {
+  const name = $('personalizedTemplateName');
+  name.textContent = settings.template
+    ? `${settings.template.name} (${settings.template.size})`
+    : 'No template uploaded';
+  name.classList.toggle('is-empty', !settings.template);
+}
+
+function render() {
+  $('personalizedEnabled').checked = settings.enabled;
+  $('personalizedPanel').style.display = settings.enabled ? 'block' : 'none';
+  $('personalizedFileName').value = settings.fileName;
+  renderTemplateInfo();
+  renderFields();
+}
+
+function addField(kind) {
+  settings.fields.push({ id: 'pf_' + Date.now(), kind, ...FIELD_DEFAULTS[kind] });
+  saveSettings();
+  renderFields();
+}
+
+async function uploadTemplate(input) {
+  const file = input.files && input.files[0];
+  input.value = '';
+  if (!file) {
+    return;
+  }
+  const type = TEMPLATE_TYPES[file.type];
+  if (!type) {
+    toast('Templates must be JPEG/PNG images or PDF documents', 'error');
+    return;
+  }
+  const sizeMB = file.size / 1048576;
+  if (sizeMB > MAX_TEMPLATE_MB) {
+    toast(`The template is ${sizeMB.toFixed(2)} MB – at most ${MAX_TEMPLATE_MB} MB is supported`, 'error');
+    return;
+  }
+  try {
+    const previous = settings.template;
+    settings.template = await storeAttachmentCopy({
+      file,
+      name: file.name,
+      type,
+      size: sizeMB.toFixed(2) + ' MB',
+    });
+    saveSettings();
+    renderTemplateInfo();
+    if (previous) {
+      await deleteAttachmentCopy(previous.ref).catch(error => {
+        console.warn('Could not delete previous personalised template', error);
+      });
+    }
+  } catch (error) {
+    console.error('Error saving personalised template:', error);
+    toast('Failed to save the template', 'error');
+  }
+}
+
+async function loadTemplateFile() {
+  if (!settings.template) {
+    throw new Error('Upload an image or PDF template for the personalised file');
+  }
+  const file = await loadAttachmentCopy(settings.template.ref);
+  if (!file) {
+    throw new Error(`The personalised file template (${settings.template.name}) is missing – please upload it again`);
+  }
+  return file;
+}
+
+function spec() {
+  return {
+    type: settings.template.type,
+    name: settings.template.name,
+    fileName: settings.fileName,
+    fields: settings.fields.map(({ kind, value, x, y, size, color, align, bold }) => (
+      { kind, value, x, y, size, color, align, bold }
+    )),
+  };
+}
+
+async function showPreview() {
+  const container = $('personalizedPreview');
+  try {
+    const { parsedData } = await chrome.storage.local.get(['parsedData']);
+    const contacts = Array.isArray(parsedData) ? parsedData : [];
+    if (!contacts.length) {
+      toast('Import contacts to preview the personalised file', 'info');
+      return;
+    }
+    const row = Math.min(Math.max(1, parseInt($('personalizedPreviewRow').value, 10) || 1), contacts.length);
+    $('personalizedPreviewRow').value = row;
+    const file = await WAPersonalize.renderPersonalizedAttachment(
+      await loadTemplateFile(), spec(), contacts[row - 1], renderText);
+
+    if (previewUrl) {
+      URL.revokeObjectURL(previewUrl);
+    }
+    previewUrl = URL.createObjectURL(file);
+    container.innerHTML = '';
+    const frame = document.createElement(file.type === 'application/pdf' ? 'iframe' : 'img');
+    frame.src = previewUrl;
+    frame.title = file.name;
+    const caption = document.createElement('div');
+    caption.className = 'personalized-preview-name';
+    caption.textContent = `${file.name} · ${(file.size / 1048576).toFixed(2)} MB`;
+    container.append(frame, caption);
+    container.style.display = 'block';
+  } catch (error) {
+    console.error('Personalised file preview failed:', error);
+    toast('Preview failed: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Personalised file settings for the campaign, with the template inlined as Base64 like the
+ * composer attachment, or null when the feature is off.
+ * @returns {Promise<?Object>}
+ * @throws {Error} when the template or its fields are missing
+ */
+export async function getPersonalizedAttachmentForCampaign() {
+  if (!settings.enabled) {
+    return null;
+  }
+  const file = await loadTemplateFile();
+  if (!settings.fields.some(field => String(field.value || '').trim())) {
+    throw new Error('Add at least one text or QR code field to the personalised file');
+  }
+  const { name, type, size } = settings.template;
+  return { ...spec(), name, type, size, base64String: await fileToBase64(file) };
+}
+
+export function initAttachmentPersonalizer() {
+  const toggle = $('personalizedEnabled');
+  if (!toggle) {
+    return;
+  }
+  toggle.addEventListener('change', () => {
+    settings.enabled = toggle.checked;
+    $('personalizedPanel').style.display = settings.enabled ? 'block' : 'none';
+    saveSettings();
+  });
+  $('personalizedTemplateInput').addEventListener('change', event => uploadTemplate(event.target));
+  $('personalizedFileName').addEventListener('input', event => {
+    settings.fileName = event.target.value;
+    saveSettings();
+  });
+  $('addPersonalizedTextBtn').addEventListener('click', () => addField('text'));
+  $('addPersonalizedQrBtn').addEventListener('click', () => addField('qr'));
+  $('personalizedPreviewBtn').addEventListener('click', showPreview);
+
+  chrome.storage.local.get([STORAGE_KEY], result => {
+    settings = { ...settings, ...(result[STORAGE_KEY] || {}) };
+    render();
+  });
+}
@@ -0,0 +1,308 @@
+// js/audienceManager.js - "Audiences" tab of Contact Management: saves the current contact list
+// as a named, tagged audience (utils/audienceDB.js), merges and subtracts saved lists, filters
+// them on any column (utils/audienceSegments.js) and hands the result to the sender as the
+// campaign's contact source.
+import { toast } from './utils.js';
+import {
+  AUDIENCE_SOURCES, saveAudience, getAudience, listAudiences, deleteAudience, toAudienceContact,
+} from './utils/audienceDB.js';
+import { filterContacts, mergeContacts, diffContacts } from './utils/audienceSegments.js';
+
+// Audience source for the contact list being saved, by the sender's active input source
+const SOURCE_BY_INPUT = { file: 'import', manual: 'manual', audience: 'filter' };
+
+let audiences = [];
+// Checked audience ids, in the order they were checked: a difference keeps the first one
+let selectedIds = [];
+let onUseAudience = () => {};
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+async function getCurrentContacts() {
+  const stored = await chrome.storage.local.get(['parsedData', 'activeInputSource']);
+  return {
+    contacts: Array.isArray(stored.parsedData) ? stored.parsedData : [],
+    inputSource: stored.activeInputSource,
+  };
+}
+
+// Name and tags typed above the list; cleared after each save
+function takeNameAndTags(defaultName) {
+  const name = $('audienceNameInput').value.trim() || defaultName;
+  const tags = $('audienceTagsInput').value;
+  $('audienceNameInput').value = '';
+  $('audienceTagsInput').value = '';
+  return { name, tags };
+}
+
+function selectedAudiences() {
+  return selectedIds.map(id => audiences.find(audience => audience.id === id)).filter(Boolean);
+}
+
+function matchesSearch(audience, search) {
+  return !search || audience.name.toLowerCase().includes(search)
+    || audience.tags.some(tag => tag.toLowerCase().includes(search));
+}
+
+function renderAudiences() {
+  const list = $('audienceList');
+  const search = $('audienceSearchInput').value.trim().toLowerCase();
+  list.innerHTML = '';
+
+  const shown = audiences.filter(audience => matchesSearch(audience, search));
+  if (shown.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'audience-empty';
+    empty.textContent = audiences.length ? 'No audience matches the search' : 'No saved audiences yet';
+    list.appendChild(empty);
+  }
+  shown.forEach(audience => {
+    const item = document.createElement('li');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedIds.includes(audience.id);
+    checkbox.addEventListener('change', () => {
+      selectedIds = selectedIds.filter(id => id !== audience.id);
+      if (checkbox.checked) {
+        selectedIds.push(audience.id);
+      }
+      updateSelectionActions();
+      updateFilterResult();
+    });
+
+    const details = document.createElement('div');
+    details.className = 'audience-details';
+    const name = document.createElement('span');
+    name.className = 'audience-name';
+    name.textContent = audience.name;
+    const meta = document.createElement('span');
+    meta.className = 'audience-meta';
+    meta.textContent = `${plural(audience.contacts.length, 'contact')} · ${AUDIENCE_SOURCES[audience.source] || audience.source}`;
+    details.append(name, meta);
+    if (audience.tags.length) {
+      const tags = document.createElement('span');
+      tags.className = 'audience-tags';
+      audience.tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'audience-tag';
+        chip.textContent = tag;
+        tags.appendChild(chip);
+      });
+      details.appendChild(tags);
+    }
+
+    const useBtn = document.createElement('button');
+    useBtn.type = 'button';
+    useBtn.className = 'variable-btn';
+    useBtn.textContent = 'Use';
+    useBtn.title = 'Send the campaign to this audience';
+    useBtn.addEventListener('click', () => useAudience(audience.id));
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'variable-btn';
+    deleteBtn.innerHTML = '<i class="ri-delete-bin-line"></i>';
+    deleteBtn.title = 'Delete this audience';
+    deleteBtn.addEventListener('click', () => removeAudience(audience));
+
+    item.append(checkbox, details, useBtn, deleteBtn);
+    list.appendChild(item);
+  });
+  updateSelectionActions();
+}
+
+// Which audience the campaign is sending to, while an audience is the contact source
+async function renderActiveAudience() {
+  const stored = await chrome.storage.local.get(['activeInputSource', 'activeAudience']);
+  const active = $('activeAudience');
+  if (stored.activeInputSource !== 'audience' || !stored.activeAudience) {
+    active.style.display = 'none';
+    return;
+  }
+  active.textContent = `Contacts in use: ${stored.activeAudience.name}`;
+  active.style.display = '';
+}
+
+function updateSelectionActions() {
+  $('mergeAudiencesBtn').disabled = selectedIds.length < 2;
+  $('diffAudiencesBtn').disabled = selectedIds.length < 2;
+}
+
+async function refreshAudiences() {
+  try {
+    audiences = await listAudiences();
+  } catch (error) {
+    console.error('Error loading audiences:', error);
+    toast('Could not load saved audiences', 'error');
+    audiences = [];
+  }
+  selectedIds = selectedIds.filter(id => audiences.some(audience => audience.id === id));
+  renderAudiences();
+  updateFilterResult();
+}
+
+async function storeAudience(audience) {
+  if (audience.contacts.length === 0) {
+    toast('The audience would have no contacts', 'error');
+    return null;
+  }
+  try {
+    const record = await saveAudience(audience);
+    toast(`Audience "${record.name}" saved with ${plural(record.contacts.length, 'contact')}`, 'success');
+    await refreshAudiences();
+    return record;
+  } catch (error) {
+    console.error('Error saving audience:', error);
+    toast('Could not save the audience', 'error');
+    return null;
+  }
+}
+
+async function saveCurrentContacts() {
+  const { contacts, inputSource } = await getCurrentContacts();
+  if (contacts.length === 0) {
+    toast('Add contacts before saving an audience', 'error');
+    return;
+  }
+  const { name, tags } = takeNameAndTags(`Contacts ${new Date().toLocaleDateString()}`);
+  await storeAudience({
+    name,
+    tags,
+    source: SOURCE_BY_INPUT[inputSource] || 'import',
+    contacts,
+  });
+}
+
+async function combineSelected(mode) {
+  const [first, ...others] = selectedAudiences();
+  const contacts = mode === 'merge'
+    ? mergeContacts([first, ...others].map(audience => audience.contacts))
+    : diffContacts(first.contacts, others.map(audience => audience.contacts));
+  const names = [first, ...others].map(audience => audience.name);
+  const { name, tags } = takeNameAndTags(names.join(mode === 'merge' ? ' + ' : ' − '));
+  await storeAudience({ name, tags, source: mode, contacts });
+}
+
+// Contacts the filter runs on: the checked audiences merged, or the current contact list
+async function filterBase() {
+  const selected = selectedAudiences();
+  if (selected.length) {
+    return {
+      label: selected.map(audience => audience.name).join(' + '),
+      contacts: mergeContacts(selected.map(audience => audience.contacts)),
+    };
+  }
+  const { contacts } = await getCurrentContacts();
+  return { label: 'Current contacts', contacts };
+}
+
+async function runFilter() {
+  const base = await filterBase();
+  const expression = $('audienceFilterInput').value.trim();
+  return { ...base, expression, contacts: filterContacts(base.contacts, expression) };
+}
+
+async function updateFilterResult() {
+  const result = $('audienceFilterResult');
+  const expression = $('audienceFilterInput').value.trim();
+  result.classList.remove('error');
+  try {
+    const base = await filterBase();
+    const matched = filterContacts(base.contacts, expression);
+    result.textContent = expression
+      ? `${plural(matched.length, 'contact')} of ${base.contacts.length} match (${base.label})`
+      : `${plural(base.contacts.length, 'contact')} (${base.label})`;
+  } catch (error) {
+    result.textContent = error.message;
+    result.classList.add('error');
+  }
+}
+
+async function useFilteredContacts() {
+  try {
+    const { label, expression, contacts } = await runFilter();
+    if (contacts.length === 0) {
+      toast('No contacts match the filter', 'error');
+      return;
+    }
+    onUseAudience({
+      id: null,
+      name: expression ? `${label} where ${expression}` : label,
+      contacts: contacts.map(toAudienceContact),
+    });
+  } catch (error) {
+    toast(error.message, 'error');
+  }
+}
+
+async function saveFilteredContacts() {
+  try {
+    const { label, expression, contacts } = await runFilter();
+    const { name, tags } = takeNameAndTags(expression ? `${label} where ${expression}` : label);
+    await storeAudience({ name, tags, source: 'filter', contacts });
+  } catch (error) {
+    toast(error.message, 'error');
+  }
+}
+
+async function useAudience(id) {
+  try {
+    const audience = await getAudience(id);
+    if (!audience) {
+      toast('This audience no longer exists', 'error');
+      await refreshAudiences();
+      return;
+    }
+    onUseAudience({ id: audience.id, name: audience.name, contacts: audience.contacts });
+  } catch (error) {
+    console.error('Error loading audience:', error);
+    toast('Could not load the audience', 'error');
+  }
+}
+
+async function removeAudience(audience) {
+  if (!confirm(`Delete the audience "${audience.name}"?`)) {
+    return;
+  }
+  try {
+    await deleteAudience(audience.id);
+    toast(`Audience "${audience.name}" deleted`, 'success');
+    await refreshAudiences();
+  } catch (error) {
+    console.error('Error deleting audience:', error);
+    toast('Could not delete the audience', 'error');
+  }
+}
+
+/**
+ * @param {function({id: ?string, name: string, contacts: Object[]}): void} useAudienceCallback -
+ *   makes the contacts the campaign's contact source (id is null for a filtered, unsaved list)
+ */
+export function initAudiences(useAudienceCallback) {
+  if (!$('audienceList')) {
+    return;
+  }
+  onUseAudience = useAudienceCallback;
+  $('saveAudienceBtn').addEventListener('click', saveCurrentContacts);
+  $('audienceSearchInput').addEventListener('input', renderAudiences);
+  $('mergeAudiencesBtn').addEventListener('click', () => combineSelected('merge'));
+  $('diffAudiencesBtn').addEventListener('click', () => combineSelected('diff'));
+  $('audienceFilterInput').addEventListener('input', updateFilterResult);
+  $('useFilteredBtn').addEventListener('click', useFilteredContacts);
+  $('saveFilteredBtn').addEventListener('click', saveFilteredContacts);
+
+  // The filter runs on the current contacts while no audience is checked
+  document.addEventListener('contactDataUpdated', () => {
+    renderActiveAudience();
+    if (selectedIds.length === 0) {
+      updateFilterResult();
+    }
+  });
+  renderActiveAudience();
+  refreshAudiences();
+}
@@ -0,0 +1,367 @@
+// js/auto-responder.js - Edit keyword auto-reply rules and view the auto-reply log
+// The rules themselves are applied in the WhatsApp tab by js/content/autoResponder.js.
+import { toast } from './utils.js';
+
+const CONFIG_KEY = 'autoResponder';
+const LOG_KEY = 'autoResponderLog';
+// Attachments are kept inline in chrome.storage, so keep them reasonably small
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const DEFAULT_BUSINESS_DAYS = [1, 2, 3, 4, 5];
+
+// Store event listener references for cleanup
+const eventListeners = [];
+
+function addEventListenerWithCleanup(element, eventType, handler) {
+  if (!element) {
+    return;
+  }
+  element.addEventListener(eventType, handler);
+  eventListeners.push({ element, eventType, handler });
+}
+
+function cleanupEventListeners() {
+  eventListeners.forEach(({ element, eventType, handler }) => {
+    element.removeEventListener(eventType, handler);
+  });
+  eventListeners.length = 0;
+  chrome.storage.onChanged.removeListener(handleStorageChange);
+}
+
+const MATCH_LABELS = {
+  keyword: 'contains',
+  exact: 'is',
+  regex: 'matches',
+};
+
+let config = { enabled: false, rules: [] };
+let editingRuleId = null;
+let editingAttachment = null;
+
+async function loadConfig() {
+  const stored = await chrome.storage.local.get([CONFIG_KEY, LOG_KEY]);
+  config = stored[CONFIG_KEY] || { enabled: false, rules: [] };
+  config.rules = Array.isArray(config.rules) ? config.rules : [];
+  document.getElementById('autoResponderEnabled').checked = !!config.enabled;
+  renderRules();
+  renderLog(stored[LOG_KEY] || []);
+}
+
+async function saveConfig() {
+  await chrome.storage.local.set({ [CONFIG_KEY]: config });
+}
+
+function handleStorageChange(changes, area) {
+  if (area === 'local' && changes[LOG_KEY]) {
+    renderLog(changes[LOG_KEY].newValue || []);
+  }
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString([], {
+    month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+// ---- Rule list ----
+function describeRule(rule) {
+  const parts = [`${MATCH_LABELS[rule.matchType] || 'contains'} "${rule.pattern}"`];
+  if (rule.cooldownMinutes > 0) {
+    parts.push(`${rule.cooldownMinutes} min cooldown`);
+  }
+  if (rule.businessHours && rule.businessHours.enabled) {
+    parts.push(`${rule.businessHours.start}–${rule.businessHours.end}`);
+  }
+  if (rule.attachment) {
+    parts.push(`📎 ${rule.attachment.name}`);
+  }
+  return parts.join(' · ');
+}
+
+function renderRules() {
+  const list = document.getElementById('ruleList');
+  const empty = document.getElementById('ruleEmpty');
+  if (!list) {
+    return;
+  }
+  list.innerHTML = '';
+  empty.style.display = config.rules.length ? 'none' : 'block';
+
+  config.rules.forEach((rule, index) => {
+    const item = document.createElement('li');
+    item.className = 'rule-item';
+    if (rule.enabled === false) {
+      item.classList.add('rule-disabled');
+    }
+    item.innerHTML = `
+      <input type="checkbox" class="rule-enabled" title="Enabled" />
+      <div class="rule-info">
+        <div class="rule-name"></div>
+        <div class="rule-summary"></div>
+      </div>
+      <div class="rule-controls">
+        <button class="rule-up" title="Move up"><i class="ri-arrow-up-s-line"></i></button>
+        <button class="rule-down" title="Move down"><i class="ri-arrow-down-s-line"></i></button>
+        <button class="rule-edit" title="Edit"><i class="ri-edit-line"></i></button>
+        <button class="rule-delete" title="Delete"><i class="ri-delete-bin-line"></i></button>
+      </div>
+    `;
+    item.querySelector('.rule-name').textContent = rule.name || rule.pattern;
+    item.querySelector('.rule-summary').textContent = describeRule(rule);
+    const enabled = item.querySelector('.rule-enabled');
+    enabled.checked = rule.enabled !== false;
+    enabled.addEventListener('change', () => updateRule(rule.id, { enabled: enabled.checked }));
+    item.querySelector('.rule-up').disabled = index === 0;
+    item.querySelector('.rule-down').disabled = index === config.rules.length - 1;
+    item.querySelector('.rule-up').addEventListener('click', () => moveRule(index, -1));
+    item.querySelector('.rule-down').addEventListener('click', () => moveRule(index, 1));
+    item.querySelector('.rule-edit').addEventListener('click', () => openRuleForm(rule));
+    item.querySelector('.rule-delete').addEventListener('click', () => deleteRule(rule));
+    list.appendChild(item);
+  });
+}
+
+async function updateRule(id, changes) {
+  const rule = config.rules.find(r => r.id === id);
+  if (!rule) {
+    return;
+  }
+  Object.assign(rule, changes);
+  await saveConfig();
+  renderRules();
+}
+
+async function moveRule(index, direction) {
+  const target = index + direction;
+  if (target < 0 || target >= config.rules.length) {
+    return;
+  }
+  const [rule] = config.rules.splice(index, 1);
+  config.rules.splice(target, 0, rule);
+  await saveConfig();
+  renderRules();
+}
+
+async function deleteRule(rule) {
+  if (!confirm(`Delete the rule "${rule.name || rule.pattern}"?`)) {
+    return;
+  }
+  config.rules = config.rules.filter(r => r.id !== rule.id);
+  await saveConfig();
+  renderRules();
+  toast('Rule deleted', 'success');
+}
+
+// ---- Rule editor ----
+function updatePatternHint() {
+  const isRegex = document.getElementById('ruleMatchType').value === 'regex';
+  document.getElementById('rulePattern').placeholder = isRegex ? '^(price|cost)\\b' : 'PRICE, COST';
+  document.getElementById('rulePatternHint').textContent = isRegex
+    ? 'JavaScript regular expression, tested against the whole message'
+    : 'Separate several keywords with commas';
+}
+
+function renderAttachment() {
+  const current = document.getElementById('ruleAttachmentCurrent');
+  current.style.display = editingAttachment ? 'flex' : 'none';
+  document.getElementById('ruleAttachmentName').textContent = editingAttachment ? `📎 ${editingAttachment.name}` : '';
+  document.getElementById('ruleAttachmentInput').value = '';
+}
+
+function openRuleForm(rule = null) {
+  editingRuleId = rule ? rule.id : null;
+  editingAttachment = rule ? rule.attachment || null : null;
+  const hours = (rule && rule.businessHours) || {};
+
+  document.getElementById('ruleName').value = rule ? rule.name || '' : '';
+  document.getElementById('ruleMatchType').value = rule ? rule.matchType || 'keyword' : 'keyword';
+  document.getElementById('ruleCaseSensitive').checked = !!(rule && rule.caseSensitive);
+  document.getElementById('rulePattern').value = rule ? rule.pattern : '';
+  document.getElementById('ruleReply').value = rule ? rule.reply || '' : '';
+  document.getElementById('ruleCooldown').value = rule ? rule.cooldownMinutes || 0 : 60;
+  document.getElementById('ruleHoursEnabled').checked = !!hours.enabled;
+  document.getElementById('ruleHours').style.display = hours.enabled ? 'block' : 'none';
+  document.getElementById('ruleHoursStart').value = hours.start || '09:00';
+  document.getElementById('ruleHoursEnd').value = hours.end || '18:00';
+  const days = hours.days || DEFAULT_BUSINESS_DAYS;
+  document.querySelectorAll('#ruleDays input').forEach(input => {
+    input.checked = days.includes(Number(input.value));
+  });
+
+  updatePatternHint();
+  renderAttachment();
+  document.getElementById('ruleListView').style.display = 'none';
+  document.getElementById('ruleForm').style.display = 'block';
+}
+
+function closeRuleForm() {
+  editingRuleId = null;
+  editingAttachment = null;
+  document.getElementById('ruleForm').style.display = 'none';
+  document.getElementById('ruleListView').style.display = 'block';
+}
+
+function readFileAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+async function handleAttachmentChange(event) {
+  const file = event.target.files && event.target.files[0];
+  if (!file) {
+    return;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    toast('Attachments for auto-replies are limited to 5 MB', 'error');
+    event.target.value = '';
+    return;
+  }
+  try {
+    editingAttachment = {
+      name: file.name,
+      type: file.type || 'application/octet-stream',
+      size: file.size,
+      base64String: await readFileAsDataURL(file),
+    };
+    renderAttachment();
+  } catch (error) {
+    console.error('Error reading attachment:', error);
+    toast('Could not read the attachment', 'error');
+  }
+}
+
+function readRuleForm() {
+  const matchType = document.getElementById('ruleMatchType').value;
+  const pattern = document.getElementById('rulePattern').value.trim();
+  const reply = document.getElementById('ruleReply').value;
+  if (!pattern) {
+    throw new Error('Enter at least one keyword or a pattern');
+  }
+  if (matchType === 'regex') {
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`Invalid regular expression: ${error.message}`);
+    }
+  }
+  if (!reply.trim() && !editingAttachment) {
+    throw new Error('Enter a reply or choose an attachment');
+  }
+
+  const hoursEnabled = document.getElementById('ruleHoursEnabled').checked;
+  const days = [...document.querySelectorAll('#ruleDays input:checked')].map(input => Number(input.value));
+  if (hoursEnabled && days.length === 0) {
+    throw new Error('Choose at least one day for business hours');
+  }
+
+  return {
+    name: document.getElementById('ruleName').value.trim(),
+    matchType,
+    pattern,
+    caseSensitive: document.getElementById('ruleCaseSensitive').checked,
+    reply,
+    attachment: editingAttachment,
+    cooldownMinutes: Math.max(0, parseInt(document.getElementById('ruleCooldown').value, 10) || 0),
+    businessHours: {
+      enabled: hoursEnabled,
+      days,
+      start: document.getElementById('ruleHoursStart').value || '09:00',
+      end: document.getElementById('ruleHoursEnd').value || '18:00',
+    },
+  };
+}
+
+async function handleRuleSubmit(event) {
+  event.preventDefault();
+  let fields;
+  try {
+    fields = readRuleForm();
+  } catch (error) {
+    toast(error.message, 'error');
+    return;
+  }
+
+  const existing = config.rules.find(r => r.id === editingRuleId);
+  if (existing) {
+    Object.assign(existing, fields);
+  } else {
+    config.rules.push({ id: `rule-${Date.now()}`, enabled: true, ...fields });
+  }
+  try {
+    await saveConfig();
+    toast('Rule saved', 'success');
+    closeRuleForm();
+    renderRules();
+  } catch (error) {
+    console.error('Error saving rule:', error);
+    toast('Failed to save rule: ' + error.message, 'error');
+  }
+}
+
+// ---- Log ----
+function renderLog(log) {
+  const body = document.getElementById('responderLogBody');
+  if (!body) {
+    return;
+  }
+  body.innerHTML = '';
+  if (log.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = '<td colspan="4" class="responder-table-empty">Nothing auto-sent yet</td>';
+    body.appendChild(tr);
+    return;
+  }
+  log.forEach(entry => {
+    const tr = document.createElement('tr');
+    tr.className = `log-${entry.status}`;
+    tr.title = `Received: ${entry.incoming}\nReplied: ${entry.reply}` + (entry.error ? `\n${entry.error}` : '');
+    [formatDate(entry.time), entry.number, entry.ruleName, entry.status].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+}
+
+async function clearLog() {
+  if (!confirm('Clear the auto-reply log?')) {
+    return;
+  }
+  await chrome.storage.local.set({ [LOG_KEY]: [] });
+}
+
+export function initAutoResponder() {
+  cleanupEventListeners();
+
+  addEventListenerWithCleanup(document.getElementById('autoResponderEnabled'), 'change', async event => {
+    config.enabled = event.target.checked;
+    await saveConfig();
+    toast(config.enabled ? 'Auto-responder enabled' : 'Auto-responder disabled', 'success');
+  });
+  addEventListenerWithCleanup(document.getElementById('addRuleBtn'), 'click', () => openRuleForm());
+  addEventListenerWithCleanup(document.getElementById('ruleCancelBtn'), 'click', closeRuleForm);
+  addEventListenerWithCleanup(document.getElementById('ruleForm'), 'submit', handleRuleSubmit);
+  addEventListenerWithCleanup(document.getElementById('ruleMatchType'), 'change', updatePatternHint);
+  addEventListenerWithCleanup(document.getElementById('ruleAttachmentInput'), 'change', handleAttachmentChange);
+  addEventListenerWithCleanup(document.getElementById('ruleAttachmentRemove'), 'click', () => {
+    editingAttachment = null;
+    renderAttachment();
+  });
+  addEventListenerWithCleanup(document.getElementById('ruleHoursEnabled'), 'change', event => {
+    document.getElementById('ruleHours').style.display = event.target.checked ? 'block' : 'none';
+  });
+  addEventListenerWithCleanup(document.getElementById('clearLogBtn'), 'click', clearLog);
+  chrome.storage.onChanged.addListener(handleStorageChange);
+
+  loadConfig().catch(error => {
+    console.error('Error loading auto-responder rules:', error);
+    toast('Failed to load auto-responder rules', 'error');
+  });
+}
+
+// Register cleanup function with popup.js
+window.currentFeatureCleanup = cleanupEventListeners;
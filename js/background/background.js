@@ -1,4 +1,35 @@
 // background.js - Enhanced Background Service for WhatsApp Broadcast Sender
+import {
+  buildCampaignRecord,
+  saveCampaignRecord,
+  saveRecipientResult,
+  getCampaignRecord,
+  getRecipientResults,
+  updateRecipientAck,
+  recordRecipientReply,
+  recordFollowUpResults,
+  getReceiptStats,
+  MESSAGE_ACK,
+} from '../utils/campaignHistoryDB.js';
+import { buildResultTable, classifyFailure, recipientsFromNumberLists } from '../utils/resultExport.js';
+import {
+  filterOptedOutContacts,
+  addOptOutNumbers,
+  getOptOutSettings,
+  matchOptOutKeyword,
+  contactPhone,
+} from '../utils/optOutList.js';
+import {
+  getDripCampaigns,
+  saveDripCampaigns,
+  normalizeDripSteps,
+  createDrip,
+  dripStepContacts,
+  stopDripStep,
+  recordDripResult,
+  recordDripReply,
+  countDripContacts,
+} from '../utils/dripCampaigns.js';
 
 /**
  * Features:
@@ -17,6 +48,13 @@ let isConnected = false;
 let whatsAppTabIds = [];
 let contentScriptInjected = new Map();
 
+// Campaign queue: campaigns waiting for the active slot, started in FIFO order
+let campaignQueue = [];
+// Finished/cancelled campaigns kept for the progress page, newest first
+const CAMPAIGN_HISTORY_LIMIT = 50;
+// Short breather between one queued campaign finishing and the next one starting
+const QUEUE_ADVANCE_DELAY_MS = 5000;
+
 // WhatsApp reload tracking
 let whatsAppReloadState = {
   isReloading: false,
@@ -81,7 +119,14 @@ async function initializeBackground() {
     
     // Check for interrupted campaign after browser restart
     await recoverInterruptedCampaign();
-    
+
+    // Reload campaigns that were waiting in the queue
+    await restoreCampaignQueue();
+
+    // Re-arm alarms for campaigns scheduled before the restart
+    await restoreScheduledCampaigns();
+    await restoreDripCampaigns();
+
     // Set up message listeners
     setupMessageListeners();
     setupConnectionListeners();
@@ -245,6 +290,9 @@ function setupMessageListeners() {
             }).catch(err => {
               logBackground('Failed to resend startSending: ' + err.message);
             });
+          } else if (!activeCampaign && campaignQueue.length > 0) {
+            // Queued campaigns left waiting (e.g. after a restart) start once WhatsApp is ready
+            startNextQueuedCampaign();
           }
         }
         sendResponse({ success: true });
@@ -262,16 +310,137 @@ function setupMessageListeners() {
           .catch(error => sendResponse({ success: false, error: error.message }));
         return true;
         
+      case 'scheduleCampaign':
+        handleScheduleCampaign(message.campaignSettings, message.scheduledAt, message.timeZone)
+          .then(result => sendResponse(result));
+        return true;
+
+      case 'getScheduledCampaigns':
+        getScheduledCampaigns()
+          .then(list => sendResponse({
+            success: true,
+            scheduledCampaigns: list.map(summarizeScheduledCampaign),
+          }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'cancelScheduledCampaign':
+        handleCancelScheduledCampaign(message.scheduleId)
+          .then(result => sendResponse(result));
+        return true;
+
+      case 'getDripCampaigns':
+        loadDripCampaigns()
+          .then(list => sendResponse({ success: true, dripCampaigns: list.map(summarizeDrip) }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'cancelDripCampaign':
+        handleCancelDripCampaign(message.dripId)
+          .then(result => sendResponse(result));
+        return true;
+
       case 'resetCampaignState':
+        // A reset wipes the queue as well (sendingControls also clears it from storage)
+        campaignQueue = [];
         cleanupCampaignState();
         sendResponse({ success: true });
         return true;
+
+      case 'getCampaignQueue':
+        getCampaignHistory()
+          .then(history => sendResponse({
+            success: true,
+            active: activeCampaign ? summarizeCampaign(activeCampaign) : null,
+            queue: campaignQueue.map(summarizeCampaign),
+            history: history.map(withoutNumberLists),
+          }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'getCampaignResults':
+        getCampaignResultTable(message.campaignId)
+          .then(table => sendResponse({ success: true, table }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'retryFailedCampaign':
+        handleRetryFailedCampaign(message.campaignId, { excludeInvalid: message.excludeInvalid })
+          .then(sendResponse)
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'messageAckUpdate':
+        handleMessageAck(message)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'messageReplyReceived':
+        Promise.all([handleMessageReply(message), handleOptOutKeyword(message), handleDripReply(message)])
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'followUpResults':
+        recordFollowUpResults(message.campaignId, message.index, message.followUps || [])
+          .then(found => sendResponse({ success: found }))
+          .catch(error => {
+            logBackground('Error saving follow-up results: ' + error.message);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+
+      case 'getCampaignReceipts':
+        getReceiptStats(message.campaignId || (activeCampaign && activeCampaign.id))
+          .then(stats => sendResponse({ success: true, stats }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'injectXlsxLibrary':
+        // The floating UI lives in the WhatsApp tab and needs SheetJS for XLSX exports
+        chrome.scripting.executeScript({
+          target: { tabId: sender.tab.id },
+          files: ['libs/xlsx.full.min.js'],
+        })
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'reorderQueuedCampaign':
+        handleQueueReorder(message.campaignId, message.toIndex)
+          .then(result => sendResponse(result));
+        return true;
+
+      case 'cancelQueuedCampaign':
+        handleQueueCancel(message.campaignId)
+          .then(result => sendResponse(result));
+        return true;
         
       case 'updateCampaignProgress':
         if (activeCampaign && message.campaignId === activeCampaign.id) {
           // Check if a message was successfully sent
           const previousSentCount = activeCampaign.sentCount || 0;
           
+          // Per-contact outcome goes straight to the history DB
+          if (message.contactResult) {
+            const result = message.contactResult;
+            const sent = result.status === 'sent';
+            saveRecipientResult({
+              ...result,
+              campaignId: activeCampaign.id,
+              reason: sent ? null : classifyFailure(result.error),
+              ...(sent ? { ack: MESSAGE_ACK.SENT, sentAt: result.timestamp } : {}),
+            })
+              .catch(error => logBackground('Error saving recipient result: ' + error.message));
+            if (sent) {
+              trackRecipientReceipts(result.number, activeCampaign.id, result.index);
+            }
+            if (activeCampaign.dripId) {
+              recordDripProgress(activeCampaign.dripId, activeCampaign.dripStep, result);
+            }
+          }
+
           // Update activeCampaign with new progress
           activeCampaign = {
             ...activeCampaign,
@@ -326,7 +495,7 @@ function setupMessageListeners() {
               // Auto-cleanup campaign once it reaches a terminal state so the next one can start seamlessly
               if (['completed', 'failed', 'aborted'].includes(activeCampaign.status)) {
                 logBackground(`Campaign ${activeCampaign.id} reached terminal state (${activeCampaign.status}). Cleaning up state.`);
-                await cleanupCampaignState();
+                await finishActiveCampaign();
               }
 
               sendResponse({ success: true });
@@ -358,6 +527,15 @@ function setupMessageListeners() {
         sendResponse({ success: true });
         return true;
       case 'getCampaignStatus':
+        // A specific campaign id may also refer to a queued or finished campaign
+        if (message.campaignId && (!activeCampaign || activeCampaign.id !== message.campaignId)) {
+          findCampaignById(message.campaignId)
+            .then(campaign => sendResponse(campaign
+              ? { success: true, campaignStatus: campaign }
+              : { success: false, error: 'Campaign not found' }))
+            .catch(error => sendResponse({ success: false, error: error.message }));
+          return true;
+        }
         if (activeCampaign) {
           sendResponse({ success: true, campaignStatus: activeCampaign });
         } else {
@@ -377,15 +555,13 @@ function setupMessageListeners() {
               sendResponse({ success: false, error: 'not_found' });
               return;
             }
-            // Create an object URL for the blob so the content script can fetch it
-            const blobUrl = URL.createObjectURL(rec.blob);
-            // Store URL in a temporary Set so we can revoke later if needed
-            if (!globalThis._attachmentUrls) globalThis._attachmentUrls = new Set();
-            globalThis._attachmentUrls.add(blobUrl);
+            // Blob URLs do not exist in the service worker and the page origin could not
+            // fetch them anyway, so the bytes travel as a data URL
+            const type = rec.blob.type || 'application/octet-stream';
             sendResponse({
               success: true,
-              url: blobUrl,
-              type: rec.blob.type || 'application/octet-stream',
+              dataUrl: `data:${type};base64,${await blobToBase64(rec.blob)}`,
+              type,
               name: (rec.meta && rec.meta.name) || 'attachment'
             });
           } catch (err) {
@@ -418,7 +594,7 @@ function setupMessageListeners() {
         return true;
       case 'abortCampaign':
         (async()=>{
-          const resp = await handleCampaignAbort();
+          const resp = await handleCampaignAbort(message.campaignId);
           sendResponse(resp);
         })();
         return true;
@@ -606,22 +782,71 @@ async function handleCampaignStart(campaignSettings) {
       throw new Error('WhatsApp is not connected. Please open WhatsApp Web and log in.');
     }
     
-    // Check if a campaign is already running
+    // Contacts on the global opt-out list are never messaged; they are reported as "opted out"
+    const { contacts, optedOut } = await filterOptedOutContacts(campaignSettings.contacts);
+    if (contacts.length === 0) {
+      throw new Error('All contacts are on the opt-out list');
+    }
+    if (optedOut.length > 0) {
+      logBackground(`${optedOut.length} opted-out contact(s) excluded from the campaign`);
+    }
+    
+    const { dripSteps, ...settings } = campaignSettings;
+    const campaign = {
+      ...settings,
+      contacts,
+      optedOutContacts: optedOut,
+      optedOutCount: optedOut.length,
+      id: 'campaign-' + Date.now(),
+      queuedAt: new Date().toISOString(),
+      totalContacts: contacts.length,
+    };
+
+    // A campaign with later steps becomes day 0 of a new drip campaign
+    const steps = campaign.dripId ? [] : normalizeDripSteps(dripSteps);
+    if (steps.length > 0) {
+      await startDripCampaign(campaign, steps, optedOut);
+    }
+    
+    // Another campaign holds the slot – wait in the queue and start when it finishes
     if (activeCampaign) {
-      throw new Error('A campaign is already running. Please wait for it to finish.');
+      campaign.status = 'queued';
+      campaignQueue.push(campaign);
+      await saveCampaignQueue();
+      logBackground(`Campaign ${campaign.id} queued at position ${campaignQueue.length}`);
+      return {
+        success: true,
+        campaignId: campaign.id,
+        status: 'queued',
+        position: campaignQueue.length,
+        optedOutCount: campaign.optedOutCount,
+      };
     }
     
+    const result = await launchCampaign(campaign);
+    if (!result.success && steps.length > 0) {
+      // Day 0 never went out, so the later steps must not either
+      await handleCancelDripCampaign(campaign.dripId);
+    }
+    return result;
+  } catch (error) {
+    logBackground('Error starting campaign: ' + error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Make `campaign` the active campaign and hand it to the WhatsApp tab
+async function launchCampaign(campaign) {
+  try {
     // Store campaign settings
     activeCampaign = {
-      ...campaignSettings,
-      id: 'campaign-' + Date.now(),
+      ...campaign,
       startTime: new Date().toISOString(),
       lastUpdateTime: new Date().toISOString(),
       currentIndex: 0,
       sentCount: 0,
       failedCount: 0,
       status: 'initializing',
-      totalContacts: campaignSettings.contacts.length
     };
     
     // Save to storage
@@ -646,7 +871,17 @@ async function handleCampaignStart(campaignSettings) {
           // Attempt to inject the content script programmatically
           await chrome.scripting.executeScript({
             target: { tabId: tab.id },
-            files: ['js/content.js']
+            files: [
+              'js/utils/templateEngine.js',
+              'js/utils/spintax.js',
+              'js/utils/qrCode.js',
+              'js/utils/pdfOverlay.js',
+              'js/utils/personalizedAttachment.js',
+              'js/utils/sendingQuota.js',
+              'js/utils/recipientTimeZone.js',
+              'js/utils/sendingWindow.js',
+              'js/content.js',
+            ],
           });
           // Give the script a moment to initialize and then ping again
           await new Promise(r => setTimeout(r, 500));
@@ -664,6 +899,8 @@ async function handleCampaignStart(campaignSettings) {
       // Update campaign status to running
     activeCampaign.status = 'running';
     await chrome.storage.local.set({ activeCampaign });
+    await archiveCampaign(activeCampaign);
+    await archiveOptedOutContacts(activeCampaign);
     
       // Send full settings so the content script does not need to pull a potentially large
       // attachment from chrome.storage (where it may exceed QUOTA_BYTES_PER_ITEM limits).
@@ -685,7 +922,7 @@ async function handleCampaignStart(campaignSettings) {
         throw new Error('Failed to start campaign: ' + error.message);
       }
     } catch (error) {
-      logBackground('Error starting campaign: ' + error.message);
+      logBackground('Error launching campaign: ' + error.message);
       await cleanupCampaignState();
       return { success: false, error: error.message };
     }
@@ -722,18 +959,29 @@ async function handleCampaignPause(reason) {
 
 
 // Handle campaign abort
-async function handleCampaignAbort() {
+async function handleCampaignAbort(campaignId) {
   try {
     if (!activeCampaign) {
       throw new Error('No active campaign to abort');
     }
     
+    // The content script reports its own abort with the id; by then the next queued
+    // campaign may already own the slot and must not be aborted as well.
+    if (campaignId && campaignId !== activeCampaign.id) {
+      return { success: true };
+    }
+    
     activeCampaign.status = 'aborted';
     await chrome.storage.local.set({ activeCampaign });
+    await handleDripStepStopped(activeCampaign);
     
-    // Clear campaign data
-    activeCampaign = null;
-    await chrome.storage.local.remove(['activeCampaign']);
+    // Stop the sending loop in the tab before the next queued campaign can take over
+    if (activeCampaign.tabId) {
+      chrome.tabs.sendMessage(activeCampaign.tabId, { action: 'abortCampaign' }).catch(() => {});
+    }
+    
+    // Clear campaign data and move on to the next queued campaign
+    await finishActiveCampaign();
     
     return { success: true };
           } catch (error) {
@@ -1060,6 +1308,17 @@ async function getBlobFromIndexedDB(id) {
   });
 }
 
+// Base64 of a blob; FileReader is not available in the service worker
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const chunkSize = 0x8000;
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
 // Recover interrupted campaign after browser restart
 async function recoverInterruptedCampaign() {
   try {
@@ -1145,8 +1404,836 @@ async function handleCampaignResume() {
   }
 }
 
+// ------------------------------
+// Campaign queue & history
+// ------------------------------
+function messagePreview(message) {
+  const text = message || '';
+  return text.length > 60 ? text.slice(0, 60) + '…' : text;
+}
+
+// Light-weight view of a campaign for lists (no contacts or attachment payload)
+function summarizeCampaign(campaign) {
+  return {
+    id: campaign.id,
+    status: campaign.status,
+    totalContacts: campaign.totalContacts || (campaign.contacts ? campaign.contacts.length : 0),
+    sentCount: campaign.sentCount || 0,
+    failedCount: campaign.failedCount || 0,
+    queuedAt: campaign.queuedAt || null,
+    startTime: campaign.startTime || null,
+    completionTime: campaign.completionTime || null,
+    scheduleId: campaign.scheduleId || null,
+    optedOutCount: campaign.optedOutCount || 0,
+    messagePreview: messagePreview(campaign.message),
+    error: campaign.error || campaign.lastError || null,
+  };
+}
+
+// Per-number results stay in storage; lists only need the totals
+const NUMBER_LIST_KEYS = ['successNumbers', 'failedNumbers', 'skippedNumbers'];
+
+function withoutNumberLists(entry) {
+  const copy = { ...entry };
+  NUMBER_LIST_KEYS.forEach(key => delete copy[key]);
+  return copy;
+}
+
+// Queued campaigns are stored whole, inline attachment included: most attachments only
+// exist as base64 (no IndexedDB copy) and the extension has `unlimitedStorage`
+async function saveCampaignQueue() {
+  await chrome.storage.local.set({ campaignQueue });
+}
+
+async function restoreCampaignQueue() {
+  try {
+    const stored = await chrome.storage.local.get('campaignQueue');
+    campaignQueue = Array.isArray(stored.campaignQueue) ? stored.campaignQueue : [];
+    if (campaignQueue.length > 0) {
+      logBackground(`Restored ${campaignQueue.length} queued campaign(s)`);
+    }
+  } catch (error) {
+    logBackground('Error restoring campaign queue: ' + error.message);
+  }
+}
+
+async function getCampaignHistory() {
+  const stored = await chrome.storage.local.get('campaignHistory');
+  return Array.isArray(stored.campaignHistory) ? stored.campaignHistory : [];
+}
+
+// Keep the final state of a campaign (including per-number results) under its id
+async function recordCampaignHistory(campaign, statusOverride) {
+  const entry = {
+    ...summarizeCampaign(campaign),
+    status: statusOverride || campaign.status,
+    completionTime: campaign.completionTime || new Date().toISOString(),
+    successNumbers: campaign.successNumbers || [],
+    failedNumbers: campaign.failedNumbers || [],
+    skippedNumbers: campaign.skippedNumbers || [],
+  };
+  const history = (await getCampaignHistory()).filter(item => item.id !== entry.id);
+  history.unshift(entry);
+  await chrome.storage.local.set({ campaignHistory: history.slice(0, CAMPAIGN_HISTORY_LIMIT) });
+  await archiveCampaign({ ...campaign, status: entry.status, completionTime: entry.completionTime });
+}
+
+// Per-recipient result table for a campaign (defaults to the active or last one).
+// Campaigns without recipient records fall back to their success/failed/skipped lists.
+async function getCampaignResultTable(campaignId) {
+  const { lastCampaignResults } = await chrome.storage.local.get('lastCampaignResults');
+  const id = campaignId || (activeCampaign && activeCampaign.id) ||
+    (lastCampaignResults && lastCampaignResults.campaignId);
+
+  let recipients = id ? await getRecipientResults(id) : [];
+  if (recipients.length === 0) {
+    const campaign = id ? await findCampaignById(id) : activeCampaign;
+    recipients = recipientsFromNumberLists(campaign || lastCampaignResults || {});
+  }
+  return buildResultTable(recipients);
+}
+
+// Start a new campaign with the failed (and non-duplicate skipped) contacts of a
+// finished one, reusing its message, settings and attachment.
+async function handleRetryFailedCampaign(campaignId, { excludeInvalid = false } = {}) {
+  try {
+    const record = await getCampaignRecord(campaignId);
+    if (!record) {
+      throw new Error('Campaign not found in history');
+    }
+
+    let recipients = await getRecipientResults(campaignId);
+    if (recipients.length === 0) {
+      recipients = recipientsFromNumberLists((await findCampaignById(campaignId)) || {});
+    }
+
+    const contacts = recipients
+      .filter(r => {
+        if (r.status !== 'failed' && r.status !== 'skipped') {
+          return false;
+        }
+        // Skips without a recorded reason come from the old number lists: invalid numbers
+        const reason = r.reason || classifyFailure(r.error) ||
+          (r.status === 'skipped' ? 'invalid_number' : '');
+        if (reason === 'duplicate_number') {
+          return false;
+        }
+        return !(excludeInvalid && reason === 'invalid_number');
+      })
+      .map(r => r.contact || { Phone: r.number });
+
+    if (contacts.length === 0) {
+      throw new Error('No failed contacts to retry');
+    }
+
+    // The retry starts now, whatever the original schedule was, and outside any drip
+    const settings = { ...record.settings };
+    delete settings.scheduleId;
+    delete settings.dripId;
+    delete settings.dripStep;
+    logBackground(`Retrying ${contacts.length} contact(s) from campaign ${campaignId}`);
+    return await handleCampaignStart({
+      ...settings,
+      message: record.message,
+      attachment: record.attachment,
+      contacts,
+      retryOf: campaignId,
+    });
+  } catch (error) {
+    logBackground('Error retrying failed contacts: ' + error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Write the campaign's settings and current state to the IndexedDB history.
+// The archive is best-effort and must never block sending.
+async function archiveCampaign(campaign) {
+  try {
+    await saveCampaignRecord(buildCampaignRecord(campaign));
+  } catch (error) {
+    logBackground('Error archiving campaign: ' + error.message);
+  }
+}
+
+// Opted-out contacts never reach the WhatsApp tab, so record their outcome here.
+// They are numbered after the campaign's own contacts.
+async function archiveOptedOutContacts(campaign) {
+  const optedOut = campaign.optedOutContacts || [];
+  const timestamp = new Date().toISOString();
+  for (let i = 0; i < optedOut.length; i++) {
+    try {
+      await saveRecipientResult({
+        campaignId: campaign.id,
+        index: campaign.contacts.length + i,
+        number: contactPhone(optedOut[i]),
+        status: 'opted_out',
+        reason: 'opted_out',
+        contact: typeof optedOut[i] === 'object' ? optedOut[i] : { Phone: optedOut[i] },
+        timestamp,
+      });
+    } catch (error) {
+      logBackground('Error archiving opted-out contact: ' + error.message);
+    }
+  }
+}
+
+async function findCampaignById(campaignId) {
+  if (activeCampaign && activeCampaign.id === campaignId) {
+    return activeCampaign;
+  }
+  const queued = campaignQueue.find(item => item.id === campaignId);
+  if (queued) {
+    return { ...summarizeCampaign(queued), position: campaignQueue.indexOf(queued) + 1 };
+  }
+  const history = await getCampaignHistory();
+  return history.find(item => item.id === campaignId) || null;
+}
+
+// Active campaign reached a terminal state: archive it and let the queue move on
+async function finishActiveCampaign() {
+  if (activeCampaign) {
+    try {
+      await recordCampaignHistory(activeCampaign);
+    } catch (error) {
+      logBackground('Error recording campaign history: ' + error.message);
+    }
+  }
+  await cleanupCampaignState();
+
+  if (campaignQueue.length > 0) {
+    setTimeout(() => {
+      startNextQueuedCampaign().catch(error => {
+        logBackground('Error advancing campaign queue: ' + error.message);
+      });
+    }, QUEUE_ADVANCE_DELAY_MS);
+  }
+}
+
+async function startNextQueuedCampaign() {
+  if (activeCampaign || campaignQueue.length === 0) {
+    return;
+  }
+
+  const connection = await handleConnectionCheck();
+  if (!connection.connected) {
+    logBackground('Campaign queue waiting: WhatsApp is not connected');
+    return;
+  }
+
+  const next = campaignQueue.shift();
+  await saveCampaignQueue();
+  logBackground(`Starting queued campaign ${next.id}`);
+
+  const result = await launchCampaign(next);
+  if (!result.success) {
+    // Put it back at the front; contentScriptReady will try again
+    campaignQueue.unshift({ ...next, status: 'queued', lastError: result.error });
+    await saveCampaignQueue();
+  }
+}
+
+// Move a queued campaign to `toIndex` (0 = next to run)
+async function handleQueueReorder(campaignId, toIndex) {
+  try {
+    const fromIndex = campaignQueue.findIndex(item => item.id === campaignId);
+    if (fromIndex === -1) {
+      throw new Error('Campaign is not in the queue');
+    }
+
+    const target = Math.max(0, Math.min(campaignQueue.length - 1, Number(toIndex) || 0));
+    const [moved] = campaignQueue.splice(fromIndex, 1);
+    campaignQueue.splice(target, 0, moved);
+    await saveCampaignQueue();
+
+    return { success: true, queue: campaignQueue.map(summarizeCampaign) };
+  } catch (error) {
+    logBackground('Error reordering campaign queue: ' + error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+async function handleQueueCancel(campaignId) {
+  try {
+    const index = campaignQueue.findIndex(item => item.id === campaignId);
+    if (index === -1) {
+      throw new Error('Campaign is not in the queue');
+    }
+
+    const [cancelled] = campaignQueue.splice(index, 1);
+    await saveCampaignQueue();
+    await recordCampaignHistory(cancelled, 'canceled');
+    await handleDripStepStopped(cancelled);
+    logBackground(`Queued campaign ${campaignId} cancelled`);
+
+    return { success: true, queue: campaignQueue.map(summarizeCampaign) };
+  } catch (error) {
+    logBackground('Error cancelling queued campaign: ' + error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// ------------------------------
+// Delivery & read receipts, replies
+// ------------------------------
+// Acks and replies keep arriving long after a campaign ends, so every number we sent to is
+// remembered (number -> campaign id + contact index) for a while; the latest campaign wins.
+const RECEIPT_TRACKING_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Acks stamped this long before our send belong to an older message to the same number
+const RECEIPT_CLOCK_SKEW_MS = 60 * 1000;
+let receiptTracking = null;
+let receiptTrackingSaveTimer = null;
+
+async function loadReceiptTracking() {
+  if (!receiptTracking) {
+    const stored = await chrome.storage.local.get('receiptTracking');
+    receiptTracking = stored.receiptTracking || {};
+  }
+  return receiptTracking;
+}
+
+// Debounced so a fast campaign doesn't write to storage on every contact
+function saveReceiptTracking() {
+  if (receiptTrackingSaveTimer) {
+    clearTimeout(receiptTrackingSaveTimer);
+  }
+  receiptTrackingSaveTimer = setTimeout(() => {
+    receiptTrackingSaveTimer = null;
+    const cutoff = Date.now() - RECEIPT_TRACKING_TTL_MS;
+    Object.keys(receiptTracking).forEach(number => {
+      if (receiptTracking[number].sentAt < cutoff) {
+        delete receiptTracking[number];
+      }
+    });
+    chrome.storage.local.set({ receiptTracking }).catch(error => {
+      logBackground('Error saving receipt tracking: ' + error.message);
+    });
+  }, 2000);
+}
+
+async function trackRecipientReceipts(number, campaignId, index) {
+  try {
+    const tracking = await loadReceiptTracking();
+    tracking[number] = { campaignId, index, sentAt: Date.now() };
+    saveReceiptTracking();
+  } catch (error) {
+    logBackground('Error tracking receipts: ' + error.message);
+  }
+}
+
+async function handleMessageAck({ number, ack, t }) {
+  if (!number || typeof ack !== 'number' || ack < MESSAGE_ACK.DELIVERED) {
+    return;
+  }
+
+  const tracking = await loadReceiptTracking();
+  const entry = tracking[String(number).replace(/\D/g, '')];
+  if (!entry) {
+    return;
+  }
+  if (t && t * 1000 < entry.sentAt - RECEIPT_CLOCK_SKEW_MS) {
+    return;
+  }
+
+  const changed = await updateRecipientAck(entry.campaignId, entry.index, ack, new Date().toISOString());
+  if (changed) {
+    logBackground(`Receipt for ${number} in campaign ${entry.campaignId}: ack ${ack}`);
+  }
+}
+
+// A reply that is just a STOP keyword puts the sender on the global opt-out list
+async function handleOptOutKeyword({ number, body }) {
+  if (!number) {
+    return;
+  }
+  const settings = await getOptOutSettings();
+  if (!settings.autoOptOut) {
+    return;
+  }
+  const keyword = matchOptOutKeyword(body, settings.keywords);
+  if (keyword && await addOptOutNumbers([number], 'keyword', { keyword })) {
+    logBackground(`${number} opted out by replying "${keyword}"`);
+  }
+}
+
+async function handleMessageReply({ number, body, t }) {
+  if (!number) {
+    return;
+  }
+
+  const tracking = await loadReceiptTracking();
+  const entry = tracking[String(number).replace(/\D/g, '')];
+  if (!entry) {
+    return;
+  }
+  // Messages from before our send are not replies to this campaign
+  const receivedAt = t ? t * 1000 : Date.now();
+  if (receivedAt < entry.sentAt - RECEIPT_CLOCK_SKEW_MS) {
+    return;
+  }
+
+  const found = await recordRecipientReply(entry.campaignId, entry.index, body, new Date(receivedAt).toISOString());
+  if (found) {
+    logBackground(`Reply from ${number} in campaign ${entry.campaignId}`);
+  }
+}
+
+// ------------------------------
+// Scheduled campaigns
+// ------------------------------
+// Each entry in chrome.storage.local `scheduledCampaigns` owns a chrome.alarms alarm, so the
+// service worker is woken up at the scheduled time even if it was suspended or restarted.
+const SCHEDULE_ALARM_PREFIX = 'scheduledCampaign:';
+// How long to wait before trying again when WhatsApp is offline or another campaign is busy
+const SCHEDULE_RETRY_MINUTES = 1;
+// A scheduled start that still cannot run this long after its due time is marked as missed
+const SCHEDULE_GRACE_MS = 2 * 60 * 60 * 1000;
+
+async function getScheduledCampaigns() {
+  const stored = await chrome.storage.local.get('scheduledCampaigns');
+  return Array.isArray(stored.scheduledCampaigns) ? stored.scheduledCampaigns : [];
+}
+
+async function saveScheduledCampaigns(list) {
+  await chrome.storage.local.set({ scheduledCampaigns: list });
+}
+
+async function updateScheduledCampaign(scheduleId, changes) {
+  const list = await getScheduledCampaigns();
+  const entry = list.find(item => item.id === scheduleId);
+  if (!entry) {
+    return null;
+  }
+  Object.assign(entry, changes);
+  await saveScheduledCampaigns(list);
+  return entry;
+}
+
+// Strip contacts/attachment so the popup only receives what it displays
+function summarizeScheduledCampaign(entry) {
+  const { campaignSettings, ...summary } = entry;
+  return {
+    ...summary,
+    messagePreview: messagePreview(campaignSettings && campaignSettings.message),
+    hasAttachment: !!(campaignSettings && campaignSettings.attachment),
+  };
+}
+
+// Queue a campaign to start at `scheduledAt` (epoch ms)
+async function handleScheduleCampaign(campaignSettings, scheduledAt, timeZone) {
+  try {
+    if (!campaignSettings || !Array.isArray(campaignSettings.contacts) || campaignSettings.contacts.length === 0) {
+      throw new Error('No contacts specified');
+    }
+
+    const when = Number(scheduledAt);
+    if (!Number.isFinite(when) || when <= Date.now()) {
+      throw new Error('Scheduled time must be in the future');
+    }
+
+    const entry = {
+      id: 'schedule-' + Date.now(),
+      scheduledAt: when,
+      timeZone: timeZone || null,
+      createdAt: new Date().toISOString(),
+      status: 'scheduled',
+      totalContacts: campaignSettings.contacts.length,
+      campaignSettings,
+    };
+
+    const list = await getScheduledCampaigns();
+    list.push(entry);
+    list.sort((a, b) => a.scheduledAt - b.scheduledAt);
+    await saveScheduledCampaigns(list);
+
+    await chrome.alarms.create(SCHEDULE_ALARM_PREFIX + entry.id, { when });
+    logBackground(`Campaign ${entry.id} scheduled for ${new Date(when).toISOString()}`);
+
+    return { success: true, scheduleId: entry.id, scheduledAt: when };
+  } catch (error) {
+    logBackground('Error scheduling campaign: ' + error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Cancel a pending schedule, or dismiss one that already failed
+async function handleCancelScheduledCampaign(scheduleId) {
+  try {
+    const list = await getScheduledCampaigns();
+    const remaining = list.filter(item => item.id !== scheduleId);
+    if (remaining.length === list.length) {
+      throw new Error('Scheduled campaign not found');
+    }
+
+    await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + scheduleId);
+    await saveScheduledCampaigns(remaining);
+    logBackground(`Scheduled campaign ${scheduleId} cancelled`);
+
+    return { success: true };
+  } catch (error) {
+    logBackground('Error cancelling scheduled campaign: ' + error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Alarm fired: verify WhatsApp is connected, then start the campaign
+async function handleScheduledCampaignAlarm(scheduleId) {
+  try {
+    const list = await getScheduledCampaigns();
+    const entry = list.find(item => item.id === scheduleId);
+    if (!entry || entry.status !== 'scheduled') {
+      return;
+    }
+
+    if (Date.now() - entry.scheduledAt > SCHEDULE_GRACE_MS) {
+      await updateScheduledCampaign(scheduleId, {
+        status: 'missed',
+        error: entry.lastError || 'Scheduled time passed while the browser was closed',
+      });
+      logBackground(`Scheduled campaign ${scheduleId} missed its start window`);
+      return;
+    }
+
+    let blocker = null;
+    const connection = await handleConnectionCheck();
+    if (!connection.connected) {
+      blocker = 'WhatsApp is not connected';
+    }
+
+    if (!blocker) {
+      // If another campaign is running this lands in the campaign queue behind it
+      const result = await handleCampaignStart({ ...entry.campaignSettings, scheduleId: entry.id });
+      if (result.success) {
+        const current = await getScheduledCampaigns();
+        await saveScheduledCampaigns(current.filter(item => item.id !== scheduleId));
+        logBackground(`Scheduled campaign ${scheduleId} ${result.status === 'queued' ? 'queued' : 'started'} as ${result.campaignId}`);
+        return;
+      }
+      blocker = result.error || 'Failed to start campaign';
+    }
+
+    // Try again shortly; the grace window above decides when to give up
+    await updateScheduledCampaign(scheduleId, { lastError: blocker });
+    await chrome.alarms.create(SCHEDULE_ALARM_PREFIX + scheduleId, { delayInMinutes: SCHEDULE_RETRY_MINUTES });
+    logBackground(`Scheduled campaign ${scheduleId} postponed: ${blocker}`);
+  } catch (error) {
+    logBackground('Error running scheduled campaign: ' + error.message);
+  }
+}
+
+// Make sure every pending schedule still has an alarm (alarms can be lost on update/restart)
+async function restoreScheduledCampaigns() {
+  try {
+    const list = await getScheduledCampaigns();
+    for (const entry of list) {
+      if (entry.status !== 'scheduled') {
+        continue;
+      }
+
+      const alarmName = SCHEDULE_ALARM_PREFIX + entry.id;
+      const existing = await chrome.alarms.get(alarmName);
+      if (!existing) {
+        // Overdue entries fire right away and are checked against the grace window
+        await chrome.alarms.create(alarmName, { when: Math.max(entry.scheduledAt, Date.now() + 1000) });
+        logBackground(`Re-armed alarm for scheduled campaign ${entry.id}`);
+      }
+    }
+  } catch (error) {
+    logBackground('Error restoring scheduled campaigns: ' + error.message);
+  }
+}
+
+// ------------------------------
+// Drip campaigns
+// ------------------------------
+// A drip (js/utils/dripCampaigns.js) arms one alarm at a time, for its next step. When it fires
+// the step starts as an ordinary campaign for the contacts still in the drip; sends, failures
+// and replies are written back to the drip as they happen.
+const DRIP_ALARM_PREFIX = 'dripStep:';
+// How long to wait for the WhatsApp tab to report the chats' latest incoming messages
+const DRIP_REPLY_CHECK_TIMEOUT_MS = 15000;
+let dripCampaigns = null;
+let dripProgressSaveTimer = null;
+
+async function loadDripCampaigns() {
+  if (!dripCampaigns) {
+    dripCampaigns = await getDripCampaigns();
+  }
+  return dripCampaigns;
+}
+
+async function persistDripCampaigns() {
+  if (dripProgressSaveTimer) {
+    clearTimeout(dripProgressSaveTimer);
+    dripProgressSaveTimer = null;
+  }
+  await saveDripCampaigns(dripCampaigns);
+}
+
+// Debounced like the receipt tracking: a step campaign reports every contact
+function persistDripProgressSoon() {
+  if (dripProgressSaveTimer) {
+    clearTimeout(dripProgressSaveTimer);
+  }
+  dripProgressSaveTimer = setTimeout(() => {
+    persistDripCampaigns().catch(error => {
+      logBackground('Error saving drip campaign progress: ' + error.message);
+    });
+  }, 2000);
+}
+
+// Strip contacts and per-contact progress so the popup only receives what it displays
+function summarizeDrip(drip) {
+  const next = drip.status === 'active' ? drip.steps[drip.nextStep] : null;
+  return {
+    id: drip.id,
+    status: drip.status,
+    createdAt: drip.createdAt,
+    totalContacts: drip.contacts.length,
+    counts: countDripContacts(drip),
+    nextStep: next ? { day: next.dayOffset, dueAt: next.dueAt, lastError: next.lastError || null } : null,
+    steps: drip.steps.map(({ message, ...step }) => ({ ...step, messagePreview: messagePreview(message) })),
+  };
+}
+
+async function armDripAlarm(drip) {
+  const step = drip.steps[drip.nextStep];
+  await chrome.alarms.create(DRIP_ALARM_PREFIX + drip.id, { when: Math.max(step.dueAt, Date.now() + 1000) });
+}
+
+// Called by handleCampaignStart for a campaign with later steps; it becomes day 0
+async function startDripCampaign(campaign, steps, optedOut) {
+  const drip = createDrip(campaign, steps, optedOut);
+  campaign.dripId = drip.id;
+  campaign.dripStep = 0;
+
+  const list = await loadDripCampaigns();
+  list.unshift(drip);
+  await persistDripCampaigns();
+  await armDripAlarm(drip);
+  logBackground(`Drip campaign ${drip.id} started with ${steps.length} later step(s)`);
+}
+
+function recordDripProgress(dripId, stepIndex, result) {
+  loadDripCampaigns()
+    .then(list => {
+      const drip = list.find(item => item.id === dripId);
+      if (drip && recordDripResult(drip, stepIndex, result)) {
+        persistDripProgressSoon();
+      }
+    })
+    .catch(error => logBackground('Error recording drip progress: ' + error.message));
+}
+
+async function handleDripReply({ number, t }) {
+  if (!number) {
+    return;
+  }
+  const digits = String(number).replace(/\D/g, '');
+  const receivedAt = t ? t * 1000 : Date.now();
+  const list = await loadDripCampaigns();
+  let changed = false;
+  list.forEach(drip => {
+    if (recordDripReply(drip, digits, receivedAt, RECEIPT_CLOCK_SKEW_MS)) {
+      changed = true;
+      logBackground(`Reply from ${digits} in drip campaign ${drip.id}`);
+    }
+  });
+  if (changed) {
+    await persistDripCampaigns();
+  }
+}
+
+// Replies that came in while the service worker or the browser was down are only visible in
+// the chats themselves, so ask the WhatsApp tab before each step (best effort)
+async function refreshDripReplies(drip) {
+  const numbers = Object.values(drip.progress)
+    .filter(entry => entry.status === 'active' && entry.number && !entry.repliedAt)
+    .map(entry => entry.number);
+  const tab = numbers.length > 0 ? await findWhatsAppTab() : null;
+  if (!tab) {
+    return;
+  }
+
+  try {
+    const response = await Promise.race([
+      chrome.tabs.sendMessage(tab.id, { action: 'getLastIncomingMessages', numbers }),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), DRIP_REPLY_CHECK_TIMEOUT_MS)),
+    ]);
+    const lastIncoming = (response && response.lastIncoming) || {};
+    Object.entries(lastIncoming).forEach(([number, t]) => {
+      recordDripReply(drip, number, t * 1000, RECEIPT_CLOCK_SKEW_MS);
+    });
+  } catch (error) {
+    logBackground(`Could not check replies for drip campaign ${drip.id}: ${error.message}`);
+  }
+}
+
+// Move on to the next step's alarm, or finish the drip after its last step
+async function advanceDrip(drip) {
+  drip.nextStep++;
+  if (drip.nextStep < drip.steps.length) {
+    await armDripAlarm(drip);
+  } else {
+    drip.status = 'completed';
+  }
+  await persistDripCampaigns();
+}
+
+// Alarm fired: wait for the previous step and WhatsApp, then start the step's campaign
+async function handleDripStepAlarm(dripId) {
+  try {
+    const list = await loadDripCampaigns();
+    const drip = list.find(item => item.id === dripId);
+    if (!drip || drip.status !== 'active') {
+      return;
+    }
+
+    const stepIndex = drip.nextStep;
+    const step = drip.steps[stepIndex];
+    const previous = drip.steps[stepIndex - 1];
+
+    let blocker = null;
+    // The previous step's failures and replies decide who gets this one
+    const previousBusy = previous && previous.campaignId && (
+      (activeCampaign && activeCampaign.id === previous.campaignId) ||
+      campaignQueue.some(item => item.id === previous.campaignId));
+    if (previousBusy) {
+      blocker = 'The previous step is still sending';
+    } else if (!(await handleConnectionCheck()).connected) {
+      blocker = 'WhatsApp is not connected';
+    }
+
+    if (!blocker) {
+      await refreshDripReplies(drip);
+      const { contacts, optedOut } = await filterOptedOutContacts(dripStepContacts(drip, stepIndex));
+      optedOut.forEach(contact => {
+        drip.progress[contactPhone(contact)].status = 'opted_out';
+      });
+
+      if (contacts.length === 0) {
+        Object.assign(step, { status: 'skipped', totalContacts: 0, lastError: null });
+        logBackground(`Drip campaign ${dripId}: nobody left for day ${step.dayOffset}`);
+        await advanceDrip(drip);
+        return;
+      }
+
+      // If another campaign is running this lands in the campaign queue behind it
+      const result = await handleCampaignStart({
+        ...drip.settings,
+        message: step.message,
+        contacts,
+        dripId,
+        dripStep: stepIndex,
+      });
+      if (result.success) {
+        Object.assign(step, {
+          status: 'started',
+          campaignId: result.campaignId,
+          startedAt: new Date().toISOString(),
+          totalContacts: contacts.length,
+          lastError: null,
+        });
+        logBackground(`Drip campaign ${dripId}: day ${step.dayOffset} ${result.status === 'queued' ? 'queued' : 'started'} as ${result.campaignId}`);
+        await advanceDrip(drip);
+        return;
+      }
+      blocker = result.error || 'Failed to start campaign';
+    }
+
+    // Try again shortly; a drip step is sent late rather than not at all
+    step.lastError = blocker;
+    await persistDripCampaigns();
+    await chrome.alarms.create(DRIP_ALARM_PREFIX + dripId, { delayInMinutes: SCHEDULE_RETRY_MINUTES });
+    logBackground(`Drip campaign ${dripId}: day ${step.dayOffset} postponed: ${blocker}`);
+  } catch (error) {
+    logBackground('Error running drip campaign step: ' + error.message);
+  }
+}
+
+// A drip step that stopped early loses the contacts it did not reach; a drip nobody is left in
+// is cancelled (e.g. day 0 removed from the queue before it sent anything)
+async function handleDripStepStopped(campaign) {
+  if (!campaign.dripId) {
+    return;
+  }
+  try {
+    const list = await loadDripCampaigns();
+    const drip = list.find(item => item.id === campaign.dripId);
+    if (!drip || drip.status !== 'active') {
+      return;
+    }
+    if (stopDripStep(drip, campaign.dripStep) === 0) {
+      await chrome.alarms.clear(DRIP_ALARM_PREFIX + drip.id);
+      drip.status = 'canceled';
+      logBackground(`Drip campaign ${drip.id} cancelled: day ${drip.steps[campaign.dripStep].dayOffset} reached nobody`);
+    }
+    await persistDripCampaigns();
+  } catch (error) {
+    logBackground('Error stopping drip campaign step: ' + error.message);
+  }
+}
+
+// Stop an active drip, or dismiss one that already finished
+async function handleCancelDripCampaign(dripId) {
+  try {
+    const list = await loadDripCampaigns();
+    const drip = list.find(item => item.id === dripId);
+    if (!drip) {
+      throw new Error('Drip campaign not found');
+    }
+
+    await chrome.alarms.clear(DRIP_ALARM_PREFIX + dripId);
+    if (drip.status === 'active') {
+      drip.status = 'canceled';
+      logBackground(`Drip campaign ${dripId} cancelled`);
+    } else {
+      list.splice(list.indexOf(drip), 1);
+    }
+    await persistDripCampaigns();
+
+    return { success: true };
+  } catch (error) {
+    logBackground('Error cancelling drip campaign: ' + error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+// Make sure every active drip still has the alarm for its next step
+async function restoreDripCampaigns() {
+  try {
+    const list = await loadDripCampaigns();
+    for (const drip of list) {
+      if (drip.status !== 'active') {
+        continue;
+      }
+      if (!(await chrome.alarms.get(DRIP_ALARM_PREFIX + drip.id))) {
+        await armDripAlarm(drip);
+        logBackground(`Re-armed alarm for drip campaign ${drip.id}`);
+      }
+    }
+  } catch (error) {
+    logBackground('Error restoring drip campaigns: ' + error.message);
+  }
+}
+
+// Registered at top level so the alarm event can wake the service worker
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  const isSchedule = alarm.name.startsWith(SCHEDULE_ALARM_PREFIX);
+  if (!isSchedule && !alarm.name.startsWith(DRIP_ALARM_PREFIX)) {
+    return;
+  }
+  // Wait for recoverInterruptedCampaign so activeCampaign reflects the stored state
+  await backgroundReady;
+  if (isSchedule) {
+    await handleScheduledCampaignAlarm(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length));
+  } else {
+    await handleDripStepAlarm(alarm.name.slice(DRIP_ALARM_PREFIX.length));
+  }
+});
+
 // Initialize when the background script loads
-initializeBackground().then(() => {
+const backgroundReady = initializeBackground();
+backgroundReady.then(() => {
   // Initialize safety manager after background is ready
   initSafetyManager();
 });
@@ -0,0 +1,374 @@
+// js/campaign-history.js - Browse, search and re-export archived campaigns
+import { toast } from './utils.js';
+import { buildResultTable, downloadResultTable } from './utils/resultExport.js';
+import {
+  MESSAGE_ACK,
+  listCampaignRecords,
+  getRecipientResults,
+  findCampaignIdsByNumber,
+  deleteCampaignRecord,
+} from './utils/campaignHistoryDB.js';
+
+// Store event listener references for cleanup
+const eventListeners = [];
+
+function addEventListenerWithCleanup(element, eventType, handler) {
+  if (!element) {
+    return;
+  }
+  element.addEventListener(eventType, handler);
+  eventListeners.push({ element, eventType, handler });
+}
+
+function cleanupEventListeners() {
+  eventListeners.forEach(({ element, eventType, handler }) => {
+    element.removeEventListener(eventType, handler);
+  });
+  eventListeners.length = 0;
+}
+
+// Settings worth showing in the detail card, with readable labels
+const SETTING_LABELS = {
+  randomTimeGapEnabled: 'Random time gap',
+  randomTimeGapMin: 'Gap min (s)',
+  randomTimeGapMax: 'Gap max (s)',
+  splitBatchesEnabled: 'Split batches',
+  batchSizeMin: 'Batch size min',
+  batchSizeMax: 'Batch size max',
+  delayBetweenBatchesMin: 'Batch delay min (min)',
+  delayBetweenBatchesMax: 'Batch delay max (min)',
+  humanPatternEnabled: 'Human pattern',
+  humanPatternIntensity: 'Human pattern intensity',
+  skipInvalidNumbers: 'Skip invalid numbers',
+  turboModeEnabled: 'Turbo mode',
+  addTimestamp: 'Add timestamp',
+  inputSource: 'Contact source',
+  attachmentColumn: 'Attachment column',
+  scheduleId: 'Scheduled',
+  dripId: 'Drip campaign',
+};
+
+const RECEIPT_LABELS = {
+  [MESSAGE_ACK.SENT]: 'Sent',
+  [MESSAGE_ACK.DELIVERED]: 'Delivered',
+  [MESSAGE_ACK.READ]: 'Read',
+  [MESSAGE_ACK.PLAYED]: 'Played',
+};
+
+const STATUS_LABELS = {
+  opted_out: 'opted out',
+};
+
+let campaigns = [];
+let selectedCampaign = null;
+let selectedRecipients = [];
+let searchTimer = null;
+
+function formatDate(iso) {
+  if (!iso) {
+    return '—';
+  }
+  return new Date(iso).toLocaleString([], {
+    year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+function campaignDate(campaign) {
+  return campaign.startTime || campaign.queuedAt || campaign.completionTime;
+}
+
+// The composer stores sizes already formatted ("1.23 MB"); byte counts are formatted here
+function formatSize(size) {
+  if (!size) {
+    return '';
+  }
+  if (typeof size !== 'number') {
+    return String(size);
+  }
+  return size < 1048576 ? `${(size / 1024).toFixed(1)} KB` : `${(size / 1048576).toFixed(1)} MB`;
+}
+
+// ---- Campaign list ----
+async function loadCampaigns() {
+  try {
+    campaigns = await listCampaignRecords();
+    await renderCampaignList();
+  } catch (error) {
+    console.error('Error loading campaign history:', error);
+    toast('Failed to load campaign history', 'error');
+  }
+}
+
+async function filterCampaigns(query) {
+  const q = query.trim().toLowerCase();
+  if (!q) {
+    return campaigns;
+  }
+
+  // Phone-like queries also match campaigns that contained that recipient
+  const digits = q.replace(/\D/g, '');
+  const idsWithNumber = digits.length >= 4 && digits.length === q.replace(/[\s+()-]/g, '').length
+    ? await findCampaignIdsByNumber(digits)
+    : new Set();
+
+  return campaigns.filter(campaign =>
+    idsWithNumber.has(campaign.id) ||
+    (campaign.message || '').toLowerCase().includes(q) ||
+    (campaign.status || '').toLowerCase().includes(q) ||
+    formatDate(campaignDate(campaign)).toLowerCase().includes(q),
+  );
+}
+
+async function renderCampaignList() {
+  const list = document.getElementById('historyList');
+  const empty = document.getElementById('historyEmpty');
+  const search = document.getElementById('historySearch');
+  if (!list) {
+    return;
+  }
+
+  const visible = await filterCampaigns(search ? search.value : '');
+  list.innerHTML = '';
+  if (empty) {
+    empty.style.display = visible.length ? 'none' : 'block';
+    empty.querySelector('p').textContent = campaigns.length
+      ? 'No campaigns match your search'
+      : 'No campaigns recorded yet';
+  }
+
+  visible.forEach(campaign => {
+    const item = document.createElement('li');
+    item.className = 'history-item';
+    item.innerHTML = `
+      <div class="history-item-top">
+        <span class="history-item-date"></span>
+        <span class="history-status"></span>
+      </div>
+      <div class="history-item-message"></div>
+      <div class="history-item-counts"></div>
+    `;
+    item.querySelector('.history-item-date').textContent = formatDate(campaignDate(campaign));
+    const status = item.querySelector('.history-status');
+    status.textContent = campaign.status;
+    status.classList.add(`status-${campaign.status}`);
+    item.querySelector('.history-item-message').textContent = campaign.message || '(no message)';
+    const counts = [
+      `${campaign.sentCount || 0} sent`,
+      `${campaign.failedCount || 0} failed`,
+      `${campaign.totalContacts || 0} contacts`,
+    ];
+    if (campaign.optedOutCount) {
+      counts.push(`${campaign.optedOutCount} opted out`);
+    }
+    item.querySelector('.history-item-counts').textContent = counts.join(' · ');
+    item.addEventListener('click', () => showCampaignDetail(campaign));
+    list.appendChild(item);
+  });
+}
+
+// ---- Campaign detail ----
+async function showCampaignDetail(campaign) {
+  selectedCampaign = campaign;
+  try {
+    selectedRecipients = await getRecipientResults(campaign.id);
+  } catch (error) {
+    console.error('Error loading recipients:', error);
+    selectedRecipients = [];
+  }
+
+  document.getElementById('historyListView').style.display = 'none';
+  document.getElementById('historyDetailView').style.display = 'block';
+
+  const status = document.getElementById('historyDetailStatus');
+  status.textContent = campaign.status;
+  status.className = `history-status status-${campaign.status}`;
+  document.getElementById('historyDetailDate').textContent = formatDate(campaignDate(campaign));
+  document.getElementById('historyDetailTotal').textContent = campaign.totalContacts || 0;
+
+  const countOf = value => selectedRecipients.filter(r => r.status === value).length;
+  document.getElementById('historyDetailSent').textContent = countOf('sent');
+  document.getElementById('historyDetailFailed').textContent = countOf('failed');
+  document.getElementById('historyDetailSkipped').textContent = countOf('skipped');
+  document.getElementById('historyDetailOptedOut').textContent = countOf('opted_out');
+  const ackAtLeast = level => selectedRecipients.filter(r => (r.ack || 0) >= level).length;
+  document.getElementById('historyDetailDelivered').textContent = ackAtLeast(MESSAGE_ACK.DELIVERED);
+  document.getElementById('historyDetailRead').textContent = ackAtLeast(MESSAGE_ACK.READ);
+  document.getElementById('historyDetailReplied').textContent = selectedRecipients.filter(r => r.repliedAt).length;
+  document.getElementById('historyDetailMessage').textContent = campaign.message || '';
+
+  const attachmentEl = document.getElementById('historyDetailAttachment');
+  if (campaign.attachment && campaign.attachment.name) {
+    const { name, type, size } = campaign.attachment;
+    const details = [type, formatSize(size)].filter(Boolean).join(', ');
+    attachmentEl.textContent = details ? `📎 ${name} (${details})` : `📎 ${name}`;
+    attachmentEl.style.display = 'block';
+  } else {
+    attachmentEl.style.display = 'none';
+  }
+
+  // Message sequence: the follow-ups sent after the first message
+  const followUpsEl = document.getElementById('historyDetailFollowUps');
+  const followUps = (campaign.settings && campaign.settings.followUps) || [];
+  followUpsEl.innerHTML = '';
+  followUps.forEach(followUp => {
+    const item = document.createElement('li');
+    const attachment = followUp.attachment && followUp.attachment.name ? ` 📎 ${followUp.attachment.name}` : '';
+    item.textContent = `After ${followUp.delaySeconds || 0} s: ${followUp.message || ''}${attachment}`;
+    followUpsEl.appendChild(item);
+  });
+  followUpsEl.style.display = followUps.length ? 'block' : 'none';
+
+  const settingsEl = document.getElementById('historyDetailSettings');
+  settingsEl.innerHTML = '';
+  Object.entries(SETTING_LABELS).forEach(([key, label]) => {
+    const value = campaign.settings ? campaign.settings[key] : undefined;
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = typeof value === 'boolean' ? (value ? 'On' : 'Off') : String(value);
+    settingsEl.append(dt, dd);
+  });
+
+  document.getElementById('recipientSearch').value = '';
+  document.getElementById('recipientStatusFilter').value = '';
+  renderRecipientTable();
+}
+
+function matchesStatusFilter(recipient, filter) {
+  if (filter === 'replied') {
+    return !!recipient.repliedAt;
+  }
+  if (filter === 'not_replied') {
+    return recipient.status === 'sent' && !recipient.repliedAt;
+  }
+  if (filter === 'follow_up_failed') {
+    return (recipient.followUps || []).some(f => f.status !== 'sent');
+  }
+  return !filter || recipient.status === filter;
+}
+
+function renderRecipientTable() {
+  const body = document.getElementById('recipientTableBody');
+  if (!body) {
+    return;
+  }
+  const query = document.getElementById('recipientSearch').value.trim().toLowerCase();
+  const statusFilter = document.getElementById('recipientStatusFilter').value;
+
+  const rows = selectedRecipients.filter(r =>
+    matchesStatusFilter(r, statusFilter) &&
+    (!query ||
+      String(r.number).includes(query) ||
+      (r.error || '').toLowerCase().includes(query) ||
+      (r.replyText || '').toLowerCase().includes(query)),
+  );
+
+  body.innerHTML = '';
+  if (rows.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = '<td colspan="7" class="history-table-empty">No recipients</td>';
+    body.appendChild(tr);
+    return;
+  }
+
+  rows.forEach(r => {
+    const tr = document.createElement('tr');
+    tr.className = `recipient-${r.status}`;
+    const receipt = RECEIPT_LABELS[r.ack] || '';
+    [r.index + 1, r.number || '—', STATUS_LABELS[r.status] || r.status, formatDate(r.timestamp), receipt].forEach(value => {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    if (r.followUps && r.followUps.length) {
+      const sentSteps = r.followUps.filter(f => f.status === 'sent').length;
+      const badge = document.createElement('span');
+      badge.className = 'follow-up-status' + (sentSteps < r.followUps.length ? ' has-failures' : '');
+      badge.textContent = `+${sentSteps}/${r.followUps.length} follow-ups`;
+      badge.title = r.followUps
+        .map(f => `Message ${f.step}: ${f.status}${f.error ? ` (${f.error})` : ''}`)
+        .join('\n');
+      tr.children[2].appendChild(badge);
+    }
+
+    const reply = document.createElement('td');
+    if (r.repliedAt) {
+      reply.className = 'recipient-reply';
+      reply.textContent = r.replyText || 'Replied';
+      reply.title = `Replied ${formatDate(r.repliedAt)}` +
+        (r.replyCount > 1 ? ` · ${r.replyCount} replies, last ${formatDate(r.lastReplyAt)}` : '');
+    }
+    const error = document.createElement('td');
+    error.textContent = r.error || '';
+    tr.append(reply, error);
+    body.appendChild(tr);
+  });
+}
+
+function showCampaignList() {
+  selectedCampaign = null;
+  selectedRecipients = [];
+  document.getElementById('historyDetailView').style.display = 'none';
+  document.getElementById('historyListView').style.display = 'block';
+  renderCampaignList();
+}
+
+// ---- Actions ----
+async function exportSelectedCampaign() {
+  if (!selectedCampaign) {
+    return;
+  }
+  if (selectedRecipients.length === 0) {
+    toast('This campaign has no recipient records to export', 'warning');
+    return;
+  }
+  try {
+    const format = document.getElementById('historyExportFormat').value;
+    const stamp = (campaignDate(selectedCampaign) || new Date().toISOString())
+      .replace(/[:T]/g, '-').split('.')[0];
+    await downloadResultTable(buildResultTable(selectedRecipients), format, `campaign-results-${stamp}`);
+  } catch (error) {
+    console.error('History export error', error);
+    toast('Failed to export results: ' + error.message, 'error');
+  }
+}
+
+async function deleteSelectedCampaign() {
+  if (!selectedCampaign) {
+    return;
+  }
+  if (!confirm('Delete this campaign and all its recipient records from history?')) {
+    return;
+  }
+  try {
+    await deleteCampaignRecord(selectedCampaign.id);
+    campaigns = campaigns.filter(c => c.id !== selectedCampaign.id);
+    toast('Campaign deleted from history', 'success');
+    showCampaignList();
+  } catch (error) {
+    console.error('Error deleting campaign:', error);
+    toast('Failed to delete campaign', 'error');
+  }
+}
+
+export function initCampaignHistory() {
+  cleanupEventListeners();
+
+  addEventListenerWithCleanup(document.getElementById('historySearch'), 'input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(renderCampaignList, 250);
+  });
+  addEventListenerWithCleanup(document.getElementById('historyBackToList'), 'click', showCampaignList);
+  addEventListenerWithCleanup(document.getElementById('recipientSearch'), 'input', renderRecipientTable);
+  addEventListenerWithCleanup(document.getElementById('recipientStatusFilter'), 'change', renderRecipientTable);
+  addEventListenerWithCleanup(document.getElementById('historyExportBtn'), 'click', exportSelectedCampaign);
+  addEventListenerWithCleanup(document.getElementById('historyDeleteBtn'), 'click', deleteSelectedCampaign);
+
+  loadCampaigns();
+}
+
+// Register cleanup function with popup.js
+window.currentFeatureCleanup = cleanupEventListeners;
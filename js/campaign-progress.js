@@ -1,5 +1,6 @@
 // js/campaign-progress.js - Handle campaign progress display and controls
-import { toast, ensureLibraryLoaded } from './utils.js';
+import { toast } from './utils.js';
+import { downloadResultTable, EXPORT_FORMATS } from './utils/resultExport.js';
 import { checkWhatsAppConnection, setConnectionStatus, updateWhatsAppStatusIndicator, setupConnectionMonitoring } from './utils/shared-components.js';
 
 // Constants for URLs
@@ -21,6 +22,12 @@ const timeRemainingValue = document.getElementById('timeRemainingValue');
 const errorsSection = document.getElementById('errorsSection');
 const errorList = document.getElementById('errorList');
 const backBtn = document.getElementById('backBtn');
+const campaignHeading = document.querySelector('.campaign-header h1');
+const campaignSwitcher = document.getElementById('campaignSwitcher');
+const campaignSelect = document.getElementById('campaignSelect');
+const queueSection = document.getElementById('queueSection');
+const queueList = document.getElementById('queueList');
+const receiptStats = document.getElementById('receiptStats');
 
 // Campaign state
 let campaignPort = null;
@@ -46,6 +53,13 @@ let globalCompletionTimer = null; // Global timer for forcing completion
 
 // Added reference
 let downloadBtn = null;
+let retryFailedRow = null;
+
+// Campaign queue / switcher state
+let queueRefreshInterval = null;
+// Receipts keep changing after the last send, so they poll on their own
+let receiptRefreshInterval = null;
+let switcherSignature = '';
 
 function startCampaignPolling(campaignId) {
   if (pollingInterval) clearInterval(pollingInterval);
@@ -64,12 +78,17 @@ function startCampaignPolling(campaignId) {
 function handleCampaignUpdate(status) {
   if (!status) return;
 
+  updateCampaignHeading(status.status);
+
   // Update numeric/stat cards & current operation
   updateCampaignStatus(status);
   updateProgressUI(status);
 
+  // Offer a retry once a campaign is over and some contacts did not get the message
+  updateRetryFailedControls(status);
+
   // If campaign finished, stop polling
-  if (['completed', 'aborted', 'failed'].includes(status.status)) {
+  if (['completed', 'aborted', 'failed', 'canceled'].includes(status.status)) {
     if (pollingInterval) clearInterval(pollingInterval);
     if (globalCompletionTimer) clearTimeout(globalCompletionTimer);
   } else {
@@ -186,6 +205,16 @@ async function initCampaignProgress() {
       startCampaignPolling(campaignId);
     }
 
+    // Keep the running/queued/finished switcher up to date
+    setupCampaignSwitcher();
+
+    // Delivered / read counts from WhatsApp receipts
+    refreshReceiptStats();
+    if (receiptRefreshInterval) {
+      clearInterval(receiptRefreshInterval);
+    }
+    receiptRefreshInterval = setInterval(refreshReceiptStats, 10000);
+
     // Ensure download button is present from the start
     ensureDownloadResultsButton();
   } catch (error) {
@@ -194,6 +223,210 @@ async function initCampaignProgress() {
   }
 }
 
+// ---- Campaign switcher & queue ----
+function setupCampaignSwitcher() {
+  if (campaignSelect) {
+    campaignSelect.addEventListener('change', () => switchCampaign(campaignSelect.value));
+  }
+  refreshCampaignQueue();
+  if (queueRefreshInterval) {
+    clearInterval(queueRefreshInterval);
+  }
+  queueRefreshInterval = setInterval(refreshCampaignQueue, 5000);
+}
+
+async function refreshCampaignQueue() {
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getCampaignQueue' });
+    if (!response || !response.success) {
+      return;
+    }
+    renderCampaignSwitcher(response);
+    renderQueueList(response.queue || []);
+  } catch (error) {
+    console.error('Error loading campaign queue:', error);
+  }
+}
+
+function describeCampaign(campaign) {
+  const when = campaign.startTime || campaign.queuedAt || campaign.completionTime;
+  const time = when ? new Date(when).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }) : '';
+  const preview = campaign.messagePreview ? ` · ${campaign.messagePreview}` : '';
+  return `${time} · ${campaign.totalContacts || 0} contacts${preview}`;
+}
+
+function renderCampaignSwitcher({ active, queue = [], history = [] }) {
+  if (!campaignSelect || !campaignSwitcher) {
+    return;
+  }
+
+  const groups = [
+    ['Running', active ? [active] : []],
+    ['Queued', queue],
+    ['Finished', history],
+  ];
+  // Only rebuild when something changed so an open dropdown isn't reset under the user
+  const signature = groups.map(([, items]) => items.map(c => `${c.id}:${c.status}`).join(',')).join('|');
+  if (signature === switcherSignature) {
+    return;
+  }
+  switcherSignature = signature;
+
+  campaignSelect.innerHTML = '';
+  groups.forEach(([label, items]) => {
+    if (!items.length) {
+      return;
+    }
+    const group = document.createElement('optgroup');
+    group.label = label;
+    items.forEach(campaign => {
+      const option = document.createElement('option');
+      option.value = campaign.id;
+      option.textContent = label === 'Finished'
+        ? `${describeCampaign(campaign)} (${campaign.status})`
+        : describeCampaign(campaign);
+      group.appendChild(option);
+    });
+    campaignSelect.appendChild(group);
+  });
+
+  if (campaignId) {
+    campaignSelect.value = campaignId;
+  }
+  const total = (active ? 1 : 0) + queue.length + history.length;
+  campaignSwitcher.style.display = total > 1 ? 'flex' : 'none';
+}
+
+function renderQueueList(queue) {
+  if (!queueSection || !queueList) {
+    return;
+  }
+  queueList.innerHTML = '';
+  queueSection.style.display = queue.length ? 'block' : 'none';
+
+  queue.forEach((campaign, index) => {
+    const item = document.createElement('div');
+    item.className = 'queue-item';
+    item.innerHTML = `
+      <span class="queue-position">#${index + 1}</span>
+      <span class="queue-info"></span>
+      <button class="queue-up" title="Move up"><i class="ri-arrow-up-s-line"></i></button>
+      <button class="queue-down" title="Move down"><i class="ri-arrow-down-s-line"></i></button>
+      <button class="queue-cancel" title="Remove from queue"><i class="ri-close-line"></i></button>
+    `;
+    item.querySelector('.queue-info').textContent = describeCampaign(campaign);
+
+    const upBtn = item.querySelector('.queue-up');
+    const downBtn = item.querySelector('.queue-down');
+    upBtn.disabled = index === 0;
+    downBtn.disabled = index === queue.length - 1;
+    upBtn.addEventListener('click', () => moveQueuedCampaign(campaign.id, index - 1));
+    downBtn.addEventListener('click', () => moveQueuedCampaign(campaign.id, index + 1));
+    item.querySelector('.queue-cancel').addEventListener('click', () => cancelQueuedCampaign(campaign.id));
+
+    queueList.appendChild(item);
+  });
+}
+
+async function moveQueuedCampaign(id, toIndex) {
+  const result = await chrome.runtime.sendMessage({ action: 'reorderQueuedCampaign', campaignId: id, toIndex });
+  if (!result || !result.success) {
+    toast(result?.error || 'Failed to reorder queue', 'error');
+  }
+  refreshCampaignQueue();
+}
+
+async function cancelQueuedCampaign(id) {
+  if (!confirm('Remove this campaign from the queue?')) {
+    return;
+  }
+  const result = await chrome.runtime.sendMessage({ action: 'cancelQueuedCampaign', campaignId: id });
+  if (result && result.success) {
+    toast('Queued campaign cancelled', 'info');
+  } else {
+    toast(result?.error || 'Failed to cancel campaign', 'error');
+  }
+  refreshCampaignQueue();
+}
+
+// Point the page at another campaign (running, queued or finished)
+function switchCampaign(id) {
+  if (!id || id === campaignId) {
+    return;
+  }
+  campaignId = id;
+
+  if (pollingInterval) {
+    clearInterval(pollingInterval);
+  }
+  if (globalCompletionTimer) {
+    clearTimeout(globalCompletionTimer);
+  }
+  if (completionWatchTimer) {
+    clearTimeout(completionWatchTimer);
+    completionWatchTimer = null;
+  }
+
+  chrome.runtime.sendMessage({ action: 'getCampaignStatus', campaignId: id }, (response) => {
+    if (!response || !response.campaignStatus) {
+      toast('Campaign not found', 'error');
+      return;
+    }
+    const status = response.campaignStatus;
+    campaignStatus = {
+      totalContacts: 0, processed: 0, success: 0, failure: 0, errors: [], ...status,
+    };
+    startTime = Date.parse(status.startTime) || Date.now();
+    if (errorList) {
+      errorList.innerHTML = '';
+    }
+    if (errorsSection) {
+      errorsSection.style.display = 'none';
+    }
+
+    handleCampaignUpdate(status);
+    refreshReceiptStats();
+    if (!['completed', 'aborted', 'failed', 'canceled'].includes(status.status)) {
+      startCampaignPolling(id);
+    }
+  });
+}
+
+async function refreshReceiptStats() {
+  if (!receiptStats || !campaignId) {
+    return;
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'getCampaignReceipts', campaignId });
+    if (!response || !response.success) {
+      return;
+    }
+    const { sent, delivered, read, replied, deliveryRate, readRate, replyRate } = response.stats;
+    receiptStats.style.display = sent > 0 ? 'grid' : 'none';
+    document.getElementById('deliveredCount').textContent = delivered;
+    document.getElementById('readCount').textContent = read;
+    document.getElementById('deliveryRate').textContent = `(${deliveryRate}%)`;
+    document.getElementById('readRate').textContent = `(${readRate}%)`;
+    document.getElementById('repliedCount').textContent = replied;
+    document.getElementById('replyRate').textContent = `(${replyRate}%)`;
+  } catch (error) {
+    console.error('Error loading receipt stats:', error);
+  }
+}
+
+function updateCampaignHeading(status) {
+  if (!campaignHeading) {
+    return;
+  }
+  if (status === 'queued') {
+    campaignHeading.textContent = 'Campaign Queued';
+  } else if (['completed', 'failed', 'aborted', 'canceled'].includes(status)) {
+    campaignHeading.textContent = 'Campaign Finished';
+  } else {
+    campaignHeading.textContent = 'Campaign in Progress';
+  }
+}
+
 // Set up UI event listeners for header, footer, and back button
 function setupUIEventListeners() {
   // Back button - navigate to the main popup
@@ -413,7 +646,9 @@ function updateCampaignStatus(status) {
     const isProcessingLastContact = currentOperation && currentOperation.textContent && 
                                    currentOperation.textContent.includes(`Sending message ${total} of ${total}`);
     
-    if(status.status === 'completed' || isOnLastMessage || isProcessingLastContact){
+    // Queued or stopped campaigns never reach the last contact, so don't force them
+    const cannotComplete = ['queued', 'aborted', 'canceled', 'failed'].includes(status.status);
+    if(!cannotComplete && (status.status === 'completed' || isOnLastMessage || isProcessingLastContact)){
       // Ensure final counts equal total
       adjProcessed = total;
       percentage = 100; // Explicitly set to 100% when completed
@@ -440,6 +675,13 @@ function updateCampaignStatus(status) {
     if (progressCount) progressCount.textContent = `${adjProcessed}/${total}`;
     if (progressPercentage) progressPercentage.textContent = `${percentage}%`;
     
+    const optedOutNote = document.getElementById('optedOutNote');
+    if (optedOutNote) {
+      const optedOut = status.optedOutCount || 0;
+      optedOutNote.style.display = optedOut > 0 ? 'block' : 'none';
+      optedOutNote.textContent = `${optedOut} contact${optedOut === 1 ? '' : 's'} on the opt-out list not messaged`;
+    }
+    
     // Update current operation
     const nextNum = adjProcessed + 1;
     if (status.status === 'running') {
@@ -450,6 +692,14 @@ function updateCampaignStatus(status) {
       currentOperation.textContent = 'Campaign completed';
     } else if (status.status === 'failed') {
       currentOperation.textContent = 'Campaign failed';
+    } else if (status.status === 'queued') {
+      currentOperation.textContent = status.position
+        ? `Waiting in queue (position ${status.position})`
+        : 'Waiting in queue';
+    } else if (status.status === 'aborted') {
+      currentOperation.textContent = 'Campaign stopped';
+    } else if (status.status === 'canceled') {
+      currentOperation.textContent = 'Campaign cancelled';
     }
     
     // Show errors if any
@@ -799,7 +1049,8 @@ function showCampaignComplete(data) {
   }
   
   toast(`Campaign completed: ${success} sent, ${failure} failed out of ${total} total`, "success");
-  addDownloadResultsButton();
+  ensureDownloadResultsButton();
+  updateRetryFailedControls({ status: 'completed', failedCount: failure });
 }
 
 // Show campaign summary
@@ -917,54 +1168,93 @@ function ensureDownloadResultsButton(){
   if(downloadBtn) return;
   const container=document.querySelector('.campaign-progress-container');
   if(!container) return;
+  const row=document.createElement('div');
+  row.className='download-results-row';
   downloadBtn=document.createElement('button');
   downloadBtn.id='downloadResultsBtn';
   downloadBtn.className='btn btn-primary';
-  downloadBtn.style.marginTop='14px';
   downloadBtn.innerHTML='<i class="ri-download-2-line"></i> Download Results';
   downloadBtn.addEventListener('click', handleDownloadResults);
-  container.appendChild(downloadBtn);
+  const formatSelect=document.createElement('select');
+  formatSelect.id='downloadResultsFormat';
+  formatSelect.title='Export format';
+  EXPORT_FORMATS.forEach(format=>{
+    const option=document.createElement('option');
+    option.value=format;
+    option.textContent=format.toUpperCase();
+    formatSelect.appendChild(option);
+  });
+  formatSelect.value='xlsx';
+  row.append(downloadBtn, formatSelect);
+  container.appendChild(row);
 }
 
-async function handleDownloadResults(){
-  try {
-    // Load SheetJS if not already present
-    await ensureLibraryLoaded('XLSX','libs/xlsx.full.min.js',8000);
-
-    chrome.storage.local.get(['lastCampaignResults','activeCampaign'], (res)=>{
-      let data=res.lastCampaignResults||{};
-      // If campaign still running use activeCampaign arrays
-      if((!data.successNumbers || data.successNumbers.length===0) && res.activeCampaign){
-        data={
-          successNumbers: res.activeCampaign.successNumbers||[],
-          failedNumbers:  res.activeCampaign.failedNumbers||[],
-          skippedNumbers: res.activeCampaign.skippedNumbers||[]
-        };
-      }
-      const success=data.successNumbers||[];
-      const failed =data.failedNumbers||[];
-      const skipped=data.skippedNumbers||[];
+// "Retry failed" row, shown under the download button for finished campaigns with failures
+function updateRetryFailedControls(status){
+  const finished=['completed', 'aborted', 'failed'].includes(status.status);
+  const failed=status.failedCount || 0;
+  if(!retryFailedRow){
+    if(!finished || failed===0) {
+      return;
+    }
+    const container=document.querySelector('.campaign-progress-container');
+    if(!container) {
+      return;
+    }
+    retryFailedRow=document.createElement('div');
+    retryFailedRow.className='retry-failed-row';
+    retryFailedRow.innerHTML=`
+      <button id="retryFailedBtn" class="btn btn-primary"><i class="ri-restart-line"></i> <span></span></button>
+      <label><input type="checkbox" id="retryExcludeInvalid" checked> Skip invalid numbers</label>
+    `;
+    retryFailedRow.querySelector('#retryFailedBtn').addEventListener('click', handleRetryFailed);
+    container.appendChild(retryFailedRow);
+  }
+  retryFailedRow.style.display=finished && failed>0 ? 'flex' : 'none';
+  retryFailedRow.querySelector('#retryFailedBtn span').textContent=`Retry failed (${failed})`;
+}
 
-      if(success.length===0 && failed.length===0 && skipped.length===0){
-        toast('No results to export yet','warning');
-        return;
-      }
+async function handleRetryFailed(){
+  const btn=document.getElementById('retryFailedBtn');
+  const excludeInvalid=document.getElementById('retryExcludeInvalid')?.checked || false;
+  if(btn) {
+    btn.disabled=true;
+  }
+  try {
+    const res=await chrome.runtime.sendMessage({ action:'retryFailedCampaign', campaignId, excludeInvalid });
+    if(!res || !res.success){
+      throw new Error(res?.error || 'No response from background');
+    }
+    toast(res.status==='queued'
+      ? `Retry campaign queued at position ${res.position}`
+      : 'Retry campaign started', 'success');
+    switchCampaign(res.campaignId);
+    refreshCampaignQueue();
+  } catch(err){
+    console.error('Retry failed error',err);
+    toast('Could not retry failed contacts: '+err.message,'error');
+  } finally {
+    if(btn) {
+      btn.disabled=false;
+    }
+  }
+}
 
-      const wb=XLSX.utils.book_new();
-      const rows=[['Phone','Status']];
-      success.forEach(p=>rows.push([p,'Success']));
-      failed.forEach(p=>rows.push([p,'Failed']));
-      skipped.forEach(p=>rows.push([p,'Skipped']));
-      const ws=XLSX.utils.aoa_to_sheet(rows);
-      XLSX.utils.book_append_sheet(wb, ws, 'Results');
-
-      const ts=new Date().toISOString().replace(/[:T]/g,'-').split('.')[0];
-      const filename=`campaign-results-${ts}.xlsx`;
-      XLSX.writeFile(wb, filename);
-    });
+async function handleDownloadResults(){
+  try {
+    const res=await chrome.runtime.sendMessage({ action:'getCampaignResults', campaignId });
+    if(!res || !res.success){
+      throw new Error(res?.error || 'No response from background');
+    }
+    if(res.table.rows.length===0){
+      toast('No results to export yet','warning');
+      return;
+    }
+    const format=document.getElementById('downloadResultsFormat')?.value || 'xlsx';
+    await downloadResultTable(res.table, format);
   } catch(err){
     console.error('Download results error',err);
-    toast('Failed to generate XLSX: '+err.message,'error');
+    toast('Failed to export results: '+err.message,'error');
   }
 }
 
@@ -1,10 +1,23 @@
 // js/contactManager.js
+/* global ExcelParser */
 import { toast, fileToBase64, base64ToFile, ensureLibraryLoaded, safeAsync, ErrorTypes } from './utils.js';
-import { validatePhoneNumber, formatForDisplay, extractPhoneNumbers } from './utils/phoneUtils.js';
+import { validatePhoneNumber, formatForDisplay, extractPhoneNumbers, loadDefaultCountry } from './utils/phoneUtils.js';
+import { contactPhone } from './utils/optOutList.js';
+import { NUMBER_STATUS, getNumberChecks } from './utils/numberCheck.js';
+import {
+  guessMapping, applyMapping, mappedPhone, mappingError, getSavedMapping, saveMapping,
+} from './utils/columnMapping.js';
 
 const MAX_CONTACTS = 10000; // Maximum allowed contacts per upload
 export const MAX_MANUAL_CONTACTS = 5000; // Maximum allowed manual contacts pasted into the numbers list
 
+// Preview column with the cached "Verify numbers" result of each row
+const NUMBER_CHECK_COLUMN = 'WhatsApp';
+const NUMBER_CHECK_LABELS = {
+  [NUMBER_STATUS.ON_WHATSAPP]: '✓ On WhatsApp',
+  [NUMBER_STATUS.NOT_ON_WHATSAPP]: '✗ Not on WhatsApp',
+};
+
 // Create a global tracking variable for library loading status
 const libraryStatus = {
   papaparse: false,
@@ -229,8 +242,10 @@ export async function handleFile(file, toast, updateContactUI, parseFile) {
     }
 }
 
-export async function parseFile(file, toast) {
+export async function parseFile(file, toast, options = {}) {
   let parsedData = [];
+  // Phone cells without a country code are read in the user's default country
+  await loadDefaultCountry();
   const fileType = file.name.split(".").pop().toLowerCase();
   const fileNameSpan = document.getElementById('fileName');
   const fileDisplay = document.getElementById('fileDisplay');
@@ -297,6 +312,23 @@ export async function parseFile(file, toast) {
     });
   }
   
+  // A cancelled import step removes a new file again but keeps a remapped one as it was
+  function cancelImport() {
+    if (!options.remapColumns) {
+      clearLargeFileUI();
+    }
+    toast('Import cancelled', 'info');
+  }
+  
+  // Column mapping step; null when cancelled
+  async function mapColumns(data, isCsv) {
+    const rows = await mapImportedColumns(data, isCsv, file.name, options.remapColumns);
+    if (!rows) {
+      cancelImport();
+    }
+    return rows;
+  }
+  
   // Function to update the Campaign Summary after parsing is complete
   function updateCampaignSummary(parsedData) {
     // Dispatch a custom event to trigger Campaign Summary animation
@@ -316,7 +348,7 @@ export async function parseFile(file, toast) {
         await ensureLibraryLoaded("Papa", "libs/papaparse.min.js", 10000);
         
         Papa.parse(file, {
-          complete: function (results) {
+          complete: async function (results) {
             if (results.data.length > MAX_CONTACTS) {
               showContactUploadError(`Maximum ${MAX_CONTACTS} contacts allowed. Your file has ${results.data.length}. Please upload a smaller file.`);
               // Clear the file immediately rather than waiting
@@ -328,7 +360,11 @@ export async function parseFile(file, toast) {
               toast(`Contact file exceeds the maximum allowed (${MAX_CONTACTS}) contacts. File has been removed.`, "error");
               return;
             }
-            parsedData = processParsedData(results.data, true, toast);
+            const rows = await mapColumns(results.data, true);
+            if (!rows) {
+              return;
+            }
+            parsedData = processParsedData(rows, false, toast);
             chrome.storage.local.set(
               {
                 parsedData: parsedData,
@@ -369,13 +405,17 @@ export async function parseFile(file, toast) {
         toast("Failed to load PapaParse library for CSV parsing. Using fallback parser.", "warning");
         // Use the fallback parser (already defined in sender.html)
         Papa.parse(file, {
-          complete: function (results) {
+          complete: async function (results) {
             if (results.data.length > MAX_CONTACTS) {
               showContactUploadError(`Contact file exceeds the maximum allowed (${MAX_CONTACTS}) contacts. Please upload a smaller file.`);
               setTimeout(clearLargeFileUI, 2000);
               return;
             }
-            parsedData = processParsedData(results.data, true, toast);
+            const rows = await mapColumns(results.data, true);
+            if (!rows) {
+              return;
+            }
+            parsedData = processParsedData(rows, false, toast);
             chrome.storage.local.set(
               {
                 parsedData: parsedData,
@@ -410,13 +450,19 @@ export async function parseFile(file, toast) {
         await ensureLibraryLoaded("XLSX", "libs/xlsx.full.min.js", 10000);
         
         const reader = new FileReader();
-        reader.onload = function (e) {
+        reader.onload = async function (e) {
           try {
             const data = new Uint8Array(e.target.result);
             const workbook = XLSX.read(data, { type: "array" });
-            const sheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[sheetName];
-            const json = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+            // Sheets and header row, asked for when the workbook is not a single plain table
+            const excelParser = new ExcelParser();
+            const sheetChoice = await chooseExcelSheets(
+              excelParser, workbook, file.name, options.remapColumns);
+            if (!sheetChoice) {
+              cancelImport();
+              return;
+            }
+            const json = excelParser.toRows(workbook, sheetChoice);
             if (json.length - 1 > MAX_CONTACTS) { // -1 for header row
               showContactUploadError(`Maximum ${MAX_CONTACTS} contacts allowed. Your file has ${json.length - 1}. Please upload a smaller file.`);
               // Clear the file immediately rather than waiting
@@ -428,7 +474,11 @@ export async function parseFile(file, toast) {
               toast(`Contact file exceeds the maximum allowed (${MAX_CONTACTS}) contacts. File has been removed.`, "error");
               return;
             }
-            parsedData = processParsedData(json, false, toast);
+            const rows = await mapColumns(json, false);
+            if (!rows) {
+              return;
+            }
+            parsedData = processParsedData(rows, false, toast);
             chrome.storage.local.set(
               {
                 parsedData: parsedData,
@@ -492,10 +542,13 @@ export async function parseFile(file, toast) {
 }
 
 // Parse manual numbers with enhanced country code support
-export function parseManualNumbers(text, toast) {
+export async function parseManualNumbers(text, toast) {
   console.log('parseManualNumbers called with text:', text); 
   if (!text || !text.trim()) return [];
   
+  // National numbers are read in the user's default country
+  await loadDefaultCountry();
+  
   // Extract and validate phone numbers
   const numbers = extractPhoneNumbers(text);
   const validatedNumbers = [];
@@ -739,36 +792,19 @@ async function processContactFile(file, toast) {
 
 /**
  * Format phone number with enhanced country code handling
- * @param {string} phoneNumber - The raw phone number input
+ * @param {string} phoneNumber - The raw phone number input (national numbers use the default country)
  * @returns {string} - Properly formatted phone number in E.164 (with leading +)
  */
 function formatPhoneNumber(phoneNumber) {
   if (!phoneNumber) return phoneNumber;
 
-  // Remove all characters except digits and plus
-  let cleaned = phoneNumber.replace(/[^\d+]/g, '');
-
-  // Convert 00 international prefix to +
-  if (cleaned.startsWith('00')) {
-    cleaned = '+' + cleaned.slice(2);
-  }
-
-  // Ensure it starts with +. If it does not, assume user omitted + but included country code
-  if (!cleaned.startsWith('+')) {
-    cleaned = '+' + cleaned;
-  }
-
-  // Remove any duplicated + (e.g., ++123...)
-  cleaned = cleaned.replace(/^\++/, '+');
-
-  // Final validation: E.164 allows 8–15 digits after +
-  const e164Regex = /^\+[1-9]\d{7,14}$/;
-  if (!e164Regex.test(cleaned)) {
+  const validation = validatePhoneNumber(phoneNumber);
+  if (!validation.isValid) {
     // If invalid, just return the original trimmed input so that other validation can flag it
     return phoneNumber.trim();
   }
 
-  return cleaned;
+  return validation.formattedNumber;
 }
 
 // ==== NEW: universal phone-number validator based on E.164 ====
@@ -992,6 +1028,330 @@ Alex Kumar,+919876543210,India Tech,India Format`;
   toast("Sample CSV with international phone formats downloaded", "success");
 }
 
+// Sheet and header-row choices remembered per workbook layout (its sheet names)
+const SHEET_CHOICES_KEY = 'excelSheetChoices';
+const MAX_SHEET_CHOICES = 50;
+// Top rows of the selected sheet shown in the sheet picker
+const SHEET_PREVIEW_ROWS = 8;
+
+/**
+ * Sheet step of an Excel import. A workbook with one table starting on row 1 is read as before;
+ * otherwise the choice made for a workbook with the same sheets is reused, or the picker asks.
+ * @param {ExcelParser} excelParser
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} fileName
+ * @param {boolean} [force] - always show the picker
+ * @returns {Promise<?{sheets: string[], headerRow: (number|undefined)}>} options for
+ *   ExcelParser#toRows, or null when the user cancelled
+ */
+async function chooseExcelSheets(excelParser, workbook, fileName, force = false) {
+  const sheets = excelParser.describeSheets(workbook).filter(sheet => sheet.rows.length);
+  if (sheets.length === 0) {
+    return { sheets: [workbook.SheetNames[0]], headerRow: 1 };
+  }
+  const key = workbook.SheetNames.join('\u001f');
+  const stored = await chrome.storage.local.get(SHEET_CHOICES_KEY);
+  const choices = stored[SHEET_CHOICES_KEY] || {};
+  const saved = choices[key];
+  const names = sheets.map(sheet => sheet.name);
+  const savedUsable = saved && saved.sheets.every(name => names.includes(name));
+
+  if (!force) {
+    if (savedUsable) {
+      return saved;
+    }
+    if (sheets.length === 1 && excelParser.guessHeaderRow(sheets[0].rows) === 1) {
+      return { sheets: names, headerRow: 1 };
+    }
+  }
+
+  const choice = await showSheetPicker(excelParser, sheets, fileName,
+    savedUsable ? saved : { sheets: [names[0]], headerRow: undefined });
+  if (choice) {
+    choices[key] = { ...choice, savedAt: Date.now() };
+    Object.keys(choices)
+      .sort((a, b) => choices[b].savedAt - choices[a].savedAt)
+      .slice(MAX_SHEET_CHOICES)
+      .forEach(oldKey => delete choices[oldKey]);
+    await chrome.storage.local.set({ [SHEET_CHOICES_KEY]: choices });
+  }
+  return choice;
+}
+
+/**
+ * Sheet picker: the sheets to import (several are merged, with a Sheet variable) and the header
+ * row, with a preview of the top rows of the first ticked sheet.
+ * @returns {Promise<?{sheets: string[], headerRow: (number|undefined)}>} null when cancelled
+ */
+function showSheetPicker(excelParser, sheets, fileName, initial) {
+  return new Promise(resolve => {
+    document.getElementById('sheet-picker-modal')?.remove();
+    const picked = new Set(initial.sheets);
+
+    const modal = document.createElement('div');
+    modal.id = 'sheet-picker-modal';
+    modal.className = 'column-mapping-overlay';
+    modal.innerHTML = `
+      <div class="column-mapping">
+        <h3>Choose sheets <small class="column-mapping-file"></small></h3>
+        <div class="sheet-picker-sheets"></div>
+        <p class="hint">Tick several sheets to merge them into one list; each contact then has a {{Sheet}} variable with the name of its sheet. Columns are matched by header name.</p>
+        <div class="column-mapping-fields">
+          <label>Header row
+            <input type="number" class="sheet-picker-header-row" min="0" placeholder="auto" />
+          </label>
+        </div>
+        <p class="hint">Rows above the header row are skipped. Leave it empty to find the header row of every sheet automatically, or enter 0 when the sheet has no header row.</p>
+        <div class="column-mapping-table"><table><tbody></tbody></table></div>
+        <p class="column-mapping-error"></p>
+        <div class="column-mapping-actions">
+          <button type="button" class="btn column-mapping-cancel">Cancel</button>
+          <button type="button" class="btn btn-primary column-mapping-import">Next</button>
+        </div>
+      </div>`;
+    modal.querySelector('.column-mapping-file').textContent = fileName;
+    const headerInput = modal.querySelector('.sheet-picker-header-row');
+    headerInput.value = Number.isInteger(initial.headerRow) ? String(initial.headerRow) : '';
+
+    const headerRowValue = () => {
+      const value = headerInput.value.trim();
+      return value === '' ? undefined : Math.max(0, parseInt(value, 10) || 0);
+    };
+
+    const list = modal.querySelector('.sheet-picker-sheets');
+    sheets.forEach(sheet => {
+      const label = document.createElement('label');
+      label.className = 'sheet-picker-sheet';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = picked.has(sheet.name);
+      input.addEventListener('change', () => {
+        if (input.checked) {
+          picked.add(sheet.name);
+        } else {
+          picked.delete(sheet.name);
+        }
+        render();
+      });
+      label.append(input, ` ${sheet.name} (${sheet.rows.length} rows)`);
+      list.appendChild(label);
+    });
+
+    function render() {
+      const first = sheets.find(sheet => picked.has(sheet.name));
+      const tbody = modal.querySelector('tbody');
+      tbody.innerHTML = '';
+      modal.querySelector('.column-mapping-error').textContent = first ? '' : 'Tick at least one sheet';
+      modal.querySelector('.column-mapping-import').disabled = !first;
+      if (!first) {
+        return;
+      }
+      const headerRow = headerRowValue() ?? excelParser.guessHeaderRow(first.rows);
+      first.rows.slice(0, SHEET_PREVIEW_ROWS).forEach((row, index) => {
+        const tr = document.createElement('tr');
+        if (index + 1 < headerRow) {
+          tr.className = 'sheet-picker-skipped';
+        } else if (index + 1 === headerRow) {
+          tr.className = 'sheet-picker-header';
+        }
+        const number = document.createElement('td');
+        number.className = 'sheet-picker-row-number';
+        number.textContent = String(index + 1);
+        tr.appendChild(number);
+        row.forEach(cell => {
+          const td = document.createElement('td');
+          td.textContent = cell;
+          tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+      });
+    }
+
+    const close = (result) => {
+      modal.remove();
+      resolve(result);
+    };
+    headerInput.addEventListener('input', render);
+    modal.querySelector('.column-mapping-cancel').addEventListener('click', () => close(null));
+    modal.querySelector('.column-mapping-import').addEventListener('click', () => {
+      const chosen = sheets.map(sheet => sheet.name).filter(name => picked.has(name));
+      if (chosen.length) {
+        close({ sheets: chosen, headerRow: headerRowValue() });
+      }
+    });
+
+    render();
+    document.body.appendChild(modal);
+  });
+}
+
+// Sample rows shown in the column mapping wizard
+const MAPPING_SAMPLE_ROWS = 5;
+
+/**
+ * Column mapping step of a file import. A mapping saved for this header row is applied as is and
+ * files with the template's "Phone" column go through with the guessed mapping; any other layout,
+ * or every file when `remap` is set, opens the wizard first.
+ * @param {Array} data - Papa records (CSV) or sheet rows with the header row first (Excel)
+ * @param {boolean} isCsv
+ * @param {string} fileName
+ * @param {boolean} [remap] - always show the wizard
+ * @returns {Promise<?Array<Array<string>>>} rows for processParsedData(rows, false), or null when
+ *   the user cancelled
+ */
+async function mapImportedColumns(data, isCsv, fileName, remap = false) {
+  const headers = isCsv
+    ? Object.keys(data[0] || {}).map(header => header.trim())
+    : (data[0] || []).map(header => String(header ?? '').trim());
+  const rows = isCsv
+    ? data.map(record => Object.keys(data[0]).map(key => record[key] ?? ''))
+    : data.slice(1);
+
+  const saved = await getSavedMapping(headers);
+  if (saved && !remap) {
+    return applyMapping(headers, rows, saved);
+  }
+  const guess = saved || guessMapping(headers, rows.slice(0, 20));
+  if (!remap && headers.includes('Phone') && !mappingError(headers, guess)) {
+    return applyMapping(headers, rows, guess);
+  }
+
+  const sampleRows = rows.slice(0, MAPPING_SAMPLE_ROWS);
+  const choice = await showColumnMappingWizard(headers, sampleRows, guess, fileName);
+  if (!choice) {
+    return null;
+  }
+  if (choice.remember) {
+    await saveMapping(headers, choice.mapping);
+  }
+  return applyMapping(headers, rows, choice.mapping);
+}
+
+/**
+ * Wizard listing the detected headers with sample rows: pick the phone column (optionally with a
+ * country-code column), the name column and the variable name of every other column.
+ * @returns {Promise<?{mapping: Object, remember: boolean}>} null when cancelled
+ */
+function showColumnMappingWizard(headers, sampleRows, mapping, fileName) {
+  return new Promise(resolve => {
+    document.getElementById('column-mapping-modal')?.remove();
+    const draft = { ...mapping, variables: [...mapping.variables] };
+
+    const modal = document.createElement('div');
+    modal.id = 'column-mapping-modal';
+    modal.className = 'column-mapping-overlay';
+    modal.innerHTML = `
+      <div class="column-mapping">
+        <h3>Map columns <small class="column-mapping-file"></small></h3>
+        <div class="column-mapping-fields">
+          <label>Phone number <select data-field="phone"></select></label>
+          <label>Country code <select data-field="countryCode"></select></label>
+          <label>Name <select data-field="name"></select></label>
+        </div>
+        <p class="hint">Each other column becomes a message variable under the name above it. Rename it to change the variable, or clear the name to leave the column out.</p>
+        <div class="column-mapping-table"><table><thead></thead><tbody></tbody></table></div>
+        <p class="column-mapping-preview"></p>
+        <p class="column-mapping-error"></p>
+        <div class="column-mapping-actions">
+          <label><input type="checkbox" class="column-mapping-remember" checked /> Remember for files with these columns</label>
+          <button type="button" class="btn column-mapping-cancel">Cancel</button>
+          <button type="button" class="btn btn-primary column-mapping-import">Import</button>
+        </div>
+      </div>`;
+    modal.querySelector('.column-mapping-file').textContent = fileName;
+
+    const close = (result) => {
+      modal.remove();
+      resolve(result);
+    };
+
+    modal.querySelectorAll('select[data-field]').forEach(select => {
+      const field = select.dataset.field;
+      if (field !== 'phone') {
+        select.appendChild(new Option('— none —', '-1'));
+      } else if (draft.phone < 0) {
+        select.appendChild(new Option('— pick a column —', '-1'));
+      }
+      headers.forEach((header, index) => {
+        select.appendChild(new Option(header || `Column ${index + 1}`, String(index)));
+      });
+      select.value = String(draft[field]);
+      select.addEventListener('change', () => {
+        draft[field] = Number(select.value);
+        render();
+      });
+    });
+
+    const thead = modal.querySelector('thead');
+    const tbody = modal.querySelector('tbody');
+    sampleRows.forEach(row => {
+      const tr = document.createElement('tr');
+      headers.forEach((header, index) => {
+        const td = document.createElement('td');
+        td.textContent = row[index] ?? '';
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+
+    function render() {
+      thead.innerHTML = '';
+      const titles = document.createElement('tr');
+      const names = document.createElement('tr');
+      headers.forEach((header, index) => {
+        const th = document.createElement('th');
+        th.textContent = header || `Column ${index + 1}`;
+        titles.appendChild(th);
+
+        const cell = document.createElement('th');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'column-mapping-variable';
+        if (index === draft.phone || index === draft.name) {
+          input.value = index === draft.phone ? 'Phone' : 'Name';
+          input.disabled = true;
+        } else {
+          input.value = draft.variables[index];
+          input.placeholder = 'not imported';
+          input.addEventListener('input', () => {
+            draft.variables[index] = input.value;
+            renderStatus();
+          });
+        }
+        cell.appendChild(input);
+        names.appendChild(cell);
+      });
+      thead.append(titles, names);
+      renderStatus();
+    }
+
+    function renderStatus() {
+      const error = mappingError(headers, draft);
+      modal.querySelector('.column-mapping-error').textContent = error;
+      modal.querySelector('.column-mapping-import').disabled = !!error;
+      const preview = modal.querySelector('.column-mapping-preview');
+      if (error || sampleRows.length === 0) {
+        preview.textContent = '';
+        return;
+      }
+      const checks = sampleRows.map(row => validatePhoneNumber(mappedPhone(row, draft)));
+      const valid = checks.filter(check => check.isValid);
+      preview.textContent = `${valid.length} of ${checks.length} sample numbers are valid`
+        + (valid.length ? ` (first: ${valid[0].formattedNumber})` : '');
+    }
+
+    modal.querySelector('.column-mapping-cancel').addEventListener('click', () => close(null));
+    modal.querySelector('.column-mapping-import').addEventListener('click', () => {
+      if (!mappingError(headers, draft)) {
+        close({ mapping: draft, remember: modal.querySelector('.column-mapping-remember').checked });
+      }
+    });
+
+    render();
+    document.body.appendChild(modal);
+  });
+}
+
 // Function to show a preview of the contact file data
 export function showContactFilePreview(contactFile) {
   // Remove any existing contact preview to avoid duplication
@@ -1002,12 +1362,21 @@ export function showContactFilePreview(contactFile) {
   }
 
   // Get the parsed data from storage
-  chrome.storage.local.get(['parsedData'], (result) => {
+  chrome.storage.local.get(['parsedData'], async (result) => {
     if (!result.parsedData || result.parsedData.length === 0) {
       toast("No contact data available to preview", "error");
       return;
     }
     
+    // Results of an earlier "Verify numbers" pass, shown as an extra column
+    let numberChecks = {};
+    try {
+      numberChecks = await getNumberChecks(result.parsedData.map(contactPhone).filter(Boolean));
+    } catch (error) {
+      console.warn('Could not read cached number checks:', error);
+    }
+    const showNumberChecks = Object.keys(numberChecks).length > 0;
+    
     // Create modal overlay container (single element to simplify removal)
     const modal = document.createElement('div');
     modal.id = 'contact-preview-modal'; // Add ID for easy reference
@@ -1108,6 +1477,10 @@ export function showContactFilePreview(contactFile) {
       }
     });
     
+    if (showNumberChecks) {
+      sortedHeaders.push(NUMBER_CHECK_COLUMN);
+    }
+    
     // Add headers to table in the sorted order
     sortedHeaders.forEach(header => {
       const th = document.createElement('th');
@@ -1137,8 +1510,13 @@ export function showContactFilePreview(contactFile) {
       // Add each field to the row in the same sorted order as headers
       sortedHeaders.forEach(header => {
         const td = document.createElement('td');
-        td.textContent = contact[header] || '';
         td.style.padding = '8px';
+        if (header === NUMBER_CHECK_COLUMN) {
+          const check = numberChecks[contactPhone(contact)];
+          td.textContent = check ? NUMBER_CHECK_LABELS[check.status] : '–';
+        } else {
+          td.textContent = contact[header] || '';
+        }
         row.appendChild(td);
       });
       
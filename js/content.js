@@ -481,6 +481,17 @@ function initialize() {
       } catch (e) {
         console.error('[WA-Content] Error injecting was_store_connector.js:', e);
       }
+
+      // Delivery/read receipts observed by the connector in the page world
+      window.addEventListener('message', (event) => {
+        if (event.source !== window || !event.data || event.data.source !== 'wa-store-connector') {
+          return;
+        }
+        if (event.data.type === 'MESSAGE_ACK') {
+          const { number, msgId, ack, t } = event.data;
+          chrome.runtime.sendMessage({ action: 'messageAckUpdate', number, msgId, ack, t }).catch(() => {});
+        }
+      });
     }
     
     // ---- File-chooser bypass (external) ----
@@ -712,57 +723,104 @@ function setupConnectionMonitoring() {
 }
 
 // Handle campaign start
+// Turn a campaign attachment descriptor (inline Base64 or IndexedDB reference) into a File
+async function loadCampaignAttachment(attachment) {
+  let attachmentFile = null;
+  if (attachment && attachment.base64String) {
+    // Determine a suitable MIME type from the saved `attachment.type` field
+    let mimeType = 'application/octet-stream';
+    switch (attachment.type) {
+      case 'pdf':
+        mimeType = 'application/pdf';
+        break;
+      case 'image':
+        // Try to guess the image subtype from the file extension (fallback to jpeg)
+        mimeType = 'image/' + (attachment.name?.split('.').pop().toLowerCase() || 'jpeg');
+        break;
+      case 'video':
+        mimeType = 'video/' + (attachment.name?.split('.').pop().toLowerCase() || 'mp4');
+        break;
+      default:
+        // Keep default octet-stream
+        break;
+    }
+
+    attachmentFile = base64ToFile(
+      attachment.base64String,
+      attachment.name || 'attachment',
+      mimeType);
+  } else if (attachment && attachment.attachmentRef) {
+    // Request blob from background script (extension context) because
+    // content-scripts run under the page origin and cannot access the
+    // extension's IndexedDB directly.
+    try {
+      const resp = await chrome.runtime.sendMessage({
+        action: 'getAttachmentBlob',
+        attachmentRef: attachment.attachmentRef
+      });
+      if (resp && resp.success && resp.dataUrl) {
+        attachmentFile = base64ToFile(
+          resp.dataUrl,
+          resp.name || attachment.name || 'attachment',
+          resp.type || 'application/octet-stream');
+        console.log('[WA-Content] Attachment blob retrieved from background');
+      } else {
+        console.warn('[WA-Content] Background did not return blob:', resp?.error);
+      }
+    } catch (msgErr) {
+      console.error('[WA-Content] Error fetching attachment from background:', msgErr);
+    }
+  }
+  
+  return attachmentFile;
+}
+
+// File for one contact: the library file named in the campaign's attachment column, else the
+// personalised file rendered from the campaign's template, else the composer attachment.
+// Only the last library file is kept in memory.
+async function getContactAttachmentFile(contact) {
+  const column = activeCampaign.attachmentColumn;
+  const key = column && contact ? String(contact[column] ?? '').trim().toLowerCase() : '';
+  if (!key) {
+    if (!activeCampaign.personalizedAttachment) return activeCampaign.attachmentFile;
+    if (!activeCampaign.personalizedTemplateFile) {
+      throw new Error('Personalised file template could not be loaded');
+    }
+    return window.WAPersonalize.renderPersonalizedAttachment(
+      activeCampaign.personalizedTemplateFile,
+      activeCampaign.personalizedAttachment,
+      contact,
+      replaceVariables
+    );
+  }
+
+  const descriptor = (activeCampaign.contactAttachments || {})[key];
+  if (!descriptor) {
+    throw new Error(`No stored file matches "${String(contact[column]).trim()}"`);
+  }
+  const cached = activeCampaign._contactAttachmentCache;
+  if (cached && cached.ref === descriptor.attachmentRef) return cached.file;
+
+  const file = await loadCampaignAttachment(descriptor);
+  if (!file) {
+    throw new Error(`Attachment "${descriptor.name}" could not be loaded`);
+  }
+  activeCampaign._contactAttachmentCache = { ref: descriptor.attachmentRef, file };
+  return file;
+}
+
 async function handleCampaignStart(campaignSettings) {
   try {
     console.log('[WA-Content] Starting campaign:', campaignSettings);
     
-    let attachmentFile = null;
-    if (campaignSettings.attachment && campaignSettings.attachment.base64String) {
-      // Determine a suitable MIME type from the saved `attachment.type` field
-      let mimeType = 'application/octet-stream';
-      switch (campaignSettings.attachment.type) {
-        case 'pdf':
-          mimeType = 'application/pdf';
-          break;
-        case 'image':
-          // Try to guess the image subtype from the file extension (fallback to jpeg)
-          mimeType = 'image/' + (campaignSettings.attachment.name?.split('.').pop().toLowerCase() || 'jpeg');
-          break;
-        case 'video':
-          mimeType = 'video/' + (campaignSettings.attachment.name?.split('.').pop().toLowerCase() || 'mp4');
-          break;
-        default:
-          // Keep default octet-stream
-          break;
-      }
-
-      attachmentFile = base64ToFile(
-        campaignSettings.attachment.base64String,
-        campaignSettings.attachment.name || 'attachment',
-        mimeType);
-    } else if (campaignSettings.attachment && campaignSettings.attachment.attachmentRef) {
-      // Request blob from background script (extension context) because
-      // content-scripts run under the page origin and cannot access the
-      // extension's IndexedDB directly.
-      try {
-        const resp = await chrome.runtime.sendMessage({
-          action: 'getAttachmentBlob',
-          attachmentRef: campaignSettings.attachment.attachmentRef
-        });
-        if (resp && resp.success && resp.url) {
-          const mime = resp.type || 'application/octet-stream';
-          const fetched = await fetch(resp.url);
-          const blob = await fetched.blob();
-          attachmentFile = new File([blob], resp.name || campaignSettings.attachment.name || 'attachment', { type: mime });
-          // Revoke URL after use to free memory
-          try { URL.revokeObjectURL(resp.url); } catch(_) {}
-          console.log('[WA-Content] Attachment blob retrieved from background');
-        } else {
-          console.warn('[WA-Content] Background did not return blob:', resp?.error);
-        }
-      } catch (msgErr) {
-        console.error('[WA-Content] Error fetching attachment from background:', msgErr);
-      }
+    const attachmentFile = await loadCampaignAttachment(campaignSettings.attachment);
+    // Template the personalised file of each contact is rendered from
+    const personalizedTemplateFile = await loadCampaignAttachment(campaignSettings.personalizedAttachment);
+    // Follow-up messages of the sequence carry their own optional attachment
+    const followUps = Array.isArray(campaignSettings.followUps) ? campaignSettings.followUps : [];
+    const followUpFiles = [];
+    for (const followUp of followUps) {
+      followUpFiles.push(await loadCampaignAttachment(followUp.attachment));
     }
     
     // De-duplicate contacts (skip empty / malformed numbers) - Enhanced phone detection
@@ -789,6 +847,8 @@ async function handleCampaignStart(campaignSettings) {
     activeCampaign = {
       ...campaignSettings,
       attachmentFile,
+      personalizedTemplateFile,
+      followUpFiles,
       startTime: new Date().toISOString(),
               lastUpdateTime: new Date().toISOString(),
       currentIndex: 0,
@@ -822,6 +882,91 @@ async function handleCampaignStart(campaignSettings) {
   }
 }
 
+// Outcome of a single contact; the background archives it in the campaign history DB
+function buildContactResult(index, number, status, contact, error, details = {}) {
+  return {
+    index,
+    number,
+    status,
+    error: error || null,
+    contact: contact || null,
+    renderedMessage: details.renderedMessage || null,
+    attempts: details.attempts || 0,
+    attachmentName: details.attachmentName || null,
+    timestamp: new Date().toISOString()
+  };
+}
+
+// Send one follow-up of the message sequence into the chat processCampaign opened for the
+// contact: attachments go through the Store bridge (sendImage) or sendAttachmentSilently,
+// text through storeSendTextMessage with the UI sender as fallback.
+async function sendFollowUp(phone, contact, followUp, file) {
+  const text = sanitizeMessageText(replaceVariables(followUp.message || '', contact));
+  if (file) {
+    if (typeof window.sendImage === 'function') {
+      try {
+        await window.sendImage(`${phone}@c.us`, file, text, 1);
+        return { ok: true };
+      } catch (sErr) {
+        console.warn('[WA-Content] Follow-up sendImage failed, trying silent attachment:', sErr);
+      }
+    }
+    const ok = await sendAttachmentSilently(file, text);
+    return ok ? { ok: true } : { ok: false, error: 'Attachment send failed' };
+  }
+  if (!text.trim()) {
+    return { ok: false, error: 'Empty follow-up message' };
+  }
+  if (await storeSendTextMessage(phone, text)) {
+    return { ok: true };
+  }
+  const result = await sendMessage(phone, text);
+  return result && result.success ? { ok: true } : { ok: false, error: (result && result.error) || 'Send failed' };
+}
+
+// Run the campaign's follow-up messages for one contact after its first message went out.
+// Each step waits its own delay; steps left when the campaign stops are reported as skipped.
+async function sendFollowUps(phone, contact) {
+  const followUps = Array.isArray(activeCampaign.followUps) ? activeCampaign.followUps : [];
+  const loopCampaign = activeCampaign;
+  const results = [];
+  for (let step = 0; step < followUps.length; step++) {
+    const followUp = followUps[step];
+    const file = (loopCampaign.followUpFiles || [])[step] || null;
+    if (followUp.attachment && !file) {
+      results.push({ step: step + 2, status: 'failed', error: 'Attachment unavailable', timestamp: new Date().toISOString() });
+      continue;
+    }
+    const delayMs = Math.max(0, parseInt(followUp.delaySeconds, 10) || 0) * 1000;
+    if (delayMs > 0) {
+      const nmTime = Date.now() + delayMs;
+      try { startBatchCountdown(nmTime, `Follow-up ${step + 1} in:`); } catch(_) {}
+      await waitRespectingCampaign(delayMs);
+      try { stopBatchCountdown(false); } catch(_) {}
+    }
+    if (activeCampaign !== loopCampaign || activeCampaign.status !== 'running') {
+      for (let rest = step; rest < followUps.length; rest++) {
+        results.push({ step: rest + 2, status: 'skipped', error: 'Campaign stopped', timestamp: new Date().toISOString() });
+      }
+      break;
+    }
+    let outcome;
+    try {
+      outcome = await sendFollowUp(phone, contact, followUp, file);
+    } catch (err) {
+      outcome = { ok: false, error: err.message };
+    }
+    console.log(`[WA-Content] Follow-up ${step + 1}/${followUps.length} to ${phone}: ${outcome.ok ? 'SUCCESS' : 'FAILED'}`);
+    results.push({
+      step: step + 2,
+      status: outcome.ok ? 'sent' : 'failed',
+      error: outcome.ok ? null : outcome.error,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return results;
+}
+
 // Process campaign
 async function processCampaign() {
   try {
@@ -831,6 +976,16 @@ async function processCampaign() {
     
     const { contacts } = activeCampaign;
     const baseMessage = activeCampaign.message;
+    // The background may hand us the next queued campaign while this loop is still
+    // waiting; remember which campaign this loop belongs to.
+    const loopCampaign = activeCampaign;
+    // Order the contacts go out in, as indexes into `contacts`; the recipient-local sending
+    // window moves contacts forward in it while `contacts` itself keeps its order. It is
+    // persisted with the progress so a resume continues with the same contact at `currentIndex`.
+    if (!isSendOrder(activeCampaign.sendOrder, contacts.length)) {
+      activeCampaign.sendOrder = contacts.map((_, index) => index);
+    }
+    const order = activeCampaign.sendOrder;
     
     // Build a Set with already processed numbers within this campaign (survives tab reloads because we persist it)
     if (!Array.isArray(activeCampaign.sentNumbers)) {
@@ -852,7 +1007,7 @@ async function processCampaign() {
     
     // Process each contact
     for (let i = activeCampaign.currentIndex; i < contacts.length; i++) {
-      if (activeCampaign.status !== 'running') {
+      if (activeCampaign !== loopCampaign || activeCampaign.status !== 'running') {
         console.log('[WA-Content] Campaign not running, exiting process loop');
         return; // exit entirely so we do NOT hit completeCampaign()
       }
@@ -860,7 +1015,16 @@ async function processCampaign() {
       // Stop the previous countdown timer but keep the element visible to avoid flicker
       try { stopBatchCountdown(false); } catch(_) {}
 
-      const contact = contacts[i];
+      // Recipient-local sending window: contacts whose local window is open go first
+      if (promoteOpenRecipient(contacts, order, i)) {
+        chrome.runtime.sendMessage({
+          action: 'updateCampaignProgress',
+          campaignId: activeCampaign.id,
+          status: { sendOrder: order }
+        });
+      }
+      const index = order[i];
+      const contact = contacts[index];
 
       // Determine clean phone; if missing treat as failed and skip - Enhanced detection
       const rawPhone = contact?.Phone || contact?.phone || contact?.PHONE || contact?.PhoneNumber || contact?.phoneNumber || contact?.number || contact?.Number;
@@ -881,7 +1045,8 @@ async function processCampaign() {
             failedCount: activeCampaign.failedCount,
             status: 'running',
             error: 'invalid_number'
-          }
+          },
+          contactResult: buildContactResult(index, cleanPhone, 'skipped', contact, 'invalid_number')
         });
         continue;
       }
@@ -902,11 +1067,23 @@ async function processCampaign() {
             failedCount: activeCampaign.failedCount,
             status: 'running',
             error: 'invalid_number'
-          }
+          },
+          contactResult: buildContactResult(index, cleanPhone, 'skipped', contact, 'duplicate_number')
         });
         continue;
       }
 
+      // Campaign sending window and account-wide hourly/daily cap: wait here until both allow
+      // the next message (a quota wait can end outside the window, and the other way round)
+      while ((await waitForSendingWindow(i, contact, cleanPhone)) || (await waitForSendingQuota(i))) {
+        if (activeCampaign !== loopCampaign || activeCampaign.status !== 'running') {
+          break;
+        }
+      }
+      if (activeCampaign !== loopCampaign || activeCampaign.status !== 'running') {
+        return;
+      }
+
       activeCampaign.currentIndex = i;
       // Immediately propagate the phone number to the floating UI so it matches the chat that is about to open
       activeCampaign.currentNumber = cleanPhone;
@@ -924,8 +1101,9 @@ async function processCampaign() {
       // Update the floating UI locally without waiting for the background relay
       updateFloatingUI(activeCampaign);
 
-      // Prepare message with a unique timestamp for this specific contact
-      let message = baseMessage;
+      // Personalise the template for this contact and add a unique timestamp if enabled
+      let message = replaceVariables(baseMessage, contact);
+      let attempts = 0;
       if (activeCampaign.addTimestamp) {
         const now = new Date();
         // Precise timestamp with seconds for better safety/audit trail
@@ -938,6 +1116,7 @@ async function processCampaign() {
         // ensuring the user sees the conversation and WhatsApp can show the invalid-number
         // dialog if applicable. This avoids the sidebar search navigation completely.
         const sendStartTime = Date.now();
+        const attachmentFile = await getContactAttachmentFile(contact);
         
         // First, check if the number is invalid or blocked before attempting to send
         try {
@@ -965,7 +1144,8 @@ async function processCampaign() {
 
         if (activeCampaign.useLegacyMethod) {
             console.log(`[WA-Content] Using legacy URL method for ${cleanPhone}`);
-            let legacyOk = await legacySendMessage(contact, message, activeCampaign.attachmentFile);
+            attempts++;
+            let legacyOk = await legacySendMessage(contact, message, attachmentFile);
             if (legacyOk) {
                 currentAttemptOk = true;
                 console.log(`[WA-Content] Legacy method SUCCESS for ${cleanPhone}`);
@@ -973,6 +1153,7 @@ async function processCampaign() {
                 console.log(`[WA-Content] Legacy method FAILED for ${cleanPhone}, trying fallback`);
                 // Legacy failed, try UI-based sendMessage as a final fallback
                 await new Promise(r => setTimeout(r, 1000)); // Keep the delay
+                attempts++;
                 const fallbackResult = await sendMessage(cleanPhone, message);
                 if (fallbackResult && typeof fallbackResult === 'object' && typeof fallbackResult.success === 'boolean') {
                     currentAttemptOk = fallbackResult.success;
@@ -994,6 +1175,7 @@ async function processCampaign() {
             }
         } else { // Turbo Mode (non-legacy)
             console.log(`[WA-Content] Using Turbo mode for ${cleanPhone}`);
+            attempts++;
             const sendAttemptResult = await sendMessage(cleanPhone, message);
             if (sendAttemptResult && typeof sendAttemptResult === 'object' && typeof sendAttemptResult.success === 'boolean') {
                 currentAttemptOk = sendAttemptResult.success;
@@ -1019,6 +1201,7 @@ async function processCampaign() {
         }
         
         console.log(`[WA-Content] Message sent successfully to ${cleanPhone}`);
+        countQuotaSend();
         
         // Update progress - SUCCESS
         successSet.add(cleanPhone);
@@ -1046,12 +1229,28 @@ async function processCampaign() {
             failedCount: activeCampaign.failedCount,
             status: 'running',
             currentNumber: cleanPhone
-          }
+          },
+          contactResult: buildContactResult(index, cleanPhone, 'sent', contact, null, {
+            renderedMessage: message,
+            attempts,
+            attachmentName: attachmentFile ? attachmentFile.name : null
+          })
         });
         
         // Update floating UI immediately without waiting for background relay
         updateFloatingUI(activeCampaign);
         
+        // Message sequence: follow-ups go out only once the first message succeeded
+        if (Array.isArray(activeCampaign.followUps) && activeCampaign.followUps.length > 0) {
+          const followUpResults = await sendFollowUps(cleanPhone, contact);
+          chrome.runtime.sendMessage({
+            action: 'followUpResults',
+            campaignId: loopCampaign.id,
+            index,
+            followUps: followUpResults
+          });
+        }
+        
         // ---- New randomised batch splitting logic -------------------------
         if (activeCampaign.splitBatchesEnabled) {
           // Initialise batch control vars once
@@ -1066,13 +1265,14 @@ async function processCampaign() {
             activeCampaign._batchNumber = 1;
 
             const firstWait = rnd(activeCampaign.delayBetweenBatchesMin, activeCampaign.delayBetweenBatchesMax);
-            activeCampaign._batchPlan = [{
+            // Keep quota waits that happened before the first batch
+            activeCampaign._batchPlan = (activeCampaign._batchPlan || []).concat([{
               batchNumber: 1,
               size: activeCampaign._currentBatchSize,
               waitMin: firstWait,
               status: 'running',
               waitEndsAt: null
-            }];
+            }]);
           }
 
           activeCampaign._batchCounter++;
@@ -1097,6 +1297,8 @@ async function processCampaign() {
                 failedCount:activeCampaign.failedCount,
                 status:'batch_delay',
                 nextBatchTime,
+                quotaWait:null,
+                windowWait:false,
                 currentBatchSize:activeCampaign._currentBatchSize,
                 batchNumber:activeCampaign._batchNumber
               }
@@ -1268,7 +1470,8 @@ async function processCampaign() {
             status: 'running',
             error: error.message,
             currentNumber: cleanPhone
-          }
+          },
+          contactResult: buildContactResult(index, cleanPhone, 'failed', contact, error.message, { renderedMessage: message, attempts })
         });
       }
     }
@@ -1590,10 +1793,11 @@ async function handleCampaignAbort() {
   stopBatchCountdown();
   updateFloatingUI(activeCampaign);
   // Reset variables
+  const abortedId = activeCampaign.id;
   messageQueue=[]; processingQueue=false;
   activeCampaign=null;
   // Inform popup/background so direct-sender can respect abort
-  try { chrome.runtime.sendMessage({action:'abortCampaign'}); } catch(_){}
+  try { chrome.runtime.sendMessage({action:'abortCampaign', campaignId: abortedId}); } catch(_){}
   return { success: true };
 }
 
@@ -1615,13 +1819,18 @@ function completeCampaign() {
         sentCount: activeCampaign.sentCount,
         failedCount: activeCampaign.failedCount,
         totalContacts: activeCampaign.totalContacts,
-        status: 'completed'
+        status: 'completed',
+        // Kept by the background in the campaign history for this id
+        successNumbers: activeCampaign.successNumbers || [],
+        failedNumbers: activeCampaign.failedNumbers || [],
+        skippedNumbers: activeCampaign.skippedNumbers || []
       }
     });
 
     // Persist results for download in popup
     try {
       chrome.storage.local.set({ lastCampaignResults: {
+        campaignId: activeCampaign.id,
         timestamp: Date.now(),
         successNumbers: activeCampaign.successNumbers || [],
         failedNumbers:  activeCampaign.failedNumbers  || [],
@@ -1690,9 +1899,24 @@ function createFloatingUI() {
         <div id="currentPhoneNumber" class="current-number-value">-</div>
       </div>
 
-      <button class="wa-campaign-floating-ui-button" id="downloadResultsFloatingBtn" style="display:none;background:#4caf50;align-self:flex-start;">
-        <i class="ri-download-2-line" style="margin-right:6px;"></i> Download Results
-      </button>
+      <div style="display:flex;gap:6px;align-items:center;">
+        <button class="wa-campaign-floating-ui-button" id="downloadResultsFloatingBtn" style="display:none;background:#4caf50;align-self:flex-start;">
+          <i class="ri-download-2-line" style="margin-right:6px;"></i> Download Results
+        </button>
+        <select id="downloadResultsFormat" title="Export format" style="display:none;padding:4px;border-radius:4px;">
+          <option value="csv">CSV</option>
+          <option value="xlsx">XLSX</option>
+          <option value="json">JSON</option>
+        </select>
+      </div>
+      <div id="retryFailedFloatingRow" style="display:none;gap:6px;align-items:center;font-size:12px;">
+        <button class="wa-campaign-floating-ui-button" id="retryFailedFloatingBtn" style="background:#ff9800;">
+          <i class="ri-restart-line" style="margin-right:6px;"></i> Retry Failed
+        </button>
+        <label style="display:flex;align-items:center;gap:4px;">
+          <input type="checkbox" id="retryExcludeInvalidFloating" checked> Skip invalid numbers
+        </label>
+      </div>
     </div>
   `;
 
@@ -1734,8 +1958,8 @@ function createFloatingUI() {
             phoneBox.textContent = campaign.currentNumber;
           }
         } else if (campaign.status === 'batch_delay') {
-          startBatchCountdown(campaign.nextBatchTime||Date.now());
-          statusElement.textContent = `Waiting next batch… (${campaign.sentCount}/${campaign.totalContacts} sent)`;
+          startBatchCountdown(campaign.nextBatchTime||Date.now(), batchDelayLabel(campaign));
+          statusElement.textContent = `${batchDelayStatus(campaign)}… (${campaign.sentCount}/${campaign.totalContacts} sent)`;
           progressBarContainer.style.display = 'block';
           const progressPercent = campaign.totalContacts > 0 ? (campaign.currentIndex / campaign.totalContacts) * 100 : 0;
           progressBar.style.width = `${progressPercent}%`;
@@ -1794,8 +2018,17 @@ function createFloatingUI() {
 
   // Download results button
   const downloadResultsBtn = floatingUI.querySelector('#downloadResultsFloatingBtn');
+  const downloadFormatSelect = floatingUI.querySelector('#downloadResultsFormat');
   if (downloadResultsBtn) {
-    downloadResultsBtn.addEventListener('click', exportCampaignResultsCSV);
+    downloadResultsBtn.addEventListener('click', () => {
+      exportCampaignResults(downloadFormatSelect ? downloadFormatSelect.value : 'csv');
+    });
+  }
+
+  // Retry failed contacts button
+  const retryFailedBtn = floatingUI.querySelector('#retryFailedFloatingBtn');
+  if (retryFailedBtn) {
+    retryFailedBtn.addEventListener('click', retryFailedContacts);
   }
 
   // Batch list toggle
@@ -3849,6 +4082,8 @@ function injectFloatingUIStyles() {
     .batch-pill.running{background:#2196f3;color:#fff;}
     .batch-pill.waiting{background:#00bcd4;color:#fff;}
     .batch-pill.queued{background:#fbc02d;color:#000;}
+    .batch-pill.quota.waiting{background:#ff7043;color:#fff;}
+    .batch-pill.window.waiting{background:#7e57c2;color:#fff;}
     /* ===== Silent-send: hide WhatsApp media composer & clip menu completely ===== */
     div[role="dialog"][data-testid="media-editor"]{opacity:0!important;pointer-events:none!important;transform:translateX(-9999px)!important;}
     div[role="dialog"] [data-testid="media-preview-container"],
@@ -3922,9 +4157,24 @@ function createFloatingUI() {
         <div id="currentPhoneNumber" class="current-number-value">-</div>
       </div>
 
-      <button class="wa-campaign-floating-ui-button" id="downloadResultsFloatingBtn" style="display:none;background:#4caf50;align-self:flex-start;">
-        <i class="ri-download-2-line" style="margin-right:6px;"></i> Download Results
-      </button>
+      <div style="display:flex;gap:6px;align-items:center;">
+        <button class="wa-campaign-floating-ui-button" id="downloadResultsFloatingBtn" style="display:none;background:#4caf50;align-self:flex-start;">
+          <i class="ri-download-2-line" style="margin-right:6px;"></i> Download Results
+        </button>
+        <select id="downloadResultsFormat" title="Export format" style="display:none;padding:4px;border-radius:4px;">
+          <option value="csv">CSV</option>
+          <option value="xlsx">XLSX</option>
+          <option value="json">JSON</option>
+        </select>
+      </div>
+      <div id="retryFailedFloatingRow" style="display:none;gap:6px;align-items:center;font-size:12px;">
+        <button class="wa-campaign-floating-ui-button" id="retryFailedFloatingBtn" style="background:#ff9800;">
+          <i class="ri-restart-line" style="margin-right:6px;"></i> Retry Failed
+        </button>
+        <label style="display:flex;align-items:center;gap:4px;">
+          <input type="checkbox" id="retryExcludeInvalidFloating" checked> Skip invalid numbers
+        </label>
+      </div>
     </div>
   `;
 
@@ -3966,8 +4216,8 @@ function createFloatingUI() {
             phoneBox.textContent = campaign.currentNumber;
           }
         } else if (campaign.status === 'batch_delay') {
-          startBatchCountdown(campaign.nextBatchTime||Date.now());
-          statusElement.textContent = `Waiting next batch… (${campaign.sentCount}/${campaign.totalContacts} sent)`;
+          startBatchCountdown(campaign.nextBatchTime||Date.now(), batchDelayLabel(campaign));
+          statusElement.textContent = `${batchDelayStatus(campaign)}… (${campaign.sentCount}/${campaign.totalContacts} sent)`;
           progressBarContainer.style.display = 'block';
           const progressPercent = campaign.totalContacts > 0 ? (campaign.currentIndex / campaign.totalContacts) * 100 : 0;
           progressBar.style.width = `${progressPercent}%`;
@@ -4026,8 +4276,17 @@ function createFloatingUI() {
 
   // Download results button
   const downloadResultsBtn = floatingUI.querySelector('#downloadResultsFloatingBtn');
+  const downloadFormatSelect = floatingUI.querySelector('#downloadResultsFormat');
   if (downloadResultsBtn) {
-    downloadResultsBtn.addEventListener('click', exportCampaignResultsCSV);
+    downloadResultsBtn.addEventListener('click', () => {
+      exportCampaignResults(downloadFormatSelect ? downloadFormatSelect.value : 'csv');
+    });
+  }
+
+  // Retry failed contacts button
+  const retryFailedBtn = floatingUI.querySelector('#retryFailedFloatingBtn');
+  if (retryFailedBtn) {
+    retryFailedBtn.addEventListener('click', retryFailedContacts);
   }
 
   // Batch list toggle
@@ -4127,12 +4386,21 @@ function updateFloatingUI(campaign){
     phoneEl.textContent=campaign.currentNumber;
   }
   if(campaign.status==='batch_delay' && campaign.nextBatchTime){
-    startBatchCountdown(campaign.nextBatchTime);
+    startBatchCountdown(campaign.nextBatchTime, batchDelayLabel(campaign));
   }
   const dlBtn = document.getElementById('downloadResultsFloatingBtn');
   if (dlBtn) {
     dlBtn.style.display = campaign.status === 'completed' ? 'block' : 'none';
   }
+  const dlFormat = document.getElementById('downloadResultsFormat');
+  if (dlFormat) {
+    dlFormat.style.display = campaign.status === 'completed' ? 'block' : 'none';
+  }
+  const retryRow = document.getElementById('retryFailedFloatingRow');
+  if (retryRow) {
+    const canRetry = campaign.status === 'completed' && (campaign.failedCount || 0) > 0;
+    retryRow.style.display = canRetry ? 'flex' : 'none';
+  }
 
   // Render batch plan list
   renderBatchList(campaign);
@@ -4162,6 +4430,18 @@ function waitForMediaComposerClose(timeout = 8000) {
 
 // ---- Batch countdown helpers ----
 let batchCountdownTimer = null;
+// Countdown label for a batch_delay status: split-batch cooldown, sending quota or window wait
+function batchDelayLabel(campaign){
+  if(campaign && campaign.windowWait) return 'Sending window opens in:';
+  if(campaign && campaign.quotaWait==='day') return 'Daily quota – resumes in:';
+  if(campaign && campaign.quotaWait==='hour') return 'Hourly quota – resumes in:';
+  return 'Next batch in:';
+}
+function batchDelayStatus(campaign){
+  if(campaign && campaign.windowWait) return 'Outside sending window';
+  if(campaign && campaign.quotaWait) return 'Sending quota reached';
+  return 'Waiting next batch';
+}
 function startBatchCountdown(ts, labelText = 'Next batch in:'){
   const container=document.getElementById('batchCountdownContainer');
   const labelSpan=container?.querySelector('span:nth-child(2)') || null;
@@ -4192,12 +4472,182 @@ function stopBatchCountdown(hide = true){
 /** Wait for a given milliseconds but exit early if campaign is paused/aborted */
 async function waitRespectingCampaign(ms){
   const step=1000;
+  // Measured against the clock so hours-long window/quota waits still end on time after the
+  // computer slept or the tab's timers were throttled
+  const endsAt=Date.now()+ms;
   let remaining=ms;
   while(remaining>0){
     if(!activeCampaign || activeCampaign.status!=='running') break;
     await new Promise(r=>setTimeout(r, Math.min(step,remaining)));
-    remaining-=step;
+    remaining=endsAt-Date.now();
+  }
+}
+
+// ---- Sending quota (js/utils/sendingQuota.js) ----
+// While the account's hourly or daily cap is used up the campaign waits for the next window,
+// shown as a quota pill in the batch list; it then carries on by itself. Pausing or stopping
+// the campaign ends the wait. Resolves to whether it waited.
+async function waitForSendingQuota(index){
+  if(typeof WASendingQuota === 'undefined') return false;
+  let waited=false;
+  for(;;){
+    let quota;
+    try {
+      quota = await WASendingQuota.check();
+    } catch(e){
+      console.warn('[WA-Content] Sending quota check failed, sending anyway:', e);
+      return waited;
+    }
+    if(!quota.blockedBy || !activeCampaign || activeCampaign.status!=='running') return waited;
+    waited=true;
+
+    const capped = quota.blockedBy==='day' ? quota.settings.perDay : quota.settings.perHour;
+    const pill = {
+      kind:'quota',
+      label: quota.blockedBy==='day' ? `Daily cap ${capped}` : `Hourly cap ${capped}`,
+      status:'waiting',
+      waitEndsAt: quota.resumeAt
+    };
+    activeCampaign._batchPlan = (activeCampaign._batchPlan || []).concat([pill]);
+    activeCampaign.nextBatchTime = quota.resumeAt;
+    activeCampaign.quotaWait = quota.blockedBy;
+    console.log(`[WA-Content] ${quota.blockedBy==='day' ? 'Daily' : 'Hourly'} sending quota reached, waiting until ${new Date(quota.resumeAt).toLocaleString()}`);
+    try { startBatchCountdown(quota.resumeAt, batchDelayLabel(activeCampaign)); } catch(_){}
+    chrome.runtime.sendMessage({
+      action:'updateCampaignProgress',
+      campaignId: activeCampaign.id,
+      status:{
+        currentIndex:index,
+        sentCount:activeCampaign.sentCount,
+        failedCount:activeCampaign.failedCount,
+        status:'batch_delay',
+        nextBatchTime:quota.resumeAt,
+        quotaWait:quota.blockedBy,
+        windowWait:false
+      }
+    });
+    updateFloatingUI(activeCampaign);
+
+    await waitRespectingCampaign(quota.resumeAt - Date.now());
+    pill.status='completed';
+    if(activeCampaign){
+      activeCampaign.nextBatchTime=null;
+      activeCampaign.quotaWait=null;
+      updateFloatingUI(activeCampaign);
+    }
+    try { stopBatchCountdown(); } catch(_){}
+  }
+}
+
+function countQuotaSend(){
+  if(typeof WASendingQuota === 'undefined') return;
+  WASendingQuota.recordSend().catch(e=>console.warn('[WA-Content] Could not record send for the quota:', e));
+}
+
+// ---- Sending window (js/utils/sendingWindow.js) ----
+// Outside the campaign's days/hours, or on one of its holidays, the campaign waits for the
+// window to open again with a window pill and the batch countdown, then carries on by itself.
+// Pausing or stopping the campaign ends the wait. With `recipientLocal` the hours apply in each
+// contact's own timezone (js/utils/recipientTimeZone.js) instead of the window's.
+const recipientZoneCache = new WeakMap();
+
+// Digits of the contact's number, read from the same phone columns as processCampaign
+function contactPhoneDigits(contact){
+  const raw = contact && (contact.Phone || contact.phone || contact.PHONE || contact.PhoneNumber || contact.phoneNumber || contact.number || contact.Number);
+  return (raw || '').toString().replace(/\D/g, '');
+}
+
+// Timezone the contact's window is measured in; undefined means the window's own zone
+function recipientZone(contact, phone = contactPhoneDigits(contact)){
+  const rules = activeCampaign && activeCampaign.sendingWindow;
+  if(!rules || !rules.recipientLocal || !contact || typeof WARecipientTimeZone === 'undefined') return undefined;
+  if(!recipientZoneCache.has(contact)){
+    recipientZoneCache.set(contact, WARecipientTimeZone.timeZoneForContact(contact, phone).timeZone || undefined);
+  }
+  return recipientZoneCache.get(contact);
+}
+
+// Whether `order` is a send order of `count` contacts: each index exactly once
+function isSendOrder(order, count){
+  if(!Array.isArray(order) || order.length !== count) return false;
+  const seen = new Set(order);
+  return seen.size === count && order.every(index => Number.isInteger(index) && index >= 0 && index < count);
+}
+
+// Moves the first contact from position `index` of the send order whose local window is open –
+// or, when none is, the one whose window opens first – to `index`; the others keep their order.
+// Returns whether the order changed.
+function promoteOpenRecipient(contacts, order, index){
+  const rules = activeCampaign && activeCampaign.sendingWindow;
+  if(typeof WASendingWindow === 'undefined' || !rules || !rules.enabled || !rules.recipientLocal) return false;
+  const now = Date.now();
+  const opensAtByZone = new Map();
+  let best = index;
+  let bestAt = Infinity;
+  for(let j=index;j<order.length;j++){
+    const zone = recipientZone(contacts[order[j]]);
+    if(!opensAtByZone.has(zone)){
+      opensAtByZone.set(zone, WASendingWindow.nextOpen(rules, now, zone) || Infinity);
+    }
+    const opensAt = opensAtByZone.get(zone);
+    if(opensAt < bestAt){
+      best = j;
+      bestAt = opensAt;
+    }
+    if(opensAt <= now) break;
   }
+  if(best === index) return false;
+  const [promoted] = order.splice(best, 1);
+  order.splice(index, 0, promoted);
+  return true;
+}
+
+// Resolves to whether it waited
+async function waitForSendingWindow(index, contact, phone){
+  const sendingWindow = activeCampaign && activeCampaign.sendingWindow;
+  if(typeof WASendingWindow === 'undefined' || !sendingWindow || !sendingWindow.enabled) return false;
+  const zone = recipientZone(contact, phone);
+  let waited=false;
+  while(activeCampaign && activeCampaign.status==='running' && !WASendingWindow.isOpen(sendingWindow, Date.now(), zone)){
+    waited=true;
+    // Nothing opens within the scan range (e.g. a long holiday list): look again after it
+    const opensAt = WASendingWindow.nextOpen(sendingWindow, Date.now(), zone) || Date.now() + WASendingWindow.MAX_SCAN_DAYS*24*60*60*1000;
+    const pill = {
+      kind:'window',
+      label:'Window closed',
+      status:'waiting',
+      waitEndsAt: opensAt
+    };
+    activeCampaign._batchPlan = (activeCampaign._batchPlan || []).concat([pill]);
+    activeCampaign.nextBatchTime = opensAt;
+    activeCampaign.windowWait = true;
+    console.log(`[WA-Content] Outside the sending window (${WASendingWindow.describe(sendingWindow)}${zone ? ', ' + zone : ''}), waiting until ${new Date(opensAt).toLocaleString()}`);
+    try { startBatchCountdown(opensAt, batchDelayLabel(activeCampaign)); } catch(_){}
+    chrome.runtime.sendMessage({
+      action:'updateCampaignProgress',
+      campaignId: activeCampaign.id,
+      status:{
+        currentIndex:index,
+        sentCount:activeCampaign.sentCount,
+        failedCount:activeCampaign.failedCount,
+        status:'batch_delay',
+        nextBatchTime:opensAt,
+        quotaWait:null,
+        windowWait:true
+      }
+    });
+    updateFloatingUI(activeCampaign);
+
+    await waitRespectingCampaign(opensAt - Date.now());
+    pill.status='completed';
+    if(activeCampaign){
+      activeCampaign.nextBatchTime=null;
+      activeCampaign.windowWait=false;
+      updateFloatingUI(activeCampaign);
+    }
+    try { stopBatchCountdown(); } catch(_){}
+  }
+  return waited;
 }
 
 // ------------------------------------------------------------------
@@ -4230,49 +4680,97 @@ function getBlobFromIndexedDB(id) {
   });
 }
 
-// Add helper to export campaign results as CSV (no external libs needed)
-function exportCampaignResultsCSV() {
+// Start a new campaign with the failed contacts of the campaign that just finished
+async function retryFailedContacts() {
+  const btn = document.getElementById('retryFailedFloatingBtn');
+  const excludeInvalid = document.getElementById('retryExcludeInvalidFloating')?.checked ?? true;
   try {
-    chrome.storage.local.get(['lastCampaignResults', 'activeCampaign'], (res) => {
-      let data = res.lastCampaignResults || {};
-      if ((!data.successNumbers || data.successNumbers.length === 0) && res.activeCampaign) {
-        data = {
-          successNumbers: res.activeCampaign.successNumbers || [],
-          failedNumbers:  res.activeCampaign.failedNumbers  || [],
-          skippedNumbers: res.activeCampaign.skippedNumbers || []
-        };
-      }
-      const success = data.successNumbers || [];
-      const failed  = data.failedNumbers  || [];
-      const skipped = data.skippedNumbers || [];
+    const { lastCampaignResults } = await chrome.storage.local.get('lastCampaignResults');
+    const campaignId = activeCampaign?.id || lastCampaignResults?.campaignId;
+    if (!campaignId) {
+      throw new Error('No finished campaign found');
+    }
+    if (btn) btn.disabled = true;
+    const response = await chrome.runtime.sendMessage({ action: 'retryFailedCampaign', campaignId, excludeInvalid });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    const text = response.status === 'queued'
+      ? `Retry campaign queued at position ${response.position}`
+      : 'Retry campaign started';
+    try { window.utils?.toast?.(text, 'success'); } catch(_) {}
+  } catch (err) {
+    console.error('[WA-Content] Retry failed contacts error:', err);
+    try { window.utils?.toast?.('Could not retry failed contacts: ' + err.message, 'error'); } catch(_) {}
+  } finally {
+    if (btn) btn.disabled = false;
+  }
+}
 
-      if (success.length === 0 && failed.length === 0 && skipped.length === 0) {
-        try { window.utils?.toast?.('No results to export yet', 'warning'); } catch(_) {}
-        console.warn('[WA-Content] No campaign results to export');
-        return;
+// Download the per-recipient results (original contact columns, rendered message,
+// timestamp, attempts, failure reason) of the current or last campaign
+async function exportCampaignResults(format = 'csv') {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      action: 'getCampaignResults',
+      campaignId: activeCampaign ? activeCampaign.id : undefined
+    });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'No response from background');
+    }
+
+    const { headers, rows } = response.table;
+    if (rows.length === 0) {
+      try { window.utils?.toast?.('No results to export yet', 'warning'); } catch(_) {}
+      console.warn('[WA-Content] No campaign results to export');
+      return;
+    }
+
+    const ts = new Date().toISOString().replace(/[:T]/g, '-').split('.')[0];
+    const baseName = `campaign-results-${ts}`;
+
+    if (format === 'xlsx') {
+      // SheetJS is not part of the content bundle; the background injects it on demand
+      if (!window.XLSX) {
+        const injected = await chrome.runtime.sendMessage({ action: 'injectXlsxLibrary' });
+        if (!injected || !injected.success || !window.XLSX) {
+          throw new Error(injected?.error || 'XLSX library unavailable');
+        }
       }
+      const wb = window.XLSX.utils.book_new();
+      window.XLSX.utils.book_append_sheet(wb, window.XLSX.utils.aoa_to_sheet([headers, ...rows]), 'Results');
+      window.XLSX.writeFile(wb, `${baseName}.xlsx`);
+      return;
+    }
 
-      const rows = [['Phone', 'Status']];
-      success.forEach(p => rows.push([p, 'Success']));
-      failed.forEach(p  => rows.push([p, 'Failed']));
-      skipped.forEach(p => rows.push([p, 'Skipped']));
-
-      const csvContent = rows.map(r => r.join(',')).join('\n');
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8' });
-      const url = URL.createObjectURL(blob);
-      const ts = new Date().toISOString().replace(/[:T]/g, '-').split('.')[0];
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `campaign-results-${ts}.csv`;
-      document.body.appendChild(a);
-      a.click();
-      setTimeout(() => {
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-      }, 0);
-    });
+    let blob;
+    let filename;
+    if (format === 'json') {
+      const objects = rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i]])));
+      blob = new Blob([JSON.stringify(objects, null, 2)], { type: 'application/json' });
+      filename = `${baseName}.json`;
+    } else {
+      const cell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      const csvContent = [headers, ...rows].map(r => r.map(cell).join(',')).join('\r\n');
+      blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8' });
+      filename = `${baseName}.csv`;
+    }
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 0);
   } catch (err) {
-    console.error('[WA-Content] CSV export failed:', err);
+    console.error('[WA-Content] Results export failed:', err);
     try { window.utils?.toast?.('Failed to export results: ' + err.message, 'error'); } catch(_) {}
   }
 }
@@ -4286,10 +4784,10 @@ function renderBatchList(campaign){
     if(!campaign || !campaign._batchPlan) return;
     campaign._batchPlan.forEach((b)=>{
       const div=document.createElement('div');
-      div.className='batch-pill '+(b.status||'queued');
+      div.className='batch-pill '+(b.kind ? b.kind+' ' : '')+(b.status||'queued');
 
       const line1=document.createElement('div');
-      line1.textContent=`${b.size} Msgs`;
+      line1.textContent= b.kind ? b.label : `${b.size} Msgs`;
 
       const line2=document.createElement('div');
       if(b.status==='running'){
@@ -4327,8 +4825,15 @@ function getTimestamp() {
   return now.toLocaleString();
 }
 
+// Spintax (js/utils/spintax.js) is resolved per recipient before the {{column}} values are
+// filled in, so braces or pipes inside contact data are never treated as spintax.
+// Fallbacks, filters and {{#if}} blocks come from js/utils/templateEngine.js.
 function replaceVariables(template, contact) {
-  let result = template;
+  let result = window.WASpintax ? window.WASpintax.resolveSpintax(template) : template;
+  if (window.WATemplate) {
+    return window.WATemplate.renderTemplate(result, contact);
+  }
+  // Plain substitution if the template engine was not injected
   for (const key in contact) {
     if (Object.hasOwnProperty.call(contact, key)) {
       const placeholder = new RegExp(`{{\s*${key}\s*}}`, 'gi');
@@ -0,0 +1,220 @@
+// js/content/autoResponder.js – keyword / regex auto-replies to incoming messages
+// Rules are edited in the popup (html/auto-responder.html) and stored in chrome.storage.local
+// under `autoResponder`; every auto-sent (or failed) reply is appended to `autoResponderLog`.
+// Incoming messages come from the Store hook in injector.js (INCOMING_MESSAGE).
+/* global base64ToFile, sanitizeMessageText, storeSendTextMessage -- defined by content.js */
+(function () {
+  const CONFIG_KEY = 'autoResponder';
+  const LOG_KEY = 'autoResponderLog';
+  const LOG_LIMIT = 200;
+  const SEND_TIMEOUT_MS = 20000;
+
+  let config = { enabled: false, rules: [] };
+  // `${ruleId}:${number}` -> last auto-reply time (ms), for per-rule cooldowns
+  const lastReplies = new Map();
+  // Serialise sends so a burst of replies doesn't fight over the same chat
+  let sendChain = Promise.resolve();
+
+  async function loadConfig() {
+    try {
+      const stored = await chrome.storage.local.get([CONFIG_KEY, LOG_KEY]);
+      config = stored[CONFIG_KEY] || { enabled: false, rules: [] };
+      // Seed cooldowns from the log so a page reload doesn't reset them
+      (stored[LOG_KEY] || []).forEach(entry => {
+        const key = `${entry.ruleId}:${entry.number}`;
+        const time = Date.parse(entry.time);
+        if (entry.status === 'sent' && !(lastReplies.get(key) >= time)) {
+          lastReplies.set(key, time);
+        }
+      });
+    } catch (e) {
+      console.warn('[WA-AutoResponder] Could not load rules:', e);
+    }
+  }
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[CONFIG_KEY]) {
+      config = changes[CONFIG_KEY].newValue || { enabled: false, rules: [] };
+    }
+  });
+
+  // ---- Matching ----
+  function ruleMatches(rule, text) {
+    const body = String(text || '').trim();
+    if (!body || !rule.pattern) {
+      return false;
+    }
+
+    if (rule.matchType === 'regex') {
+      try {
+        return new RegExp(rule.pattern, rule.caseSensitive ? '' : 'i').test(body);
+      } catch (e) {
+        return false; // invalid patterns are rejected in the editor, but be safe
+      }
+    }
+
+    const normalize = value => (rule.caseSensitive ? value : value.toLowerCase());
+    const keywords = rule.pattern.split(',').map(k => normalize(k.trim())).filter(Boolean);
+    const message = normalize(body);
+    if (rule.matchType === 'exact') {
+      return keywords.includes(message);
+    }
+    // 'keyword': the keyword appears as a whole word anywhere in the message
+    return keywords.some(keyword => {
+      const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(message);
+    });
+  }
+
+  // Business hours: { days: [0-6, Sunday = 0], start: 'HH:MM', end: 'HH:MM' } in local time.
+  // An end before the start spans midnight (e.g. 22:00–06:00).
+  function withinBusinessHours(hours, now = new Date()) {
+    if (!hours || !hours.enabled) {
+      return true;
+    }
+    const toMinutes = value => {
+      const [h, m] = String(value || '0:0').split(':').map(Number);
+      return (h || 0) * 60 + (m || 0);
+    };
+    const start = toMinutes(hours.start);
+    const end = toMinutes(hours.end);
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const days = Array.isArray(hours.days) ? hours.days : [];
+
+    if (start <= end) {
+      return days.includes(now.getDay()) && minutes >= start && minutes < end;
+    }
+    // Overnight window: the part after midnight belongs to the previous day
+    if (minutes >= start) {
+      return days.includes(now.getDay());
+    }
+    if (minutes < end) {
+      return days.includes((now.getDay() + 6) % 7);
+    }
+    return false;
+  }
+
+  function inCooldown(rule, number) {
+    const cooldownMs = (Number(rule.cooldownMinutes) || 0) * 60 * 1000;
+    const last = lastReplies.get(`${rule.id}:${number}`);
+    return cooldownMs > 0 && last !== undefined && Date.now() - last < cooldownMs;
+  }
+
+  function renderReply(template, { number, name, body }) {
+    return String(template || '')
+      .replace(/{{\s*number\s*}}/gi, number)
+      .replace(/{{\s*name\s*}}/gi, name || '')
+      .replace(/{{\s*message\s*}}/gi, body || '');
+  }
+
+  // ---- Sending ----
+  // Fallback through the injector's sendSilentMessage (page world)
+  function sendViaInjector(number, text) {
+    return new Promise(resolve => {
+      const requestId = `autoreply_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      const timer = setTimeout(() => {
+        window.removeEventListener('message', onResult);
+        resolve(false);
+      }, SEND_TIMEOUT_MS);
+      function onResult(event) {
+        if (event.source !== window || !event.data || event.data.source !== 'injector-script') {
+          return;
+        }
+        if (event.data.type !== 'AUTO_REPLY_RESULT' || event.data.requestId !== requestId) {
+          return;
+        }
+        clearTimeout(timer);
+        window.removeEventListener('message', onResult);
+        resolve(!!event.data.success);
+      }
+      window.addEventListener('message', onResult);
+      window.postMessage({ type: 'SEND_AUTO_REPLY', source: 'content-script', requestId, number, message: text }, '*');
+    });
+  }
+
+  async function sendReply(number, text, attachment) {
+    if (attachment && attachment.base64String && typeof window.sendImage === 'function') {
+      try {
+        const file = base64ToFile(attachment.base64String, attachment.name, attachment.type);
+        await window.sendImage(`${number}@c.us`, file, sanitizeMessageText(text), 1);
+        return { ok: true, method: 'store-media' };
+      } catch (e) {
+        console.warn('[WA-AutoResponder] Attachment send failed, sending text only:', e);
+      }
+    }
+    if (!text) {
+      return { ok: false, error: 'Attachment could not be sent' };
+    }
+    if (await storeSendTextMessage(number, sanitizeMessageText(text))) {
+      return { ok: true, method: 'store-text', attachmentSkipped: !!attachment };
+    }
+    if (await sendViaInjector(number, text)) {
+      return { ok: true, method: 'silent', attachmentSkipped: !!attachment };
+    }
+    return { ok: false, error: 'All send methods failed' };
+  }
+
+  async function appendLog(entry) {
+    try {
+      const stored = await chrome.storage.local.get(LOG_KEY);
+      const log = [entry, ...(stored[LOG_KEY] || [])].slice(0, LOG_LIMIT);
+      await chrome.storage.local.set({ [LOG_KEY]: log });
+    } catch (e) {
+      console.warn('[WA-AutoResponder] Could not write log:', e);
+    }
+  }
+
+  async function handleIncoming({ number, name, body }) {
+    if (!config.enabled || !number) {
+      return;
+    }
+    const digits = String(number).replace(/\D/g, '');
+
+    // Rules are checked in order; the first one that matches and may fire wins
+    const rule = (config.rules || []).find(r =>
+      r.enabled !== false &&
+      ruleMatches(r, body) &&
+      withinBusinessHours(r.businessHours) &&
+      !inCooldown(r, digits),
+    );
+    if (!rule) {
+      return;
+    }
+
+    // Claim the cooldown before sending so a quick second message doesn't double-fire
+    lastReplies.set(`${rule.id}:${digits}`, Date.now());
+    const reply = renderReply(rule.reply, { number: digits, name, body });
+
+    sendChain = sendChain.then(async () => {
+      const result = await sendReply(digits, reply, rule.attachment);
+      if (!result.ok) {
+        lastReplies.delete(`${rule.id}:${digits}`);
+      }
+      console.info(`[WA-AutoResponder] Rule "${rule.name}" → ${digits}: ${result.ok ? 'sent' : 'failed'}`);
+      await appendLog({
+        time: new Date().toISOString(),
+        ruleId: rule.id,
+        ruleName: rule.name || rule.pattern,
+        number: digits,
+        incoming: String(body || '').slice(0, 500),
+        reply,
+        attachment: rule.attachment ? rule.attachment.name : null,
+        status: result.ok ? 'sent' : 'failed',
+        method: result.method || null,
+        error: result.error || (result.attachmentSkipped ? 'Attachment skipped' : null),
+      });
+    }).catch(e => console.warn('[WA-AutoResponder] Error sending auto-reply:', e));
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data || event.data.source !== 'injector-script') {
+      return;
+    }
+    if (event.data.type === 'INCOMING_MESSAGE') {
+      handleIncoming(event.data);
+    }
+  });
+
+  loadConfig();
+  console.info('[WA-AutoResponder] Loaded.');
+})();
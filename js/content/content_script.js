@@ -135,6 +135,9 @@ window.addEventListener('message',(ev)=>{
         });
       }
       break;
+    case 'INCOMING_MESSAGE':
+      chrome.runtime.sendMessage({action:'messageReplyReceived',number:d.number,msgId:d.msgId,body:d.body,t:d.t}).catch(()=>{});
+      break;
     case 'INJECTOR_SAVED_CONTACTS_RESULT':
       chrome.runtime.sendMessage({type:'SAVED_CONTACTS_RESULT',status:d.status,contacts:d.contacts,error:d.error});
       break;
@@ -513,6 +516,54 @@ chrome.runtime.onMessage.addListener((msg,sender,sendResponse)=>{
     return true;
   }
   
+  if (msg.action === 'getLastIncomingMessages') {
+    // Drip campaigns: the injector reads the chats, the background decides who replied
+    const requestId = 'lastincoming_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+    const onResult = (ev) => {
+      if (ev.source !== window || !ev.data || ev.data.source !== 'injector-script') {
+        return;
+      }
+      if (ev.data.type !== 'LAST_INCOMING_RESULT' || ev.data.requestId !== requestId) {
+        return;
+      }
+      clearTimeout(timer);
+      window.removeEventListener('message', onResult);
+      sendResponse({ success: true, lastIncoming: ev.data.lastIncoming || {} });
+    };
+    const timer = setTimeout(() => {
+      window.removeEventListener('message', onResult);
+      sendResponse({ success: false, error: 'No answer from the page' });
+    }, 10000);
+    window.addEventListener('message', onResult);
+    window.postMessage({ type: 'GET_LAST_INCOMING', source: 'content-script', requestId, numbers: msg.numbers || [] }, '*');
+    return true;
+  }
+
+  if (msg.action === 'checkWhatsAppNumbers') {
+    // Pre-flight "Verify numbers": the injector asks WhatsApp which numbers have an account
+    const numbers = msg.numbers || [];
+    const requestId = 'numbercheck_' + Date.now() + '_' + Math.random().toString(36).slice(2, 8);
+    const onResult = (ev) => {
+      if (ev.source !== window || !ev.data || ev.data.source !== 'injector-script') {
+        return;
+      }
+      if (ev.data.type !== 'NUMBERS_EXIST_RESULT' || ev.data.requestId !== requestId) {
+        return;
+      }
+      clearTimeout(timer);
+      window.removeEventListener('message', onResult);
+      sendResponse({ success: true, results: ev.data.results || {}, supported: ev.data.supported !== false });
+    };
+    // Lookups run one by one (up to ~8 s each when WhatsApp is slow)
+    const timer = setTimeout(() => {
+      window.removeEventListener('message', onResult);
+      sendResponse({ success: false, error: 'No answer from the page' });
+    }, 15000 + numbers.length * 9000);
+    window.addEventListener('message', onResult);
+    window.postMessage({ type: 'CHECK_NUMBERS_EXIST', source: 'content-script', requestId, numbers }, '*');
+    return true;
+  }
+
   switch(msg.type){
     case 'FETCH_WHATSAPP_NUMBER_AGAIN':
     case 'FETCH_WA_USER_NUMBER_AGAIN':
@@ -255,7 +255,8 @@
     }
     
     // --- Silent Message Sending ---
-    async function sendSilentMessage(number, message) {
+    // `allowDom: false` skips the typing fallback, which writes into whichever chat is open
+    async function sendSilentMessage(number, message, { allowDom = true } = {}) {
         try {
             console.log('[Injector] Attempting to send safety message to:', number);
             
@@ -263,7 +264,7 @@
             const cleanNumber = number.toString().replace(/\D/g, '');
             
             // First try DOM manipulation (most reliable)
-            const domSuccess = await sendViaDOMManipulation(message || '.');
+            const domSuccess = allowDom && await sendViaDOMManipulation(message || '.');
             if (domSuccess) {
                 console.log('[Injector] Message sent successfully via DOM');
                 return true;
@@ -831,6 +832,124 @@
         }
     }
 
+    // Auto-responder fallback when the content script's Store path fails
+    async function sendAutoReply({ requestId, number, message }) {
+        const cleanNumber = String(number || '').replace(/\D/g, '');
+        let success = false;
+        try {
+            // Typing into the composer is only safe when the sender's chat is the open one
+            const active = getStore()?.Chat?.getActive?.();
+            const allowDom = !!active && active.id?.user === cleanNumber;
+            success = await sendSilentMessage(cleanNumber, message, { allowDom });
+        } catch (e) {
+            console.error('[Injector] Auto-reply failed:', e);
+        }
+        post('AUTO_REPLY_RESULT', { requestId, number: cleanNumber, success: !!success });
+    }
+
+    // Time (seconds) of the newest incoming message in each 1:1 chat that is loaded. Drip
+    // campaigns use it to catch replies that arrived while the extension was not listening.
+    function fetchLastIncoming(requestId, numbers) {
+        const lastIncoming = {};
+        try {
+            const S = getStore();
+            (numbers || []).forEach(number => {
+                const chat = S?.Chat?.get(`${number}@c.us`);
+                const msgs = chat?.msgs?.getModelsArray?.() || chat?.msgs?._models || [];
+                let latest = 0;
+                msgs.forEach(msg => {
+                    if (msg && msg.id && !msg.id.fromMe && msg.t > latest) {
+                        latest = msg.t;
+                    }
+                });
+                if (latest) {
+                    lastIncoming[number] = latest;
+                }
+            });
+        } catch (e) {
+            console.warn('[Injector] Last incoming message lookup failed:', e);
+        }
+        post('LAST_INCOMING_RESULT', { requestId, lastIncoming });
+    }
+
+    // --- WhatsApp number existence lookup ---
+    // WhatsApp Web has moved its "does this number use WhatsApp" query between builds; try the
+    // known module names first and fall back to the Store shims older builds expose.
+    function getExistsQuery() {
+        const S = getStore();
+        const toWid = number => (S?.WidFactory?.createWid ? S.WidFactory.createWid(`${number}@c.us`) : `${number}@c.us`);
+        try {
+            const mod = window.require?.('WAWebQueryExistsJob');
+            if (typeof mod?.queryWidExists === 'function') {
+                return number => mod.queryWidExists(toWid(number));
+            }
+            if (typeof mod?.queryExists === 'function') {
+                return number => mod.queryExists(toWid(number));
+            }
+        } catch(_) { /* module not in this build */ }
+        if (typeof S?.QueryExist === 'function') {
+            return number => S.QueryExist(toWid(number));
+        }
+        if (typeof S?.checkNumberStatus === 'function') {
+            return number => S.checkNumberStatus(toWid(number));
+        }
+        return null;
+    }
+
+    // 'on_whatsapp' | 'not_on_whatsapp' | 'unknown' from the answer of any of the queries above.
+    // Only an explicit "no" (null, a 404 or numberExists: false) rules a number out; an empty
+    // or unfamiliar answer says nothing about it.
+    function existsStatus(result) {
+        if (result === null) {
+            return 'not_on_whatsapp';
+        }
+        if (!result || typeof result !== 'object') {
+            return 'unknown';
+        }
+        if (result.status === 404 || result.numberExists === false) {
+            return 'not_on_whatsapp';
+        }
+        if (result.wid || result.jid || result.id || result.status === 200 || result.numberExists) {
+            return 'on_whatsapp';
+        }
+        return 'unknown';
+    }
+
+    // Checks each number one after the other, with a short pause so the lookups do not burst.
+    // Numbers we already chat with are answered from the loaded chats without a query.
+    async function checkNumbersExist(requestId, numbers) {
+        const results = {};
+        const S = getStore();
+        const query = getExistsQuery();
+        for (const raw of numbers || []) {
+            const number = String(raw || '').replace(/\D/g, '');
+            if (!number) {
+                continue;
+            }
+            try {
+                const known = S?.Chat?.get?.(`${number}@c.us`) || S?.Contact?.get?.(`${number}@c.us`);
+                if (known && (known.isWAContact || known.msgs)) {
+                    results[number] = 'on_whatsapp';
+                    continue;
+                }
+                if (!query) {
+                    results[number] = 'unknown';
+                    continue;
+                }
+                const answer = await Promise.race([
+                    query(number),
+                    new Promise((_, reject) => setTimeout(() => reject(new Error('timeout')), 8000)),
+                ]);
+                results[number] = existsStatus(answer);
+            } catch (e) {
+                console.warn('[Injector] Number lookup failed for', number, e);
+                results[number] = 'unknown';
+            }
+            await new Promise(r => setTimeout(r, 250));
+        }
+        post('NUMBERS_EXIST_RESULT', { requestId, results, supported: !!query });
+    }
+
     // Listener from content-script
     window.addEventListener('message', async (event) => {
         if (event.source !== window) return;
@@ -849,6 +968,9 @@
             case 'GET_CHAT_CONTACTS': fetchChatContacts(); break;
             case 'GET_GROUP_LIST': fetchGroupList(); break;
             case 'GET_SELECTED_GROUP_CONTACTS': fetchSelectedGroupContacts(event.data.selectedGroups || []); break;
+            case 'SEND_AUTO_REPLY': sendAutoReply(event.data); break;
+            case 'GET_LAST_INCOMING': fetchLastIncoming(event.data.requestId, event.data.numbers); break;
+            case 'CHECK_NUMBERS_EXIST': checkNumbersExist(event.data.requestId, event.data.numbers); break;
             case 'SEND_SAFETY_MESSAGE':
                 console.log(`[Injector] Received SEND_SAFETY_MESSAGE request from ${source}`);
                 try {
@@ -1055,11 +1177,55 @@
         }, 2000);
     }
     
+    // --- Reply tracking ---
+    // Report new incoming 1:1 messages: the background tags campaign recipients who replied and
+    // the auto-responder (js/content/autoResponder.js) answers matching messages.
+    // Store is not ready right after page load, so keep retrying for a while.
+    function installReplyTracker(retry = 30) {
+        const Store = getStore();
+        const msgs = Store && Store.Msg;
+        if (!msgs || typeof msgs.on !== 'function') {
+            if (retry > 0) {
+                setTimeout(() => installReplyTracker(retry - 1), 2000);
+            } else {
+                console.warn('[Injector] Store.Msg not found, reply tracking disabled');
+            }
+            return;
+        }
+        if (msgs.__waReplyTrackerInstalled) {
+            return;
+        }
+        msgs.__waReplyTrackerInstalled = true;
+
+        msgs.on('add', (msg) => {
+            try {
+                // isNewMsg is false for history loaded when a chat is opened
+                if (!msg || !msg.id || msg.id.fromMe || !msg.isNewMsg) {
+                    return;
+                }
+                const from = msg.from || msg.id.remote;
+                const serialized = typeof from === 'string' ? from : (from?._serialized || '');
+                // groups, broadcasts, status
+                if (!serialized.endsWith('@c.us')) {
+                    return;
+                }
+                post('INCOMING_MESSAGE', {
+                    number: (from?.user || serialized.split('@')[0]).toString(),
+                    msgId: msg.id._serialized || msg.id.id,
+                    name: msg.notifyName || msg.senderObj?.pushname || '',
+                    body: msg.type === 'chat' ? (msg.body || '') : (msg.caption || `[${msg.type}]`),
+                    t: msg.t || null,
+                });
+            } catch (e) { /* ignore malformed messages */ }
+        });
+    }
+
     // Kick-off own number fetch and setup reload detection
     if (window.self === window.top && window.location.hostname.includes('whatsapp.com')) {
         setTimeout(() => {
             getOwnPhoneNumber();
             setupReloadDetection();
+            installReplyTracker();
         }, 500);
     }
 })();
@@ -0,0 +1,46 @@
+// js/defaultCountrySettings.js - Default country for contact imports: numbers written without a
+// country code (0501234567, (202) 555-0108) are read as national numbers of this country and
+// stored in E.164 (see utils/phoneUtils.js).
+import { toast } from './utils.js';
+import {
+  COUNTRY_PHONE_RULES, loadDefaultCountry, saveDefaultCountry,
+} from './utils/phoneUtils.js';
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+/**
+ * @param {function(string): void} onCountryChanged - re-reads the current contact list
+ */
+export async function initDefaultCountry(onCountryChanged) {
+  const select = $('defaultCountrySelect');
+  if (!select) {
+    return;
+  }
+
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = 'None – numbers include the country code';
+  select.appendChild(none);
+  Object.entries(COUNTRY_PHONE_RULES)
+    .sort(([, a], [, b]) => a.name.localeCompare(b.name))
+    .forEach(([iso, rules]) => {
+      const option = document.createElement('option');
+      option.value = iso;
+      option.textContent = `${rules.name} (+${rules.code})`;
+      select.appendChild(option);
+    });
+
+  select.addEventListener('change', async () => {
+    try {
+      await saveDefaultCountry(select.value);
+      onCountryChanged(select.value);
+    } catch (error) {
+      console.error('Error saving the default country:', error);
+      toast('Could not save the default country', 'error');
+    }
+  });
+
+  select.value = await loadDefaultCountry();
+}
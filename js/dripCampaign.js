@@ -0,0 +1,133 @@
+// js/dripCampaign.js - Later steps of a drip campaign ("Day 2 reminder if no reply"). The
+// composer message is day 0; the background worker runs the rest (see utils/dripCampaigns.js).
+import { MAX_DRIP_STEPS, MAX_DRIP_DAY, normalizeDripSteps } from './utils/dripCampaigns.js';
+
+const STORAGE_KEY = 'dripCampaign';
+const DEFAULT_DAY_GAP = 2;
+
+let settings = { enabled: false, steps: [] };
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function saveSettings() {
+  chrome.storage.local.set({ [STORAGE_KEY]: settings }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error saving drip campaign steps:', chrome.runtime.lastError);
+    }
+  });
+}
+
+function renderStep(step) {
+  const card = document.createElement('div');
+  card.className = 'follow-up-step';
+
+  const header = document.createElement('div');
+  header.className = 'follow-up-step-header';
+  const dayLabel = document.createElement('label');
+  dayLabel.append('Day ');
+  const day = document.createElement('input');
+  day.type = 'number';
+  day.min = '1';
+  day.max = String(MAX_DRIP_DAY);
+  day.value = step.dayOffset;
+  day.title = 'Days after the campaign starts';
+  day.addEventListener('change', () => {
+    step.dayOffset = Math.min(MAX_DRIP_DAY, Math.max(1, parseInt(day.value, 10) || 1));
+    day.value = step.dayOffset;
+    saveSettings();
+  });
+  dayLabel.appendChild(day);
+  const noReply = document.createElement('label');
+  noReply.className = 'drip-no-reply';
+  const noReplyInput = document.createElement('input');
+  noReplyInput.type = 'checkbox';
+  noReplyInput.checked = step.skipReplied;
+  noReplyInput.addEventListener('change', () => {
+    step.skipReplied = noReplyInput.checked;
+    saveSettings();
+  });
+  noReply.append(noReplyInput, ' Only if no reply');
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'follow-up-remove';
+  remove.title = 'Remove this step';
+  remove.innerHTML = '<i class="ri-close-line"></i>';
+  remove.addEventListener('click', () => {
+    settings.steps = settings.steps.filter(s => s !== step);
+    saveSettings();
+    renderSteps();
+  });
+  header.append(dayLabel, noReply, remove);
+
+  const text = document.createElement('textarea');
+  text.rows = 3;
+  text.placeholder = 'Message for this day – variables and spintax work here too';
+  text.value = step.message;
+  text.addEventListener('input', () => {
+    step.message = text.value;
+    saveSettings();
+  });
+
+  card.append(header, text);
+  return card;
+}
+
+function renderSteps() {
+  const list = $('dripStepList');
+  list.innerHTML = '';
+  settings.steps.forEach(step => list.appendChild(renderStep(step)));
+  $('addDripStepBtn').disabled = settings.steps.length >= MAX_DRIP_STEPS;
+}
+
+function addStep() {
+  if (settings.steps.length >= MAX_DRIP_STEPS) {
+    return;
+  }
+  const lastDay = Math.max(0, ...settings.steps.map(step => step.dayOffset));
+  settings.steps.push({
+    id: 'drip_' + Date.now(),
+    dayOffset: Math.min(MAX_DRIP_DAY, lastDay + DEFAULT_DAY_GAP),
+    message: '',
+    skipReplied: true,
+  });
+  saveSettings();
+  renderSteps();
+}
+
+/**
+ * Later steps for the campaign settings (`dripSteps`), or null when the drip is off.
+ * @returns {?Array<{dayOffset: number, message: string, skipReplied: boolean}>}
+ * @throws {Error} when the drip is on but no step has a message
+ */
+export function getDripStepsForCampaign() {
+  if (!settings.enabled) {
+    return null;
+  }
+  const steps = normalizeDripSteps(settings.steps);
+  if (steps.length === 0) {
+    throw new Error('Add a message to at least one drip step, or turn the drip campaign off');
+  }
+  return steps;
+}
+
+export function initDripCampaign() {
+  const toggle = $('dripEnabled');
+  if (!toggle) {
+    return;
+  }
+  toggle.addEventListener('change', () => {
+    settings.enabled = toggle.checked;
+    $('dripPanel').style.display = settings.enabled ? 'block' : 'none';
+    saveSettings();
+  });
+  $('addDripStepBtn').addEventListener('click', addStep);
+
+  chrome.storage.local.get([STORAGE_KEY], result => {
+    settings = { ...settings, ...(result[STORAGE_KEY] || {}) };
+    toggle.checked = settings.enabled;
+    $('dripPanel').style.display = settings.enabled ? 'block' : 'none';
+    renderSteps();
+  });
+}
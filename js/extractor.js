@@ -2,6 +2,7 @@
 
 // Import modals
 import { showLicenseRequiredModal, showLicenseVerificationFailedModal } from './modals.js';
+import { saveAudience } from './utils/audienceDB.js';
 
 // Store event listener references for cleanup
 let eventListeners = new Map();
@@ -922,4 +923,29 @@ if(document.getElementById('exportContactsBtn')){
     const filename = `extracted_${lastExportType}.csv`;
     downloadCSV(csv, filename);
   });
-}
\ No newline at end of file
+}
+
+// Save button: keeps the extracted contacts as an audience the sender can pick as contact source
+if(document.getElementById('saveAudienceBtn')){
+  document.getElementById('saveAudienceBtn').addEventListener('click', async () => {
+    if(!currentContacts.length){
+      localToast('Nothing to save','error');
+      return;
+    }
+    const name = prompt('Audience name', `Extracted ${lastExportType} ${new Date().toLocaleDateString()}`);
+    if(name === null){
+      return;
+    }
+    try {
+      const contacts = currentContacts.map(item => ({
+        Name: item.name ?? item.contactName ?? item.Name ?? '',
+        Phone: item.phoneNumber ?? item.number ?? item.Phone ?? item.phone ?? '',
+      }));
+      const record = await saveAudience({ name, source: 'extractor', tags: [lastExportType], contacts });
+      localToast(`Saved ${record.contacts.length} contacts as "${record.name}"`, 'success');
+    } catch (error) {
+      console.error('Error saving audience:', error);
+      localToast('Could not save the audience', 'error');
+    }
+  });
+}
@@ -1,5 +1,12 @@
 // js/messageComposer.js
+/* global WATemplate, WASpintax */
 import { toast } from './utils.js';
+// Plain scripts (also used as content scripts); they publish WASpintax and WATemplate on
+// globalThis
+import './utils/spintax.js';
+import './utils/templateEngine.js';
+
+const SPINTAX_SAMPLE_SIZE = 3;
 
 // Insert text into the editor (e.g., variables like {{Name}})
 export function insertTextIntoEditor(editor, text, isHtml = false) {
@@ -66,36 +73,70 @@ export function insertTextIntoEditor(editor, text, isHtml = false) {
   }
 }
 
-// Validate variables (e.g., {{Name}}) against parsed CSV/Excel data
+// Validate template tags ({{Name}}, {{Name|there}}, {{#if City}}...) against parsed CSV/Excel data.
+// Only errors block sending; empty-value warnings are shown in the message preview instead.
 export function validateVariables(editor, parsedData, variableError) {
   const markdown = htmlToWhatsAppMarkdown(editor.innerHTML);
-  const variableRegex = /\{\{([^}]+)\}\}/g;
-  let match;
-  const variables = [];
-  while ((match = variableRegex.exec(markdown)) !== null) {
-    variables.push(match[1].trim());
-  }
-  if (!variables.length) {
+  const rows = Array.isArray(parsedData) ? parsedData.filter(row => row && typeof row === 'object') : [];
+  const headers = rows.length ? Object.keys(rows[0]) : [];
+  const { errors } = WATemplate.validateTemplate(markdown, headers, rows);
+  if (!errors.length) {
     variableError.style.display = "none";
     variableError.textContent = "";
     return { isValid: true };
   }
-  if (!Array.isArray(parsedData) || parsedData.length === 0) {
-    variableError.style.display = "block";
-    variableError.textContent = "Please import a contact list (CSV/Excel) to use variables in your message. The column headers in your file will be available as variables.";
-    return { isValid: false, invalidVariable: "No contacts imported" };
+  variableError.style.display = 'block';
+  variableError.textContent = errors.join('\n');
+  return { isValid: false, invalidVariable: errors[0] };
+}
+
+// Preview the message as the first contacts will receive it: a few random spintax variants
+// (with the number of combinations) and the template filled in from the real contact rows.
+// Hidden while the message has neither {a|b} groups nor {{...}} tags to fill in.
+export function updateSpintaxPreview(editor, parsedData) {
+  const container = document.getElementById('spintaxPreview');
+  if (!editor || !container) {
+    return;
   }
-  const headers = Object.keys(parsedData[0]).map(header => header.toLowerCase());
-  for (const variable of variables) {
-    if (!headers.includes(variable.toLowerCase())) {
-      variableError.style.display = "block";
-      variableError.textContent = `The variable "{{${variable}}}" doesn't match any column in your contact list. Available columns are: ${headers.join(', ')}. Make sure your CSV/Excel file has a column named "${variable}".`;
-      return { isValid: false, invalidVariable: `{{${variable}}}` };
-    }
+
+  const markdown = htmlToWhatsAppMarkdown(editor.innerHTML);
+  const contacts = Array.isArray(parsedData) ? parsedData.filter(c => c && typeof c === 'object') : [];
+  const spintax = WASpintax.hasSpintax(markdown);
+  const templated = /\{\{[^{}]*\}\}/.test(markdown) && contacts.length > 0;
+  if (!spintax && !templated) {
+    container.style.display = 'none';
+    return;
   }
-  variableError.style.display = "none";
-  variableError.textContent = "";
-  return { isValid: true };
+
+  const combinations = spintax ? WASpintax.countSpintaxCombinations(markdown) : 1;
+  document.getElementById('spintaxCombinationCount').textContent =
+    combinations > 1000000 ? '1,000,000+' : combinations.toLocaleString();
+  document.getElementById('spintaxCombinationSummary').style.display = spintax ? '' : 'none';
+  document.getElementById('spintaxShuffleBtn').style.display = spintax ? '' : 'none';
+
+  const variants = spintax
+    ? WASpintax.sampleSpintaxVariants(markdown, SPINTAX_SAMPLE_SIZE)
+    : Array(Math.min(SPINTAX_SAMPLE_SIZE, contacts.length)).fill(markdown);
+  const list = document.getElementById('spintaxVariantList');
+  list.innerHTML = '';
+  variants.forEach((variant, i) => {
+    const contact = contacts.length ? contacts[i % contacts.length] : null;
+    const item = document.createElement('li');
+    item.textContent = contact ? WATemplate.renderTemplate(variant, contact) : variant;
+    list.appendChild(item);
+  });
+
+  const headers = contacts.length ? Object.keys(contacts[0]) : [];
+  const { warnings } = WATemplate.validateTemplate(markdown, headers, contacts);
+  const warningList = document.getElementById('templateWarningList');
+  warningList.innerHTML = '';
+  warnings.forEach(warning => {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    warningList.appendChild(item);
+  });
+  warningList.style.display = warnings.length ? 'block' : 'none';
+  container.style.display = 'block';
 }
 
 // Convert editor HTML to WhatsApp markdown, preserving exact line breaks
@@ -0,0 +1,189 @@
+// js/messagePreview.js - Page through the contact list and show the message each recipient gets
+/* global WATemplate, WASpintax */
+import { htmlToWhatsAppMarkdown } from './messageComposer.js';
+import { contactPhone } from './utils/optOutList.js';
+// Plain scripts (also used as content scripts); they publish WASpintax and WATemplate on
+// globalThis
+import './utils/spintax.js';
+import './utils/templateEngine.js';
+
+const ATTACHMENT_ICONS = {
+  image: 'ri-image-line',
+  video: 'ri-video-line',
+  pdf: 'ri-file-pdf-2-line',
+};
+
+let attachmentObjectUrl = null;
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render WhatsApp markdown the way the chat shows it: ```monospace```, *bold*, _italic_,
+ * ~strikethrough~. Markers only count when they hug a word, as in WhatsApp itself.
+ * @param {string} text
+ * @returns {string} HTML
+ */
+export function formatWhatsAppText(text) {
+  const code = [];
+  let html = escapeHtml(text).replace(/```([\s\S]+?)```/g, (_, inner) => {
+    code.push(inner);
+    return `\uE000${code.length - 1}\uE000`;
+  });
+  [['*', 'b'], ['_', 'i'], ['~', 's']].forEach(([marker, tag]) => {
+    const m = `\\${marker}`;
+    const pattern = new RegExp(`(^|[\\s\\W])${m}(?=\\S)([^${m}\\n]*?\\S)${m}(?=$|[\\s\\W])`, 'g');
+    html = html.replace(pattern, `$1<${tag}>$2</${tag}>`);
+  });
+  return html.replace(/\uE000(\d+)\uE000/g, (_, i) => `<code>${code[Number(i)]}</code>`);
+}
+
+/**
+ * The message one contact would receive. Spintax is picked at random, just like at send time.
+ * @returns {{message: string, emptyVariables: string[]}}
+ */
+export function getRecipientMessage(markdown, contact) {
+  return {
+    message: WATemplate.renderTemplate(WASpintax.resolveSpintax(markdown), contact),
+    emptyVariables: WATemplate.findEmptyVariables(markdown, contact),
+  };
+}
+
+/**
+ * Indexes of contacts that would receive a message with an empty variable.
+ * @returns {number[]}
+ */
+export function findFlaggedRows(markdown, contacts) {
+  const flagged = [];
+  contacts.forEach((contact, i) => {
+    if (WATemplate.findEmptyVariables(markdown, contact).length) {
+      flagged.push(i);
+    }
+  });
+  return flagged;
+}
+
+function contactName(contact) {
+  const key = Object.keys(contact).find(k => k.trim().toLowerCase() === 'name');
+  return key ? String(contact[key] ?? '').trim() : '';
+}
+
+function renderAttachmentPreview(container, attachment) {
+  if (attachmentObjectUrl) {
+    URL.revokeObjectURL(attachmentObjectUrl);
+    attachmentObjectUrl = null;
+  }
+  container.innerHTML = '';
+  if (!attachment) {
+    container.style.display = 'none';
+    return;
+  }
+
+  let imageSrc = null;
+  if (attachment.type === 'image') {
+    if (attachment.file) {
+      attachmentObjectUrl = URL.createObjectURL(attachment.file);
+      imageSrc = attachmentObjectUrl;
+    } else if (attachment.base64String) {
+      imageSrc = attachment.base64String;
+    }
+  }
+
+  if (imageSrc) {
+    const img = document.createElement('img');
+    img.src = imageSrc;
+    img.alt = attachment.name;
+    container.appendChild(img);
+  } else {
+    const chip = document.createElement('div');
+    chip.className = 'recipient-preview-file';
+    const icon = document.createElement('i');
+    icon.className = ATTACHMENT_ICONS[attachment.type] || 'ri-file-line';
+    const name = document.createElement('span');
+    name.textContent = `${attachment.name} · ${attachment.size}`;
+    chip.append(icon, name);
+    container.appendChild(chip);
+  }
+  container.style.display = 'block';
+}
+
+/**
+ * Fill the "Message Preview" section for the contact at `index` (clamped to the list).
+ * @param {HTMLElement} editor - composer editor
+ * @param {Array<Object>} parsedData - imported contacts
+ * @param {Object|null} attachment - current attachment from attachmentManager.js
+ * @param {number} index - zero-based contact index
+ * @returns {number} the index actually shown
+ */
+export function renderRecipientPreview(editor, parsedData, attachment, index) {
+  const panel = document.getElementById('recipientPreviewPanel');
+  const emptyState = document.getElementById('recipientPreviewEmpty');
+  if (!editor || !panel || !emptyState) {
+    return 0;
+  }
+
+  const contacts = Array.isArray(parsedData) ? parsedData.filter(c => c && typeof c === 'object') : [];
+  const markdown = htmlToWhatsAppMarkdown(editor.innerHTML);
+  if (!contacts.length || (!markdown && !attachment)) {
+    panel.style.display = 'none';
+    emptyState.style.display = 'block';
+    emptyState.textContent = contacts.length
+      ? 'Write a message to preview it.'
+      : 'Import contacts to preview the message each recipient will get.';
+    return 0;
+  }
+  panel.style.display = 'block';
+  emptyState.style.display = 'none';
+
+  const current = Math.min(Math.max(0, Math.floor(index) || 0), contacts.length - 1);
+  const contact = contacts[current];
+  const { message, emptyVariables } = getRecipientMessage(markdown, contact);
+
+  document.getElementById('recipientPreviewIndex').value = current + 1;
+  document.getElementById('recipientPreviewIndex').max = contacts.length;
+  document.getElementById('recipientPreviewTotal').textContent = contacts.length;
+  document.getElementById('recipientPreviewPrevBtn').disabled = current === 0;
+  document.getElementById('recipientPreviewNextBtn').disabled = current === contacts.length - 1;
+
+  const name = contactName(contact);
+  const phone = contactPhone(contact);
+  document.getElementById('recipientPreviewContact').textContent =
+    name && name !== phone ? `${name} · ${phone || 'no phone number'}` : phone || 'No phone number';
+
+  renderAttachmentPreview(document.getElementById('recipientPreviewAttachment'), attachment);
+  const messageEl = document.getElementById('recipientPreviewMessage');
+  messageEl.innerHTML = formatWhatsAppText(message);
+  messageEl.style.display = message ? 'block' : 'none';
+
+  const flag = document.getElementById('recipientPreviewFlag');
+  flag.style.display = emptyVariables.length ? 'block' : 'none';
+  flag.textContent = emptyVariables.length
+    ? `Empty for this contact: ${emptyVariables.map(v => `{{${v}}}`).join(', ')}`
+    : '';
+
+  const flagged = findFlaggedRows(markdown, contacts);
+  document.getElementById('recipientPreviewFlagSummary').textContent = flagged.length
+    ? `${flagged.length} of ${contacts.length} contacts have empty variables`
+    : 'No contacts with empty variables';
+  document.getElementById('recipientPreviewNextFlaggedBtn').disabled = flagged.length === 0;
+
+  return current;
+}
+
+/**
+ * Next contact (after `index`, wrapping around) with an empty variable, or `index` if none.
+ * @returns {number}
+ */
+export function findNextFlaggedRow(editor, parsedData, index) {
+  const contacts = Array.isArray(parsedData) ? parsedData.filter(c => c && typeof c === 'object') : [];
+  const flagged = findFlaggedRows(htmlToWhatsAppMarkdown(editor.innerHTML), contacts);
+  if (!flagged.length) {
+    return index;
+  }
+  return flagged.find(i => i > index) ?? flagged[0];
+}
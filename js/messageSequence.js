@@ -0,0 +1,222 @@
+// js/messageSequence.js - Follow-up messages sent to each contact after the composer message
+import { toast, fileToBase64 } from './utils.js';
+import { storeAttachmentCopy, loadAttachmentCopy, deleteAttachmentCopy } from './attachmentManager.js';
+
+const STORAGE_KEY = 'messageSequence';
+// The composer message plus up to four follow-ups
+const MAX_FOLLOW_UPS = 4;
+const DEFAULT_DELAY_SECONDS = 5;
+const MAX_DELAY_SECONDS = 3600;
+const ATTACHMENT_TYPES = {
+  'image/jpeg': 'image',
+  'image/png': 'image',
+  'video/mp4': 'video',
+  'video/webm': 'video',
+  'application/pdf': 'pdf',
+};
+// Same limits as the composer attachment (attachmentManager.js)
+const MAX_ATTACHMENT_MB = { image: 5, pdf: 5, video: 5.25 };
+const ATTACHMENT_ICONS = {
+  image: 'ri-image-line',
+  video: 'ri-video-line',
+  pdf: 'ri-file-pdf-2-line',
+};
+
+let followUps = [];
+
+function createId() {
+  return 'fu_' + Date.now() + '_' + Math.floor(Math.random() * 1e5);
+}
+
+function saveFollowUps() {
+  chrome.storage.local.set({ [STORAGE_KEY]: followUps }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error saving follow-up messages:', chrome.runtime.lastError);
+    }
+  });
+}
+
+async function releaseAttachment(attachment) {
+  if (!attachment || !attachment.ref) {
+    return;
+  }
+  try {
+    await deleteAttachmentCopy(attachment.ref);
+  } catch (error) {
+    console.warn('Could not delete follow-up attachment', attachment.ref, error);
+  }
+}
+
+function renderFollowUps() {
+  const list = document.getElementById('followUpList');
+  if (!list) {
+    return;
+  }
+  list.innerHTML = '';
+  followUps.forEach((followUp, i) => list.appendChild(renderStep(followUp, i)));
+  document.getElementById('addFollowUpBtn').disabled = followUps.length >= MAX_FOLLOW_UPS;
+}
+
+function renderStep(followUp, i) {
+  const card = document.createElement('div');
+  card.className = 'follow-up-step';
+
+  const header = document.createElement('div');
+  header.className = 'follow-up-step-header';
+  const title = document.createElement('strong');
+  // The composer message is message 1
+  title.textContent = `Message ${i + 2}`;
+  const delayLabel = document.createElement('label');
+  delayLabel.append('Wait ');
+  const delay = document.createElement('input');
+  delay.type = 'number';
+  delay.min = '0';
+  delay.max = String(MAX_DELAY_SECONDS);
+  delay.value = followUp.delaySeconds;
+  delay.addEventListener('change', () => {
+    const seconds = Math.min(MAX_DELAY_SECONDS, Math.max(0, parseInt(delay.value, 10) || 0));
+    delay.value = seconds;
+    followUp.delaySeconds = seconds;
+    saveFollowUps();
+  });
+  delayLabel.append(delay, ' s before sending');
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'follow-up-remove';
+  remove.title = 'Remove this follow-up';
+  remove.innerHTML = '<i class="ri-close-line"></i>';
+  remove.addEventListener('click', () => removeFollowUp(followUp.id));
+  header.append(title, delayLabel, remove);
+
+  const text = document.createElement('textarea');
+  text.rows = 3;
+  text.placeholder = 'Follow-up text – used as the caption when a file is attached';
+  text.value = followUp.message;
+  text.addEventListener('input', () => {
+    followUp.message = text.value;
+    saveFollowUps();
+  });
+
+  const attachmentRow = document.createElement('div');
+  attachmentRow.className = 'follow-up-attachment';
+  if (followUp.attachment) {
+    const icon = document.createElement('i');
+    icon.className = ATTACHMENT_ICONS[followUp.attachment.type] || 'ri-attachment-2';
+    const name = document.createElement('span');
+    name.textContent = `${followUp.attachment.name} (${followUp.attachment.size})`;
+    const detach = document.createElement('button');
+    detach.type = 'button';
+    detach.className = 'follow-up-remove';
+    detach.title = 'Remove attachment';
+    detach.innerHTML = '<i class="ri-delete-bin-line"></i>';
+    detach.addEventListener('click', () => removeAttachment(followUp));
+    attachmentRow.append(icon, name, detach);
+  } else {
+    const picker = document.createElement('label');
+    picker.className = 'follow-up-attach-btn';
+    picker.innerHTML = '<i class="ri-attachment-2"></i> Attach image, video or PDF';
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.className = 'hidden';
+    input.accept = Object.keys(ATTACHMENT_TYPES).join(',');
+    input.addEventListener('change', () => attachFile(followUp, input));
+    picker.appendChild(input);
+    attachmentRow.appendChild(picker);
+  }
+
+  card.append(header, text, attachmentRow);
+  return card;
+}
+
+function addFollowUp() {
+  if (followUps.length >= MAX_FOLLOW_UPS) {
+    return;
+  }
+  followUps.push({ id: createId(), message: '', delaySeconds: DEFAULT_DELAY_SECONDS, attachment: null });
+  saveFollowUps();
+  renderFollowUps();
+}
+
+async function removeFollowUp(id) {
+  const followUp = followUps.find(f => f.id === id);
+  followUps = followUps.filter(f => f.id !== id);
+  saveFollowUps();
+  renderFollowUps();
+  await releaseAttachment(followUp && followUp.attachment);
+}
+
+async function attachFile(followUp, input) {
+  const file = input.files && input.files[0];
+  input.value = '';
+  if (!file) {
+    return;
+  }
+  const type = ATTACHMENT_TYPES[file.type];
+  if (!type) {
+    toast('Only JPEG/PNG images, MP4/WebM videos and PDF documents can be attached', 'error');
+    return;
+  }
+  const sizeMB = file.size / 1048576;
+  if (sizeMB > MAX_ATTACHMENT_MB[type]) {
+    toast(`The file is ${sizeMB.toFixed(2)} MB – ${type} attachments are limited to ${MAX_ATTACHMENT_MB[type]} MB`, 'error');
+    return;
+  }
+  try {
+    followUp.attachment = await storeAttachmentCopy({
+      file,
+      name: file.name,
+      type,
+      size: sizeMB.toFixed(2) + ' MB',
+    });
+    saveFollowUps();
+    renderFollowUps();
+  } catch (error) {
+    console.error('Error saving follow-up attachment:', error);
+    toast('Failed to save attachment', 'error');
+  }
+}
+
+async function removeAttachment(followUp) {
+  const previous = followUp.attachment;
+  followUp.attachment = null;
+  saveFollowUps();
+  renderFollowUps();
+  await releaseAttachment(previous);
+}
+
+/**
+ * Follow-ups ready to travel with the campaign settings: empty steps are dropped and
+ * attachments are inlined as Base64 like the composer attachment.
+ * @returns {Promise<Array<{message: string, delaySeconds: number,
+ *   attachment: ?{name: string, type: string, size: string, base64String: string}}>>}
+ * @throws {Error} when a follow-up's attachment can no longer be read
+ */
+export async function getFollowUpsForCampaign() {
+  const steps = followUps.filter(f => f.message.trim() || f.attachment);
+  const result = [];
+  for (const [i, followUp] of steps.entries()) {
+    let attachment = null;
+    if (followUp.attachment) {
+      const file = await loadAttachmentCopy(followUp.attachment.ref);
+      if (!file) {
+        throw new Error(`The attachment of follow-up ${i + 1} (${followUp.attachment.name}) is missing – please attach it again`);
+      }
+      const { name, type, size } = followUp.attachment;
+      attachment = { name, type, size, base64String: await fileToBase64(file) };
+    }
+    result.push({ message: followUp.message, delaySeconds: followUp.delaySeconds, attachment });
+  }
+  return result;
+}
+
+export function initMessageSequence() {
+  const addButton = document.getElementById('addFollowUpBtn');
+  if (!addButton) {
+    return;
+  }
+  addButton.addEventListener('click', addFollowUp);
+  chrome.storage.local.get([STORAGE_KEY], result => {
+    followUps = Array.isArray(result[STORAGE_KEY]) ? result[STORAGE_KEY] : [];
+    renderFollowUps();
+  });
+}
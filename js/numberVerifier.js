@@ -0,0 +1,180 @@
+// js/numberVerifier.js - "Verify numbers": before launch, ask WhatsApp (through the open
+// WhatsApp Web tab) which numbers of the contact list have an account, so dead numbers can be
+// dropped instead of being found one failed chat at a time during the campaign.
+import { toast } from './utils.js';
+import { contactPhone } from './utils/optOutList.js';
+import { NUMBER_STATUS, getNumberChecks, saveNumberChecks } from './utils/numberCheck.js';
+
+// Numbers per request to the tab; the injector looks them up one by one
+const CHUNK_SIZE = 20;
+const STATUS_LABELS = {
+  [NUMBER_STATUS.ON_WHATSAPP]: 'On WhatsApp',
+  [NUMBER_STATUS.NOT_ON_WHATSAPP]: 'Not on WhatsApp',
+  [NUMBER_STATUS.UNKNOWN]: 'Unknown',
+};
+
+let statuses = {};
+let checking = false;
+let stopRequested = false;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+async function getContactList() {
+  const stored = await chrome.storage.local.get('parsedData');
+  return Array.isArray(stored.parsedData) ? stored.parsedData : [];
+}
+
+async function findWhatsAppTab() {
+  const tabs = await chrome.tabs.query({ url: 'https://web.whatsapp.com/*' });
+  return tabs[0] || null;
+}
+
+function countStatuses(contacts) {
+  const counts = { on_whatsapp: 0, not_on_whatsapp: 0, unknown: 0, pending: 0 };
+  contacts.forEach(contact => {
+    const status = statuses[contactPhone(contact)];
+    counts[status || 'pending']++;
+  });
+  return counts;
+}
+
+// Rows that need attention; numbers on WhatsApp are only counted
+function renderResults(contacts, checked, total) {
+  const counts = countStatuses(contacts);
+  const progress = total ? Math.round((checked / total) * 100) : 100;
+  $('numberCheckProgressBar').style.width = `${progress}%`;
+  $('numberCheckSummary').textContent = checking
+    ? `Checking ${checked}/${total}…`
+    : `${counts.on_whatsapp} on WhatsApp · ${counts.not_on_whatsapp} not on WhatsApp · ${counts.unknown} unknown`;
+
+  const list = $('numberCheckList');
+  list.innerHTML = '';
+  contacts.forEach(contact => {
+    const number = contactPhone(contact);
+    const status = statuses[number];
+    if (!status || status === NUMBER_STATUS.ON_WHATSAPP) {
+      return;
+    }
+    const item = document.createElement('li');
+    const label = document.createElement('span');
+    // Typed numbers keep the raw input as their Name
+    const hasName = contact.Name && String(contact.Name).replace(/\D/g, '') !== number;
+    const name = hasName ? ` – ${contact.Name}` : '';
+    label.textContent = `+${number}${name}`;
+    const badge = document.createElement('span');
+    badge.className = `number-check-status ${status}`;
+    badge.textContent = STATUS_LABELS[status];
+    item.append(label, badge);
+    list.appendChild(item);
+  });
+
+  const removable = counts.not_on_whatsapp + ($('numberCheckDropUnknown').checked ? counts.unknown : 0);
+  $('numberCheckActions').style.display = !checking && (counts.not_on_whatsapp || counts.unknown) ? 'flex' : 'none';
+  $('dropUnreachableBtn').disabled = removable === 0;
+}
+
+async function verifyNumbers() {
+  if (checking) {
+    return;
+  }
+  const contacts = await getContactList();
+  const numbers = [...new Set(contacts.map(contactPhone).filter(Boolean))];
+  if (numbers.length === 0) {
+    toast('Add contacts before verifying numbers', 'error');
+    return;
+  }
+
+  const cached = await getNumberChecks(numbers);
+  statuses = {};
+  Object.entries(cached).forEach(([number, entry]) => {
+    statuses[number] = entry.status;
+  });
+  const pending = numbers.filter(number => !statuses[number]);
+
+  checking = true;
+  stopRequested = false;
+  $('numberCheckPanel').style.display = 'block';
+  $('stopNumberCheckBtn').style.display = '';
+  $('verifyNumbersBtn').disabled = true;
+  let checked = numbers.length - pending.length;
+  renderResults(contacts, checked, numbers.length);
+
+  try {
+    const tab = pending.length ? await findWhatsAppTab() : null;
+    if (pending.length && !tab) {
+      throw new Error('Open WhatsApp Web to verify numbers');
+    }
+    for (let i = 0; i < pending.length && !stopRequested; i += CHUNK_SIZE) {
+      const chunk = pending.slice(i, i + CHUNK_SIZE);
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'checkWhatsAppNumbers', numbers: chunk });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'WhatsApp Web did not answer');
+      }
+      if (response.supported === false) {
+        throw new Error('This WhatsApp Web version does not allow number lookups');
+      }
+      chunk.forEach(number => {
+        statuses[number] = response.results[number] || NUMBER_STATUS.UNKNOWN;
+      });
+      await saveNumberChecks(response.results);
+      checked += chunk.length;
+      renderResults(contacts, checked, numbers.length);
+    }
+  } catch (error) {
+    console.error('Number verification failed:', error);
+    toast(error.message, 'error');
+  } finally {
+    checking = false;
+    $('stopNumberCheckBtn').style.display = 'none';
+    $('verifyNumbersBtn').disabled = false;
+    renderResults(contacts, checked, numbers.length);
+  }
+}
+
+/**
+ * @param {function(Array<Object>): void} onContactsChanged - applies the shortened contact list
+ */
+export function initNumberVerifier(onContactsChanged) {
+  const button = $('verifyNumbersBtn');
+  if (!button) {
+    return;
+  }
+  button.addEventListener('click', verifyNumbers);
+  $('stopNumberCheckBtn').addEventListener('click', () => {
+    stopRequested = true;
+  });
+  $('numberCheckDropUnknown').addEventListener('change', async () => {
+    renderResults(await getContactList(), 0, 0);
+  });
+  $('dropUnreachableBtn').addEventListener('click', async () => {
+    const dropUnknown = $('numberCheckDropUnknown').checked;
+    const contacts = await getContactList();
+    const kept = contacts.filter(contact => {
+      const status = statuses[contactPhone(contact)];
+      if (status === NUMBER_STATUS.UNKNOWN) {
+        return !dropUnknown;
+      }
+      return status !== NUMBER_STATUS.NOT_ON_WHATSAPP;
+    });
+    const removed = contacts.length - kept.length;
+    if (removed === 0 || !confirm(`Remove ${removed} contact${removed === 1 ? '' : 's'} from the list?`)) {
+      return;
+    }
+    onContactsChanged(kept);
+    renderResults(kept, 0, 0);
+    toast(`${removed} contact${removed === 1 ? '' : 's'} removed`, 'success');
+  });
+
+  // A new list makes the last results meaningless
+  document.addEventListener('contactDataUpdated', event => {
+    if (!checking && event.detail && event.detail.parsedData) {
+      const panel = $('numberCheckPanel');
+      const known = event.detail.parsedData.every(contact => statuses[contactPhone(contact)]);
+      if (!known) {
+        panel.style.display = 'none';
+      }
+    }
+  });
+}
@@ -0,0 +1,195 @@
+// js/opt-out.js - Manage the global opt-out list and the STOP keywords that feed it
+import { toast } from './utils.js';
+import {
+  getOptOutList,
+  addOptOutNumbers,
+  removeOptOutNumber,
+  getOptOutSettings,
+  saveOptOutSettings,
+  normalizeOptOutNumber,
+  parseOptOutCSV,
+} from './utils/optOutList.js';
+
+// Store event listener references for cleanup
+const eventListeners = [];
+
+function addEventListenerWithCleanup(element, eventType, handler) {
+  if (!element) {
+    return;
+  }
+  element.addEventListener(eventType, handler);
+  eventListeners.push({ element, eventType, handler });
+}
+
+function cleanupEventListeners() {
+  eventListeners.forEach(({ element, eventType, handler }) => {
+    element.removeEventListener(eventType, handler);
+  });
+  eventListeners.length = 0;
+  chrome.storage.onChanged.removeListener(handleStorageChange);
+}
+
+const SOURCE_LABELS = {
+  manual: 'Manual',
+  import: 'Import',
+  keyword: 'Replied',
+};
+
+let optOutList = [];
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+async function loadOptOuts() {
+  try {
+    optOutList = await getOptOutList();
+    renderList();
+  } catch (error) {
+    console.error('Error loading opt-out list:', error);
+    toast('Failed to load the opt-out list', 'error');
+  }
+}
+
+async function loadSettings() {
+  const settings = await getOptOutSettings();
+  document.getElementById('optOutAutoEnabled').checked = !!settings.autoOptOut;
+  document.getElementById('optOutKeywords').value = settings.keywords.join(', ');
+}
+
+// Keep the table current while replies add numbers in the background
+function handleStorageChange(changes, area) {
+  if (area === 'local' && changes.optOutList) {
+    optOutList = changes.optOutList.newValue || [];
+    renderList();
+  }
+}
+
+function renderList() {
+  const body = document.getElementById('optOutTableBody');
+  if (!body) {
+    return;
+  }
+  const query = normalizeOptOutNumber(document.getElementById('optOutSearch').value);
+  const rows = optOutList
+    .filter(entry => !query || entry.number.includes(query))
+    .sort((a, b) => b.addedAt.localeCompare(a.addedAt));
+
+  document.getElementById('optOutCount').textContent = optOutList.length;
+  body.innerHTML = '';
+  if (rows.length === 0) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = '<td colspan="4" class="optout-table-empty">No numbers</td>';
+    body.appendChild(tr);
+    return;
+  }
+
+  rows.forEach(entry => {
+    const tr = document.createElement('tr');
+    const source = SOURCE_LABELS[entry.source] || entry.source;
+    [entry.number, formatDate(entry.addedAt), entry.keyword ? `${source} "${entry.keyword}"` : source]
+      .forEach(value => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+    const actions = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.className = 'optout-remove-btn';
+    remove.title = 'Remove from opt-out list';
+    remove.innerHTML = '<i class="ri-close-line"></i>';
+    remove.addEventListener('click', () => removeNumber(entry.number));
+    actions.appendChild(remove);
+    tr.appendChild(actions);
+    body.appendChild(tr);
+  });
+}
+
+async function addNumber() {
+  const input = document.getElementById('optOutNumberInput');
+  const number = normalizeOptOutNumber(input.value);
+  if (number.length < 6) {
+    toast('Enter a valid phone number', 'error');
+    return;
+  }
+  try {
+    const added = await addOptOutNumbers([number], 'manual');
+    toast(added ? `${number} added to the opt-out list` : `${number} is already on the list`, added ? 'success' : 'info');
+    input.value = '';
+  } catch (error) {
+    console.error('Error adding opt-out number:', error);
+    toast('Failed to add number', 'error');
+  }
+}
+
+async function removeNumber(number) {
+  if (!confirm(`Remove ${number} from the opt-out list? Campaigns will message this number again.`)) {
+    return;
+  }
+  try {
+    await removeOptOutNumber(number);
+    toast(`${number} removed from the opt-out list`, 'success');
+  } catch (error) {
+    console.error('Error removing opt-out number:', error);
+    toast('Failed to remove number', 'error');
+  }
+}
+
+async function importCSV(event) {
+  const file = event.target.files && event.target.files[0];
+  event.target.value = '';
+  if (!file) {
+    return;
+  }
+  try {
+    const numbers = parseOptOutCSV(await file.text());
+    if (numbers.length === 0) {
+      toast('No phone numbers found in the file', 'warning');
+      return;
+    }
+    const added = await addOptOutNumbers(numbers, 'import');
+    toast(`${added} number${added === 1 ? '' : 's'} added (${numbers.length - added} already listed)`, 'success');
+  } catch (error) {
+    console.error('Opt-out import error', error);
+    toast('Failed to import file: ' + error.message, 'error');
+  }
+}
+
+async function saveKeywordSettings() {
+  const keywords = document.getElementById('optOutKeywords').value
+    .split(',')
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+  try {
+    await saveOptOutSettings({
+      autoOptOut: document.getElementById('optOutAutoEnabled').checked,
+      keywords,
+    });
+    toast('Opt-out keywords saved', 'success');
+  } catch (error) {
+    console.error('Error saving opt-out settings:', error);
+    toast('Failed to save opt-out settings', 'error');
+  }
+}
+
+export function initOptOut() {
+  cleanupEventListeners();
+
+  addEventListenerWithCleanup(document.getElementById('addOptOutNumberBtn'), 'click', addNumber);
+  addEventListenerWithCleanup(document.getElementById('optOutNumberInput'), 'keydown', event => {
+    if (event.key === 'Enter') {
+      addNumber();
+    }
+  });
+  addEventListenerWithCleanup(document.getElementById('optOutImportInput'), 'change', importCSV);
+  addEventListenerWithCleanup(document.getElementById('optOutSearch'), 'input', renderList);
+  addEventListenerWithCleanup(document.getElementById('saveOptOutKeywordsBtn'), 'click', saveKeywordSettings);
+  addEventListenerWithCleanup(document.getElementById('optOutAutoEnabled'), 'change', saveKeywordSettings);
+  chrome.storage.onChanged.addListener(handleStorageChange);
+
+  loadSettings().catch(error => console.error('Error loading opt-out settings:', error));
+  loadOptOuts();
+}
+
+// Register cleanup function with popup.js
+window.currentFeatureCleanup = cleanupEventListeners;
@@ -9,6 +9,7 @@
 
 import { setupConnectionMonitoring } from './utils/shared-components.js';
 import { licenseManager } from './licenseManager.js';
+import { formatScheduledTime } from './utils/scheduleUtils.js';
 
 // ===== Logging Control =====
 // Toggle WA_DEBUG to true to re-enable console output inside the popup.
@@ -35,7 +36,10 @@ const whatsAppNumberStorageKey = 'waUserPhoneNumberResult';
 const FEATURES = {
     sender: { html: 'html/sender.html', js: 'js/sender.js', css: 'css/style.css' },
     extractor: { html: 'html/extractor.html', js: 'js/extractor.js', css: 'css/extractor.css' },
-    campaignProgress: { html: 'html/campaign-progress.html', js: 'js/campaign-progress.js', css: 'css/campaign.css' }
+    campaignProgress: { html: 'html/campaign-progress.html', js: 'js/campaign-progress.js', css: 'css/campaign.css' },
+    history: { html: 'html/campaign-history.html', js: 'js/campaign-history.js', css: 'css/history.css' },
+    autoResponder: { html: 'html/auto-responder.html', js: 'js/auto-responder.js', css: 'css/auto-responder.css' },
+    optOut: { html: 'html/opt-out.html', js: 'js/opt-out.js', css: 'css/opt-out.css' },
 };
 
 /* ─────────── Helper Functions ─────────── */
@@ -111,6 +115,12 @@ async function loadFeature(featureKey) {
             } else if (featureKey === 'campaignProgress' && typeof module.initCampaignProgress === 'function') {
                 console.log('Calling initCampaignProgress()');
                 module.initCampaignProgress();
+            } else if (featureKey === 'history' && typeof module.initCampaignHistory === 'function') {
+                module.initCampaignHistory();
+            } else if (featureKey === 'autoResponder' && typeof module.initAutoResponder === 'function') {
+                module.initAutoResponder();
+            } else if (featureKey === 'optOut' && typeof module.initOptOut === 'function') {
+                module.initOptOut();
             } else if (typeof module.init === 'function') {
                 console.log('Calling generic init()');
                 module.init();
@@ -176,6 +186,8 @@ async function handleBackNavigation() {
             
             // Check for active campaign
             checkActiveCampaign();
+            renderScheduledCampaigns();
+            renderDripCampaigns();
         } else {
             // Fallback: Load popup.html content
             const response = await fetch(chrome.runtime.getURL('popup.html'));
@@ -195,6 +207,8 @@ async function handleBackNavigation() {
                 initializeButtons();
                 initializeCampaignControls();
                 checkActiveCampaign();
+                renderScheduledCampaigns();
+                renderDripCampaigns();
             } else {
                 throw new Error('Content area not found in popup.html');
             }
@@ -251,6 +265,131 @@ function paintCampaign(status, campaign) {
     if(btn) btn.style.display='block';
 }
 
+/* ─────────── Scheduled Campaigns ─────────── */
+async function renderScheduledCampaigns() {
+    const container = $('scheduledCampaigns');
+    const list = $('scheduledCampaignList');
+    if (!container || !list) {
+        return;
+    }
+
+    let scheduled = [];
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getScheduledCampaigns' });
+        if (response && response.success) {
+            scheduled = response.scheduledCampaigns || [];
+        }
+    } catch (error) {
+        console.error('Error loading scheduled campaigns:', error);
+    }
+
+    list.innerHTML = '';
+    container.style.display = scheduled.length ? 'block' : 'none';
+
+    scheduled.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = `scheduled-item ${entry.status}`;
+
+        const info = document.createElement('div');
+        const time = document.createElement('div');
+        time.className = 'scheduled-time';
+        time.textContent = formatScheduledTime(entry.scheduledAt, entry.timeZone);
+        const meta = document.createElement('div');
+        meta.className = 'scheduled-meta';
+        if (entry.status === 'scheduled') {
+            meta.textContent = `${entry.totalContacts} contacts` + (entry.lastError ? ` · waiting: ${entry.lastError}` : '');
+        } else {
+            meta.textContent = `Not started: ${entry.error || entry.status}`;
+        }
+        info.append(time, meta);
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'scheduled-cancel';
+        cancelBtn.title = entry.status === 'scheduled' ? 'Cancel scheduled campaign' : 'Dismiss';
+        cancelBtn.innerHTML = '<i class="ri-close-line"></i>';
+        cancelBtn.addEventListener('click', async () => {
+            if (entry.status === 'scheduled' && !confirm('Cancel this scheduled campaign?')) {
+                return;
+            }
+            const result = await chrome.runtime.sendMessage({ action: 'cancelScheduledCampaign', scheduleId: entry.id });
+            if (result && result.success) {
+                if (entry.status === 'scheduled') {
+                    showToast('Scheduled campaign cancelled', 'info');
+                }
+            } else {
+                showToast(result?.error || 'Failed to cancel scheduled campaign', 'error');
+            }
+            renderScheduledCampaigns();
+        });
+
+        item.append(info, cancelBtn);
+        list.appendChild(item);
+    });
+}
+
+/* ─────────── Drip Campaigns ─────────── */
+async function renderDripCampaigns() {
+    const container = $('dripCampaigns');
+    const list = $('dripCampaignList');
+    if (!container || !list) {
+        return;
+    }
+
+    let drips = [];
+    try {
+        const response = await chrome.runtime.sendMessage({ action: 'getDripCampaigns' });
+        if (response && response.success) {
+            drips = response.dripCampaigns || [];
+        }
+    } catch (error) {
+        console.error('Error loading drip campaigns:', error);
+    }
+
+    list.innerHTML = '';
+    container.style.display = drips.length ? 'block' : 'none';
+
+    drips.forEach(drip => {
+        const item = document.createElement('li');
+        item.className = `scheduled-item ${drip.status}`;
+
+        const info = document.createElement('div');
+        const title = document.createElement('div');
+        title.className = 'scheduled-time';
+        title.textContent = drip.nextStep
+            ? `Day ${drip.nextStep.day}: ${formatScheduledTime(drip.nextStep.dueAt)}`
+            : (drip.status === 'completed' ? 'All steps sent' : 'Cancelled');
+        const meta = document.createElement('div');
+        meta.className = 'scheduled-meta';
+        const { active, replied, failed } = drip.counts;
+        meta.textContent = `${active} of ${drip.totalContacts} in the drip · ${replied} replied` +
+            (failed ? ` · ${failed} failed` : '') +
+            (drip.nextStep && drip.nextStep.lastError ? ` · waiting: ${drip.nextStep.lastError}` : '');
+        info.append(title, meta);
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'scheduled-cancel';
+        cancelBtn.title = drip.status === 'active' ? 'Stop the remaining steps' : 'Dismiss';
+        cancelBtn.innerHTML = '<i class="ri-close-line"></i>';
+        cancelBtn.addEventListener('click', async () => {
+            if (drip.status === 'active' && !confirm('Stop the remaining steps of this drip campaign?')) {
+                return;
+            }
+            const result = await chrome.runtime.sendMessage({ action: 'cancelDripCampaign', dripId: drip.id });
+            if (result && result.success) {
+                if (drip.status === 'active') {
+                    showToast('Drip campaign stopped', 'info');
+                }
+            } else {
+                showToast(result?.error || 'Failed to stop drip campaign', 'error');
+            }
+            renderDripCampaigns();
+        });
+
+        item.append(info, cancelBtn);
+        list.appendChild(item);
+    });
+}
+
 function showNoCampaign() {
     const msg=$('noCampaignMessage');
     const btn=$('activeCampaignBtn');
@@ -284,7 +423,10 @@ function initializeButtons() {
     // Quick Action buttons
     const buttons = {
         openSenderBtn: 'sender',
-        openExtractorBtn: 'extractor'
+        openExtractorBtn: 'extractor',
+        openHistoryBtn: 'history',
+        openAutoResponderBtn: 'autoResponder',
+        openOptOutBtn: 'optOut',
     };
 
     // Attach listeners to all Quick Action buttons
@@ -611,6 +753,10 @@ async function initPopup() {
     
     // Check for active campaign
     checkActiveCampaign();
+
+    // List upcoming scheduled campaigns and running drips
+    renderScheduledCampaigns();
+    renderDripCampaigns();
     
     // Check if running on Linux and show upload notice
     if (navigator.platform.toLowerCase().includes('linux')) {
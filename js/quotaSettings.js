@@ -0,0 +1,68 @@
+// js/quotaSettings.js - Sending quota controls: hourly/daily caps for the connected WhatsApp
+// number, enforced by the content script across all campaigns (see utils/sendingQuota.js)
+/* global WASendingQuota */
+import { toast } from './utils.js';
+// Plain script (also a content script); publishes WASendingQuota on globalThis
+import './utils/sendingQuota.js';
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+async function renderUsage() {
+  const usage = $('sendingQuotaUsage');
+  try {
+    const { settings, hourCount, dayCount, blockedBy, resumeAt } = await WASendingQuota.check();
+    const limit = cap => (cap > 0 ? `/${cap}` : '');
+    let text = `Sent this hour: ${hourCount}${limit(settings.perHour)} · today: ${dayCount}${limit(settings.perDay)}`;
+    if (blockedBy) {
+      text += ` · paused until ${new Date(resumeAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+    }
+    usage.textContent = text;
+  } catch (error) {
+    console.error('Error reading sending quota usage:', error);
+    usage.textContent = '';
+  }
+}
+
+async function save() {
+  const settings = {
+    enabled: $('sendingQuotaToggle').checked,
+    perHour: $('quotaPerHour').value,
+    perDay: $('quotaPerDay').value,
+  };
+  try {
+    await WASendingQuota.saveSettings(settings);
+    const saved = await WASendingQuota.getSettings();
+    $('quotaPerHour').value = saved.perHour;
+    $('quotaPerDay').value = saved.perDay;
+    if (saved.enabled && !saved.perHour && !saved.perDay) {
+      toast('Set an hourly or a daily limit for the sending quota', 'warning');
+    }
+    renderUsage();
+  } catch (error) {
+    console.error('Error saving sending quota:', error);
+    toast('Failed to save the sending quota', 'error');
+  }
+}
+
+export async function initSendingQuota() {
+  const toggle = $('sendingQuotaToggle');
+  if (!toggle) {
+    return;
+  }
+  const panel = $('sendingQuotaSettings');
+  toggle.addEventListener('change', () => {
+    panel.style.display = toggle.checked ? 'block' : 'none';
+    save();
+  });
+  $('quotaPerHour').addEventListener('change', save);
+  $('quotaPerDay').addEventListener('change', save);
+
+  const settings = await WASendingQuota.getSettings();
+  toggle.checked = settings.enabled;
+  $('quotaPerHour').value = settings.perHour;
+  $('quotaPerDay').value = settings.perDay;
+  panel.style.display = settings.enabled ? 'block' : 'none';
+  renderUsage();
+}
@@ -1,12 +1,26 @@
 // js/sender.js
+/* global WASendingWindow */
 import { handleFile, parseFile, updateContactUI, downloadSampleCsv, MAX_MANUAL_CONTACTS } from './contactManager.js';
-import { insertTextIntoEditor, validateVariables, htmlToWhatsAppMarkdown, whatsappMarkdownToHtml, initToolbar, findNearestMarkdownNode } from './messageComposer.js';
+import { insertTextIntoEditor, validateVariables, htmlToWhatsAppMarkdown, initToolbar, updateSpintaxPreview } from './messageComposer.js';
 import { handleAttachment, renderAttachment } from './attachmentManager.js';
+import { renderRecipientPreview, findNextFlaggedRow } from './messagePreview.js';
+import { initTemplateManager } from './templateManager.js';
+import { initMessageSequence, getFollowUpsForCampaign } from './messageSequence.js';
+import { initDripCampaign, getDripStepsForCampaign } from './dripCampaign.js';
+import { initSendingQuota } from './quotaSettings.js';
+import { initSendingWindow, getSendingWindowForCampaign } from './sendingWindowSettings.js';
+import { initNumberVerifier } from './numberVerifier.js';
+import { initDefaultCountry } from './defaultCountrySettings.js';
+import { initAudiences } from './audienceManager.js';
+import { initAttachmentLibrary, getContactAttachmentsForCampaign } from './attachmentLibrary.js';
+import { initAttachmentPersonalizer, getPersonalizedAttachmentForCampaign } from './attachmentPersonalizer.js';
 import { saveSettings, updateSummary, toggleSection, resetStuckCampaign } from './sendingControls.js';
-import { toast } from './utils.js';
+import { toast, base64ToFile } from './utils.js';
 import { initializeTabs } from './tabs.js';
 import { initializeSafetyMode } from './safetyMode.js';
 import { showLicenseRequiredModal, showLicenseVerificationFailedModal } from './modals.js';
+import { listTimeZones, zonedDateTimeToEpoch, formatScheduledTime } from './utils/scheduleUtils.js';
+import { validatePhoneNumber } from './utils/phoneUtils.js';
 // Import the direct sender - we'll load this dynamically to ensure compatibility
 let directSender = null;
 
@@ -74,13 +88,8 @@ function validatePhoneInput(input) {
   const phoneInput = (input || '').trim();
   if (!phoneInput) return false;
 
-  // Normalise by converting any leading 00 to +
-  let normalised = phoneInput.startsWith('00') ? ('+' + phoneInput.slice(2)) : phoneInput;
-
-  const e164Regex = /^\+[1-9]\d{7,14}$/;     // + followed by 8–15 digits
-  const digitsOnlyRegex = /^[1-9]\d{7,14}$/; // 8–15 digits without plus
-
-  return e164Regex.test(normalised) || digitsOnlyRegex.test(normalised);
+  // International numbers, or national ones of the default country (see phoneUtils.js)
+  return validatePhoneNumber(phoneInput).isValid;
 }
 
 function updateInputFieldsBasedOnToggles(randomTimeGapToggle, splitBatchesToggle, inputs) {
@@ -295,6 +304,10 @@ export function initSender(currentSource, newSource, callback) {
   const safetyModeToggle = $("safetyModeToggle");
   const safetyModeWarning = $("safetyModeWarning");
   const testSafetyBtn = $("testSafetyBtn");
+  const scheduleCampaignToggle = $('scheduleCampaignToggle');
+  const scheduleSettings = $('scheduleSettings');
+  const scheduleDateTimeInput = $('scheduleDateTime');
+  const scheduleTimeZoneSelect = $('scheduleTimeZone');
 
   // Initialize Safety Mode functionality
   initializeSafetyMode();
@@ -315,6 +328,8 @@ export function initSender(currentSource, newSource, callback) {
   let activeInputSource = 'none';
   let hasEditorInteraction = false;
   let lastInsertedVariable = null;
+  let spintaxPreviewTimer = null;
+  let recipientPreviewIndex = 0;
 
   // Initialize tabs
   initializeTabs();
@@ -349,6 +364,51 @@ export function initSender(currentSource, newSource, callback) {
     });
   }
   
+  // Initialize Message Preview section (collapsed by default, rendered when opened)
+  const messagePreviewSection = $('messagePreview');
+  const messagePreviewHeader = messagePreviewSection?.querySelector('.section-header');
+  const messagePreviewContent = messagePreviewSection?.querySelector('.section-content');
+
+  // Re-render the preview while it is open; falls back to the stored contact list
+  // until the local copy has been filled in
+  const refreshRecipientPreview = (contacts = null) => {
+    if (!editor || !messagePreviewContent || messagePreviewContent.style.display === 'none') {
+      return;
+    }
+    chrome.storage.local.get(['parsedData'], (result) => {
+      const rows = contacts || (parsedData.length ? parsedData : (result.parsedData || []));
+      recipientPreviewIndex = renderRecipientPreview(editor, rows, attachment, recipientPreviewIndex);
+    });
+  };
+
+  if (messagePreviewHeader) {
+    addEventListenerWithCleanup(messagePreviewHeader, 'click', (e) => {
+      e.stopPropagation();
+      toggleSection('messagePreview');
+      refreshRecipientPreview();
+    });
+  }
+  addEventListenerWithCleanup($('recipientPreviewPrevBtn'), 'click', () => {
+    recipientPreviewIndex -= 1;
+    refreshRecipientPreview();
+  });
+  addEventListenerWithCleanup($('recipientPreviewNextBtn'), 'click', () => {
+    recipientPreviewIndex += 1;
+    refreshRecipientPreview();
+  });
+  addEventListenerWithCleanup($('recipientPreviewIndex'), 'change', (e) => {
+    recipientPreviewIndex = Number(e.target.value) - 1;
+    refreshRecipientPreview();
+  });
+  addEventListenerWithCleanup($('recipientPreviewNextFlaggedBtn'), 'click', () => {
+    chrome.storage.local.get(['parsedData'], (result) => {
+      const contacts = parsedData.length ? parsedData : (result.parsedData || []);
+      recipientPreviewIndex = findNextFlaggedRow(editor, contacts, recipientPreviewIndex);
+      refreshRecipientPreview();
+    });
+  });
+  addEventListenerWithCleanup($('recipientPreviewShuffleBtn'), 'click', () => refreshRecipientPreview());
+
   // Initialize toolbar and editor
   if (editor && toolbar) {
     // Initialize toolbar with editor
@@ -381,6 +441,25 @@ export function initSender(currentSource, newSource, callback) {
         composerMessageContent: htmlContent,
         editorContent: markdownContent
       });
+      
+      clearTimeout(spintaxPreviewTimer);
+      spintaxPreviewTimer = setTimeout(() => {
+        updateSpintaxPreview(editor, parsedData);
+        if (variableError) {
+          validateVariables(editor, parsedData, variableError);
+        }
+        refreshRecipientPreview();
+      }, 300);
+    });
+    
+    // Spintax preview: new samples on demand and whenever the contact list changes
+    addEventListenerWithCleanup($('spintaxShuffleBtn'), 'click', () => updateSpintaxPreview(editor, parsedData));
+    addEventListenerWithCleanup(document, 'contactDataUpdated', (e) => {
+      updateSpintaxPreview(editor, (e.detail && e.detail.parsedData) || parsedData);
+      if (e.detail && e.detail.parsedData) {
+        recipientPreviewIndex = 0;
+        refreshRecipientPreview(e.detail.parsedData);
+      }
     });
     
     // Track editor interactions
@@ -1068,10 +1147,7 @@ export function initSender(currentSource, newSource, callback) {
     const phoneInput = (input || '').trim();
     if (!phoneInput) return false;
 
-    let normalised = phoneInput.startsWith('00') ? ('+' + phoneInput.slice(2)) : phoneInput;
-    const e164Regex = /^\+[1-9]\d{7,14}$/;
-    const digitsOnlyRegex = /^[1-9]\d{7,14}$/;
-    return e164Regex.test(normalised) || digitsOnlyRegex.test(normalised);
+    return validatePhoneNumber(phoneInput).isValid;
   }
 
   // Format phone number for WhatsApp API
@@ -1372,7 +1448,7 @@ export function initSender(currentSource, newSource, callback) {
         
         errorMsg += '<p>Supported formats include:</p><ul>' +
                    '<li>International format: +971XXXXXXXX</li>' +
-                   '<li>UAE format: 05XXXXXXXX or 5XXXXXXXX</li>' +
+                   '<li>National format (e.g. 050 123 4567) once a default country is picked</li>' +
                    '<li>Other countries: +[country code][number]</li>' +
                    '</ul>';
       }
@@ -1381,7 +1457,7 @@ export function initSender(currentSource, newSource, callback) {
                    '<li>+12025550108 (USA)</li>' +
                    '<li>+447911123456 (UK)</li>' +
                    '<li>+8613712345678 (China)</li>' +
-                 '</ul><p>Please use the full international number with country code (8–15 digits).</p>';
+                 '</ul><p>Please use the full international number with country code, or pick the default country for numbers without one.</p>';
       
       errorElement.innerHTML = errorMsg;
       errorElement.style.display = 'block';
@@ -1577,6 +1653,7 @@ export function initSender(currentSource, newSource, callback) {
   // Initialize attachment handling
   const setAttachment = (newAttachment) => {
     attachment = newAttachment;
+    refreshRecipientPreview();
   };
   
   // Handle image attachments
@@ -1609,6 +1686,122 @@ export function initSender(currentSource, newSource, callback) {
     });
   }
   
+  // Saved template library – loading a template swaps in its attachment (or clears ours)
+  initTemplateManager(editor, {
+    getAttachment: () => attachment,
+    setAttachmentFile: (file, type) => {
+      const input = { image: imageInput, video: videoInput, pdf: pdfInput }[type];
+      return handleAttachment(file, type, input, attachment, setAttachment, renderAttachment, attachmentError, attachmentPreview);
+    },
+    clearAttachment: () => {
+      if (!attachment) {
+        return;
+      }
+      setAttachment(null);
+      chrome.storage.local.remove(['attachment', 'attachmentBase64', 'attachmentRef']);
+      renderAttachment(null, attachmentPreview, attachmentError, setAttachment);
+    },
+  });
+  
+  // Follow-up messages sent after the composer message
+  initMessageSequence();
+  
+  // Stored files sent per contact, chosen by a contact column
+  initAttachmentLibrary();
+  
+  // Personalised file generated for every contact from an image/PDF template
+  initAttachmentPersonalizer();
+  
+  // Later drip steps, run by the background worker days after the campaign starts
+  initDripCampaign();
+  
+  // Account-wide hourly/daily caps, enforced by the content script
+  initSendingQuota();
+  
+  // Days and hours the campaign may send in; the content script waits while it is closed
+  initSendingWindow();
+  
+  // Pre-flight WhatsApp check of the list; dropping numbers shortens the active contact source
+  initNumberVerifier((contacts) => {
+    if (activeInputSource === 'manual' && numbersArea) {
+      // Re-run the typed-numbers pipeline so manualNumbers and the summary stay in step
+      numbersArea.value = contacts.map(contact => contact.Name || contact.Phone).join('\n');
+      numbersArea.dispatchEvent(new Event('input'));
+      return;
+    }
+    parsedData = contacts;
+    chrome.storage.local.set({ parsedData: contacts });
+    updateSummary(
+      parsedData,
+      { batchSize: batchSizeInput, delayBetweenBatches: delayBetweenBatchesInput, randomTimeGapMax: randomTimeGapMaxInput },
+      { randomTimeGap: randomTimeGapToggle, splitBatches: splitBatchesToggle },
+      { totalContacts, selectedContacts, estDuration, batches: batchesLabel },
+    );
+    document.dispatchEvent(new CustomEvent('contactDataUpdated', {
+      detail: { parsedData: contacts },
+    }));
+  });
+  
+  // Imports the stored contact file again (new default country, new column mapping)
+  async function reparseContactFile(options) {
+    const stored = await chrome.storage.local.get(['contactFile', 'contactFileBase64']);
+    if (!stored.contactFile || !stored.contactFileBase64) {
+      return false;
+    }
+    // parseFile returns before the parser callbacks; the parsed rows arrive with this event
+    const parsed = new Promise(resolve => {
+      document.addEventListener('contactDataUpdated', event => resolve(event.detail.parsedData), { once: true });
+    });
+    const file = base64ToFile(stored.contactFileBase64, stored.contactFile.name, '');
+    await parseFile(file, toast, options);
+    updateVariableMenu(await parsed);
+    return true;
+  }
+  
+  // Country for numbers written without a country code; the current list is read again with it
+  initDefaultCountry(() => {
+    if (activeInputSource === 'manual' && numbersArea) {
+      numbersArea.dispatchEvent(new Event('input'));
+    } else if (activeInputSource === 'file') {
+      reparseContactFile();
+    }
+  });
+  
+  // Column mapping wizard for the current file, also when its layout has a saved mapping
+  const remapColumnsBtn = $('remapColumnsBtn');
+  if (remapColumnsBtn) {
+    addEventListenerWithCleanup(remapColumnsBtn, 'click', async (event) => {
+      event.stopPropagation();
+      if (!(await reparseContactFile({ remapColumns: true }))) {
+        toast('Upload a contact file first', 'error');
+      }
+    });
+  }
+
+  // Saved audiences; the one picked replaces the typed numbers or uploaded file as contact source
+  initAudiences(async (audience) => {
+    const stored = await chrome.storage.local.get(['parsedData']);
+    const current = Array.isArray(stored.parsedData) ? stored.parsedData.length : 0;
+    if (current && !confirm(`Replace the current ${current} contacts with "${audience.name}"?`)) {
+      return;
+    }
+    clearContactSource('manual');
+    await clearContactSource('file');
+    uploadedFile = null;
+    parsedData = audience.contacts;
+    activeInputSource = 'audience';
+    await chrome.storage.local.set({
+      parsedData,
+      activeInputSource,
+      activeAudience: { id: audience.id, name: audience.name },
+    });
+    updateVariableMenu(parsedData);
+    document.dispatchEvent(new CustomEvent('contactDataUpdated', {
+      detail: { parsedData },
+    }));
+    toast(`Sending to "${audience.name}" (${parsedData.length} contacts)`, 'success');
+  });
+
   // Load any saved attachment from storage
   if (attachmentPreview && attachmentError) {
     import('./attachmentManager.js').then(module => {
@@ -1636,6 +1829,37 @@ export function initSender(currentSource, newSource, callback) {
     });
   }
   
+  // Schedule for later: populate timezones and swap the start button label
+  if (scheduleCampaignToggle && scheduleSettings) {
+    if (scheduleTimeZoneSelect) {
+      listTimeZones().forEach(zone => {
+        const option = document.createElement('option');
+        option.value = zone;
+        option.textContent = zone.replace(/_/g, ' ');
+        scheduleTimeZoneSelect.appendChild(option);
+      });
+    }
+
+    addEventListenerWithCleanup(scheduleCampaignToggle, 'change', () => {
+      const scheduling = scheduleCampaignToggle.checked;
+      scheduleSettings.style.display = scheduling ? 'block' : 'none';
+
+      // Default to the next full hour so the picker starts somewhere sensible
+      if (scheduling && scheduleDateTimeInput && !scheduleDateTimeInput.value) {
+        const nextHour = new Date();
+        nextHour.setHours(nextHour.getHours() + 1, 0, 0, 0);
+        const pad = n => String(n).padStart(2, '0');
+        scheduleDateTimeInput.value = `${nextHour.getFullYear()}-${pad(nextHour.getMonth() + 1)}-${pad(nextHour.getDate())}T${pad(nextHour.getHours())}:00`;
+      }
+
+      if (startCampaignBtn) {
+        startCampaignBtn.innerHTML = scheduling
+          ? '<i class="ri-time-line"></i> Schedule Campaign'
+          : '<i class="ri-message-3-line"></i> Start Campaign';
+      }
+    });
+  }
+
   // Initialize campaign start button
   if (startCampaignBtn) {
     addEventListenerWithCleanup(startCampaignBtn, "click", async () => {
@@ -1699,7 +1923,7 @@ export function initSender(currentSource, newSource, callback) {
       }
       
       // Get latest parsed data
-      chrome.storage.local.get(['parsedData'], (result) => {
+      chrome.storage.local.get(['parsedData'], async (result) => {
         parsedData = result.parsedData || [];
         
         // Validate inputs
@@ -1720,8 +1944,38 @@ export function initSender(currentSource, newSource, callback) {
           return;
         }
         
+        // Resolve the scheduled start time, if scheduling is enabled
+        const isScheduled = scheduleCampaignToggle && scheduleCampaignToggle.checked;
+        const scheduleTimeZone = scheduleTimeZoneSelect ? scheduleTimeZoneSelect.value : '';
+        let scheduledAt = null;
+        if (isScheduled) {
+          scheduledAt = zonedDateTimeToEpoch(scheduleDateTimeInput && scheduleDateTimeInput.value, scheduleTimeZone);
+          if (!Number.isFinite(scheduledAt) || scheduledAt <= Date.now()) {
+            toast('Please pick a start time in the future', 'error');
+            return;
+          }
+        }
+
+        // Per-contact files picked by the chosen column, the later drip steps and the sending window
+        let contactAttachmentSettings = null;
+        let dripSteps = null;
+        let sendingWindow = null;
+        try {
+          contactAttachmentSettings = await getContactAttachmentsForCampaign(parsedData);
+          dripSteps = getDripStepsForCampaign();
+          sendingWindow = getSendingWindowForCampaign();
+        } catch (error) {
+          toast(error.message, 'error');
+          return;
+        }
+
         // Final confirmation
-        if (!confirm(`Are you ready to start your campaign to ${parsedData.length} contacts?`)) {
+        const confirmText = isScheduled
+          ? `Schedule your campaign to ${parsedData.length} contacts for ${formatScheduledTime(scheduledAt, scheduleTimeZone)}?`
+          : `Are you ready to start your campaign to ${parsedData.length} contacts?`;
+        const dripNote = dripSteps ? `\n\nDrip steps follow on day ${dripSteps.map(step => step.dayOffset).join(', ')}.` : '';
+        const windowNote = sendingWindow ? `\n\nMessages only go out ${WASendingWindow.describe(sendingWindow)}.` : '';
+        if (!confirm(confirmText + dripNote + windowNote)) {
           return;
         }
         
@@ -1738,11 +1992,29 @@ export function initSender(currentSource, newSource, callback) {
           };
         }
         
+        // Follow-up messages and the personalised file template, with their files inlined
+        let followUps = [];
+        let personalizedAttachment = null;
+        try {
+          followUps = await getFollowUpsForCampaign();
+          personalizedAttachment = await getPersonalizedAttachmentForCampaign();
+        } catch (error) {
+          console.error('Error preparing campaign attachments:', error);
+          toast(error.message, 'error');
+          return;
+        }
+        
         // Campaign settings
         const campaignSettings = {
           contacts: parsedData,
           message: htmlToWhatsAppMarkdown(editor.innerHTML),
           attachment: processedAttachment,
+          followUps,
+          attachmentColumn: contactAttachmentSettings ? contactAttachmentSettings.attachmentColumn : null,
+          contactAttachments: contactAttachmentSettings ? contactAttachmentSettings.contactAttachments : null,
+          personalizedAttachment,
+          dripSteps,
+          sendingWindow,
           randomTimeGapEnabled: randomTimeGapToggle.checked,
           randomTimeGapMin: parseInt(randomTimeGapMinInput.value) || 15,
           randomTimeGapMax: parseInt(randomTimeGapMaxInput.value) || 20,
@@ -1760,6 +2032,11 @@ export function initSender(currentSource, newSource, callback) {
           inputSource: activeInputSource
         };
         
+        if (isScheduled) {
+          scheduleCampaign(campaignSettings, scheduledAt, scheduleTimeZone);
+          return;
+        }
+
         // Start campaign with fallback to direct method if port connection fails
         startCampaign(campaignSettings);
       });
@@ -1879,6 +2156,12 @@ export function initSender(currentSource, newSource, callback) {
         if (uploadTabBtn) {
           uploadTabBtn.click();
         }
+      } else if (activeInputSource === 'audience') {
+        // The audience's contacts are in parsedData; show the audiences tab
+        const audiencesTabBtn = document.querySelector('.tab-btn[data-target="audiencesTab"]');
+        if (audiencesTabBtn) {
+          audiencesTabBtn.click();
+        }
       } else if (activeInputSource === 'manual' && result.manualNumbers && numbersArea) {
         // Restore manual numbers and select the numbers tab
         numbersArea.value = result.manualNumbers;
@@ -2908,9 +3191,9 @@ async function startCampaign(campaignSettings) {
 
         // Check if we have valid contacts
         let contacts = [];
-        if (result.activeInputSource === 'file') {
+        if (result.activeInputSource === 'file' || result.activeInputSource === 'audience') {
             if (!result.parsedData || result.parsedData.length === 0) {
-                toast('Please upload a valid contact file', 'error');
+                toast(result.activeInputSource === 'audience' ? 'The selected audience has no contacts' : 'Please upload a valid contact file', 'error');
                 return;
             }
             contacts = result.parsedData;
@@ -3018,6 +3301,9 @@ function startCampaignDirectly(campaignSettings) {
       campaignSettings: { idPlaceholder: true } // minimal stub
     }).then(response => {
       if (response.success) {
+        if (response.status === 'queued') {
+          toast(`Another campaign is running – this one is queued at position ${response.position}`, 'info', 5000);
+        }
         // Store campaign ID for navigation
         const campaignId = response.campaignId;
         window.location.href = chrome.runtime.getURL(`html/campaign-progress.html?id=${campaignId}`);
@@ -3030,6 +3316,38 @@ function startCampaignDirectly(campaignSettings) {
   });
 }
 
+// Hand the campaign to the background scheduler, which starts it at `scheduledAt`
+function scheduleCampaign(campaignSettings, scheduledAt, timeZone) {
+  if (campaignSettings.skipInvalidNumbers) {
+    const before = campaignSettings.contacts.length;
+    campaignSettings.contacts = campaignSettings.contacts.filter(contact => isValidPhoneNumber(contact.Phone));
+    const skipped = before - campaignSettings.contacts.length;
+    if (skipped > 0) {
+      toast(`${skipped} invalid numbers skipped`, 'warning');
+    }
+  }
+
+  if (campaignSettings.contacts.length === 0) {
+    toast('No valid contacts to send to', 'error');
+    return;
+  }
+
+  chrome.runtime.sendMessage({
+    action: 'scheduleCampaign',
+    campaignSettings,
+    scheduledAt,
+    timeZone,
+  }).then(response => {
+    if (response && response.success) {
+      toast(`Campaign scheduled for ${formatScheduledTime(response.scheduledAt, timeZone)}`, 'success', 5000);
+    } else {
+      toast((response && response.error) || 'Failed to schedule campaign', 'error');
+    }
+  }).catch(error => {
+    toast('Error scheduling campaign: ' + error.message, 'error');
+  });
+}
+
 // Validate phone number for WhatsApp
 function isValidPhoneNumber(phone) {
   return validatePhoneInput(phone);
@@ -0,0 +1,139 @@
+// js/sendingWindowSettings.js - Sending window controls: the days, hours and holidays a campaign
+// may send in, in one timezone or in each contact's own. The window travels with the campaign
+// settings (`sendingWindow`) and the content script waits while it is closed (see
+// utils/sendingWindow.js and utils/recipientTimeZone.js).
+/* global WASendingWindow */
+import { toast } from './utils.js';
+import { listTimeZones } from './utils/scheduleUtils.js';
+// Plain script (also a content script); publishes WASendingWindow on globalThis
+import './utils/sendingWindow.js';
+
+const STORAGE_KEY = 'sendingWindow';
+// Monday first, as most business calendars show it
+const DAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+let settings = { ...WASendingWindow.DEFAULT_SETTINGS };
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+function saveSettings() {
+  chrome.storage.local.set({ [STORAGE_KEY]: settings }, () => {
+    if (chrome.runtime.lastError) {
+      console.error('Error saving the sending window:', chrome.runtime.lastError);
+    }
+  });
+}
+
+function renderSummary() {
+  const summary = $('sendingWindowSummary');
+  if (!settings.days.length) {
+    summary.textContent = 'Pick at least one day';
+    return;
+  }
+  const opensAt = WASendingWindow.nextOpen(settings);
+  let text = WASendingWindow.describe(settings);
+  if (opensAt === null) {
+    text += ' · no sending day in the next weeks';
+  } else if (opensAt > Date.now()) {
+    text += ` · closed now, opens ${new Date(opensAt).toLocaleString([], {
+      weekday: 'short', hour: '2-digit', minute: '2-digit',
+    })}`;
+  } else {
+    text += ' · open now';
+  }
+  summary.textContent = text;
+}
+
+function update(changes) {
+  settings = WASendingWindow.normalizeSettings({ ...settings, ...changes });
+  saveSettings();
+  renderSummary();
+}
+
+function renderDays() {
+  const container = $('sendingWindowDays');
+  container.innerHTML = '';
+  DAY_ORDER.forEach(day => {
+    const label = document.createElement('label');
+    label.className = 'sending-window-day';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = settings.days.includes(day);
+    input.addEventListener('change', () => {
+      const days = settings.days.filter(d => d !== day);
+      update({ days: input.checked ? days.concat(day) : days });
+    });
+    label.append(input, ' ' + WASendingWindow.DAY_NAMES[day]);
+    container.appendChild(label);
+  });
+}
+
+/**
+ * The window for the campaign settings (`sendingWindow`), or null when it is off.
+ * @returns {?Object}
+ * @throws {Error} when the window is on but no day is picked
+ */
+export function getSendingWindowForCampaign() {
+  if (!settings.enabled) {
+    return null;
+  }
+  if (!settings.days.length) {
+    throw new Error('Pick at least one sending day, or turn the sending window off');
+  }
+  return { ...settings };
+}
+
+export function initSendingWindow() {
+  const toggle = $('sendingWindowToggle');
+  if (!toggle) {
+    return;
+  }
+  const panel = $('sendingWindowSettings');
+  const zoneSelect = $('sendingWindowTimeZone');
+  const holidays = $('sendingWindowHolidays');
+  const recipientLocal = $('sendingWindowRecipientLocal');
+
+  const browserZone = document.createElement('option');
+  browserZone.value = '';
+  browserZone.textContent = 'Browser timezone';
+  zoneSelect.appendChild(browserZone);
+  listTimeZones().forEach(zone => {
+    const option = document.createElement('option');
+    option.value = zone;
+    option.textContent = zone.replace(/_/g, ' ');
+    zoneSelect.appendChild(option);
+  });
+
+  toggle.addEventListener('change', () => {
+    panel.style.display = toggle.checked ? 'block' : 'none';
+    update({ enabled: toggle.checked });
+  });
+  $('sendingWindowStart').addEventListener('change', event => update({ start: event.target.value }));
+  $('sendingWindowEnd').addEventListener('change', event => update({ end: event.target.value }));
+  zoneSelect.addEventListener('change', () => update({ timeZone: zoneSelect.value }));
+  recipientLocal.addEventListener('change', () => update({ recipientLocal: recipientLocal.checked }));
+  holidays.addEventListener('change', () => {
+    const unreadable = holidays.value.split('\n')
+      .filter(line => line.trim() && !WASendingWindow.parseHolidays(line).length);
+    if (unreadable.length) {
+      toast('Some holiday lines are not dates in YYYY-MM-DD form and were ignored', 'warning');
+    }
+    update({ holidays: WASendingWindow.parseHolidays(holidays.value) });
+    holidays.value = settings.holidays.join('\n');
+  });
+
+  chrome.storage.local.get([STORAGE_KEY], result => {
+    settings = WASendingWindow.normalizeSettings(result[STORAGE_KEY]);
+    toggle.checked = settings.enabled;
+    panel.style.display = settings.enabled ? 'block' : 'none';
+    $('sendingWindowStart').value = settings.start;
+    $('sendingWindowEnd').value = settings.end;
+    zoneSelect.value = settings.timeZone;
+    recipientLocal.checked = settings.recipientLocal;
+    holidays.value = settings.holidays.join('\n');
+    renderDays();
+    renderSummary();
+  });
+}
@@ -0,0 +1,352 @@
+// js/templateManager.js - Template library panel in the message composer
+import { toast, fileToBase64, base64ToFile } from './utils.js';
+import { htmlToWhatsAppMarkdown, whatsappMarkdownToHtml } from './messageComposer.js';
+import {
+  storeAttachmentCopy,
+  loadAttachmentCopy,
+  deleteAttachmentCopy,
+} from './attachmentManager.js';
+import {
+  getTemplates,
+  saveTemplate,
+  renameTemplate,
+  duplicateTemplate,
+  deleteTemplate,
+  findTemplateByName,
+  collectTags,
+  searchTemplates,
+  buildTemplateExport,
+  parseTemplateImport,
+} from './utils/templateLibrary.js';
+
+const ATTACHMENT_ICONS = {
+  image: 'ri-image-line',
+  video: 'ri-video-line',
+  pdf: 'ri-file-pdf-2-line',
+};
+
+let templates = [];
+let editorEl = null;
+let attachmentHooks = null;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+// Remove a stored template attachment once no template points at it any more
+async function releaseAttachment(ref) {
+  if (!ref || templates.some(t => t.attachment && t.attachment.ref === ref)) {
+    return;
+  }
+  try {
+    await deleteAttachmentCopy(ref);
+  } catch (error) {
+    console.warn('Could not delete template attachment', ref, error);
+  }
+}
+
+async function refreshTemplates() {
+  templates = await getTemplates();
+  renderTagFilter();
+  renderList();
+}
+
+function renderTagFilter() {
+  const select = $('templateTagFilter');
+  const selected = select.value;
+  select.innerHTML = '<option value="">All tags</option>';
+  collectTags(templates).forEach(({ tag, count }) => {
+    const option = document.createElement('option');
+    option.value = tag;
+    option.textContent = `${tag} (${count})`;
+    select.appendChild(option);
+  });
+  select.value = [...select.options].some(o => o.value === selected) ? selected : '';
+}
+
+function renderList() {
+  const list = $('templateList');
+  const matches = searchTemplates(templates, $('templateSearchInput').value, $('templateTagFilter').value);
+  list.innerHTML = '';
+  if (matches.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'template-list-empty';
+    empty.textContent = templates.length ? 'No templates match' : 'No saved templates yet';
+    list.appendChild(empty);
+    return;
+  }
+
+  matches.forEach(template => {
+    const item = document.createElement('li');
+    item.className = 'template-item';
+
+    const info = document.createElement('div');
+    info.className = 'template-item-info';
+    const name = document.createElement('div');
+    name.className = 'template-item-name';
+    name.textContent = template.name;
+    if (template.attachment) {
+      const icon = document.createElement('i');
+      icon.className = ATTACHMENT_ICONS[template.attachment.type] || 'ri-attachment-2';
+      icon.title = template.attachment.name;
+      name.appendChild(icon);
+    }
+    const snippet = document.createElement('div');
+    snippet.className = 'template-item-snippet';
+    snippet.textContent = template.markdown.slice(0, 120);
+    info.append(name, snippet);
+    if (template.tags.length) {
+      const tags = document.createElement('div');
+      tags.className = 'template-item-tags';
+      template.tags.forEach(tag => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'template-tag';
+        chip.textContent = tag;
+        chip.title = `Show templates tagged "${tag}"`;
+        chip.addEventListener('click', () => {
+          $('templateTagFilter').value = tag;
+          renderList();
+        });
+        tags.appendChild(chip);
+      });
+      info.appendChild(tags);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'template-item-actions';
+    [
+      ['ri-file-download-line', 'Use this template', () => applyTemplate(template)],
+      ['ri-edit-line', 'Rename', () => renameTemplateById(template)],
+      ['ri-file-copy-line', 'Duplicate', () => duplicateTemplateById(template)],
+      ['ri-delete-bin-line', 'Delete', () => deleteTemplateById(template)],
+    ].forEach(([icon, title, handler]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.title = title;
+      button.innerHTML = `<i class="${icon}"></i>`;
+      button.addEventListener('click', handler);
+      actions.appendChild(button);
+    });
+
+    item.append(info, actions);
+    list.appendChild(item);
+  });
+}
+
+async function saveCurrentMessage() {
+  const name = $('templateNameInput').value.trim();
+  const markdown = htmlToWhatsAppMarkdown(editorEl.innerHTML);
+  if (!name) {
+    toast('Enter a name for the template', 'error');
+    return;
+  }
+  if (!markdown) {
+    toast('Write a message before saving it as a template', 'error');
+    return;
+  }
+
+  const existing = findTemplateByName(templates, name);
+  if (existing && !confirm(`Replace the template "${existing.name}" with the current message?`)) {
+    return;
+  }
+
+  try {
+    let attachment = null;
+    const current = attachmentHooks.getAttachment();
+    if (current && $('templateIncludeAttachment').checked) {
+      attachment = await storeAttachmentCopy(current);
+      if (!attachment) {
+        toast('The attachment needs to be re-uploaded before it can be saved with a template', 'warning');
+      }
+    }
+    await saveTemplate({
+      id: existing ? existing.id : null,
+      name,
+      tags: $('templateTagsInput').value,
+      html: editorEl.innerHTML,
+      markdown,
+      attachment,
+    });
+    await refreshTemplates();
+    if (existing && existing.attachment) {
+      await releaseAttachment(existing.attachment.ref);
+    }
+    $('templateNameInput').value = '';
+    $('templateTagsInput').value = '';
+    toast(existing ? `Template "${name}" updated` : `Template "${name}" saved`, 'success');
+  } catch (error) {
+    console.error('Error saving template:', error);
+    toast('Failed to save template: ' + error.message, 'error');
+  }
+}
+
+async function applyTemplate(template) {
+  if (editorEl.textContent.trim() &&
+      !confirm(`Replace the current message with the template "${template.name}"?`)) {
+    return;
+  }
+  editorEl.innerHTML = template.html || whatsappMarkdownToHtml(template.markdown);
+  editorEl.dispatchEvent(new Event('input', { bubbles: true }));
+
+  if (!template.attachment) {
+    attachmentHooks.clearAttachment();
+    toast(`Template "${template.name}" loaded`, 'success');
+    return;
+  }
+  // handleAttachment() only accepts a file once the current one is gone
+  attachmentHooks.clearAttachment();
+  try {
+    const file = await loadAttachmentCopy(template.attachment.ref);
+    if (!file) {
+      toast(`Template loaded, but its attachment "${template.attachment.name}" is missing – please re-attach it`, 'warning');
+      return;
+    }
+    await attachmentHooks.setAttachmentFile(file, template.attachment.type);
+  } catch (error) {
+    console.error('Error loading template attachment:', error);
+    toast('Template loaded, but its attachment could not be restored', 'warning');
+  }
+}
+
+async function renameTemplateById(template) {
+  const name = prompt('New template name', template.name);
+  if (name === null || !name.trim() || name.trim() === template.name) {
+    return;
+  }
+  try {
+    const renamed = await renameTemplate(template.id, name);
+    await refreshTemplates();
+    toast(`Template renamed to "${renamed.name}"`, 'success');
+  } catch (error) {
+    console.error('Error renaming template:', error);
+    toast('Failed to rename template', 'error');
+  }
+}
+
+async function duplicateTemplateById(template) {
+  try {
+    const copy = await duplicateTemplate(template.id);
+    await refreshTemplates();
+    toast(`Created "${copy.name}"`, 'success');
+  } catch (error) {
+    console.error('Error duplicating template:', error);
+    toast('Failed to duplicate template', 'error');
+  }
+}
+
+async function deleteTemplateById(template) {
+  if (!confirm(`Delete the template "${template.name}"?`)) {
+    return;
+  }
+  try {
+    const { attachmentOrphaned } = await deleteTemplate(template.id);
+    await refreshTemplates();
+    if (attachmentOrphaned) {
+      await releaseAttachment(template.attachment.ref);
+    }
+    toast(`Template "${template.name}" deleted`, 'success');
+  } catch (error) {
+    console.error('Error deleting template:', error);
+    toast('Failed to delete template', 'error');
+  }
+}
+
+async function exportLibrary() {
+  if (templates.length === 0) {
+    toast('There are no templates to export', 'info');
+    return;
+  }
+  try {
+    const attachmentData = {};
+    for (const template of templates) {
+      const ref = template.attachment && template.attachment.ref;
+      if (ref && !attachmentData[ref]) {
+        const file = await loadAttachmentCopy(ref).catch(() => null);
+        if (file) {
+          attachmentData[ref] = await fileToBase64(file);
+        }
+      }
+    }
+    const json = JSON.stringify(buildTemplateExport(templates, attachmentData), null, 2);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    link.download = `wa-templates-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+    toast(`Exported ${templates.length} template${templates.length === 1 ? '' : 's'}`, 'success');
+  } catch (error) {
+    console.error('Template export error', error);
+    toast('Failed to export templates: ' + error.message, 'error');
+  }
+}
+
+async function importLibrary(event) {
+  const file = event.target.files && event.target.files[0];
+  event.target.value = '';
+  if (!file) {
+    return;
+  }
+  try {
+    const drafts = parseTemplateImport(await file.text());
+    if (drafts.length === 0) {
+      toast('No templates found in the file', 'warning');
+      return;
+    }
+    let missingAttachments = 0;
+    for (const draft of drafts) {
+      let attachment = null;
+      if (draft.attachment && draft.attachment.dataUrl) {
+        const mime = draft.attachment.dataUrl.slice(5, draft.attachment.dataUrl.indexOf(';'));
+        attachment = await storeAttachmentCopy({
+          ...draft.attachment,
+          file: base64ToFile(draft.attachment.dataUrl, draft.attachment.name, mime),
+        });
+      } else if (draft.attachment) {
+        missingAttachments += 1;
+      }
+      await saveTemplate({ ...draft, attachment });
+    }
+    await refreshTemplates();
+    toast(`Imported ${drafts.length} template${drafts.length === 1 ? '' : 's'}` +
+      (missingAttachments ? ` (${missingAttachments} without their attachment)` : ''), 'success');
+  } catch (error) {
+    console.error('Template import error', error);
+    toast('Failed to import templates: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Wire up the template library panel.
+ * @param {HTMLElement} editor - composer editor
+ * @param {{getAttachment: Function, setAttachmentFile: Function, clearAttachment: Function}} hooks -
+ *   access to the sender's current attachment
+ */
+export function initTemplateManager(editor, hooks) {
+  const panel = $('templateLibraryPanel');
+  if (!editor || !panel) {
+    return;
+  }
+  editorEl = editor;
+  attachmentHooks = hooks;
+
+  $('templateLibraryToggle').addEventListener('click', () => {
+    const open = panel.style.display === 'none';
+    panel.style.display = open ? 'block' : 'none';
+    if (open) {
+      refreshTemplates().catch(error => console.error('Error loading templates:', error));
+    }
+  });
+  $('saveTemplateBtn').addEventListener('click', saveCurrentMessage);
+  $('templateNameInput').addEventListener('keydown', event => {
+    if (event.key === 'Enter') {
+      saveCurrentMessage();
+    }
+  });
+  $('templateSearchInput').addEventListener('input', renderList);
+  $('templateTagFilter').addEventListener('change', renderList);
+  $('exportTemplatesBtn').addEventListener('click', exportLibrary);
+  $('templateImportInput').addEventListener('change', importLibrary);
+}
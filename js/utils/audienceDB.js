@@ -0,0 +1,132 @@
+// audienceDB.js - IndexedDB library of saved audiences: named contact lists with tags, kept
+// next to `wa_sender_history` so a list can be picked again as a campaign's contact source
+// instead of living only as the last `parsedData` in chrome.storage.local.
+
+const AUDIENCE_DB_NAME = 'wa_sender_audiences';
+const AUDIENCE_DB_VERSION = 1;
+const AUDIENCE_STORE = 'audiences';
+
+// How an audience was built, shown next to its name
+export const AUDIENCE_SOURCES = {
+  import: 'Imported file',
+  manual: 'Typed numbers',
+  extractor: 'Extractor',
+  merge: 'Merged lists',
+  diff: 'List difference',
+  filter: 'Filtered list',
+};
+
+// Per-contact fields of the typed-numbers list that describe its state, not the contact
+const TRANSIENT_FIELDS = ['displayPhone', 'isValid', 'status', 'lastAttempt', 'error'];
+// Spellings of the phone and name fields in typed numbers and extractor results
+const PHONE_FIELDS = ['phone', 'phoneNumber', 'PhoneNumber', 'number', 'Number'];
+const NAME_FIELDS = ['name', 'contactName'];
+
+function openAudienceDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(AUDIENCE_DB_NAME, AUDIENCE_DB_VERSION);
+    req.onerror = () => reject(req.error);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(AUDIENCE_STORE)) {
+        const audiences = db.createObjectStore(AUDIENCE_STORE, { keyPath: 'id' });
+        audiences.createIndex('updatedAt', 'updatedAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+  });
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Tags typed as "vip, dubai; 2024" -> ['vip', 'dubai', '2024'], without duplicates.
+ * @param {string|string[]} tags
+ * @returns {string[]}
+ */
+export function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,;]/);
+  const seen = new Set();
+  return list.map(tag => String(tag).trim()).filter(tag => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Contact in the shape parsedData uses (Phone, Name and the imported columns).
+ * @param {Object} contact
+ * @returns {Object}
+ */
+export function toAudienceContact(contact) {
+  const stored = { ...contact };
+  TRANSIENT_FIELDS.forEach(field => delete stored[field]);
+  const phoneField = stored.Phone ? null : PHONE_FIELDS.find(name => contact[name]);
+  const nameField = stored.Name ? null : NAME_FIELDS.find(name => name in contact);
+  [phoneField, nameField].filter(Boolean).forEach(field => delete stored[field]);
+  stored.Phone = String(stored.Phone || (phoneField && contact[phoneField]) || '');
+  stored.Name = String(stored.Name || (nameField && contact[nameField]) || '');
+  return stored;
+}
+
+/**
+ * Create or replace an audience.
+ * @param {{id?: string, name: string, source: string, tags?: string|string[],
+ *   contacts: Object[], createdAt?: string}} audience
+ * @returns {Promise<Object>} the stored record
+ */
+export async function saveAudience(audience) {
+  const now = new Date().toISOString();
+  const record = {
+    id: audience.id || `aud_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    name: String(audience.name || '').trim() || 'Untitled audience',
+    source: audience.source,
+    tags: parseTags(audience.tags),
+    contacts: (audience.contacts || []).map(toAudienceContact),
+    createdAt: audience.createdAt || now,
+    updatedAt: now,
+  };
+  const db = await openAudienceDB();
+  const tx = db.transaction(AUDIENCE_STORE, 'readwrite');
+  tx.objectStore(AUDIENCE_STORE).put(record);
+  await transactionDone(tx);
+  return record;
+}
+
+export async function getAudience(id) {
+  const db = await openAudienceDB();
+  const tx = db.transaction(AUDIENCE_STORE, 'readonly');
+  return (await requestToPromise(tx.objectStore(AUDIENCE_STORE).get(id))) || null;
+}
+
+/** All saved audiences, last changed first. */
+export async function listAudiences() {
+  const db = await openAudienceDB();
+  const tx = db.transaction(AUDIENCE_STORE, 'readonly');
+  const records = await requestToPromise(tx.objectStore(AUDIENCE_STORE).getAll());
+  return records.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function deleteAudience(id) {
+  const db = await openAudienceDB();
+  const tx = db.transaction(AUDIENCE_STORE, 'readwrite');
+  tx.objectStore(AUDIENCE_STORE).delete(id);
+  await transactionDone(tx);
+}
@@ -0,0 +1,269 @@
+// audienceSegments.js - Working with the contacts of saved audiences: filters on any column
+// (`City = Dubai AND Plan != Free`), and merging or subtracting lists by phone number.
+//
+// Filter language (keywords and column names are case-insensitive):
+//   Column = value, Column != value       equal / not equal (numbers compare as numbers)
+//   Column > 10, <, >=, <=                 numeric comparison, or text order when not numbers
+//   Column CONTAINS text, NOT CONTAINS     substring
+//   Column STARTS WITH text
+//   Column HAS tag                         one of the comma-separated values (a Tags column)
+//   Column IS EMPTY, IS NOT EMPTY
+//   AND binds tighter than OR; parentheses group; "quoted values" keep spaces and keywords.
+import { contactPhone } from './optOutList.js';
+
+const COMPARISONS = ['!=', '>=', '<=', '=', '>', '<'];
+
+/**
+ * Splits a filter into tokens: quoted strings, parentheses, comparison signs and words.
+ * @param {string} text
+ * @returns {Array<{type: string, value: string}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '"' || char === '\'') {
+      const end = text.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new Error('Missing closing quote');
+      }
+      tokens.push({ type: 'string', value: text.slice(i + 1, end) });
+      i = end + 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, value: char });
+      i++;
+    } else {
+      const sign = COMPARISONS.find(op => text.startsWith(op, i));
+      if (sign) {
+        tokens.push({ type: 'op', value: sign });
+        i += sign.length;
+      } else {
+        const match = /^[^\s()"'=!<>]+/.exec(text.slice(i));
+        if (!match) {
+          throw new Error(`Unexpected "${char}"`);
+        }
+        tokens.push({ type: 'word', value: match[0] });
+        i += match[0].length;
+      }
+    }
+  }
+  return tokens;
+}
+
+function isKeyword(token, word) {
+  return token && token.type === 'word' && token.value.toUpperCase() === word;
+}
+
+function parseTokens(tokens) {
+  let position = 0;
+  const peek = (offset = 0) => tokens[position + offset];
+
+  // Words up to the next operator / keyword, joined with spaces ("Plan Type", "Abu Dhabi")
+  function readWords(stopAt) {
+    const words = [];
+    while (peek() && (peek().type === 'word' || peek().type === 'string') && !stopAt(peek())) {
+      words.push(peek().value);
+      position++;
+    }
+    return words.join(' ');
+  }
+
+  function readOperator(column) {
+    const token = peek();
+    if (token && token.type === 'op') {
+      position++;
+      return token.value;
+    }
+    const next = peek(1);
+    if (isKeyword(token, 'CONTAINS')) {
+      position++;
+      return 'contains';
+    }
+    if (isKeyword(token, 'HAS')) {
+      position++;
+      return 'has';
+    }
+    if (isKeyword(token, 'NOT') && isKeyword(next, 'CONTAINS')) {
+      position += 2;
+      return 'not contains';
+    }
+    if (isKeyword(token, 'STARTS') && isKeyword(next, 'WITH')) {
+      position += 2;
+      return 'starts with';
+    }
+    if (isKeyword(token, 'IS') && isKeyword(next, 'EMPTY')) {
+      position += 2;
+      return 'is empty';
+    }
+    if (isKeyword(token, 'IS') && isKeyword(next, 'NOT') && isKeyword(peek(2), 'EMPTY')) {
+      position += 3;
+      return 'is not empty';
+    }
+    throw new Error(token
+      ? `Expected a comparison before "${token.value}"`
+      : `Expected a comparison after "${column}"`);
+  }
+
+  const startsOperator = token => token.type === 'word'
+    && ['CONTAINS', 'HAS', 'NOT', 'STARTS', 'IS'].includes(token.value.toUpperCase());
+  const endsValue = token => token.type === 'word'
+    && ['AND', 'OR'].includes(token.value.toUpperCase());
+
+  function parseCondition() {
+    if (peek() && peek().type === '(') {
+      position++;
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') {
+        throw new Error('Missing closing parenthesis');
+      }
+      position++;
+      return inner;
+    }
+    const column = readWords(startsOperator);
+    if (!column) {
+      throw new Error(peek() ? `Expected a column name before "${peek().value}"` : 'Expected a column name');
+    }
+    const op = readOperator(column);
+    if (op === 'is empty' || op === 'is not empty') {
+      return { column, op, value: '' };
+    }
+    const value = readWords(endsValue);
+    if (!value) {
+      throw new Error(`Expected a value after "${column} ${op.toUpperCase()}" (use IS EMPTY for empty cells)`);
+    }
+    return { column, op, value };
+  }
+
+  function parseAnd() {
+    const parts = [parseCondition()];
+    while (isKeyword(peek(), 'AND')) {
+      position++;
+      parts.push(parseCondition());
+    }
+    return parts.length === 1 ? parts[0] : { and: parts };
+  }
+
+  function parseOr() {
+    const parts = [parseAnd()];
+    while (isKeyword(peek(), 'OR')) {
+      position++;
+      parts.push(parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : { or: parts };
+  }
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}"`);
+  }
+  return tree;
+}
+
+/**
+ * Parses a filter expression.
+ * @param {string} text
+ * @returns {?Object} condition tree, null for an empty filter
+ * @throws {Error} with a readable message when the filter cannot be read
+ */
+export function parseFilter(text) {
+  const tokens = tokenize(String(text || ''));
+  return tokens.length ? parseTokens(tokens) : null;
+}
+
+// Column value of a contact; column names are matched without case, as in message templates
+function columnValue(contact, column) {
+  const wanted = column.trim().toLowerCase();
+  const key = Object.keys(contact).find(name => name.trim().toLowerCase() === wanted);
+  const value = key === undefined ? '' : contact[key];
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+function compare(actual, expected) {
+  const a = Number(actual);
+  const b = Number(expected);
+  if (actual !== '' && expected !== '' && !Number.isNaN(a) && !Number.isNaN(b)) {
+    return a - b;
+  }
+  return actual.localeCompare(expected, undefined, { sensitivity: 'base' });
+}
+
+function matches(contact, node) {
+  if (node.and) {
+    return node.and.every(part => matches(contact, part));
+  }
+  if (node.or) {
+    return node.or.some(part => matches(contact, part));
+  }
+  const actual = columnValue(contact, node.column);
+  const text = actual.toLowerCase();
+  const expected = node.value.toLowerCase();
+  switch (node.op) {
+  case '=': return compare(actual, node.value) === 0;
+  case '!=': return compare(actual, node.value) !== 0;
+  case '>': return compare(actual, node.value) > 0;
+  case '<': return compare(actual, node.value) < 0;
+  case '>=': return compare(actual, node.value) >= 0;
+  case '<=': return compare(actual, node.value) <= 0;
+  case 'contains': return text.includes(expected);
+  case 'not contains': return !text.includes(expected);
+  case 'starts with': return text.startsWith(expected);
+  case 'has': return text.split(/[,;]/).map(tag => tag.trim()).includes(expected);
+  case 'is empty': return actual === '';
+  case 'is not empty': return actual !== '';
+  default: return false;
+  }
+}
+
+/**
+ * Contacts matching a filter expression; all of them for an empty filter.
+ * @param {Object[]} contacts
+ * @param {string} filterText
+ * @returns {Object[]}
+ * @throws {Error} when the filter cannot be read
+ */
+export function filterContacts(contacts, filterText) {
+  const tree = parseFilter(filterText);
+  return tree ? contacts.filter(contact => matches(contact, tree)) : contacts.slice();
+}
+
+/**
+ * Union of contact lists by phone number. A number in several lists keeps the first list's
+ * contact, with columns only the later lists have filled in.
+ * @param {Array<Object[]>} lists
+ * @returns {Object[]}
+ */
+export function mergeContacts(lists) {
+  const byNumber = new Map();
+  lists.forEach(list => list.forEach(contact => {
+    const number = contactPhone(contact);
+    if (!number) {
+      return;
+    }
+    const known = byNumber.get(number);
+    if (!known) {
+      byNumber.set(number, { ...contact });
+      return;
+    }
+    Object.entries(contact).forEach(([key, value]) => {
+      if (columnValue(known, key) === '' && value !== '' && value !== null && value !== undefined) {
+        known[key] = value;
+      }
+    });
+  }));
+  return [...byNumber.values()];
+}
+
+/**
+ * Contacts of `list` whose number is in none of `others`.
+ * @param {Object[]} list
+ * @param {Array<Object[]>} others
+ * @returns {Object[]}
+ */
+export function diffContacts(list, others) {
+  const excluded = new Set();
+  others.forEach(other => other.forEach(contact => excluded.add(contactPhone(contact))));
+  return list.filter(contact => !excluded.has(contactPhone(contact)));
+}
@@ -0,0 +1,278 @@
+// campaignHistoryDB.js - IndexedDB archive of past campaigns and per-recipient outcomes
+// Lives next to the `wa_sender_attachments` DB; shared by the background worker
+// (writer) and the history view (reader).
+
+const HISTORY_DB_NAME = 'wa_sender_history';
+const HISTORY_DB_VERSION = 1;
+const CAMPAIGN_STORE = 'campaigns';
+const RECIPIENT_STORE = 'recipients';
+
+// Campaign fields that are not "settings" and are stored separately on the record
+const NON_SETTING_KEYS = new Set([
+  'id', 'contacts', 'message', 'attachment', 'status', 'startTime', 'completionTime',
+  'lastUpdateTime', 'queuedAt', 'currentIndex', 'currentNumber', 'sentCount', 'failedCount',
+  'totalContacts', 'tabId', 'error', 'lastError', 'successNumbers', 'failedNumbers',
+  'skippedNumbers', 'sentNumbers', 'pauseReason', 'nextBatchTime', 'nextMessageTime',
+  'optedOutContacts', 'optedOutCount',
+]);
+
+function openHistoryDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    req.onerror = () => reject(req.error);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(CAMPAIGN_STORE)) {
+        const campaigns = db.createObjectStore(CAMPAIGN_STORE, { keyPath: 'id' });
+        campaigns.createIndex('startTime', 'startTime');
+      }
+      if (!db.objectStoreNames.contains(RECIPIENT_STORE)) {
+        const recipients = db.createObjectStore(RECIPIENT_STORE, { keyPath: ['campaignId', 'index'] });
+        recipients.createIndex('campaignId', 'campaignId');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+  });
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Build the archived form of a campaign: settings, message and attachment,
+ * without the contact list.
+ */
+export function buildCampaignRecord(campaign) {
+  const settings = {};
+  Object.keys(campaign).forEach(key => {
+    if (!NON_SETTING_KEYS.has(key) && !key.startsWith('_')) {
+      settings[key] = campaign[key];
+    }
+  });
+
+  // Small attachments only travel inline (no IndexedDB blob), so keep their payload
+  // to be able to send the same file again, e.g. when retrying failures
+  const attachment = campaign.attachment
+    ? {
+      name: campaign.attachment.name || null,
+      type: campaign.attachment.type || null,
+      size: campaign.attachment.size || null,
+      attachmentRef: campaign.attachment.attachmentRef || null,
+      base64String: campaign.attachment.base64String || null,
+    }
+    : null;
+
+  return {
+    id: campaign.id,
+    status: campaign.status,
+    message: campaign.message || '',
+    attachment,
+    settings,
+    totalContacts: campaign.totalContacts || (campaign.contacts ? campaign.contacts.length : 0),
+    sentCount: campaign.sentCount || 0,
+    failedCount: campaign.failedCount || 0,
+    optedOutCount: campaign.optedOutCount || 0,
+    queuedAt: campaign.queuedAt || null,
+    startTime: campaign.startTime || null,
+    completionTime: campaign.completionTime || null,
+    error: campaign.error || campaign.lastError || null,
+  };
+}
+
+export async function saveCampaignRecord(record) {
+  const db = await openHistoryDB();
+  const tx = db.transaction(CAMPAIGN_STORE, 'readwrite');
+  tx.objectStore(CAMPAIGN_STORE).put(record);
+  await transactionDone(tx);
+}
+
+export async function getCampaignRecord(id) {
+  const db = await openHistoryDB();
+  const tx = db.transaction(CAMPAIGN_STORE, 'readonly');
+  return (await requestToPromise(tx.objectStore(CAMPAIGN_STORE).get(id))) || null;
+}
+
+/** All archived campaigns, newest first. */
+export async function listCampaignRecords() {
+  const db = await openHistoryDB();
+  const tx = db.transaction(CAMPAIGN_STORE, 'readonly');
+  const records = await requestToPromise(tx.objectStore(CAMPAIGN_STORE).getAll());
+  const sortKey = r => r.startTime || r.queuedAt || r.completionTime || '';
+  return records.sort((a, b) => sortKey(b).localeCompare(sortKey(a)));
+}
+
+/**
+ * Store the outcome for one contact of a campaign.
+ * @param {{campaignId: string, index: number, number: string, status: string,
+ *   timestamp: string, error?: string, contact?: Object}} result
+ */
+export async function saveRecipientResult(result) {
+  const db = await openHistoryDB();
+  const tx = db.transaction(RECIPIENT_STORE, 'readwrite');
+  tx.objectStore(RECIPIENT_STORE).put(result);
+  await transactionDone(tx);
+}
+
+/** Recipient outcomes for one campaign, in contact order. */
+export async function getRecipientResults(campaignId) {
+  const db = await openHistoryDB();
+  const tx = db.transaction(RECIPIENT_STORE, 'readonly');
+  const index = tx.objectStore(RECIPIENT_STORE).index('campaignId');
+  const results = await requestToPromise(index.getAll(campaignId));
+  return results.sort((a, b) => a.index - b.index);
+}
+
+// WhatsApp message ack levels (Store.Msg `ack`)
+export const MESSAGE_ACK = { SENT: 1, DELIVERED: 2, READ: 3, PLAYED: 4 };
+
+const ACK_TIME_FIELDS = {
+  [MESSAGE_ACK.SENT]: 'sentAt',
+  [MESSAGE_ACK.DELIVERED]: 'deliveredAt',
+  [MESSAGE_ACK.READ]: 'readAt',
+  [MESSAGE_ACK.PLAYED]: 'playedAt',
+};
+
+/**
+ * Raise a recipient's ack level; lower or repeated acks are ignored.
+ * Skipped levels (e.g. straight to read) get the same timestamp.
+ * @returns {Promise<boolean>} whether the record changed
+ */
+export async function updateRecipientAck(campaignId, index, ack, timestamp) {
+  const db = await openHistoryDB();
+  const tx = db.transaction(RECIPIENT_STORE, 'readwrite');
+  const store = tx.objectStore(RECIPIENT_STORE);
+  const record = await requestToPromise(store.get([campaignId, index]));
+  if (!record || (record.ack || 0) >= ack) {
+    return false;
+  }
+  for (let level = (record.ack || 0) + 1; level <= ack; level++) {
+    const field = ACK_TIME_FIELDS[level];
+    if (field && !record[field]) {
+      record[field] = timestamp;
+    }
+  }
+  record.ack = ack;
+  store.put(record);
+  await transactionDone(tx);
+  return true;
+}
+
+// Longest reply text kept per recipient
+const MAX_REPLY_LENGTH = 1000;
+
+/**
+ * Tag a recipient as having replied. The first reply time is kept in `repliedAt`;
+ * `replyText`/`lastReplyAt` always hold the latest reply.
+ * @returns {Promise<boolean>} whether a matching record was found
+ */
+export async function recordRecipientReply(campaignId, index, text, timestamp) {
+  const db = await openHistoryDB();
+  const tx = db.transaction(RECIPIENT_STORE, 'readwrite');
+  const store = tx.objectStore(RECIPIENT_STORE);
+  const record = await requestToPromise(store.get([campaignId, index]));
+  if (!record) {
+    return false;
+  }
+  record.repliedAt = record.repliedAt || timestamp;
+  record.lastReplyAt = timestamp;
+  record.replyText = String(text || '').slice(0, MAX_REPLY_LENGTH);
+  record.replyCount = (record.replyCount || 0) + 1;
+  store.put(record);
+  await transactionDone(tx);
+  return true;
+}
+
+/**
+ * Attach the outcome of a contact's follow-up messages (message sequence steps 2+).
+ * @param {Array<{step: number, status: string, error: ?string, timestamp: string}>} followUps
+ * @returns {Promise<boolean>} false when the recipient has no record
+ */
+export async function recordFollowUpResults(campaignId, index, followUps) {
+  const db = await openHistoryDB();
+  const tx = db.transaction(RECIPIENT_STORE, 'readwrite');
+  const store = tx.objectStore(RECIPIENT_STORE);
+  const record = await requestToPromise(store.get([campaignId, index]));
+  if (!record) {
+    return false;
+  }
+  record.followUps = followUps;
+  store.put(record);
+  await transactionDone(tx);
+  return true;
+}
+
+/**
+ * Delivery/read/reply numbers for a campaign's sent messages.
+ * @returns {Promise<{sent: number, delivered: number, read: number, played: number,
+ *   replied: number, deliveryRate: number, readRate: number, replyRate: number}>} rates are 0–100
+ */
+export async function getReceiptStats(campaignId) {
+  const recipients = await getRecipientResults(campaignId);
+  const sent = recipients.filter(r => r.status === 'sent');
+  const atLeast = level => sent.filter(r => (r.ack || 0) >= level).length;
+  const delivered = atLeast(MESSAGE_ACK.DELIVERED);
+  const read = atLeast(MESSAGE_ACK.READ);
+  const replied = sent.filter(r => r.repliedAt).length;
+  const rate = count => (sent.length ? Math.round((count / sent.length) * 100) : 0);
+  return {
+    sent: sent.length,
+    delivered,
+    read,
+    played: atLeast(MESSAGE_ACK.PLAYED),
+    replied,
+    deliveryRate: rate(delivered),
+    readRate: rate(read),
+    replyRate: rate(replied),
+  };
+}
+
+/** Ids of campaigns that had a recipient whose number contains `digits`. */
+export async function findCampaignIdsByNumber(digits) {
+  const db = await openHistoryDB();
+  const tx = db.transaction(RECIPIENT_STORE, 'readonly');
+  const ids = new Set();
+  await new Promise((resolve, reject) => {
+    const req = tx.objectStore(RECIPIENT_STORE).openCursor();
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      if (String(cursor.value.number || '').includes(digits)) {
+        ids.add(cursor.value.campaignId);
+      }
+      cursor.continue();
+    };
+  });
+  return ids;
+}
+
+export async function deleteCampaignRecord(id) {
+  const db = await openHistoryDB();
+  const tx = db.transaction([CAMPAIGN_STORE, RECIPIENT_STORE], 'readwrite');
+  tx.objectStore(CAMPAIGN_STORE).delete(id);
+  const index = tx.objectStore(RECIPIENT_STORE).index('campaignId');
+  const req = index.openKeyCursor(IDBKeyRange.only(id));
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (cursor) {
+      tx.objectStore(RECIPIENT_STORE).delete(cursor.primaryKey);
+      cursor.continue();
+    }
+  };
+  await transactionDone(tx);
+}
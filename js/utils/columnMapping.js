@@ -0,0 +1,191 @@
+// columnMapping.js - How the columns of an imported contact file become contact fields: the
+// column holding the phone number (optionally with a separate country-code column in front of
+// it), the column holding the name, and the variable name every other column is imported under.
+// Mappings are remembered per file layout (its header row) in chrome.storage.local
+// (`contactColumnMappings`), so a file exported the same way every week is imported in one step.
+
+const STORAGE_KEY = 'contactColumnMappings';
+const MAX_SAVED_LAYOUTS = 50;
+// Header words, best first; compared without case, spaces or punctuation
+const PHONE_HEADERS = ['phone', 'mobile', 'whatsapp', 'cell', 'msisdn', 'phonenumber', 'tel', 'number'];
+const COUNTRY_CODE_HEADERS = ['countrycode', 'dialcode', 'callingcode', 'isd', 'cc'];
+const NAME_HEADERS = ['name', 'fullname', 'contactname', 'customername', 'firstname', 'customer'];
+// Contact fields filled from the mapped columns; other columns may not be renamed to these
+export const RESERVED_VARIABLES = ['Name', 'Phone'];
+
+function normalizeHeader(header) {
+  return String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Exact header names first, then headers containing a longer candidate ("Mobile No.")
+function findHeader(headers, candidates, exclude = []) {
+  const normalized = headers.map(normalizeHeader);
+  for (const candidate of candidates) {
+    const exact = normalized.findIndex((h, i) => h === candidate && !exclude.includes(i));
+    if (exact !== -1) {
+      return exact;
+    }
+  }
+  for (const candidate of candidates.filter(c => c.length >= 5)) {
+    const partial = normalized.findIndex((h, i) => h.includes(candidate) && !exclude.includes(i));
+    if (partial !== -1) {
+      return partial;
+    }
+  }
+  return -1;
+}
+
+// Share of the non-empty sample values of a column that look like phone numbers
+function phoneLikeShare(rows, index) {
+  const values = rows.map(row => String(row[index] ?? '').trim()).filter(Boolean);
+  if (!values.length) {
+    return 0;
+  }
+  const phoneLike = values.filter(value => {
+    const digits = value.replace(/\D/g, '').length;
+    return /^[+\d\s().-]+$/.test(value) && digits >= 7 && digits <= 15;
+  });
+  return phoneLike.length / values.length;
+}
+
+/**
+ * Header text usable as a template variable: no braces or pipes, never empty.
+ * @param {string} header
+ * @param {number} index - column position, for unnamed columns
+ * @returns {string}
+ */
+export function variableName(header, index) {
+  const name = String(header ?? '').replace(/[{}|]/g, '').replace(/\s+/g, ' ').trim();
+  return name || `Column ${index + 1}`;
+}
+
+/**
+ * Identifies a file layout by its header row.
+ * @param {string[]} headers
+ * @returns {string}
+ */
+export function layoutKey(headers) {
+  return headers.map(header => String(header ?? '').trim().toLowerCase()).join('\u001f');
+}
+
+/**
+ * First guess at a mapping from the header names and a few sample rows.
+ * @param {string[]} headers
+ * @param {Array<Array<string>>} rows - sample rows
+ * @returns {{phone: number, countryCode: number, name: number, variables: string[]}}
+ *   column indexes (-1 = none); variables[i] is the name column i is imported under ('' = skipped)
+ */
+export function guessMapping(headers, rows) {
+  const countryCode = findHeader(headers, COUNTRY_CODE_HEADERS);
+  const taken = countryCode === -1 ? [] : [countryCode];
+  let phone = findHeader(headers, PHONE_HEADERS, taken);
+  // "Order Number" is no phone column; then take the column whose values look like numbers
+  if (phone === -1 || (rows.length && phoneLikeShare(rows, phone) < 0.5)) {
+    const shares = headers.map((header, index) => (
+      taken.includes(index) ? 0 : phoneLikeShare(rows, index)));
+    const best = Math.max(0, ...shares);
+    phone = best >= 0.6 ? shares.indexOf(best) : phone;
+  }
+  const name = findHeader(headers, NAME_HEADERS, [...taken, phone]);
+  return {
+    phone,
+    countryCode,
+    name,
+    variables: headers.map((header, index) => variableName(header, index)),
+  };
+}
+
+/**
+ * Why a mapping cannot be used, or '' when it can.
+ * @param {string[]} headers
+ * @param {Object} mapping - see guessMapping
+ * @returns {string}
+ */
+export function mappingError(headers, mapping) {
+  if (!mapping || !(mapping.phone >= 0 && mapping.phone < headers.length)) {
+    return 'Pick the column that holds the phone numbers';
+  }
+  if (mapping.countryCode === mapping.phone) {
+    return 'The country code and phone number must be different columns';
+  }
+  const seen = new Set(RESERVED_VARIABLES.map(name => name.toLowerCase()));
+  for (let index = 0; index < headers.length; index++) {
+    const name = (mapping.variables[index] || '').trim();
+    if (!name || index === mapping.phone || index === mapping.name) {
+      continue;
+    }
+    if (/[{}|]/.test(name)) {
+      return `Variable names cannot contain { } or |: "${name}"`;
+    }
+    if (seen.has(name.toLowerCase())) {
+      return `Two columns would both be imported as "${name}"`;
+    }
+    seen.add(name.toLowerCase());
+  }
+  return '';
+}
+
+/**
+ * Phone cell of a row, with the country-code cell in front when the number has none of its own.
+ * @param {Array<string>} row
+ * @param {Object} mapping
+ * @returns {string}
+ */
+export function mappedPhone(row, mapping) {
+  const number = String(row[mapping.phone] ?? '').trim();
+  if (mapping.countryCode < 0 || !number || /^(\+|00)/.test(number)) {
+    return number;
+  }
+  const code = String(row[mapping.countryCode] ?? '').replace(/\D/g, '').replace(/^00/, '');
+  return code ? `+${code} ${number}` : number;
+}
+
+/**
+ * Rows in the shape processParsedData reads from Excel: a header row of Name, Phone and the
+ * imported variables, then one row per contact.
+ * @param {string[]} headers
+ * @param {Array<Array<string>>} rows
+ * @param {Object} mapping
+ * @returns {Array<Array<string>>}
+ */
+export function applyMapping(headers, rows, mapping) {
+  const imported = headers
+    .map((header, index) => index)
+    .filter(index => index !== mapping.phone && index !== mapping.name
+      && (mapping.variables[index] || '').trim());
+  const header = ['Name', 'Phone', ...imported.map(index => mapping.variables[index].trim())];
+  const body = rows.map(row => [
+    mapping.name >= 0 ? String(row[mapping.name] ?? '').trim() : '',
+    mappedPhone(row, mapping),
+    ...imported.map(index => row[index] ?? ''),
+  ]);
+  return [header, ...body];
+}
+
+/**
+ * The mapping last used for files with these headers, or null.
+ * @param {string[]} headers
+ * @returns {Promise<?Object>}
+ */
+export async function getSavedMapping(headers) {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  const entry = (stored[STORAGE_KEY] || {})[layoutKey(headers)];
+  if (!entry || mappingError(headers, entry.mapping)) {
+    return null;
+  }
+  return entry.mapping;
+}
+
+/**
+ * Remembers a mapping for files with these headers; the oldest layouts are dropped.
+ * @param {string[]} headers
+ * @param {Object} mapping
+ */
+export async function saveMapping(headers, mapping) {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  const saved = stored[STORAGE_KEY] || {};
+  saved[layoutKey(headers)] = { mapping, savedAt: Date.now() };
+  const keys = Object.keys(saved).sort((a, b) => saved[b].savedAt - saved[a].savedAt);
+  keys.slice(MAX_SAVED_LAYOUTS).forEach(key => delete saved[key]);
+  await chrome.storage.local.set({ [STORAGE_KEY]: saved });
+}
@@ -1,53 +1,9 @@
 // Contact validation and processing utilities
 
-/**
- * Validates a phone number according to E.164 standard
- * @param {string} phoneNumber - The phone number to validate
- * @returns {Object} - { isValid: boolean, formattedNumber: string, error: string }
- */
-export function validatePhoneNumber(phoneNumber) {
-  if (!phoneNumber) {
-    return {
-      isValid: false,
-      formattedNumber: '',
-      error: 'Phone number is required'
-    };
-  }
+// Number parsing (default country, national formats) lives in phoneUtils.js
+import { validatePhoneNumber, extractPhoneNumbers } from './phoneUtils.js';
 
-  // Remove all non-digit characters except leading +
-  const cleaned = phoneNumber.replace(/[^0-9+]/g, '');
-  
-  // Check for valid E.164 format
-  const e164Regex = /^\+[1-9]\d{7,14}$/;
-  
-  // Format the number
-  let formatted = cleaned;
-  
-  // If number starts with 00, replace with +
-  if (formatted.startsWith('00')) {
-    formatted = '+' + formatted.substring(2);
-  }
-  
-  // If no + but has 10+ digits, assume it's missing country code
-  if (!formatted.startsWith('+') && formatted.length >= 10) {
-    formatted = '+' + formatted; // You might want to add a default country code here
-  }
-  
-  // Final validation
-  if (e164Regex.test(formatted)) {
-    return {
-      isValid: true,
-      formattedNumber: formatted,
-      error: ''
-    };
-  }
-  
-  return {
-    isValid: false,
-    formattedNumber: formatted,
-    error: 'Invalid phone number format. Expected format: +[country code][number]'
-  };
-}
+export { validatePhoneNumber, extractPhoneNumbers };
 
 /**
  * Checks if a number is likely blocked based on error messages
@@ -88,21 +44,6 @@ export function formatForDisplay(phoneNumber) {
   return phoneNumber;
 }
 
-/**
- * Extracts phone numbers from a string (CSV, newline, comma, or space separated)
- * @param {string} input - The input string containing phone numbers
- * @returns {string[]} - Array of extracted phone numbers
- */
-export function extractPhoneNumbers(input) {
-  if (!input) return [];
-  
-  // Split by common delimiters and filter out empty strings
-  return input
-    .split(/[\n,;\s]+/)
-    .map(num => num.trim())
-    .filter(num => num.length > 0);
-}
-
 /**
  * Processes a list of raw phone numbers into validated contact objects
  * @param {string[]} numbers - Array of raw phone numbers
@@ -0,0 +1,188 @@
+// dripCampaigns.js - Multi-day drip campaigns ("Day 0 intro, Day 2 reminder if no reply,
+// Day 5 final offer"). Day 0 is an ordinary campaign; every later step starts a campaign of its
+// own for the contacts still in the drip. The background worker owns the `dripCampaigns` list in
+// chrome.storage.local, including the step each contact has reached, so a drip survives restarts.
+import { contactPhone } from './optOutList.js';
+
+const STORAGE_KEY = 'dripCampaigns';
+export const DAY_MS = 24 * 60 * 60 * 1000;
+// Steps after day 0
+export const MAX_DRIP_STEPS = 5;
+export const MAX_DRIP_DAY = 90;
+// Settings that only belong to the day-0 campaign; later steps send their own text only
+const DAY_ZERO_ONLY_KEYS = [
+  'contacts', 'message', 'attachment', 'followUps', 'attachmentColumn', 'contactAttachments',
+  'personalizedAttachment', 'dripSteps', 'scheduleId', 'retryOf', 'id', 'queuedAt',
+  'totalContacts', 'optedOutContacts', 'optedOutCount', 'status',
+];
+
+/** @returns {Promise<Array<Object>>} */
+export async function getDripCampaigns() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  return Array.isArray(stored[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+}
+
+export async function saveDripCampaigns(list) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: list });
+}
+
+/**
+ * Steps from the sender popup, cleaned up: empty messages dropped, days clamped to
+ * 1..MAX_DRIP_DAY and sorted.
+ * @param {Array<{dayOffset: number, message: string, skipReplied: boolean}>} steps
+ * @returns {Array<{dayOffset: number, message: string, skipReplied: boolean}>}
+ */
+export function normalizeDripSteps(steps) {
+  return (Array.isArray(steps) ? steps : [])
+    .filter(step => step && String(step.message || '').trim())
+    .map(step => ({
+      dayOffset: Math.min(MAX_DRIP_DAY, Math.max(1, parseInt(step.dayOffset, 10) || 1)),
+      message: String(step.message),
+      skipReplied: step.skipReplied !== false,
+    }))
+    .sort((a, b) => a.dayOffset - b.dayOffset)
+    .slice(0, MAX_DRIP_STEPS);
+}
+
+/**
+ * New drip for a day-0 campaign that is about to start. Every contact begins at step -1
+ * ("nothing sent yet"); contacts on the opt-out list are out of the drip from the start.
+ * @param {Object} campaign - day-0 campaign (id, contacts, message and sending settings)
+ * @param {Array<Object>} steps - normalised later steps
+ * @param {Array<Object>} optedOut - contacts the opt-out list removed from the campaign
+ * @returns {Object}
+ */
+export function createDrip(campaign, steps, optedOut = []) {
+  const startedAt = Date.now();
+  const settings = { ...campaign };
+  DAY_ZERO_ONLY_KEYS.forEach(key => delete settings[key]);
+
+  const contacts = [];
+  const progress = {};
+  const addContact = (contact, status) => {
+    const key = contactPhone(contact);
+    if (!key || progress[key]) {
+      return;
+    }
+    contacts.push(contact);
+    progress[key] = { step: -1, status, number: null, lastSentAt: null, repliedAt: null };
+  };
+  campaign.contacts.forEach(contact => addContact(contact, 'active'));
+  optedOut.forEach(contact => addContact(contact, 'opted_out'));
+
+  return {
+    id: 'drip-' + startedAt,
+    status: 'active',
+    createdAt: new Date(startedAt).toISOString(),
+    startedAt,
+    settings,
+    contacts,
+    progress,
+    steps: [
+      { dayOffset: 0, message: campaign.message, skipReplied: false, dueAt: startedAt,
+        status: 'started', campaignId: campaign.id, totalContacts: campaign.contacts.length },
+      ...steps.map(step => ({ ...step, dueAt: startedAt + step.dayOffset * DAY_MS, status: 'pending' })),
+    ],
+    nextStep: 1,
+  };
+}
+
+/**
+ * Contacts that get step `stepIndex`: still in the drip, sent the previous step and, for
+ * "only if no reply" steps, without a reply since we first wrote to them.
+ * @returns {Array<Object>}
+ */
+export function dripStepContacts(drip, stepIndex) {
+  const step = drip.steps[stepIndex];
+  return drip.contacts.filter(contact => {
+    const entry = drip.progress[contactPhone(contact)];
+    return entry && entry.status === 'active' && entry.step >= stepIndex - 1
+      && !(step.skipReplied && entry.repliedAt);
+  });
+}
+
+/**
+ * A step campaign stopped before reaching everyone (aborted, or cancelled while queued):
+ * contacts it did not send to leave the drip, so no later step follows up on a message they
+ * never got.
+ * @param {Object} drip
+ * @param {number} stepIndex
+ * @returns {number} contacts left in the drip
+ */
+export function stopDripStep(drip, stepIndex) {
+  drip.steps[stepIndex].status = 'stopped';
+  let active = 0;
+  Object.values(drip.progress).forEach(entry => {
+    if (entry.status !== 'active') {
+      return;
+    }
+    if (entry.step < stepIndex) {
+      entry.status = 'not_reached';
+    } else {
+      active++;
+    }
+  });
+  return active;
+}
+
+/**
+ * Apply a step campaign's per-contact result. Sent contacts move on to the step; contacts that
+ * could not be reached leave the drip (duplicates in one sheet share their original's entry).
+ * @param {Object} drip
+ * @param {number} stepIndex
+ * @param {{number: string, status: string, error?: string, contact?: Object, timestamp: string}} result
+ * @returns {boolean} whether the contact belongs to the drip
+ */
+export function recordDripResult(drip, stepIndex, result) {
+  const entry = drip.progress[contactPhone(result.contact) || result.number];
+  if (!entry) {
+    return false;
+  }
+  if (result.status === 'sent') {
+    entry.step = Math.max(entry.step, stepIndex);
+    entry.number = result.number;
+    entry.lastSentAt = Date.parse(result.timestamp) || Date.now();
+  } else if (result.error !== 'duplicate_number') {
+    entry.status = 'failed';
+    entry.error = result.error || result.status;
+  }
+  return true;
+}
+
+/**
+ * Mark a contact of the drip as replied when `number` wrote to us after our last message.
+ * @param {Object} drip
+ * @param {string} number - WhatsApp number (digits)
+ * @param {number} receivedAt - epoch ms of the incoming message
+ * @param {number} [skewMs] - tolerance between the WhatsApp and the local clock
+ * @returns {boolean} whether a reply was recorded
+ */
+export function recordDripReply(drip, number, receivedAt, skewMs = 0) {
+  const entry = Object.values(drip.progress).find(item => item.number === number);
+  if (!entry || entry.repliedAt || !entry.lastSentAt || receivedAt < entry.lastSentAt - skewMs) {
+    return false;
+  }
+  entry.repliedAt = new Date(receivedAt).toISOString();
+  return true;
+}
+
+/**
+ * Per-status contact counts of a drip.
+ * @returns {{active: number, replied: number, failed: number, optedOut: number}}
+ */
+export function countDripContacts(drip) {
+  const counts = { active: 0, replied: 0, failed: 0, optedOut: 0 };
+  Object.values(drip.progress).forEach(entry => {
+    if (entry.repliedAt) {
+      counts.replied++;
+    }
+    if (entry.status === 'active') {
+      counts.active++;
+    } else if (entry.status === 'failed') {
+      counts.failed++;
+    } else if (entry.status === 'opted_out') {
+      counts.optedOut++;
+    }
+  });
+  return counts;
+}
@@ -1,10 +1,18 @@
 // Excel Parser for XLSX/XLS files
-// Minimal implementation using SheetJS
+// Minimal implementation using SheetJS. A workbook can be read from any sheet, with the header
+// on any row (rows above it are skipped), and several sheets can be merged into one list whose
+// rows carry the name of their sheet in a `Sheet` column.
+
+// Column added to merged rows
+const SHEET_COLUMN = 'Sheet';
+// Rows searched for the header row
+const HEADER_SCAN_ROWS = 10;
 
 class ExcelParser {
   constructor() {
-    this.XLSX = null;
-    this.loaded = false;
+    // Workbooks already read by the caller are used with the page's SheetJS
+    this.XLSX = window.XLSX || null;
+    this.loaded = !!window.XLSX;
   }
 
   async loadLibrary() {
@@ -30,25 +38,132 @@ class ExcelParser {
     }
   }
 
-  async parseFile(file) {
-    try {
-      if (!await this.loadLibrary()) {
-        throw new Error('Failed to load Excel library');
-      }
+  async readWorkbook(file) {
+    if (!await this.loadLibrary()) {
+      throw new Error('Failed to load Excel library');
+    }
+    const arrayBuffer = await this.readFileAsArrayBuffer(file);
+    return this.XLSX.read(arrayBuffer, { type: 'array' });
+  }
 
-      const arrayBuffer = await this.readFileAsArrayBuffer(file);
-      const workbook = this.XLSX.read(arrayBuffer, { type: 'array' });
-      
-      // Get first worksheet
-      const sheetName = workbook.SheetNames[0];
-      const worksheet = workbook.Sheets[sheetName];
-      
-      // Convert to JSON
-      const jsonData = this.XLSX.utils.sheet_to_json(worksheet, { 
-        header: 1,
-        defval: '',
-        raw: false
+  // Cell text of every row of a sheet, trailing empty rows dropped
+  sheetRows(workbook, sheetName) {
+    const worksheet = workbook.Sheets[sheetName];
+    if (!worksheet) {
+      throw new Error(`Sheet "${sheetName}" not found`);
+    }
+    const rows = this.XLSX.utils.sheet_to_json(worksheet, {
+      header: 1,
+      defval: '',
+      raw: false,
+      blankrows: true,
+    });
+    while (rows.length && rows[rows.length - 1].every(cell => String(cell).trim() === '')) {
+      rows.pop();
+    }
+    return rows;
+  }
+
+  /**
+   * Sheets of a workbook with their rows, for the sheet picker.
+   * @returns {Array<{name: string, rows: Array<Array<string>>}>}
+   */
+  describeSheets(workbook) {
+    return workbook.SheetNames.map(name => ({ name, rows: this.sheetRows(workbook, name) }));
+  }
+
+  /**
+   * 1-based number of the likely header row: the first of the top rows that is about as wide as
+   * the widest of them (title and note lines above a table fill one or two cells).
+   * @param {Array<Array<string>>} rows
+   * @returns {number}
+   */
+  guessHeaderRow(rows) {
+    const filled = rows.slice(0, HEADER_SCAN_ROWS)
+      .map(row => row.filter(cell => String(cell).trim() !== '').length);
+    const widest = Math.max(0, ...filled);
+    const index = filled.findIndex(count => count >= Math.max(2, Math.ceil(widest * 0.6)));
+    return index === -1 ? 1 : index + 1;
+  }
+
+  /**
+   * Header row and data rows of one sheet.
+   * @param {Array<Array<string>>} rows
+   * @param {number} headerRow - 1-based row holding the headers, rows above it are skipped;
+   *   0 when the sheet has no header row (columns are named "Column 1", "Column 2"...)
+   * @returns {{headers: string[], rows: Array<Array<string>>}}
+   */
+  splitHeader(rows, headerRow) {
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const nameColumns = cells => Array.from({ length: width }, (unused, index) => {
+      const header = String(cells[index] ?? '').trim();
+      return header || `Column ${index + 1}`;
+    });
+    if (headerRow <= 0) {
+      return { headers: nameColumns([]), rows };
+    }
+    return { headers: nameColumns(rows[headerRow - 1] || []), rows: rows.slice(headerRow) };
+  }
+
+  /**
+   * Rows of the chosen sheets with the header row first. With several sheets the headers are
+   * merged by name and every row gets the name of its sheet in a `Sheet` column.
+   * @param {Object} workbook
+   * @param {Object} [options]
+   * @param {string[]} [options.sheets] - sheet names; the first sheet by default
+   * @param {number} [options.headerRow] - see splitHeader; guessed per sheet when omitted
+   * @returns {Array<Array<string>>}
+   */
+  toRows(workbook, options = {}) {
+    const sheetNames = options.sheets && options.sheets.length
+      ? options.sheets
+      : [workbook.SheetNames[0]];
+    const tables = sheetNames.map(name => {
+      const rows = this.sheetRows(workbook, name);
+      const headerRow = Number.isInteger(options.headerRow)
+        ? options.headerRow
+        : this.guessHeaderRow(rows);
+      return { name, ...this.splitHeader(rows, headerRow) };
+    });
+    const isEmpty = row => row.every(cell => String(cell).trim() === '');
+
+    if (tables.length === 1) {
+      return [tables[0].headers, ...tables[0].rows.filter(row => !isEmpty(row))];
+    }
+
+    const headers = [];
+    tables.forEach(table => table.headers.forEach(header => {
+      if (!headers.includes(header)) {
+        headers.push(header);
+      }
+    }));
+    if (!headers.includes(SHEET_COLUMN)) {
+      headers.push(SHEET_COLUMN);
+    }
+    const merged = [headers];
+    tables.forEach(table => {
+      const positions = headers.map(header => table.headers.indexOf(header));
+      table.rows.filter(row => !isEmpty(row)).forEach(row => {
+        merged.push(headers.map((header, index) => (
+          header === SHEET_COLUMN && positions[index] === -1
+            ? table.name
+            : positions[index] === -1 ? '' : row[positions[index]] ?? ''
+        )));
       });
+    });
+    return merged;
+  }
+
+  /**
+   * Contacts (one object per row, keyed by header) of an Excel file.
+   * @param {File} file
+   * @param {Object} [options] - sheets and header row, see toRows
+   * @returns {Promise<Object[]>}
+   */
+  async parseFile(file, options = {}) {
+    try {
+      const workbook = await this.readWorkbook(file);
+      const jsonData = this.toRows(workbook, options);
       
       if (jsonData.length < 2) {
         throw new Error('Excel file must have at least 2 rows (header + data)');
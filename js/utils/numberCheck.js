@@ -0,0 +1,67 @@
+// numberCheck.js - Results of the pre-flight "Verify numbers" pass: whether each number has a
+// WhatsApp account. Answers are cached in chrome.storage.local (`whatsappNumberChecks`) so a
+// list is not looked up again on every launch; they expire because people join and leave.
+
+const STORAGE_KEY = 'whatsappNumberChecks';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const NUMBER_STATUS = {
+  ON_WHATSAPP: 'on_whatsapp',
+  NOT_ON_WHATSAPP: 'not_on_whatsapp',
+  UNKNOWN: 'unknown',
+};
+
+// A number without WhatsApp today may sign up soon, so that answer is kept for less time.
+// Unknown answers (lookup failed) are never cached.
+const CACHE_TTL_MS = {
+  [NUMBER_STATUS.ON_WHATSAPP]: 30 * DAY_MS,
+  [NUMBER_STATUS.NOT_ON_WHATSAPP]: 7 * DAY_MS,
+};
+
+function isFresh(entry, now) {
+  const ttl = entry && CACHE_TTL_MS[entry.status];
+  return !!ttl && now - entry.checkedAt < ttl;
+}
+
+/**
+ * Cached answers that have not expired, for the given numbers (digits).
+ * @param {string[]} numbers
+ * @returns {Promise<Object<string, {status: string, checkedAt: number}>>}
+ */
+export async function getNumberChecks(numbers) {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  const cache = stored[STORAGE_KEY] || {};
+  const now = Date.now();
+  const found = {};
+  numbers.forEach(number => {
+    if (isFresh(cache[number], now)) {
+      found[number] = cache[number];
+    }
+  });
+  return found;
+}
+
+/**
+ * Cache fresh lookup answers; expired entries are dropped on the way.
+ * @param {Object<string, string>} results - number -> NUMBER_STATUS value
+ */
+export async function saveNumberChecks(results) {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  const cache = stored[STORAGE_KEY] || {};
+  const now = Date.now();
+  Object.keys(cache).forEach(number => {
+    if (!isFresh(cache[number], now)) {
+      delete cache[number];
+    }
+  });
+  Object.entries(results).forEach(([number, status]) => {
+    if (CACHE_TTL_MS[status]) {
+      cache[number] = { status, checkedAt: now };
+    }
+  });
+  await chrome.storage.local.set({ [STORAGE_KEY]: cache });
+}
+
+export async function clearNumberChecks() {
+  await chrome.storage.local.remove(STORAGE_KEY);
+}
@@ -0,0 +1,125 @@
+// optOutList.js - Global opt-out (unsubscribe) list honoured by every campaign
+// Kept in chrome.storage.local: `optOutList` holds the suppressed numbers, `optOutSettings`
+// the STOP keywords that add a number automatically when it replies.
+
+const LIST_KEY = 'optOutList';
+const SETTINGS_KEY = 'optOutSettings';
+
+export const DEFAULT_OPT_OUT_SETTINGS = {
+  autoOptOut: true,
+  keywords: ['STOP', 'UNSUBSCRIBE', 'STOPALL', 'CANCEL', 'END', 'QUIT'],
+};
+
+export function normalizeOptOutNumber(number) {
+  return String(number || '').replace(/\D/g, '');
+}
+
+/** Phone number of a campaign contact, whatever column name the import used. */
+export function contactPhone(contact) {
+  if (!contact || typeof contact !== 'object') {
+    return normalizeOptOutNumber(contact);
+  }
+  return normalizeOptOutNumber(
+    contact.Phone || contact.phone || contact.PHONE || contact.PhoneNumber ||
+    contact.phoneNumber || contact.number || contact.Number,
+  );
+}
+
+/** @returns {Promise<Array<{number: string, addedAt: string, source: string, keyword?: string}>>} */
+export async function getOptOutList() {
+  const stored = await chrome.storage.local.get(LIST_KEY);
+  return Array.isArray(stored[LIST_KEY]) ? stored[LIST_KEY] : [];
+}
+
+/**
+ * Add numbers to the opt-out list; numbers already on it keep their original entry.
+ * @param {string[]} numbers
+ * @param {'manual'|'import'|'keyword'} source
+ * @param {Object} [details] - extra fields stored on new entries, e.g. the matched keyword
+ * @returns {Promise<number>} how many numbers were new
+ */
+export async function addOptOutNumbers(numbers, source, details = {}) {
+  const list = await getOptOutList();
+  const known = new Set(list.map(entry => entry.number));
+  const addedAt = new Date().toISOString();
+  let added = 0;
+  numbers.map(normalizeOptOutNumber).forEach(number => {
+    if (number && !known.has(number)) {
+      known.add(number);
+      list.push({ number, addedAt, source, ...details });
+      added++;
+    }
+  });
+  if (added > 0) {
+    await chrome.storage.local.set({ [LIST_KEY]: list });
+  }
+  return added;
+}
+
+export async function removeOptOutNumber(number) {
+  const digits = normalizeOptOutNumber(number);
+  const list = await getOptOutList();
+  await chrome.storage.local.set({ [LIST_KEY]: list.filter(entry => entry.number !== digits) });
+}
+
+export async function getOptOutSettings() {
+  const stored = await chrome.storage.local.get(SETTINGS_KEY);
+  return { ...DEFAULT_OPT_OUT_SETTINGS, ...(stored[SETTINGS_KEY] || {}) };
+}
+
+export async function saveOptOutSettings(settings) {
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+}
+
+/**
+ * The STOP keyword a message consists of, if any. Only a message that is just the keyword
+ * counts ("stop", "STOP!"), so a sentence that merely contains the word doesn't opt out.
+ * @returns {string|null}
+ */
+export function matchOptOutKeyword(text, keywords) {
+  const message = String(text || '').trim().replace(/[\s.!?,;:]+$/u, '').toLowerCase();
+  if (!message) {
+    return null;
+  }
+  return (keywords || []).find(keyword => keyword.trim().toLowerCase() === message) || null;
+}
+
+/**
+ * Split campaign contacts into those that may be messaged and those on the opt-out list.
+ * @returns {Promise<{contacts: Array, optedOut: Array}>}
+ */
+export async function filterOptedOutContacts(contacts) {
+  const suppressed = new Set((await getOptOutList()).map(entry => entry.number));
+  const allowed = [];
+  const optedOut = [];
+  contacts.forEach(contact => {
+    (suppressed.has(contactPhone(contact)) ? optedOut : allowed).push(contact);
+  });
+  return { contacts: allowed, optedOut };
+}
+
+/**
+ * Numbers from an imported CSV: the column whose header looks like a phone column,
+ * otherwise the first column.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseOptOutCSV(text) {
+  const rows = String(text || '')
+    .split(/\r?\n/)
+    .map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')))
+    .filter(cells => cells.some(Boolean));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  let column = rows[0].findIndex(cell => /phone|number|mobile|whatsapp/i.test(cell));
+  if (column === -1) {
+    column = 0;
+  } else {
+    rows.shift();
+  }
+  return rows
+    .map(cells => normalizeOptOutNumber(cells[column]))
+    .filter(number => number.length >= 6);
+}
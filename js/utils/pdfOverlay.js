@@ -0,0 +1,680 @@
+// pdfOverlay.js - Stamp extra content (text, QR codes) onto the first page of an existing PDF.
+// The original bytes are kept as they are and the stamp is appended as an incremental update:
+// two fonts, two content streams, a replacement page object and a new cross-reference
+// section. Classic xref tables, xref streams and object streams (FlateDecode) are read;
+// encrypted PDFs are rejected. Text uses the standard Helvetica fonts (WinAnsi characters).
+// Written without import/export so it works both as a content script and as a side-effect
+// import from popup modules; either way it publishes `globalThis.WAPdfOverlay`.
+(function (root) {
+  'use strict';
+
+  const WHITESPACE = ' \t\r\n\f\0';
+  const DELIMITERS = '()<>[]{}/%';
+  const FONT_REGULAR = 'WAHelv';
+  const FONT_BOLD = 'WAHelvB';
+
+  // Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126
+  const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ];
+  const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ];
+  // WinAnsiEncoding code points outside Latin-1
+  const WIN_ANSI_EXTRA = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85,
+    '†': 0x86, '‡': 0x87, 'ˆ': 0x88, '‰': 0x89, 'Š': 0x8A,
+    '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97,
+    '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B, 'œ': 0x9C,
+    'ž': 0x9E, 'Ÿ': 0x9F,
+  };
+
+  // ---- Bytes <-> binary strings (one char per byte) ----
+  function bytesToBinary(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return out;
+  }
+
+  function binaryToBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+      bytes[i] = text.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+  }
+
+  // ---- Object syntax ----
+  const value = {
+    dict: entries => ({ kind: 'dict', entries }),
+    array: items => ({ kind: 'array', items }),
+    ref: (num, gen) => ({ kind: 'ref', num, gen }),
+    name: name => ({ kind: 'name', value: name }),
+    number: n => ({ kind: 'number', value: Number(n), raw: String(n) }),
+  };
+
+  function isNumeric(token) {
+    return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(token);
+  }
+
+  function createReader(text, pos = 0) {
+    const reader = { text, pos };
+
+    reader.skipWhitespace = () => {
+      for (;;) {
+        while (reader.pos < text.length && WHITESPACE.includes(text[reader.pos])) {
+          reader.pos++;
+        }
+        if (text[reader.pos] !== '%') {
+          return;
+        }
+        while (reader.pos < text.length && text[reader.pos] !== '\n' && text[reader.pos] !== '\r') {
+          reader.pos++;
+        }
+      }
+    };
+
+    reader.token = () => {
+      reader.skipWhitespace();
+      const start = reader.pos;
+      while (reader.pos < text.length && !WHITESPACE.includes(text[reader.pos]) &&
+          !DELIMITERS.includes(text[reader.pos])) {
+        reader.pos++;
+      }
+      return text.slice(start, reader.pos);
+    };
+
+    reader.startsWith = word => {
+      reader.skipWhitespace();
+      return text.startsWith(word, reader.pos);
+    };
+
+    reader.value = () => {
+      reader.skipWhitespace();
+      const c = text[reader.pos];
+      if (c === '<' && text[reader.pos + 1] === '<') {
+        reader.pos += 2;
+        const entries = new Map();
+        while (!reader.startsWith('>>')) {
+          if (reader.pos >= text.length) {
+            throw new Error('Unterminated dictionary');
+          }
+          const key = reader.value();
+          if (key.kind !== 'name') {
+            throw new Error('Dictionary key is not a name');
+          }
+          entries.set(key.value, reader.value());
+        }
+        reader.pos += 2;
+        return value.dict(entries);
+      }
+      if (c === '<') {
+        const end = text.indexOf('>', reader.pos);
+        const raw = text.slice(reader.pos, end + 1);
+        reader.pos = end + 1;
+        return { kind: 'raw', raw };
+      }
+      if (c === '[') {
+        reader.pos++;
+        const items = [];
+        while (!reader.startsWith(']')) {
+          if (reader.pos >= text.length) {
+            throw new Error('Unterminated array');
+          }
+          items.push(reader.value());
+        }
+        reader.pos++;
+        return value.array(items);
+      }
+      if (c === '(') {
+        const start = reader.pos;
+        let depth = 0;
+        do {
+          const ch = text[reader.pos];
+          if (ch === '\\') {
+            reader.pos++;
+          } else if (ch === '(') {
+            depth++;
+          } else if (ch === ')') {
+            depth--;
+          }
+          reader.pos++;
+        } while (depth > 0 && reader.pos < text.length);
+        return { kind: 'raw', raw: text.slice(start, reader.pos) };
+      }
+      if (c === '/') {
+        reader.pos++;
+        return value.name(reader.token());
+      }
+
+      const token = reader.token();
+      if (isNumeric(token)) {
+        // "12 0 R" is a reference; anything else leaves the number on its own
+        const save = reader.pos;
+        const gen = reader.token();
+        if (/^\d+$/.test(token) && /^\d+$/.test(gen) && reader.token() === 'R') {
+          return value.ref(Number(token), Number(gen));
+        }
+        reader.pos = save;
+        return value.number(token);
+      }
+      if (token === 'true' || token === 'false' || token === 'null') {
+        return { kind: 'raw', raw: token };
+      }
+      throw new Error(`Unexpected token "${token.slice(0, 20)}" at ${reader.pos}`);
+    };
+
+    return reader;
+  }
+
+  function serialize(v) {
+    switch (v.kind) {
+    case 'dict':
+      return '<<' + [...v.entries].map(([key, item]) => `/${key} ${serialize(item)}`).join(' ') + '>>';
+    case 'array':
+      return '[' + v.items.map(serialize).join(' ') + ']';
+    case 'ref':
+      return `${v.num} ${v.gen} R`;
+    case 'name':
+      return '/' + v.value;
+    default:
+      return v.raw;
+    }
+  }
+
+  function dictGet(dict, key) {
+    return dict && dict.kind === 'dict' ? dict.entries.get(key) : undefined;
+  }
+
+  // ---- Streams ----
+  async function inflate(binary) {
+    const stream = new Blob([binaryToBytes(binary)]).stream()
+      .pipeThrough(new DecompressionStream('deflate'));
+    return bytesToBinary(new Uint8Array(await new Response(stream).arrayBuffer()));
+  }
+
+  function undoPngPredictor(data, params) {
+    const num = key => {
+      const v = dictGet(params, key);
+      return v && v.kind === 'number' ? v.value : null;
+    };
+    const colors = num('Colors') || 1;
+    const bits = num('BitsPerComponent') || 8;
+    const columns = num('Columns') || 1;
+    const bpp = Math.max(1, Math.ceil(colors * bits / 8));
+    const rowLength = Math.ceil(columns * colors * bits / 8);
+    const input = binaryToBytes(data);
+    const rows = Math.floor(input.length / (rowLength + 1));
+    const out = new Uint8Array(rows * rowLength);
+    for (let r = 0; r < rows; r++) {
+      const filter = input[r * (rowLength + 1)];
+      for (let i = 0; i < rowLength; i++) {
+        const raw = input[r * (rowLength + 1) + 1 + i];
+        const left = i >= bpp ? out[r * rowLength + i - bpp] : 0;
+        const up = r > 0 ? out[(r - 1) * rowLength + i] : 0;
+        const upLeft = r > 0 && i >= bpp ? out[(r - 1) * rowLength + i - bpp] : 0;
+        let predicted = 0;
+        if (filter === 1) {
+          predicted = left;
+        } else if (filter === 2) {
+          predicted = up;
+        } else if (filter === 3) {
+          predicted = Math.floor((left + up) / 2);
+        } else if (filter === 4) {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+        }
+        out[r * rowLength + i] = (raw + predicted) & 0xFF;
+      }
+    }
+    return bytesToBinary(out);
+  }
+
+  async function decodeStream(dict, data) {
+    let filter = dictGet(dict, 'Filter');
+    let params = dictGet(dict, 'DecodeParms');
+    if (filter && filter.kind === 'array') {
+      if (filter.items.length > 1) {
+        throw new Error('Chained PDF stream filters are not supported');
+      }
+      filter = filter.items[0];
+      params = params && params.kind === 'array' ? params.items[0] : params;
+    }
+    if (!filter) {
+      return data;
+    }
+    if (filter.value !== 'FlateDecode') {
+      throw new Error(`PDF stream filter ${filter.value} is not supported`);
+    }
+    const decoded = await inflate(data);
+    const predictor = dictGet(params, 'Predictor');
+    return predictor && predictor.value >= 10 ? undoPngPredictor(decoded, params) : decoded;
+  }
+
+  // ---- Document ----
+  async function openDocument(bytes) {
+    const text = bytesToBinary(bytes);
+    const doc = { bytes, text, xref: new Map(), objects: new Map(), objectStreams: new Map() };
+
+    const startxrefAt = text.lastIndexOf('startxref');
+    if (startxrefAt < 0) {
+      throw new Error('Not a PDF file (no cross-reference table)');
+    }
+    doc.startxref = Number(createReader(text, startxrefAt + 9).token());
+
+    const seen = new Set();
+    let offset = doc.startxref;
+    while (Number.isFinite(offset) && !seen.has(offset)) {
+      seen.add(offset);
+      const section = await readXrefSection(doc, offset);
+      if (!doc.trailer) {
+        doc.trailer = section.trailer;
+        doc.usesXrefStream = section.isStream;
+      }
+      const hybrid = dictGet(section.trailer, 'XRefStm');
+      if (hybrid && !section.isStream) {
+        const streamSection = await readXrefSection(doc, hybrid.value);
+        addXrefEntries(doc, streamSection.entries);
+      }
+      addXrefEntries(doc, section.entries);
+      const prev = dictGet(section.trailer, 'Prev');
+      offset = prev ? prev.value : NaN;
+    }
+
+    if (dictGet(doc.trailer, 'Encrypt')) {
+      throw new Error('Encrypted PDFs are not supported');
+    }
+    return doc;
+  }
+
+  // Newer sections are read first, so an object number keeps its first entry
+  function addXrefEntries(doc, entries) {
+    entries.forEach(([num, entry]) => {
+      if (!doc.xref.has(num)) {
+        doc.xref.set(num, entry);
+      }
+    });
+  }
+
+  async function readXrefSection(doc, offset) {
+    const reader = createReader(doc.text, offset);
+    const entries = [];
+    if (reader.startsWith('xref')) {
+      reader.pos += 4;
+      while (!reader.startsWith('trailer')) {
+        const start = Number(reader.token());
+        const count = Number(reader.token());
+        if (!Number.isFinite(start) || !Number.isFinite(count)) {
+          throw new Error('Damaged cross-reference table');
+        }
+        for (let i = 0; i < count; i++) {
+          const entryOffset = Number(reader.token());
+          const gen = Number(reader.token());
+          const type = reader.token();
+          entries.push([start + i, type === 'n'
+            ? { type: 1, offset: entryOffset, gen }
+            : { type: 0 }]);
+        }
+      }
+      reader.pos += 7;
+      return { trailer: reader.value(), entries, isStream: false };
+    }
+
+    const { dict, stream } = readIndirectObject(doc, offset);
+    const data = await decodeStream(dict, stream);
+    const widths = dictGet(dict, 'W').items.map(w => w.value);
+    const size = dictGet(dict, 'Size').value;
+    const index = dictGet(dict, 'Index');
+    const ranges = index ? index.items.map(v => v.value) : [0, size];
+    const field = (pos, width) => {
+      let n = 0;
+      for (let i = 0; i < width; i++) {
+        n = n * 256 + data.charCodeAt(pos + i);
+      }
+      return n;
+    };
+    const rowWidth = widths[0] + widths[1] + widths[2];
+    let pos = 0;
+    for (let r = 0; r < ranges.length; r += 2) {
+      for (let i = 0; i < ranges[r + 1]; i++, pos += rowWidth) {
+        const type = widths[0] ? field(pos, widths[0]) : 1;
+        const f2 = field(pos + widths[0], widths[1]);
+        const f3 = field(pos + widths[0] + widths[1], widths[2]);
+        const num = ranges[r] + i;
+        if (type === 1) {
+          entries.push([num, { type: 1, offset: f2, gen: f3 }]);
+        } else if (type === 2) {
+          entries.push([num, { type: 2, stream: f2, index: f3 }]);
+        } else {
+          entries.push([num, { type: 0 }]);
+        }
+      }
+    }
+    return { trailer: dict, entries, isStream: true };
+  }
+
+  function readIndirectObject(doc, offset) {
+    const reader = createReader(doc.text, offset);
+    reader.token();
+    reader.token();
+    if (reader.token() !== 'obj') {
+      throw new Error(`No PDF object at offset ${offset}`);
+    }
+    const dict = reader.value();
+    let stream = null;
+    if (reader.startsWith('stream')) {
+      let start = reader.pos + 6;
+      if (doc.text[start] === '\r') {
+        start++;
+      }
+      if (doc.text[start] === '\n') {
+        start++;
+      }
+      const length = dictGet(dict, 'Length');
+      let end = length && length.kind === 'number' ? start + length.value : -1;
+      if (length && length.kind === 'ref') {
+        const resolved = resolveSync(doc, length);
+        end = resolved && resolved.kind === 'number' ? start + resolved.value : -1;
+      }
+      // Fall back to scanning for "endstream" when /Length is missing or wrong
+      if (end < start || !/^\s*endstream/.test(doc.text.slice(end, end + 20))) {
+        end = doc.text.indexOf('endstream', start);
+        if (doc.text[end - 1] === '\n') {
+          end--;
+        }
+        if (doc.text[end - 1] === '\r') {
+          end--;
+        }
+      }
+      stream = doc.text.slice(start, end);
+    }
+    return { dict, stream };
+  }
+
+  // A stream /Length stored as an indirect number always lives outside object streams
+  function resolveSync(doc, ref) {
+    const entry = doc.xref.get(ref.num);
+    if (!entry || entry.type !== 1) {
+      return null;
+    }
+    const reader = createReader(doc.text, entry.offset);
+    reader.token();
+    reader.token();
+    reader.token();
+    return reader.value();
+  }
+
+  async function getObject(doc, num) {
+    if (doc.objects.has(num)) {
+      return doc.objects.get(num);
+    }
+    const entry = doc.xref.get(num);
+    let result = { kind: 'raw', raw: 'null' };
+    if (entry && entry.type === 1) {
+      result = readIndirectObject(doc, entry.offset).dict;
+    } else if (entry && entry.type === 2) {
+      result = await readFromObjectStream(doc, entry.stream, entry.index);
+    }
+    doc.objects.set(num, result);
+    return result;
+  }
+
+  async function readFromObjectStream(doc, streamNum, index) {
+    let objStm = doc.objectStreams.get(streamNum);
+    if (!objStm) {
+      const entry = doc.xref.get(streamNum);
+      if (!entry || entry.type !== 1) {
+        throw new Error('Damaged object stream');
+      }
+      const { dict, stream } = readIndirectObject(doc, entry.offset);
+      const data = await decodeStream(dict, stream);
+      const header = createReader(data);
+      const offsets = [];
+      for (let i = 0; i < dictGet(dict, 'N').value; i++) {
+        header.token();
+        offsets.push(Number(header.token()));
+      }
+      objStm = { data, first: dictGet(dict, 'First').value, offsets };
+      doc.objectStreams.set(streamNum, objStm);
+    }
+    return createReader(objStm.data, objStm.first + objStm.offsets[index]).value();
+  }
+
+  async function resolve(doc, v) {
+    let current = v;
+    for (let depth = 0; current && current.kind === 'ref' && depth < 32; depth++) {
+      current = await getObject(doc, current.num);
+    }
+    return current;
+  }
+
+  async function findFirstPage(doc) {
+    const catalog = await resolve(doc, dictGet(doc.trailer, 'Root'));
+    let ref = dictGet(catalog, 'Pages');
+    let node = await resolve(doc, ref);
+    const inherited = {};
+    for (let depth = 0; depth < 64; depth++) {
+      ['Resources', 'MediaBox', 'CropBox', 'Rotate'].forEach(key => {
+        if (dictGet(node, key)) {
+          inherited[key] = dictGet(node, key);
+        }
+      });
+      const kids = await resolve(doc, dictGet(node, 'Kids'));
+      const type = dictGet(node, 'Type');
+      if ((type && type.value === 'Page') || !kids || kids.kind !== 'array') {
+        break;
+      }
+      ref = kids.items[0];
+      node = await resolve(doc, ref);
+    }
+    if (!ref || ref.kind !== 'ref' || !node || node.kind !== 'dict') {
+      throw new Error('The PDF has no pages');
+    }
+
+    const box = await resolve(doc, inherited.CropBox || inherited.MediaBox);
+    const coords = box && box.kind === 'array'
+      ? await Promise.all(box.items.map(async item => (await resolve(doc, item)).value))
+      : [0, 0, 612, 792];
+    const rotate = inherited.Rotate ? (await resolve(doc, inherited.Rotate)).value : 0;
+    const entry = doc.xref.get(ref.num);
+    return {
+      ref,
+      gen: entry && entry.type === 1 ? entry.gen : 0,
+      dict: node,
+      resources: inherited.Resources,
+      box: {
+        x: Math.min(coords[0], coords[2]),
+        y: Math.min(coords[1], coords[3]),
+        width: Math.abs(coords[2] - coords[0]),
+        height: Math.abs(coords[3] - coords[1]),
+      },
+      rotate: ((rotate % 360) + 360) % 360,
+    };
+  }
+
+  // Maps drawing coordinates (origin at the bottom-left of the page as displayed) onto the
+  // page's own user space, honouring /Rotate
+  function displayTransform(page) {
+    const { x, y, width, height } = page.box;
+    switch (page.rotate) {
+    case 90:
+      return { matrix: [0, 1, -1, 0, x + width, y], width: height, height: width };
+    case 180:
+      return { matrix: [-1, 0, 0, -1, x + width, y + height], width, height };
+    case 270:
+      return { matrix: [0, -1, 1, 0, x, y + height], width: height, height: width };
+    default:
+      return { matrix: [1, 0, 0, 1, x, y], width, height };
+    }
+  }
+
+  // ---- Incremental update ----
+  async function writeUpdate(doc, page, content, matrix) {
+    const size = dictGet(doc.trailer, 'Size').value;
+    const fontRegular = size;
+    const fontBold = size + 1;
+    const openStream = size + 2;
+    const stampStream = size + 3;
+    const objects = [];
+
+    const fontObject = baseFont => value.dict(new Map([
+      ['Type', value.name('Font')],
+      ['Subtype', value.name('Type1')],
+      ['BaseFont', value.name(baseFont)],
+      ['Encoding', value.name('WinAnsiEncoding')],
+    ]));
+    const streamObject = data => `<< /Length ${data.length} >>\nstream\n${data}\nendstream`;
+
+    const resources = page.resources ? await resolve(doc, page.resources) : null;
+    const newResources = new Map(resources && resources.kind === 'dict' ? resources.entries : []);
+    const fonts = await resolve(doc, newResources.get('Font'));
+    const newFonts = new Map(fonts && fonts.kind === 'dict' ? fonts.entries : []);
+    newFonts.set(FONT_REGULAR, value.ref(fontRegular, 0));
+    newFonts.set(FONT_BOLD, value.ref(fontBold, 0));
+    newResources.set('Font', value.dict(newFonts));
+
+    const contents = page.dict.entries.get('Contents');
+    const contentTarget = contents && contents.kind === 'ref'
+      ? await getObject(doc, contents.num)
+      : contents;
+    const originalContents = !contents ? []
+      : contentTarget && contentTarget.kind === 'array' ? contentTarget.items : [contents];
+    const newPage = new Map(page.dict.entries);
+    newPage.set('Contents', value.array([
+      value.ref(openStream, 0),
+      ...originalContents,
+      value.ref(stampStream, 0),
+    ]));
+    newPage.set('Resources', value.dict(newResources));
+
+    // The original content runs inside q/Q so its graphics state can't leak into the stamp
+    const stamp = `Q\nq\n${matrix.map(formatNumber).join(' ')} cm\n${content}\nQ`;
+    objects.push([page.ref.num, page.gen, serialize(value.dict(newPage))]);
+    objects.push([fontRegular, 0, serialize(fontObject('Helvetica'))]);
+    objects.push([fontBold, 0, serialize(fontObject('Helvetica-Bold'))]);
+    objects.push([openStream, 0, streamObject('q')]);
+    objects.push([stampStream, 0, streamObject(stamp)]);
+
+    const base = doc.bytes.length;
+    let out = '\n';
+    const offsets = [];
+    objects.forEach(([num, gen, body]) => {
+      offsets.push([num, gen, base + out.length]);
+      out += `${num} ${gen} obj\n${body}\nendobj\n`;
+    });
+
+    const trailerEntries = new Map();
+    ['Root', 'Info', 'ID'].forEach(key => {
+      if (dictGet(doc.trailer, key)) {
+        trailerEntries.set(key, dictGet(doc.trailer, key));
+      }
+    });
+    trailerEntries.set('Prev', value.number(doc.startxref));
+
+    const xrefOffset = base + out.length;
+    if (doc.usesXrefStream) {
+      const xrefNum = size + 4;
+      offsets.push([xrefNum, 0, xrefOffset]);
+      offsets.sort((a, b) => a[0] - b[0]);
+      const rows = offsets.map(([, gen, offset]) => String.fromCharCode(
+        1, (offset >>> 24) & 0xFF, (offset >>> 16) & 0xFF, (offset >>> 8) & 0xFF, offset & 0xFF,
+        (gen >>> 8) & 0xFF, gen & 0xFF)).join('');
+      const index = offsets.map(([num]) => `${num} 1`).join(' ');
+      const extra = [...trailerEntries].map(([key, v]) => `/${key} ${serialize(v)}`).join(' ');
+      out += `${xrefNum} 0 obj\n<< /Type /XRef /Size ${size + 5} /W [1 4 2] /Index [${index}] ` +
+        `${extra} /Length ${rows.length} >>\nstream\n${rows}\nendstream\nendobj\n`;
+    } else {
+      offsets.sort((a, b) => a[0] - b[0]);
+      out += 'xref\n' + offsets.map(([num, gen, offset]) =>
+        `${num} 1\n${String(offset).padStart(10, '0')} ${String(gen).padStart(5, '0')} n\r\n`).join('');
+      trailerEntries.set('Size', value.number(size + 4));
+      out += `trailer\n${serialize(value.dict(trailerEntries))}\n`;
+    }
+    out += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    const result = new Uint8Array(doc.bytes.length + out.length);
+    result.set(doc.bytes, 0);
+    result.set(binaryToBytes(out), doc.bytes.length);
+    return result;
+  }
+
+  function formatNumber(n) {
+    return Number.isInteger(n) ? String(n) : n.toFixed(3).replace(/\.?0+$/, '');
+  }
+
+  // ---- Text helpers for the stamp content ----
+  function winAnsiCode(ch) {
+    const code = ch.codePointAt(0);
+    if ((code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF)) {
+      return code;
+    }
+    return WIN_ANSI_EXTRA[ch] || 0x3F;
+  }
+
+  /** PDF string literal for `text` in WinAnsiEncoding; unsupported characters become "?" */
+  function pdfString(text) {
+    let out = '(';
+    Array.from(String(text)).forEach(ch => {
+      const code = winAnsiCode(ch);
+      if (code === 0x28 || code === 0x29 || code === 0x5C) {
+        out += '\\' + String.fromCharCode(code);
+      } else if (code > 0x7E) {
+        out += '\\' + code.toString(8).padStart(3, '0');
+      } else {
+        out += String.fromCharCode(code);
+      }
+    });
+    return out + ')';
+  }
+
+  /** Approximate rendered width in points (non-ASCII characters use the digit width) */
+  function textWidth(text, fontSize, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    const units = Array.from(String(text)).reduce((sum, ch) => {
+      const code = winAnsiCode(ch);
+      return sum + (code >= 0x20 && code <= 0x7E ? widths[code - 0x20] : 556);
+    }, 0);
+    return units * fontSize / 1000;
+  }
+
+  /**
+   * Stamp content onto the first page.
+   * @param {Uint8Array} bytes - the original PDF
+   * @param {function({width: number, height: number}): string} draw - returns content-stream
+   *   operators in points, origin at the bottom-left of the page as displayed; fonts are
+   *   available as /WAHelv and /WAHelvB
+   * @returns {Promise<Uint8Array>} the stamped PDF
+   */
+  async function stampFirstPage(bytes, draw) {
+    const doc = await openDocument(bytes);
+    const page = await findFirstPage(doc);
+    const transform = displayTransform(page);
+    const content = await draw({ width: transform.width, height: transform.height });
+    return writeUpdate(doc, page, content, transform.matrix);
+  }
+
+  root.WAPdfOverlay = {
+    stampFirstPage,
+    pdfString,
+    textWidth,
+    formatNumber,
+    FONT_REGULAR,
+    FONT_BOLD,
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,162 @@
+// personalizedAttachment.js - Per-recipient copy of an image or PDF template with contact fields
+// (text and QR codes) drawn on top. Images are redrawn on a canvas; PDFs get the fields stamped
+// onto their first page through pdfOverlay.js. Needs qrCode.js and pdfOverlay.js loaded first.
+//
+// A field is {kind: 'text'|'qr', value, x, y, size, color, align, bold}. `value` is a message
+// template ({{Name}}, filters, fallbacks); x/y place the field in percent of the page width and
+// height from the top-left corner – the middle of the first text line (anchored per `align`),
+// or the centre of a QR code. `size` is the font size, or the QR code's side, in percent of
+// the page width.
+// Written without import/export so it works both as a content script and as a side-effect
+// import from popup modules; either way it publishes `globalThis.WAPersonalize`.
+(function (root) {
+  'use strict';
+
+  const LINE_HEIGHT = 1.2;
+  // Distance from the middle of a capital letter down to the baseline, in font sizes
+  const MIDDLE_TO_BASELINE = 0.36;
+  const QR_QUIET_ZONE = 4;
+  const FILE_NAME_UNSAFE = /[\\/:*?"<>|\r\n]+/g;
+
+  function hexToRgb(color) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(color || ''));
+    const n = match ? parseInt(match[1], 16) : 0;
+    return [(n >> 16) & 0xFF, (n >> 8) & 0xFF, n & 0xFF];
+  }
+
+  function renderFields(fields, contact, renderText) {
+    return (fields || [])
+      .map(field => ({ ...field, text: String(renderText(field.value || '', contact) || '').trim() }))
+      .filter(field => field.text);
+  }
+
+  /** Output file name from the `fileName` template, with the extension of the output type */
+  function outputFileName(spec, contact, renderText, extension) {
+    const base = String(renderText(spec.fileName || '', contact) || '')
+      .replace(FILE_NAME_UNSAFE, ' ')
+      .replace(/\.[a-z0-9]{2,4}$/i, '')
+      .trim();
+    const fallback = String(spec.name || 'attachment').replace(/\.[^.]+$/, '');
+    return (base || fallback).slice(0, 120) + extension;
+  }
+
+  // ---- Images ----
+  function drawQrOnCanvas(ctx, text, cx, cy, side) {
+    const { size, modules } = root.WAQRCode.encode(text);
+    const module = side / (size + QR_QUIET_ZONE * 2);
+    const left = cx - side / 2;
+    const top = cy - side / 2;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(left, top, side, side);
+    ctx.fillStyle = '#000000';
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) {
+          // Slight overlap hides anti-aliasing seams between neighbouring modules
+          ctx.fillRect(left + (x + QR_QUIET_ZONE) * module, top + (y + QR_QUIET_ZONE) * module,
+            module + 0.5, module + 0.5);
+        }
+      }
+    }
+  }
+
+  async function renderImage(templateFile, fields) {
+    const bitmap = await createImageBitmap(templateFile);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    const { width, height } = canvas;
+
+    fields.forEach(field => {
+      const x = field.x / 100 * width;
+      const y = field.y / 100 * height;
+      const size = field.size / 100 * width;
+      if (field.kind === 'qr') {
+        drawQrOnCanvas(ctx, field.text, x, y, size);
+        return;
+      }
+      ctx.font = `${field.bold ? 'bold ' : ''}${size}px Arial, Helvetica, sans-serif`;
+      ctx.fillStyle = `rgb(${hexToRgb(field.color).join(',')})`;
+      ctx.textAlign = field.align || 'left';
+      ctx.textBaseline = 'alphabetic';
+      field.text.split('\n').forEach((line, i) => {
+        ctx.fillText(line, x, y + (MIDDLE_TO_BASELINE + i * LINE_HEIGHT) * size);
+      });
+    });
+
+    const type = templateFile.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, 0.92));
+    if (!blob) {
+      throw new Error('Could not render the personalised image');
+    }
+    return { blob, type, extension: type === 'image/png' ? '.png' : '.jpg' };
+  }
+
+  // ---- PDFs ----
+  function pdfFieldOperators(field, width, height) {
+    const pdf = root.WAPdfOverlay;
+    const num = pdf.formatNumber;
+    const x = field.x / 100 * width;
+    const top = field.y / 100 * height;
+    const size = field.size / 100 * width;
+
+    if (field.kind === 'qr') {
+      const { size: count, modules } = root.WAQRCode.encode(field.text);
+      const module = size / (count + QR_QUIET_ZONE * 2);
+      const left = x - size / 2;
+      const bottom = height - top - size / 2;
+      const ops = [`1 1 1 rg ${num(left)} ${num(bottom)} ${num(size)} ${num(size)} re f`, '0 0 0 rg'];
+      for (let my = 0; my < count; my++) {
+        for (let mx = 0; mx < count; mx++) {
+          if (modules[my][mx]) {
+            const px = left + (mx + QR_QUIET_ZONE) * module;
+            const py = bottom + size - (my + QR_QUIET_ZONE + 1) * module;
+            ops.push(`${num(px)} ${num(py)} ${num(module)} ${num(module)} re`);
+          }
+        }
+      }
+      ops.push('f');
+      return ops.join('\n');
+    }
+
+    const font = field.bold ? pdf.FONT_BOLD : pdf.FONT_REGULAR;
+    const color = hexToRgb(field.color).map(c => num(c / 255)).join(' ');
+    return field.text.split('\n').map((line, i) => {
+      const lineWidth = pdf.textWidth(line, size, field.bold);
+      const startX = field.align === 'center' ? x - lineWidth / 2
+        : field.align === 'right' ? x - lineWidth : x;
+      const baseline = height - top - (MIDDLE_TO_BASELINE + i * LINE_HEIGHT) * size;
+      return `BT /${font} ${num(size)} Tf ${color} rg ${num(startX)} ${num(baseline)} Td ` +
+        `${pdf.pdfString(line)} Tj ET`;
+    }).join('\n');
+  }
+
+  async function renderPdf(templateFile, fields) {
+    const bytes = new Uint8Array(await templateFile.arrayBuffer());
+    const stamped = await root.WAPdfOverlay.stampFirstPage(bytes, ({ width, height }) => (
+      fields.map(field => pdfFieldOperators(field, width, height)).join('\n')
+    ));
+    return { blob: new Blob([stamped], { type: 'application/pdf' }), type: 'application/pdf', extension: '.pdf' };
+  }
+
+  /**
+   * Render the personalised attachment for one contact.
+   * @param {File|Blob} templateFile - JPEG/PNG image or PDF
+   * @param {{type: 'image'|'pdf', name?: string, fileName?: string, fields: Array<Object>}} spec
+   * @param {Object} contact - contact row
+   * @param {function(string, Object): string} renderText - fills a template for the contact
+   * @returns {Promise<File>}
+   */
+  async function renderPersonalizedAttachment(templateFile, spec, contact, renderText) {
+    const fields = renderFields(spec.fields, contact, renderText);
+    const result = spec.type === 'pdf'
+      ? await renderPdf(templateFile, fields)
+      : await renderImage(templateFile, fields);
+    return new File([result.blob], outputFileName(spec, contact, renderText, result.extension),
+      { type: result.type });
+  }
+
+  root.WAPersonalize = { renderPersonalizedAttachment };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -1,53 +1,238 @@
 // Phone number validation and formatting utilities
 
+const DEFAULT_COUNTRY_KEY = 'defaultCountry';
+
+/**
+ * Dialling rules per country (ISO 3166 alpha-2): calling code, the trunk prefix dialled before
+ * national numbers ('' when there is none), the allowed lengths of the national significant
+ * number (without trunk prefix), the digits that number may start with where the numbering plan
+ * restricts them and, when it is not 00, the prefix dialled to call abroad.
+ * Countries sharing a calling code share its lengths and leading digits.
+ */
+export const COUNTRY_PHONE_RULES = {
+  AE: { name: 'United Arab Emirates', code: '971', trunk: '0', min: 8, max: 9 },
+  SA: { name: 'Saudi Arabia', code: '966', trunk: '0', min: 8, max: 9 },
+  QA: { name: 'Qatar', code: '974', trunk: '', min: 8, max: 8 },
+  KW: { name: 'Kuwait', code: '965', trunk: '', min: 8, max: 8 },
+  BH: { name: 'Bahrain', code: '973', trunk: '', min: 8, max: 8 },
+  OM: { name: 'Oman', code: '968', trunk: '', min: 8, max: 8 },
+  JO: { name: 'Jordan', code: '962', trunk: '0', min: 8, max: 9 },
+  LB: { name: 'Lebanon', code: '961', trunk: '0', min: 7, max: 8 },
+  IQ: { name: 'Iraq', code: '964', trunk: '0', min: 8, max: 10 },
+  IR: { name: 'Iran', code: '98', trunk: '0', min: 10, max: 10 },
+  IL: { name: 'Israel', code: '972', trunk: '0', min: 8, max: 9 },
+  TR: { name: 'Turkey', code: '90', trunk: '0', min: 10, max: 10 },
+  EG: { name: 'Egypt', code: '20', trunk: '0', min: 9, max: 10 },
+  MA: { name: 'Morocco', code: '212', trunk: '0', min: 9, max: 9 },
+  DZ: { name: 'Algeria', code: '213', trunk: '0', min: 8, max: 9 },
+  TN: { name: 'Tunisia', code: '216', trunk: '', min: 8, max: 8 },
+  NG: { name: 'Nigeria', code: '234', trunk: '0', min: 8, max: 10 },
+  GH: { name: 'Ghana', code: '233', trunk: '0', min: 9, max: 9 },
+  KE: { name: 'Kenya', code: '254', trunk: '0', min: 9, max: 9 },
+  TZ: { name: 'Tanzania', code: '255', trunk: '0', min: 9, max: 9 },
+  UG: { name: 'Uganda', code: '256', trunk: '0', min: 9, max: 9 },
+  ET: { name: 'Ethiopia', code: '251', trunk: '0', min: 9, max: 9 },
+  ZA: { name: 'South Africa', code: '27', trunk: '0', min: 9, max: 9 },
+  IN: { name: 'India', code: '91', trunk: '0', min: 10, max: 10 },
+  PK: { name: 'Pakistan', code: '92', trunk: '0', min: 9, max: 10 },
+  BD: { name: 'Bangladesh', code: '880', trunk: '0', min: 8, max: 10 },
+  LK: { name: 'Sri Lanka', code: '94', trunk: '0', min: 9, max: 9 },
+  NP: { name: 'Nepal', code: '977', trunk: '0', min: 8, max: 10 },
+  AF: { name: 'Afghanistan', code: '93', trunk: '0', min: 9, max: 9 },
+  CN: { name: 'China', code: '86', trunk: '0', min: 10, max: 11 },
+  HK: { name: 'Hong Kong', code: '852', trunk: '', min: 8, max: 8 },
+  TW: { name: 'Taiwan', code: '886', trunk: '0', min: 8, max: 9 },
+  JP: { name: 'Japan', code: '81', trunk: '0', min: 9, max: 10, intl: '010' },
+  KR: { name: 'South Korea', code: '82', trunk: '0', min: 8, max: 10 },
+  SG: { name: 'Singapore', code: '65', trunk: '', min: 8, max: 8 },
+  MY: { name: 'Malaysia', code: '60', trunk: '0', min: 8, max: 10 },
+  ID: { name: 'Indonesia', code: '62', trunk: '0', min: 8, max: 12 },
+  PH: { name: 'Philippines', code: '63', trunk: '0', min: 8, max: 10 },
+  TH: { name: 'Thailand', code: '66', trunk: '0', min: 8, max: 9 },
+  VN: { name: 'Vietnam', code: '84', trunk: '0', min: 9, max: 10 },
+  AU: { name: 'Australia', code: '61', trunk: '0', min: 9, max: 9, intl: '0011' },
+  NZ: { name: 'New Zealand', code: '64', trunk: '0', min: 8, max: 10 },
+  US: { name: 'United States', code: '1', trunk: '1', min: 10, max: 10, lead: /^[2-9]/, intl: '011' },
+  CA: { name: 'Canada', code: '1', trunk: '1', min: 10, max: 10, lead: /^[2-9]/, intl: '011' },
+  MX: { name: 'Mexico', code: '52', trunk: '', min: 10, max: 10 },
+  BR: { name: 'Brazil', code: '55', trunk: '0', min: 10, max: 11 },
+  AR: { name: 'Argentina', code: '54', trunk: '0', min: 10, max: 11 },
+  CL: { name: 'Chile', code: '56', trunk: '', min: 9, max: 9 },
+  CO: { name: 'Colombia', code: '57', trunk: '', min: 10, max: 10 },
+  PE: { name: 'Peru', code: '51', trunk: '0', min: 8, max: 9 },
+  VE: { name: 'Venezuela', code: '58', trunk: '0', min: 10, max: 10 },
+  GB: { name: 'United Kingdom', code: '44', trunk: '0', min: 9, max: 10 },
+  IE: { name: 'Ireland', code: '353', trunk: '0', min: 7, max: 9 },
+  FR: { name: 'France', code: '33', trunk: '0', min: 9, max: 9 },
+  DE: { name: 'Germany', code: '49', trunk: '0', min: 6, max: 11 },
+  AT: { name: 'Austria', code: '43', trunk: '0', min: 7, max: 13 },
+  CH: { name: 'Switzerland', code: '41', trunk: '0', min: 9, max: 9 },
+  NL: { name: 'Netherlands', code: '31', trunk: '0', min: 9, max: 9 },
+  BE: { name: 'Belgium', code: '32', trunk: '0', min: 8, max: 9 },
+  ES: { name: 'Spain', code: '34', trunk: '', min: 9, max: 9 },
+  PT: { name: 'Portugal', code: '351', trunk: '', min: 9, max: 9 },
+  IT: { name: 'Italy', code: '39', trunk: '', min: 6, max: 11 },
+  GR: { name: 'Greece', code: '30', trunk: '', min: 10, max: 10 },
+  SE: { name: 'Sweden', code: '46', trunk: '0', min: 7, max: 10 },
+  NO: { name: 'Norway', code: '47', trunk: '', min: 8, max: 8 },
+  DK: { name: 'Denmark', code: '45', trunk: '', min: 8, max: 8 },
+  FI: { name: 'Finland', code: '358', trunk: '0', min: 6, max: 11 },
+  PL: { name: 'Poland', code: '48', trunk: '', min: 9, max: 9 },
+  CZ: { name: 'Czechia', code: '420', trunk: '', min: 9, max: 9 },
+  HU: { name: 'Hungary', code: '36', trunk: '06', min: 8, max: 9 },
+  RO: { name: 'Romania', code: '40', trunk: '0', min: 9, max: 9 },
+  UA: { name: 'Ukraine', code: '380', trunk: '0', min: 9, max: 9 },
+  RU: { name: 'Russia', code: '7', trunk: '8', min: 10, max: 10, intl: '810' },
+  KZ: { name: 'Kazakhstan', code: '7', trunk: '8', min: 10, max: 10, intl: '810' },
+};
+
+let defaultCountry = '';
+
+/**
+ * Country assumed for numbers written without a country code ('' = none), as last loaded or saved.
+ * @returns {string} ISO code
+ */
+export function getDefaultCountry() {
+  return defaultCountry;
+}
+
+/**
+ * Reads the default country from storage and keeps it for the synchronous validators.
+ * @returns {Promise<string>} ISO code, '' when none is set
+ */
+export async function loadDefaultCountry() {
+  const stored = await chrome.storage.local.get(DEFAULT_COUNTRY_KEY);
+  const country = stored[DEFAULT_COUNTRY_KEY];
+  defaultCountry = COUNTRY_PHONE_RULES[country] ? country : '';
+  return defaultCountry;
+}
+
+/**
+ * @param {string} country - ISO code, '' for none
+ */
+export async function saveDefaultCountry(country) {
+  defaultCountry = COUNTRY_PHONE_RULES[country] ? country : '';
+  await chrome.storage.local.set({ [DEFAULT_COUNTRY_KEY]: defaultCountry });
+}
+
+// Calling codes never prefix one another, so at most one matches
+function rulesForInternational(digits) {
+  for (let length = 1; length <= 3; length++) {
+    const code = digits.slice(0, length);
+    const match = Object.entries(COUNTRY_PHONE_RULES).find(([, rules]) => rules.code === code);
+    if (match) {
+      return { iso: match[0], ...match[1] };
+    }
+  }
+  return null;
+}
+
+function fitsLength(rules, nationalNumber) {
+  return nationalNumber.length >= rules.min && nationalNumber.length <= rules.max;
+}
+
+function fitsLead(rules, nationalNumber) {
+  return !rules.lead || rules.lead.test(nationalNumber);
+}
+
+function fitsRules(rules, nationalNumber) {
+  return fitsLength(rules, nationalNumber) && fitsLead(rules, nationalNumber);
+}
+
+// National significant number of a nationally written number, or null when it does not fit
+function nationalNumberFor(rules, digits) {
+  if (rules.trunk && digits.startsWith(rules.trunk)) {
+    const national = digits.slice(rules.trunk.length);
+    return fitsRules(rules, national) ? national : null;
+  }
+  return fitsRules(rules, digits) ? digits : null;
+}
+
+function expectedLength(rules) {
+  return rules.min === rules.max ? `${rules.min}` : `${rules.min}–${rules.max}`;
+}
+
+function invalidNumber(formattedNumber, error) {
+  return { isValid: false, formattedNumber, country: '', error };
+}
+
+// Validates country code + national number (digits only) against the rules of its country
+function checkInternational(digits) {
+  const rules = rulesForInternational(digits);
+  if (!rules) {
+    return /^[1-9]\d{7,14}$/.test(digits)
+      ? { isValid: true, formattedNumber: '+' + digits, country: '', error: '' }
+      : invalidNumber('+' + digits, 'Invalid phone number format. Expected format: +[country code][number]');
+  }
+  let national = digits.slice(rules.code.length);
+  // "+971 0 50..." – the trunk prefix is not dialled after the country code
+  if (!fitsRules(rules, national) && rules.trunk && national.startsWith(rules.trunk)
+    && fitsRules(rules, national.slice(rules.trunk.length))) {
+    national = national.slice(rules.trunk.length);
+  }
+  const formattedNumber = '+' + rules.code + national;
+  if (!fitsLength(rules, national)) {
+    return invalidNumber(formattedNumber,
+      `Invalid ${rules.name} number: expected ${expectedLength(rules)} digits after +${rules.code}`);
+  }
+  if (!fitsLead(rules, national)) {
+    return invalidNumber(formattedNumber,
+      `Invalid ${rules.name} number: the digits after +${rules.code} cannot start with ${national[0]}`);
+  }
+  return { isValid: true, formattedNumber, country: rules.iso, error: '' };
+}
+
 /**
- * Validates a phone number according to E.164 standard
+ * Validates a phone number and converts it to E.164. Spaces, dashes, dots, parentheses and a
+ * bracketed "(0)" are ignored; numbers starting with + or an international prefix are read as
+ * international, anything else as a national number of `country` (leading trunk prefix such as
+ * 0 dropped) or, failing that, as an international number typed without +.
  * @param {string} phoneNumber - The phone number to validate
- * @returns {Object} - { isValid: boolean, formattedNumber: string, error: string }
+ * @param {string} [country] - ISO code of the country for national numbers; the saved default
+ *   when omitted, and then errors about national numbers name no country
+ * @returns {Object} - { isValid: boolean, formattedNumber: string, country: string, error: string }
  */
-export function validatePhoneNumber(phoneNumber) {
-  if (!phoneNumber) {
-    return {
-      isValid: false,
-      formattedNumber: '',
-      error: 'Phone number is required'
-    };
+export function validatePhoneNumber(phoneNumber, country) {
+  const text = String(phoneNumber ?? '')
+    .replace(/\(\s*0\s*\)/g, '')
+    .replace(/\s*(?:ext\.?|x)\s*\d+\s*$/i, '')
+    .trim();
+  if (!text) {
+    return invalidNumber('', 'Phone number is required');
   }
 
-  // Remove all non-digit characters except leading +
-  const cleaned = phoneNumber.replace(/[^0-9+]/g, '');
-  
-  // Check for valid E.164 format
-  const e164Regex = /^\+[1-9]\d{7,14}$/;
-  
-  // Check for numbers without country code (assume default country code if needed)
-  const digitsOnly = cleaned.replace(/\D/g, '');
-  
-  // If number starts with 00, replace with +
-  let formatted = cleaned;
-  if (formatted.startsWith('00')) {
-    formatted = '+' + formatted.substring(2);
+  const digits = text.replace(/\D/g, '');
+  const nationalCountry = country === undefined ? defaultCountry : country;
+  const rules = COUNTRY_PHONE_RULES[nationalCountry];
+  const internationalPrefix = rules?.intl || '00';
+
+  if (/^\(?\+/.test(text)) {
+    return checkInternational(digits);
   }
-  
-  // If no + but has 10+ digits, assume it's missing country code
-  if (!formatted.startsWith('+') && digitsOnly.length >= 10) {
-    formatted = '+' + digitsOnly; // You might want to add a default country code here
+  if (digits.startsWith('00')) {
+    return checkInternational(digits.slice(2));
   }
-  
-  // Final validation
-  if (e164Regex.test(formatted)) {
-    return {
-      isValid: true,
-      formattedNumber: formatted,
-      error: ''
-    };
+  if (internationalPrefix !== '00' && digits.startsWith(internationalPrefix)) {
+    return checkInternational(digits.slice(internationalPrefix.length));
   }
-  
-  return {
-    isValid: false,
-    formattedNumber: formatted,
-    error: 'Invalid phone number format. Expected format: +[country code][number]'
-  };
+  if (rules) {
+    const national = nationalNumberFor(rules, digits);
+    if (national) {
+      return { isValid: true, formattedNumber: '+' + rules.code + national, country: nationalCountry, error: '' };
+    }
+  }
+
+  const result = checkInternational(digits);
+  if (!result.isValid && rules && country === undefined) {
+    result.error = 'Invalid phone number. Check the digits or add the country code';
+  } else if (!result.isValid && rules && fitsLength(rules, digits) && !fitsLead(rules, digits)) {
+    result.error = `Invalid ${rules.name} number: it cannot start with ${digits[0]}, or add the country code`;
+  } else if (!result.isValid && rules) {
+    result.error = `Invalid ${rules.name} number: expected ${expectedLength(rules)} digits, or add the country code`;
+  } else if (!result.isValid && (country === undefined || !rulesForInternational(digits))) {
+    result.error = 'Invalid phone number format. Add the country code or pick a default country';
+  }
+  return result;
 }
 
 /**
@@ -97,9 +282,35 @@ export function formatForDisplay(phoneNumber) {
 export function extractPhoneNumbers(input) {
   if (!input) return [];
   
-  // Split by common delimiters and filter out empty strings
+  // Split by common delimiters and filter out empty strings. Spaces inside a piece separate
+  // numbers as splitOnSpaces() reads them.
   return input
-    .split(/[\n,;\s]+/)
+    .split(/[\n,;]+|\s+(?=\+)/)
+    .flatMap(splitOnSpaces)
     .map(num => num.trim())
     .filter(num => num.length > 0);
 }
+
+// Space-separated words of a piece, grouped into numbers: from each word on, the longest run of
+// words that is one valid number ("050 123 4567" stays whole, two valid numbers side by side are
+// split); a word that starts no valid number stands alone.
+function splitOnSpaces(part) {
+  const words = part.trim().split(/\s+/);
+  const numbers = [];
+  let start = 0;
+  while (start < words.length) {
+    let end = start + 1;
+    for (let next = start + 1; next <= words.length; next++) {
+      const candidate = words.slice(start, next).join(' ');
+      if (candidate.replace(/\D/g, '').length > 15) {
+        break;
+      }
+      if (validatePhoneNumber(candidate).isValid) {
+        end = next;
+      }
+    }
+    numbers.push(words.slice(start, end).join(' '));
+    start = end;
+  }
+  return numbers;
+}
@@ -0,0 +1,341 @@
+// qrCode.js - Minimal QR code encoder (byte mode, error correction level M, versions 1-10,
+// i.e. up to 213 bytes of UTF-8 – enough for links, invoice numbers and ticket codes).
+// Written without import/export so it works both as a content script and as a side-effect
+// import from popup modules; either way it publishes `globalThis.WAQRCode`.
+(function (root) {
+  'use strict';
+
+  // Per version: error correction codewords per block and the data codewords of each block
+  const VERSIONS = [
+    null,
+    { ecPerBlock: 10, blocks: [16] },
+    { ecPerBlock: 16, blocks: [28] },
+    { ecPerBlock: 26, blocks: [44] },
+    { ecPerBlock: 18, blocks: [32, 32] },
+    { ecPerBlock: 24, blocks: [43, 43] },
+    { ecPerBlock: 16, blocks: [27, 27, 27, 27] },
+    { ecPerBlock: 18, blocks: [31, 31, 31, 31] },
+    { ecPerBlock: 22, blocks: [38, 38, 39, 39] },
+    { ecPerBlock: 22, blocks: [36, 36, 36, 37, 37] },
+    { ecPerBlock: 26, blocks: [43, 43, 43, 43, 44] },
+  ];
+  const ALIGNMENT_POSITIONS = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50],
+  ];
+  // Format information bits of level M
+  const EC_LEVEL_M = 0;
+  const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+  ];
+
+  function getBit(value, i) {
+    return ((value >>> i) & 1) !== 0;
+  }
+
+  function utf8Bytes(text) {
+    return Array.from(new TextEncoder().encode(String(text)));
+  }
+
+  function dataCapacity(version) {
+    return VERSIONS[version].blocks.reduce((sum, n) => sum + n, 0);
+  }
+
+  function countBits(version) {
+    return version < 10 ? 8 : 16;
+  }
+
+  // ---- Reed-Solomon over GF(256) with the QR polynomial 0x11D ----
+  function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  }
+
+  function rsDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let rootValue = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = gfMultiply(result[j], rootValue);
+        if (j + 1 < degree) {
+          result[j] ^= result[j + 1];
+        }
+      }
+      rootValue = gfMultiply(rootValue, 0x02);
+    }
+    return result;
+  }
+
+  function rsRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => {
+        result[i] ^= gfMultiply(coef, factor);
+      });
+    });
+    return result;
+  }
+
+  // ---- Codewords ----
+  function encodeData(bytes, version) {
+    const bits = [];
+    const push = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) {
+        bits.push(getBit(value, i) ? 1 : 0);
+      }
+    };
+    push(0b0100, 4);
+    push(bytes.length, countBits(version));
+    bytes.forEach(b => push(b, 8));
+
+    const capacityBits = dataCapacity(version) * 8;
+    push(0, Math.min(4, capacityBits - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    }
+    for (let pad = 0xEC; codewords.length < dataCapacity(version); pad ^= 0xEC ^ 0x11) {
+      codewords.push(pad);
+    }
+    return codewords;
+  }
+
+  function addErrorCorrection(data, version) {
+    const { ecPerBlock, blocks } = VERSIONS[version];
+    const divisor = rsDivisor(ecPerBlock);
+    const dataBlocks = [];
+    const ecBlocks = [];
+    let offset = 0;
+    blocks.forEach(length => {
+      const block = data.slice(offset, offset + length);
+      offset += length;
+      dataBlocks.push(block);
+      ecBlocks.push(rsRemainder(block, divisor));
+    });
+
+    const result = [];
+    const longest = Math.max(...blocks);
+    for (let i = 0; i < longest; i++) {
+      dataBlocks.forEach(block => {
+        if (i < block.length) {
+          result.push(block[i]);
+        }
+      });
+    }
+    for (let i = 0; i < ecPerBlock; i++) {
+      ecBlocks.forEach(block => result.push(block[i]));
+    }
+    return result;
+  }
+
+  // ---- Matrix ----
+  function createMatrix(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const set = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+      set(6, i, i % 2 === 0);
+      set(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) {
+            const dist = Math.max(Math.abs(dx), Math.abs(dy));
+            set(x, y, dist !== 2 && dist !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = ALIGNMENT_POSITIONS[version];
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) {
+        rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      }
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        set(a, b, getBit(bits, i));
+        set(b, a, getBit(bits, i));
+      }
+    }
+    // Reserve the format areas; drawFormatBits() fills them once the mask is chosen
+    drawFormatBits({ modules, reserved, size, set }, 0);
+    return { modules, reserved, size, set };
+  }
+
+  function drawFormatBits(matrix, mask) {
+    const { size, set } = matrix;
+    const data = (EC_LEVEL_M << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) {
+      rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    for (let i = 0; i <= 5; i++) {
+      set(8, i, getBit(bits, i));
+    }
+    set(8, 7, getBit(bits, 6));
+    set(8, 8, getBit(bits, 7));
+    set(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+      set(14 - i, 8, getBit(bits, i));
+    }
+    for (let i = 0; i < 8; i++) {
+      set(size - 1 - i, 8, getBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+      set(8, size - 15 + i, getBit(bits, i));
+    }
+    set(8, size - 8, true);
+  }
+
+  function placeCodewords(matrix, codewords) {
+    const { modules, reserved, size } = matrix;
+    let bit = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5;
+      }
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = upward ? size - 1 - vert : vert;
+          if (!reserved[y][x] && bit < codewords.length * 8) {
+            modules[y][x] = getBit(codewords[bit >>> 3], 7 - (bit & 7));
+            bit++;
+          }
+        }
+      }
+    }
+  }
+
+  function applyMask(matrix, mask) {
+    const { modules, reserved, size } = matrix;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && MASKS[mask](x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalty rules of the QR specification, used to pick the most readable mask
+  function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map(row => row[i]));
+    }
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) {
+            score += run - 2;
+          }
+          run = 1;
+        }
+      }
+      const text = line.map(dark => (dark ? '1' : '0')).join('');
+      score += 40 * ((text.match(/(?=10111010000)/g) || []).length +
+        (text.match(/(?=00001011101)/g) || []).length);
+    });
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) {
+          dark++;
+        }
+        if (x < size - 1 && y < size - 1) {
+          const c = modules[y][x];
+          if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) {
+            score += 3;
+          }
+        }
+      }
+    }
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+
+  /**
+   * Encode text as a QR code.
+   * @param {string} text
+   * @returns {{size: number, modules: boolean[][]}} modules[y][x] is true for dark modules
+   * @throws {Error} when the text does not fit in a version 10 code
+   */
+  function encode(text) {
+    const bytes = utf8Bytes(text);
+    let version = 1;
+    while (version < VERSIONS.length &&
+        4 + countBits(version) + bytes.length * 8 > dataCapacity(version) * 8) {
+      version++;
+    }
+    if (version >= VERSIONS.length) {
+      throw new Error(`QR code content is too long (${bytes.length} bytes, at most 213)`);
+    }
+
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+    let best = null;
+    MASKS.forEach((_, mask) => {
+      const matrix = createMatrix(version);
+      placeCodewords(matrix, codewords);
+      applyMask(matrix, mask);
+      drawFormatBits(matrix, mask);
+      const score = penalty(matrix.modules);
+      if (!best || score < best.score) {
+        best = { score, modules: matrix.modules, size: matrix.size };
+      }
+    });
+    return { size: best.size, modules: best.modules };
+  }
+
+  root.WAQRCode = { encode };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,209 @@
+// recipientTimeZone.js - Best guess at a contact's timezone, so a campaign can send within the
+// contact's own local sending window. A `Timezone` column wins (IANA name such as
+// "Europe/Berlin", or an offset such as "UTC+4" / "GMT-05:30"); otherwise the country calling
+// code of the number decides. Countries spanning several zones map to the zone most of their
+// population lives in, so give those contacts a Timezone column when it matters.
+// Written without import/export so it works both as a content script and as a side-effect
+// import from popup modules; either way it publishes `globalThis.WARecipientTimeZone`.
+(function (root) {
+  'use strict';
+
+  // Calling code (digits after +) -> IANA timezone; the longest matching prefix wins
+  const CALLING_CODE_ZONES = {
+    // North American Numbering Plan: Eastern time unless the area code is listed (larger
+    // central/mountain/pacific metro areas, Canadian provinces and the Caribbean members)
+    '1': 'America/New_York',
+    '1204': 'America/Winnipeg', '1250': 'America/Vancouver', '1306': 'America/Regina',
+    '1403': 'America/Edmonton', '1416': 'America/Toronto', '1514': 'America/Toronto',
+    '1604': 'America/Vancouver', '1647': 'America/Toronto', '1709': 'America/St_Johns',
+    '1778': 'America/Vancouver', '1780': 'America/Edmonton', '1902': 'America/Halifax',
+    '1213': 'America/Los_Angeles', '1310': 'America/Los_Angeles', '1415': 'America/Los_Angeles',
+    '1408': 'America/Los_Angeles', '1510': 'America/Los_Angeles', '1619': 'America/Los_Angeles',
+    '1626': 'America/Los_Angeles', '1650': 'America/Los_Angeles', '1702': 'America/Los_Angeles',
+    '1714': 'America/Los_Angeles', '1818': 'America/Los_Angeles', '1858': 'America/Los_Angeles',
+    '1909': 'America/Los_Angeles', '1916': 'America/Los_Angeles', '1949': 'America/Los_Angeles',
+    '1206': 'America/Los_Angeles', '1253': 'America/Los_Angeles', '1503': 'America/Los_Angeles',
+    '1303': 'America/Denver', '1720': 'America/Denver', '1801': 'America/Denver',
+    '1505': 'America/Denver', '1602': 'America/Phoenix', '1480': 'America/Phoenix',
+    '1520': 'America/Phoenix', '1312': 'America/Chicago', '1773': 'America/Chicago',
+    '1214': 'America/Chicago', '1469': 'America/Chicago', '1972': 'America/Chicago',
+    '1713': 'America/Chicago', '1281': 'America/Chicago', '1832': 'America/Chicago',
+    '1210': 'America/Chicago', '1512': 'America/Chicago', '1612': 'America/Chicago',
+    '1314': 'America/Chicago', '1504': 'America/Chicago', '1615': 'America/Chicago',
+    '1414': 'America/Chicago', '1816': 'America/Chicago', '1907': 'America/Anchorage',
+    '1808': 'Pacific/Honolulu',
+    '1242': 'America/Nassau', '1246': 'America/Barbados', '1264': 'America/Anguilla',
+    '1268': 'America/Antigua', '1284': 'America/Tortola', '1340': 'America/St_Thomas',
+    '1345': 'America/Cayman', '1441': 'Atlantic/Bermuda', '1473': 'America/Grenada',
+    '1649': 'America/Grand_Turk', '1664': 'America/Montserrat', '1671': 'Pacific/Guam',
+    '1684': 'Pacific/Pago_Pago', '1721': 'America/Lower_Princes', '1758': 'America/St_Lucia',
+    '1767': 'America/Dominica', '1784': 'America/St_Vincent', '1787': 'America/Puerto_Rico',
+    '1939': 'America/Puerto_Rico', '1809': 'America/Santo_Domingo',
+    '1829': 'America/Santo_Domingo', '1849': 'America/Santo_Domingo',
+    '1868': 'America/Port_of_Spain', '1869': 'America/St_Kitts', '1876': 'America/Jamaica',
+    // Russia and Kazakhstan share +7
+    '7': 'Europe/Moscow', '76': 'Asia/Almaty', '77': 'Asia/Almaty',
+    '20': 'Africa/Cairo', '27': 'Africa/Johannesburg', '30': 'Europe/Athens',
+    '31': 'Europe/Amsterdam', '32': 'Europe/Brussels', '33': 'Europe/Paris',
+    '34': 'Europe/Madrid', '36': 'Europe/Budapest', '39': 'Europe/Rome',
+    '40': 'Europe/Bucharest', '41': 'Europe/Zurich', '43': 'Europe/Vienna',
+    '44': 'Europe/London', '45': 'Europe/Copenhagen', '46': 'Europe/Stockholm',
+    '47': 'Europe/Oslo', '48': 'Europe/Warsaw', '49': 'Europe/Berlin',
+    '51': 'America/Lima', '52': 'America/Mexico_City', '53': 'America/Havana',
+    '54': 'America/Argentina/Buenos_Aires', '55': 'America/Sao_Paulo', '56': 'America/Santiago',
+    '57': 'America/Bogota', '58': 'America/Caracas', '60': 'Asia/Kuala_Lumpur',
+    '61': 'Australia/Sydney', '62': 'Asia/Jakarta', '63': 'Asia/Manila',
+    '64': 'Pacific/Auckland', '65': 'Asia/Singapore', '66': 'Asia/Bangkok',
+    '81': 'Asia/Tokyo', '82': 'Asia/Seoul', '84': 'Asia/Ho_Chi_Minh', '86': 'Asia/Shanghai',
+    '90': 'Europe/Istanbul', '91': 'Asia/Kolkata', '92': 'Asia/Karachi', '93': 'Asia/Kabul',
+    '94': 'Asia/Colombo', '95': 'Asia/Yangon', '98': 'Asia/Tehran',
+    '211': 'Africa/Juba', '212': 'Africa/Casablanca', '213': 'Africa/Algiers',
+    '216': 'Africa/Tunis', '218': 'Africa/Tripoli', '220': 'Africa/Banjul',
+    '221': 'Africa/Dakar', '222': 'Africa/Nouakchott', '223': 'Africa/Bamako',
+    '224': 'Africa/Conakry', '225': 'Africa/Abidjan', '226': 'Africa/Ouagadougou',
+    '227': 'Africa/Niamey', '228': 'Africa/Lome', '229': 'Africa/Porto-Novo',
+    '230': 'Indian/Mauritius', '231': 'Africa/Monrovia', '232': 'Africa/Freetown',
+    '233': 'Africa/Accra', '234': 'Africa/Lagos', '235': 'Africa/Ndjamena',
+    '236': 'Africa/Bangui', '237': 'Africa/Douala', '238': 'Atlantic/Cape_Verde',
+    '240': 'Africa/Malabo', '241': 'Africa/Libreville', '242': 'Africa/Brazzaville',
+    '243': 'Africa/Kinshasa', '244': 'Africa/Luanda', '248': 'Indian/Mahe',
+    '249': 'Africa/Khartoum', '250': 'Africa/Kigali', '251': 'Africa/Addis_Ababa',
+    '252': 'Africa/Mogadishu', '253': 'Africa/Djibouti', '254': 'Africa/Nairobi',
+    '255': 'Africa/Dar_es_Salaam', '256': 'Africa/Kampala', '257': 'Africa/Bujumbura',
+    '258': 'Africa/Maputo', '260': 'Africa/Lusaka', '261': 'Indian/Antananarivo',
+    '262': 'Indian/Reunion', '263': 'Africa/Harare', '264': 'Africa/Windhoek',
+    '265': 'Africa/Blantyre', '266': 'Africa/Maseru', '267': 'Africa/Gaborone',
+    '268': 'Africa/Mbabane', '269': 'Indian/Comoro', '291': 'Africa/Asmara',
+    '297': 'America/Aruba', '298': 'Atlantic/Faroe', '299': 'America/Nuuk',
+    '350': 'Europe/Gibraltar', '351': 'Europe/Lisbon', '352': 'Europe/Luxembourg',
+    '353': 'Europe/Dublin', '354': 'Atlantic/Reykjavik', '355': 'Europe/Tirane',
+    '356': 'Europe/Malta', '357': 'Asia/Nicosia', '358': 'Europe/Helsinki',
+    '359': 'Europe/Sofia', '370': 'Europe/Vilnius', '371': 'Europe/Riga',
+    '372': 'Europe/Tallinn', '373': 'Europe/Chisinau', '374': 'Asia/Yerevan',
+    '375': 'Europe/Minsk', '376': 'Europe/Andorra', '377': 'Europe/Monaco',
+    '378': 'Europe/San_Marino', '380': 'Europe/Kyiv', '381': 'Europe/Belgrade',
+    '382': 'Europe/Podgorica', '383': 'Europe/Belgrade', '385': 'Europe/Zagreb',
+    '386': 'Europe/Ljubljana', '387': 'Europe/Sarajevo', '389': 'Europe/Skopje',
+    '420': 'Europe/Prague', '421': 'Europe/Bratislava', '423': 'Europe/Vaduz',
+    '500': 'Atlantic/Stanley', '501': 'America/Belize', '502': 'America/Guatemala',
+    '503': 'America/El_Salvador', '504': 'America/Tegucigalpa', '505': 'America/Managua',
+    '506': 'America/Costa_Rica', '507': 'America/Panama', '509': 'America/Port-au-Prince',
+    '590': 'America/Guadeloupe', '591': 'America/La_Paz', '592': 'America/Guyana',
+    '593': 'America/Guayaquil', '594': 'America/Cayenne', '595': 'America/Asuncion',
+    '596': 'America/Martinique', '597': 'America/Paramaribo', '598': 'America/Montevideo',
+    '599': 'America/Curacao', '670': 'Asia/Dili', '673': 'Asia/Brunei',
+    '675': 'Pacific/Port_Moresby', '676': 'Pacific/Tongatapu', '677': 'Pacific/Guadalcanal',
+    '678': 'Pacific/Efate', '679': 'Pacific/Fiji', '685': 'Pacific/Apia',
+    '687': 'Pacific/Noumea', '689': 'Pacific/Tahiti', '852': 'Asia/Hong_Kong',
+    '853': 'Asia/Macau', '855': 'Asia/Phnom_Penh', '856': 'Asia/Vientiane',
+    '880': 'Asia/Dhaka', '886': 'Asia/Taipei', '960': 'Indian/Maldives',
+    '961': 'Asia/Beirut', '962': 'Asia/Amman', '963': 'Asia/Damascus',
+    '964': 'Asia/Baghdad', '965': 'Asia/Kuwait', '966': 'Asia/Riyadh',
+    '967': 'Asia/Aden', '968': 'Asia/Muscat', '970': 'Asia/Gaza',
+    '971': 'Asia/Dubai', '972': 'Asia/Jerusalem', '973': 'Asia/Bahrain',
+    '974': 'Asia/Qatar', '975': 'Asia/Thimphu', '976': 'Asia/Ulaanbaatar',
+    '977': 'Asia/Kathmandu', '992': 'Asia/Dushanbe', '993': 'Asia/Ashgabat',
+    '994': 'Asia/Baku', '995': 'Asia/Tbilisi', '996': 'Asia/Bishkek',
+    '998': 'Asia/Tashkent',
+  };
+  // Zones without daylight saving for offsets that are not whole hours (Etc/GMT has none)
+  const FRACTIONAL_OFFSET_ZONES = {
+    '-09:30': 'Pacific/Marquesas', '+03:30': 'Asia/Tehran', '+04:30': 'Asia/Kabul',
+    '+05:30': 'Asia/Kolkata', '+05:45': 'Asia/Kathmandu', '+06:30': 'Asia/Yangon',
+    '+08:45': 'Australia/Eucla', '+09:30': 'Australia/Darwin',
+  };
+  const MAX_PREFIX_LENGTH = 4;
+  // Column names accepted for an explicit timezone (compared without case, spaces or _)
+  const COLUMN_NAMES = ['timezone', 'tz', 'zone'];
+
+  const validZones = new Map();
+
+  function isValidTimeZone(zone) {
+    if (!validZones.has(zone)) {
+      let valid = true;
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+      } catch (error) {
+        valid = false;
+      }
+      validZones.set(zone, valid);
+    }
+    return validZones.get(zone);
+  }
+
+  /**
+   * A timezone value from a contact sheet as an IANA zone, or null when it is not one.
+   * Whole-hour offsets become Etc/GMT zones (note their inverted sign), other offsets a zone
+   * that keeps that offset all year.
+   * @param {string} value - e.g. "Asia/Dubai", "UTC+4", "GMT-05:30", "+0530"
+   * @returns {?string}
+   */
+  function parseTimeZone(value) {
+    const text = String(value === null || value === undefined ? '' : value).trim();
+    if (!text) {
+      return null;
+    }
+    const offset = /^(?:utc|gmt)?\s*([+-])\s*(\d{1,2})(?::?(\d{2}))?$/i.exec(text);
+    if (offset) {
+      const [, sign, hours, minutes = '00'] = offset;
+      if (Number(hours) > 14 || Number(minutes) > 59) {
+        return null;
+      }
+      if (minutes === '00') {
+        const zone = Number(hours) === 0 ? 'UTC' : `Etc/GMT${sign === '+' ? '-' : '+'}${Number(hours)}`;
+        return isValidTimeZone(zone) ? zone : null;
+      }
+      return FRACTIONAL_OFFSET_ZONES[`${sign}${hours.padStart(2, '0')}:${minutes}`] || null;
+    }
+    if (/^(utc|gmt|z)$/i.test(text)) {
+      return 'UTC';
+    }
+    const zone = text.replace(/\s+/g, '_');
+    return isValidTimeZone(zone) ? zone : null;
+  }
+
+  /**
+   * Timezone of the country a number belongs to, by its calling code.
+   * @param {string} number - international number, digits (a leading + or 00 is ignored)
+   * @returns {?string}
+   */
+  function timeZoneForNumber(number) {
+    const digits = String(number || '').replace(/\D/g, '').replace(/^00/, '');
+    for (let length = Math.min(MAX_PREFIX_LENGTH, digits.length); length > 0; length--) {
+      const zone = CALLING_CODE_ZONES[digits.slice(0, length)];
+      if (zone) {
+        return zone;
+      }
+    }
+    return null;
+  }
+
+  function timeZoneColumnValue(contact) {
+    if (!contact || typeof contact !== 'object') {
+      return null;
+    }
+    const key = Object.keys(contact)
+      .find(name => COLUMN_NAMES.includes(name.toLowerCase().replace(/[\s_-]/g, '')));
+    return key ? contact[key] : null;
+  }
+
+  /**
+   * Timezone to send to `contact` in: its Timezone column, else its number's country.
+   * @param {Object} contact - contact row
+   * @param {string} [number] - the contact's international number, if already cleaned
+   * @returns {{timeZone: ?string, source: ?('column'|'country')}}
+   */
+  function timeZoneForContact(contact, number) {
+    const fromColumn = parseTimeZone(timeZoneColumnValue(contact));
+    if (fromColumn) {
+      return { timeZone: fromColumn, source: 'column' };
+    }
+    const phone = number || (contact && (contact.Phone || contact.phone || contact.PHONE));
+    const fromNumber = timeZoneForNumber(phone);
+    return { timeZone: fromNumber, source: fromNumber ? 'country' : null };
+  }
+
+  root.WARecipientTimeZone = {
+    CALLING_CODE_ZONES, parseTimeZone, timeZoneForNumber, timeZoneForContact,
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,175 @@
+// resultExport.js - Per-recipient campaign result tables and CSV / XLSX / JSON downloads
+// Table building is DOM-free so the background worker can use it too; only
+// downloadResultTable() needs a page.
+import { MESSAGE_ACK } from './campaignHistoryDB.js';
+
+// Result columns appended after the contact's own columns
+const RESULT_COLUMNS = [
+  'Sent To', 'Status', 'Message', 'Timestamp', 'Attempts', 'Failure Reason', 'Error',
+  'Receipt', 'Delivered At', 'Read At', 'Replied', 'Replied At', 'Reply',
+];
+
+// Only added when the campaign had a message sequence
+const FOLLOW_UP_COLUMNS = ['Follow-ups Sent', 'Follow-up Errors'];
+// Only added when contacts got their own files (attachment column)
+const ATTACHMENT_COLUMNS = ['Attachment Sent'];
+
+const ACK_LABELS = {
+  [MESSAGE_ACK.SENT]: 'sent',
+  [MESSAGE_ACK.DELIVERED]: 'delivered',
+  [MESSAGE_ACK.READ]: 'read',
+  [MESSAGE_ACK.PLAYED]: 'played',
+};
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+/**
+ * Map a raw send error to a short reason code.
+ * @param {string} error
+ * @returns {string} invalid_number | blocked | timeout | duplicate_number | send_failed
+ */
+export function classifyFailure(error) {
+  const text = String(error || '').toLowerCase();
+  if (!text) {
+    return '';
+  }
+  if (text.includes('duplicate')) {
+    return 'duplicate_number';
+  }
+  if (text.includes('invalid')) {
+    return 'invalid_number';
+  }
+  if (text.includes('block')) {
+    return 'blocked';
+  }
+  if (text.includes('timeout') || text.includes('timed out')) {
+    return 'timeout';
+  }
+  return 'send_failed';
+}
+
+/**
+ * Fallback for campaigns without per-recipient records: rebuild minimal results
+ * from the success/failed/skipped number lists.
+ */
+export function recipientsFromNumberLists(lists) {
+  const { successNumbers = [], failedNumbers = [], skippedNumbers = [] } = lists;
+  const rows = [];
+  const add = (numbers, status) => numbers.forEach(number => {
+    rows.push({ index: rows.length, number, status });
+  });
+  add(successNumbers, 'sent');
+  add(failedNumbers, 'failed');
+  add(skippedNumbers, 'skipped');
+  return rows;
+}
+
+/**
+ * Turn recipient records into a table: every original contact column (in first-seen
+ * order) followed by the result columns.
+ * @param {Array<Object>} recipients - records from the campaign history DB
+ * @returns {{headers: string[], rows: Array<Array<*>>}}
+ */
+export function buildResultTable(recipients) {
+  const contactColumns = [];
+  const seen = new Set();
+  recipients.forEach(r => {
+    Object.keys(r.contact || {}).forEach(key => {
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        contactColumns.push(key);
+      }
+    });
+  });
+
+  const hasFollowUps = recipients.some(r => Array.isArray(r.followUps) && r.followUps.length);
+  const hasAttachments = recipients.some(r => r.attachmentName);
+
+  const rows = recipients.map(r => {
+    const contact = r.contact || {};
+    const followUps = r.followUps || [];
+    const followUpCells = hasFollowUps
+      ? [
+        followUps.length ? `${followUps.filter(f => f.status === 'sent').length}/${followUps.length}` : '',
+        followUps.filter(f => f.error).map(f => `#${f.step}: ${f.error}`).join('; '),
+      ]
+      : [];
+    return [
+      ...contactColumns.map(key => contact[key] ?? ''),
+      r.number || '',
+      r.status || '',
+      r.renderedMessage || '',
+      r.timestamp || '',
+      r.attempts ?? '',
+      r.reason || (r.status === 'sent' ? '' : classifyFailure(r.error)),
+      r.error || '',
+      ACK_LABELS[r.ack] || '',
+      r.deliveredAt || '',
+      r.readAt || '',
+      r.repliedAt ? 'yes' : 'no',
+      r.repliedAt || '',
+      r.replyText || '',
+      ...followUpCells,
+      ...(hasAttachments ? [r.attachmentName || ''] : []),
+    ];
+  });
+
+  const resultColumns = [
+    ...RESULT_COLUMNS,
+    ...(hasFollowUps ? FOLLOW_UP_COLUMNS : []),
+    ...(hasAttachments ? ATTACHMENT_COLUMNS : []),
+  ];
+  return { headers: [...contactColumns, ...resultColumns], rows };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function tableToCSV({ headers, rows }) {
+  return [headers, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+export function tableToJSON({ headers, rows }) {
+  const objects = rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i]])));
+  return JSON.stringify(objects, null, 2);
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 0);
+}
+
+/**
+ * Download a result table in the chosen format.
+ * @param {{headers: string[], rows: Array<Array<*>>}} table
+ * @param {'csv'|'xlsx'|'json'} format
+ * @param {string} [baseName] - file name without extension
+ */
+export async function downloadResultTable(table, format = 'xlsx', baseName) {
+  const ts = new Date().toISOString().replace(/[:T]/g, '-').split('.')[0];
+  const name = baseName || `campaign-results-${ts}`;
+
+  if (format === 'csv') {
+    // BOM so Excel opens UTF-8 (names, emoji) correctly
+    downloadBlob(new Blob(['\uFEFF' + tableToCSV(table)], { type: 'text/csv;charset=utf-8' }), `${name}.csv`);
+  } else if (format === 'json') {
+    downloadBlob(new Blob([tableToJSON(table)], { type: 'application/json' }), `${name}.json`);
+  } else {
+    // utils.js touches `window`, so load it lazily rather than breaking the service worker
+    const { ensureLibraryLoaded } = await import('../utils.js');
+    const XLSX = await ensureLibraryLoaded('XLSX', 'libs/xlsx.full.min.js', 8000);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([table.headers, ...table.rows]), 'Results');
+    XLSX.writeFile(wb, `${name}.xlsx`);
+  }
+}
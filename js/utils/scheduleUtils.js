@@ -0,0 +1,107 @@
+// Date/time helpers for scheduling campaigns in a chosen timezone
+
+/**
+ * Returns the browser's own IANA timezone (e.g. "Asia/Dubai")
+ * @returns {string}
+ */
+export function getLocalTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Lists the IANA timezones the browser knows about, local zone first
+ * @returns {string[]}
+ */
+export function listTimeZones() {
+  const local = getLocalTimeZone();
+  let zones = [];
+  if (typeof Intl.supportedValuesOf === 'function') {
+    zones = Intl.supportedValuesOf('timeZone');
+  }
+  return [local, ...zones.filter(zone => zone !== local)];
+}
+
+/**
+ * Offset (ms) between the wall clock in `timeZone` and UTC at the given instant
+ * @param {number} epoch - Milliseconds since epoch
+ * @param {string} timeZone - IANA timezone name
+ * @returns {number}
+ */
+function getTimeZoneOffset(epoch, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(epoch));
+
+  const values = {};
+  parts.forEach(part => {
+    values[part.type] = Number(part.value);
+  });
+
+  const wallClockAsUtc = Date.UTC(
+    values.year, values.month - 1, values.day,
+    values.hour, values.minute, values.second,
+  );
+  return wallClockAsUtc - Math.floor(epoch / 1000) * 1000;
+}
+
+/**
+ * Converts a `datetime-local` value ("YYYY-MM-DDTHH:mm") interpreted in `timeZone`
+ * into milliseconds since epoch.
+ * @param {string} dateTimeValue - Value of an <input type="datetime-local">
+ * @param {string} [timeZone] - IANA timezone, defaults to the browser's own
+ * @returns {number} Epoch milliseconds, or NaN if the value cannot be parsed
+ */
+export function zonedDateTimeToEpoch(dateTimeValue, timeZone) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(dateTimeValue || '');
+  if (!match) {
+    return NaN;
+  }
+
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  try {
+    const zone = timeZone || getLocalTimeZone();
+    // Guess with the offset at the wall-clock instant, then correct once in case a
+    // DST transition sits between the guess and the real instant.
+    const guess = wallClockAsUtc - getTimeZoneOffset(wallClockAsUtc, zone);
+    return wallClockAsUtc - getTimeZoneOffset(guess, zone);
+  } catch (error) {
+    // Unknown timezone name – fall back to the browser's local time
+    return new Date(year, month - 1, day, hour, minute).getTime();
+  }
+}
+
+/**
+ * Formats an epoch timestamp for display in the given timezone
+ * @param {number} epoch - Milliseconds since epoch
+ * @param {string} [timeZone] - IANA timezone, defaults to the browser's own
+ * @returns {string}
+ */
+export function formatScheduledTime(epoch, timeZone) {
+  const options = {
+    weekday: 'short',
+    day: '2-digit',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  };
+  try {
+    const zoneOptions = { ...options, timeZone: timeZone || undefined };
+    const formatted = new Date(epoch).toLocaleString(undefined, zoneOptions);
+    return timeZone && timeZone !== getLocalTimeZone() ? `${formatted} (${timeZone})` : formatted;
+  } catch (error) {
+    return new Date(epoch).toLocaleString(undefined, options);
+  }
+}
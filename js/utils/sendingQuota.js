@@ -0,0 +1,115 @@
+// sendingQuota.js - Account-wide caps on campaign messages per clock hour and per calendar day,
+// shared by every campaign sent from the same WhatsApp number. A recipient counts once; their
+// follow-ups go with the first message. chrome.storage.local holds the caps in `sendingQuota`
+// and today's send times per own number in `sendingQuotaUsage`.
+// Written without import/export so it works both as a content script and as a side-effect
+// import from popup modules; either way it publishes `globalThis.WASendingQuota`.
+(function (root) {
+  'use strict';
+
+  const SETTINGS_KEY = 'sendingQuota';
+  const USAGE_KEY = 'sendingQuotaUsage';
+  const DEFAULT_SETTINGS = { enabled: false, perHour: 40, perDay: 200 };
+  const HOUR_MS = 60 * 60 * 1000;
+
+  // Local clock hour (zones with a half-hour offset included)
+  function hourStart(now) {
+    const date = new Date(now);
+    date.setMinutes(0, 0, 0);
+    return date.getTime();
+  }
+
+  function dayStart(now) {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    return date.getTime();
+  }
+
+  function nextDayStart(now) {
+    const date = new Date(dayStart(now));
+    date.setDate(date.getDate() + 1);
+    return date.getTime();
+  }
+
+  function normalizeSettings(settings) {
+    const merged = { ...DEFAULT_SETTINGS, ...(settings || {}) };
+    return {
+      enabled: !!merged.enabled,
+      perHour: Math.max(0, parseInt(merged.perHour, 10) || 0),
+      perDay: Math.max(0, parseInt(merged.perDay, 10) || 0),
+    };
+  }
+
+  /**
+   * Where the account stands against its caps. A cap of 0 means "no limit".
+   * @param {{enabled: boolean, perHour: number, perDay: number}} settings
+   * @param {number[]} sends - epoch ms of earlier sends
+   * @param {number} [now]
+   * @returns {{hourCount: number, dayCount: number, blockedBy: ?('hour'|'day'), resumeAt: ?number}}
+   */
+  function evaluate(settings, sends, now = Date.now()) {
+    const sinceHour = hourStart(now);
+    const sinceDay = dayStart(now);
+    const hourCount = sends.filter(t => t >= sinceHour && t <= now).length;
+    const dayCount = sends.filter(t => t >= sinceDay && t <= now).length;
+    let blockedBy = null;
+    let resumeAt = null;
+    if (settings.enabled && settings.perDay > 0 && dayCount >= settings.perDay) {
+      blockedBy = 'day';
+      resumeAt = nextDayStart(now);
+    } else if (settings.enabled && settings.perHour > 0 && hourCount >= settings.perHour) {
+      blockedBy = 'hour';
+      resumeAt = sinceHour + HOUR_MS;
+    }
+    return { hourCount, dayCount, blockedBy, resumeAt };
+  }
+
+  // Usage is kept per WhatsApp number, so switching accounts starts a fresh count
+  async function accountKey() {
+    const stored = await chrome.storage.local.get('waUserPhoneNumberResult');
+    const result = stored.waUserPhoneNumberResult;
+    return (result && result.number && String(result.number).replace(/\D/g, '')) || 'default';
+  }
+
+  async function getSettings() {
+    const stored = await chrome.storage.local.get(SETTINGS_KEY);
+    return normalizeSettings(stored[SETTINGS_KEY]);
+  }
+
+  async function saveSettings(settings) {
+    await chrome.storage.local.set({ [SETTINGS_KEY]: normalizeSettings(settings) });
+  }
+
+  /**
+   * Current usage and caps of the connected account.
+   * @returns {Promise<{settings: Object, hourCount: number, dayCount: number,
+   *   blockedBy: ?('hour'|'day'), resumeAt: ?number}>}
+   */
+  async function check() {
+    const [settings, account, stored] = await Promise.all([
+      getSettings(), accountKey(), chrome.storage.local.get(USAGE_KEY),
+    ]);
+    const usage = stored[USAGE_KEY] || {};
+    return { settings, ...evaluate(settings, usage[account] || []) };
+  }
+
+  /** Count one campaign message against the connected account; older days are dropped. */
+  async function recordSend(now = Date.now()) {
+    const account = await accountKey();
+    const stored = await chrome.storage.local.get(USAGE_KEY);
+    const usage = stored[USAGE_KEY] || {};
+    const since = dayStart(now);
+    Object.keys(usage).forEach(key => {
+      usage[key] = usage[key].filter(t => t >= since);
+      if (usage[key].length === 0) {
+        delete usage[key];
+      }
+    });
+    usage[account] = (usage[account] || []).concat(now);
+    await chrome.storage.local.set({ [USAGE_KEY]: usage });
+  }
+
+  root.WASendingQuota = {
+    DEFAULT_SETTINGS, evaluate, getSettings, saveSettings, check, recordSend,
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,232 @@
+// sendingWindow.js - Per-campaign sending windows ("Mon–Fri 09:00–19:00, not on public
+// holidays"). Outside the window the content script holds the campaign and carries on when the
+// window next opens. Times are wall-clock times in the window's timezone (the browser's own when
+// none is set); a window whose end is before its start runs past midnight into the next day.
+// Written without import/export so it works both as a content script and as a side-effect
+// import from popup modules; either way it publishes `globalThis.WASendingWindow`.
+(function (root) {
+  'use strict';
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // How far ahead nextOpen() looks before giving up (a holiday list can close whole weeks)
+  const MAX_SCAN_DAYS = 60;
+  const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const DEFAULT_SETTINGS = {
+    enabled: false,
+    // 0 = Sunday, as Date#getDay
+    days: [1, 2, 3, 4, 5],
+    start: '09:00',
+    end: '19:00',
+    timeZone: '',
+    // Apply the hours in each contact's own timezone (utils/recipientTimeZone.js); `timeZone`
+    // is then used for contacts whose zone is unknown
+    recipientLocal: false,
+    holidays: [],
+  };
+  // One formatter per timezone; building them is far slower than using them
+  const formatters = new Map();
+
+  function parseTime(value, fallback) {
+    const match = /^(\d{1,2}):(\d{2})/.exec(value || '');
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+      return fallback;
+    }
+    return match[1].padStart(2, '0') + ':' + match[2];
+  }
+
+  function toMinutes(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  }
+
+  /**
+   * Holiday dates from free text or a list: anything that looks like YYYY-MM-DD, deduplicated
+   * and sorted.
+   * @param {string|string[]} value
+   * @returns {string[]}
+   */
+  function parseHolidays(value) {
+    const text = Array.isArray(value) ? value.join('\n') : String(value || '');
+    const dates = (text.match(/\d{4}-\d{2}-\d{2}/g) || [])
+      .filter(date => !Number.isNaN(Date.parse(date + 'T00:00:00Z')));
+    return [...new Set(dates)].sort();
+  }
+
+  function normalizeSettings(settings) {
+    const merged = { ...DEFAULT_SETTINGS, ...(settings || {}) };
+    const days = (Array.isArray(merged.days) ? merged.days : [])
+      .map(day => parseInt(day, 10))
+      .filter(day => day >= 0 && day <= 6);
+    return {
+      enabled: !!merged.enabled,
+      days: [...new Set(days)].sort(),
+      start: parseTime(merged.start, DEFAULT_SETTINGS.start),
+      end: parseTime(merged.end, DEFAULT_SETTINGS.end),
+      timeZone: typeof merged.timeZone === 'string' ? merged.timeZone : '',
+      recipientLocal: !!merged.recipientLocal,
+      holidays: parseHolidays(merged.holidays),
+    };
+  }
+
+  function formatterFor(timeZone) {
+    if (!formatters.has(timeZone)) {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+      }));
+    }
+    return formatters.get(timeZone);
+  }
+
+  // Wall-clock date and time at `epoch` in `timeZone` (browser's own when empty or unknown)
+  function wallClock(epoch, timeZone) {
+    if (timeZone) {
+      try {
+        const values = {};
+        formatterFor(timeZone).formatToParts(new Date(epoch)).forEach(part => {
+          values[part.type] = Number(part.value);
+        });
+        return {
+          year: values.year,
+          month: values.month,
+          day: values.day,
+          minutes: values.hour * 60 + values.minute,
+        };
+      } catch (error) {
+        // Unknown timezone name – use local time below
+      }
+    }
+    const date = new Date(epoch);
+    return {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      minutes: date.getHours() * 60 + date.getMinutes(),
+    };
+  }
+
+  // Calendar date `offset` days after year/month/day, with its weekday and YYYY-MM-DD key
+  function calendarDay(year, month, day, offset) {
+    const date = new Date(Date.UTC(year, month - 1, day) + offset * DAY_MS);
+    const iso = date.toISOString().slice(0, 10);
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay(),
+      iso,
+    };
+  }
+
+  // Epoch of a wall-clock time in `timeZone`, corrected once for a DST change in between
+  function wallClockToEpoch(year, month, day, minutes, timeZone) {
+    const hour = Math.floor(minutes / 60);
+    const minute = minutes % 60;
+    if (timeZone) {
+      const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+      const offsetAt = epoch => {
+        const clock = wallClock(epoch, timeZone);
+        const wallAsUtc = Date.UTC(clock.year, clock.month - 1, clock.day, 0, clock.minutes);
+        return wallAsUtc - Math.floor(epoch / 60000) * 60000;
+      };
+      const guess = asUtc - offsetAt(asUtc);
+      return asUtc - offsetAt(guess);
+    }
+    return new Date(year, month - 1, day, hour, minute).getTime();
+  }
+
+  function isSendingDay(settings, date) {
+    return settings.days.includes(date.weekday) && !settings.holidays.includes(date.iso);
+  }
+
+  /**
+   * Whether messages may go out at `epoch`. A window that is off is always open.
+   * @param {Object} settings - window settings (see DEFAULT_SETTINGS)
+   * @param {number} [epoch]
+   * @param {string} [timeZone] - overrides the window's own timezone
+   * @returns {boolean}
+   */
+  function isOpen(settings, epoch = Date.now(), timeZone) {
+    const rules = normalizeSettings(settings);
+    if (!rules.enabled) {
+      return true;
+    }
+    const zone = timeZone || rules.timeZone;
+    const clock = wallClock(epoch, zone);
+    const today = calendarDay(clock.year, clock.month, clock.day, 0);
+    const start = toMinutes(rules.start);
+    const end = toMinutes(rules.end);
+    if (start === end) {
+      return isSendingDay(rules, today);
+    }
+    if (start < end) {
+      return isSendingDay(rules, today) && clock.minutes >= start && clock.minutes < end;
+    }
+    // Overnight window: the part after midnight belongs to the day it started on
+    if (clock.minutes >= start) {
+      return isSendingDay(rules, today);
+    }
+    const yesterday = calendarDay(clock.year, clock.month, clock.day, -1);
+    return clock.minutes < end && isSendingDay(rules, yesterday);
+  }
+
+  /**
+   * When the window is next open: `epoch` itself while it is open, otherwise the start of the
+   * next sending day.
+   * @param {Object} settings - window settings (see DEFAULT_SETTINGS)
+   * @param {number} [epoch]
+   * @param {string} [timeZone] - overrides the window's own timezone
+   * @returns {?number} epoch ms, or null when nothing opens within MAX_SCAN_DAYS
+   */
+  function nextOpen(settings, epoch = Date.now(), timeZone) {
+    if (isOpen(settings, epoch, timeZone)) {
+      return epoch;
+    }
+    const rules = normalizeSettings(settings);
+    const zone = timeZone || rules.timeZone;
+    const clock = wallClock(epoch, zone);
+    const start = toMinutes(rules.start);
+    for (let offset = 0; offset <= MAX_SCAN_DAYS; offset++) {
+      const date = calendarDay(clock.year, clock.month, clock.day, offset);
+      if (!isSendingDay(rules, date)) {
+        continue;
+      }
+      const opensAt = wallClockToEpoch(date.year, date.month, date.day, start, zone);
+      if (opensAt > epoch) {
+        return opensAt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Short summary such as "Mon–Fri 09:00–19:00".
+   * @param {Object} settings
+   * @returns {string}
+   */
+  function describe(settings) {
+    const rules = normalizeSettings(settings);
+    const days = rules.days;
+    const contiguous = days.length > 2 && days[days.length - 1] - days[0] === days.length - 1;
+    const dayText = days.length === 7
+      ? 'Every day'
+      : contiguous
+        ? `${DAY_NAMES[days[0]]}–${DAY_NAMES[days[days.length - 1]]}`
+        : days.map(day => DAY_NAMES[day]).join(', ');
+    const hours = rules.start === rules.end ? 'all day' : `${rules.start}–${rules.end}`;
+    if (rules.recipientLocal) {
+      return `${dayText} ${hours} (each contact's local time)`;
+    }
+    return `${dayText} ${hours}${rules.timeZone ? ` (${rules.timeZone})` : ''}`;
+  }
+
+  root.WASendingWindow = {
+    DEFAULT_SETTINGS, DAY_NAMES, MAX_SCAN_DAYS, normalizeSettings, parseHolidays,
+    isOpen, nextOpen, describe,
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,92 @@
+// spintax.js - Random message variants: `{Hi|Hello|Hey} {{Name}}`
+// A group is a pair of single braces containing at least one `|`; groups may be nested.
+// `{{column}}` variables are left untouched.
+// Written without import/export so it works both as a content script (listed in the
+// manifest before content.js) and as a side-effect import from popup modules; either way
+// it publishes `globalThis.WASpintax`.
+(function (root) {
+  'use strict';
+
+  const VARIABLE_TOKEN = /\{\{[^{}]*\}\}/g;
+  // Innermost group: no braces inside, at least one option separator
+  const INNER_GROUP = /\{([^{}]*\|[^{}]*)\}/;
+
+  function protectVariables(text, variables) {
+    return String(text || '').replace(VARIABLE_TOKEN, token => {
+      variables.push(token);
+      return `\uE000${variables.length - 1}\uE000`;
+    });
+  }
+
+  function restoreVariables(text, variables) {
+    return text.replace(/\uE000(\d+)\uE000/g, (_, i) => variables[Number(i)]);
+  }
+
+  function hasSpintax(text) {
+    return INNER_GROUP.test(protectVariables(text, []));
+  }
+
+  /**
+   * Pick one option from every spintax group, innermost groups first.
+   * @param {string} text
+   * @param {() => number} [random] - source of randomness in [0, 1)
+   * @returns {string}
+   */
+  function resolveSpintax(text, random = Math.random) {
+    const variables = [];
+    let result = protectVariables(text, variables);
+    let match;
+    while ((match = INNER_GROUP.exec(result)) !== null) {
+      const options = match[1].split('|');
+      const choice = options[Math.floor(random() * options.length)];
+      result = result.slice(0, match.index) + choice + result.slice(match.index + match[0].length);
+    }
+    return restoreVariables(result, variables);
+  }
+
+  /**
+   * Number of different messages the spintax can produce (identical options count separately).
+   * @returns {number}
+   */
+  function countSpintaxCombinations(text) {
+    const counts = [];
+    const productOf = part => {
+      let product = 1;
+      part.replace(/\uE001(\d+)\uE001/g, (_, i) => {
+        product *= counts[Number(i)];
+        return '';
+      });
+      return product;
+    };
+
+    // Collapse innermost groups into markers holding their combination count
+    let result = protectVariables(text, []);
+    let match;
+    while ((match = INNER_GROUP.exec(result)) !== null) {
+      counts.push(match[1].split('|').reduce((sum, option) => sum + productOf(option), 0));
+      result = result.slice(0, match.index) + `\uE001${counts.length - 1}\uE001` +
+        result.slice(match.index + match[0].length);
+    }
+    return productOf(result);
+  }
+
+  /**
+   * Up to `count` distinct resolved variants (fewer if the spintax has fewer combinations).
+   * @returns {string[]}
+   */
+  function sampleSpintaxVariants(text, count = 3) {
+    const variants = new Set();
+    const wanted = Math.min(count, countSpintaxCombinations(text));
+    for (let attempt = 0; variants.size < wanted && attempt < count * 20; attempt++) {
+      variants.add(resolveSpintax(text));
+    }
+    return [...variants];
+  }
+
+  root.WASpintax = {
+    hasSpintax,
+    resolveSpintax,
+    countSpintaxCombinations,
+    sampleSpintaxVariants,
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
@@ -0,0 +1,313 @@
+// templateEngine.js - Message template language
+//   {{Name}}                   column value (column names are case-insensitive)
+//   {{Name|there}}             fallback when the value is empty
+//   {{Name|capitalize}}        filters: upper, lower, capitalize, first, trim,
+//   {{Amount|currency:INR}}             currency:CODE, number:DECIMALS, date:FORMAT
+//   {{DueDate|date:DD MMM}}    segments apply left to right: {{Name|first|capitalize|there}}
+//   {{#if City}}…{{else}}…{{/if}}, {{#unless City}}…{{/unless}}
+// Written without import/export so it works both as a content script (listed in the
+// manifest before content.js) and as a side-effect import from popup modules; either way
+// it publishes `globalThis.WATemplate`.
+(function (root) {
+  'use strict';
+
+  const TAG = /\{\{\s*([^{}]*?)\s*\}\}/g;
+  const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+    'August', 'September', 'October', 'November', 'December'];
+  const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  // ---- Values ----
+  function lookup(contact, name) {
+    if (!contact || typeof contact !== 'object') {
+      return '';
+    }
+    const wanted = name.trim().toLowerCase();
+    const key = Object.keys(contact).find(k => k.trim().toLowerCase() === wanted);
+    const value = key === undefined ? undefined : contact[key];
+    return value === null || value === undefined ? '' : value;
+  }
+
+  function isEmpty(value) {
+    return String(value).trim() === '';
+  }
+
+  function toNumber(value) {
+    if (typeof value === 'number') {
+      return value;
+    }
+    const cleaned = String(value).replace(/[^\d.-]/g, '');
+    return cleaned ? Number(cleaned) : NaN;
+  }
+
+  // Accepts Date objects, ISO strings, Excel serial numbers and day-first DD/MM/YYYY
+  function toDate(value) {
+    if (value instanceof Date) {
+      return value;
+    }
+    if (typeof value === 'number' || /^\d{5}(\.\d+)?$/.test(String(value).trim())) {
+      const serial = Number(value);
+      // Excel day 0 is 1899-12-30; serials count local days, not UTC ones
+      const utc = new Date(Math.round((serial - 25569) * 86400 * 1000));
+      return new Date(utc.getTime() + utc.getTimezoneOffset() * 60000);
+    }
+    const text = String(value).trim();
+    const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (dayFirst) {
+      const year = Number(dayFirst[3]) < 100 ? 2000 + Number(dayFirst[3]) : Number(dayFirst[3]);
+      return new Date(year, Number(dayFirst[2]) - 1, Number(dayFirst[1]));
+    }
+    return new Date(text);
+  }
+
+  function formatDate(date, format) {
+    const pad = n => String(n).padStart(2, '0');
+    const tokens = {
+      YYYY: () => String(date.getFullYear()),
+      YY: () => String(date.getFullYear()).slice(-2),
+      MMMM: () => MONTHS[date.getMonth()],
+      MMM: () => MONTHS[date.getMonth()].slice(0, 3),
+      MM: () => pad(date.getMonth() + 1),
+      M: () => String(date.getMonth() + 1),
+      dddd: () => WEEKDAYS[date.getDay()],
+      ddd: () => WEEKDAYS[date.getDay()].slice(0, 3),
+      DD: () => pad(date.getDate()),
+      D: () => String(date.getDate()),
+      HH: () => pad(date.getHours()),
+      mm: () => pad(date.getMinutes()),
+    };
+    return format.replace(/YYYY|YY|MMMM|MMM|MM|M|dddd|ddd|DD|D|HH|mm/g, token => tokens[token]());
+  }
+
+  // ---- Filters ----
+  // Each filter gets the raw value and its argument; values it cannot handle pass through
+  const FILTERS = {
+    upper: value => String(value).toUpperCase(),
+    lower: value => String(value).toLowerCase(),
+    trim: value => String(value).trim(),
+    capitalize: value => String(value).toLowerCase()
+      .replace(/(^|[\s'-])(\p{L})/gu, (_, sep, ch) => sep + ch.toUpperCase()),
+    first: value => String(value).trim().split(/\s+/)[0],
+    currency: (value, code) => {
+      const number = toNumber(value);
+      if (Number.isNaN(number)) {
+        return String(value);
+      }
+      const currency = (code || 'USD').trim().toUpperCase();
+      return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(number);
+    },
+    number: (value, decimals) => {
+      const number = toNumber(value);
+      if (Number.isNaN(number)) {
+        return String(value);
+      }
+      const digits = decimals === undefined || decimals === '' ? undefined : Number(decimals);
+      return number.toLocaleString(undefined, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      });
+    },
+    date: (value, format) => {
+      const date = toDate(value);
+      return Number.isNaN(date.getTime()) ? String(value) : formatDate(date, format || 'DD MMM YYYY');
+    },
+  };
+
+  // `capitalize` / `currency:INR` are filters; anything else is a fallback text.
+  // Quote a fallback that looks like a filter name: {{Name|"first"}}
+  function parseSegment(segment) {
+    const quoted = segment.match(/^\s*(["'])(.*)\1\s*$/);
+    if (quoted) {
+      return { fallback: quoted[2] };
+    }
+    const filter = segment.match(/^\s*(\w+)\s*(?::(.*))?$/);
+    if (filter && Object.prototype.hasOwnProperty.call(FILTERS, filter[1])) {
+      return { filter: filter[1], arg: filter[2] === undefined ? undefined : filter[2].trim() };
+    }
+    return { fallback: segment.trim() };
+  }
+
+  function parseExpression(expression) {
+    const [name, ...segments] = expression.split('|');
+    return { name: name.trim(), segments: segments.map(parseSegment) };
+  }
+
+  // ---- Parsing ----
+  // Returns a node tree; syntax problems are collected in `errors` and parsing carries on
+  function parse(template) {
+    const errors = [];
+    const rootNodes = [];
+    const stack = [{ nodes: rootNodes }];
+    let last = 0;
+    let match;
+    const current = () => stack[stack.length - 1];
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(template)) !== null) {
+      if (match.index > last) {
+        current().nodes.push({ type: 'text', value: template.slice(last, match.index) });
+      }
+      last = match.index + match[0].length;
+      const body = match[1];
+
+      const open = body.match(/^#(if|unless)\s+(.+)$/);
+      if (open) {
+        const node = {
+          type: 'if', keyword: open[1], negate: open[1] === 'unless', name: open[2].trim(), then: [], else: [],
+        };
+        current().nodes.push(node);
+        stack.push({ node, nodes: node.then });
+      } else if (body === 'else') {
+        const frame = current();
+        if (!frame.node || frame.nodes === frame.node.else) {
+          errors.push('{{else}} without a matching {{#if}}');
+        } else {
+          frame.nodes = frame.node.else;
+        }
+      } else if (/^\/(if|unless)$/.test(body)) {
+        if (stack.length === 1 || current().node.keyword !== body.slice(1)) {
+          errors.push(`{{${body}}} without a matching {{#${body.slice(1)}}}`);
+        } else {
+          stack.pop();
+        }
+      } else if (body.startsWith('#') || body.startsWith('/')) {
+        errors.push(`Unknown block {{${body}}}`);
+      } else if (body) {
+        current().nodes.push({ type: 'var', ...parseExpression(body) });
+      }
+    }
+    if (last < template.length) {
+      current().nodes.push({ type: 'text', value: template.slice(last) });
+    }
+    stack.slice(1).forEach(({ node }) => {
+      errors.push(`{{#${node.keyword} ${node.name}}} is missing {{/${node.keyword}}}`);
+    });
+    return { nodes: rootNodes, errors };
+  }
+
+  // ---- Rendering ----
+  function evaluate(node, contact) {
+    let value = lookup(contact, node.name);
+    node.segments.forEach(segment => {
+      if (segment.filter) {
+        if (!isEmpty(value)) {
+          try {
+            value = FILTERS[segment.filter](value, segment.arg);
+          } catch (e) {
+            // e.g. an invalid currency code – keep the unformatted value
+          }
+        }
+      } else if (isEmpty(value)) {
+        value = segment.fallback;
+      }
+    });
+    return String(value);
+  }
+
+  function renderNodes(nodes, contact) {
+    return nodes.map(node => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+      if (node.type === 'if') {
+        const truthy = !isEmpty(lookup(contact, node.name));
+        return renderNodes(truthy !== node.negate ? node.then : node.else, contact);
+      }
+      return evaluate(node, contact);
+    }).join('');
+  }
+
+  /**
+   * Fill a template for one contact. Unknown columns render as empty (or their fallback).
+   * @param {string} template
+   * @param {Object} contact
+   * @returns {string}
+   */
+  function renderTemplate(template, contact) {
+    return renderNodes(parse(String(template || '')).nodes, contact);
+  }
+
+  function collectReferences(nodes, refs = []) {
+    nodes.forEach(node => {
+      if (node.type === 'var') {
+        refs.push(node);
+      } else if (node.type === 'if') {
+        refs.push({ name: node.name, condition: true, segments: [] });
+        collectReferences(node.then, refs);
+        collectReferences(node.else, refs);
+      }
+    });
+    return refs;
+  }
+
+  /**
+   * Check a template against the contact columns (and, if given, the rows themselves).
+   * @param {string} template
+   * @param {string[]} headers - column names of the imported contact list ([] for manual numbers)
+   * @param {Array<Object>} [rows] - contacts, used to warn about empty values
+   * @returns {{errors: string[], warnings: string[], variables: string[]}}
+   */
+  function validateTemplate(template, headers, rows = []) {
+    const { nodes, errors } = parse(String(template || ''));
+    const warnings = [];
+    const columns = (headers || []).map(h => String(h).trim());
+    const known = new Set(columns.map(h => h.toLowerCase()));
+    const refs = collectReferences(nodes);
+    const seen = new Set();
+
+    refs.forEach(ref => {
+      const hasFallback = ref.segments.some(segment => segment.fallback !== undefined);
+      ref.segments.forEach(segment => {
+        if (segment.filter === 'currency' && segment.arg) {
+          try {
+            new Intl.NumberFormat(undefined, { style: 'currency', currency: segment.arg.toUpperCase() });
+          } catch (e) {
+            errors.push(`Unknown currency code "${segment.arg}" in {{${ref.name}|currency:${segment.arg}}}`);
+          }
+        }
+      });
+
+      const key = ref.name.toLowerCase();
+      if (!known.has(key)) {
+        if (!hasFallback && !seen.has(key)) {
+          errors.push(known.size === 0
+            ? `"${ref.name}" needs a contact list (CSV/Excel) with that column, or a fallback like {{${ref.name}|text}}`
+            : `"${ref.name}" doesn't match any column. Available columns are: ${columns.join(', ')}`);
+        }
+      } else if (!hasFallback && !ref.condition && !seen.has(key) && rows.length > 0) {
+        const empty = rows.filter(row => isEmpty(lookup(row, ref.name))).length;
+        if (empty > 0) {
+          warnings.push(`${ref.name} is empty for ${empty} of ${rows.length} contacts – add a fallback like {{${ref.name}|text}}`);
+        }
+      }
+      seen.add(key);
+    });
+
+    return { errors, warnings, variables: [...new Set(refs.map(ref => ref.name))] };
+  }
+
+  /**
+   * Columns without a fallback that render empty for this contact – the spots where the
+   * recipient would see a gap. Only the {{#if}}/{{else}} branch the contact gets is checked.
+   * @returns {string[]}
+   */
+  function findEmptyVariables(template, contact) {
+    const empty = new Set();
+    const walk = nodes => nodes.forEach(node => {
+      if (node.type === 'if') {
+        const truthy = !isEmpty(lookup(contact, node.name));
+        walk(truthy !== node.negate ? node.then : node.else);
+      } else if (node.type === 'var' && isEmpty(evaluate(node, contact))) {
+        empty.add(node.name);
+      }
+    });
+    walk(parse(String(template || '')).nodes);
+    return [...empty];
+  }
+
+  root.WATemplate = {
+    renderTemplate,
+    validateTemplate,
+    findEmptyVariables,
+    filters: Object.keys(FILTERS),
+  };
+})(typeof globalThis !== 'undefined' ? globalThis : window);
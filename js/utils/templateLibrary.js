@@ -0,0 +1,233 @@
+// templateLibrary.js - Saved message templates (chrome.storage.local) and their JSON exchange format
+// A template keeps the composer HTML (formatting included), its WhatsApp markdown, tags and an
+// optional attachment reference into the attachment IndexedDB (see attachmentManager.js).
+
+const STORAGE_KEY = 'messageTemplates';
+export const TEMPLATE_EXPORT_TYPE = 'wa-sender-templates';
+export const TEMPLATE_EXPORT_VERSION = 1;
+const ATTACHMENT_TYPES = ['image', 'video', 'pdf'];
+// Composer formatting that survives an import; every other tag and all attributes are dropped
+const ALLOWED_HTML_TAGS = ['b', 'strong', 'i', 'em', 's', 'strike', 'br', 'div', 'p', 'ul', 'ol', 'li'];
+
+function createId() {
+  return 'tpl_' + Date.now() + '_' + Math.floor(Math.random() * 1e5);
+}
+
+/** @returns {Promise<Array<Object>>} templates, most recently updated first */
+export async function getTemplates() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY);
+  const templates = Array.isArray(stored[STORAGE_KEY]) ? stored[STORAGE_KEY] : [];
+  return templates.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+async function saveTemplates(templates) {
+  await chrome.storage.local.set({ [STORAGE_KEY]: templates });
+}
+
+/**
+ * Split "promo, Diwali , promo" into unique tags, keeping the first spelling of each.
+ * @param {string|string[]} input
+ * @returns {string[]}
+ */
+export function normalizeTags(input) {
+  const tags = Array.isArray(input) ? input : String(input || '').split(',');
+  const seen = new Set();
+  return tags
+    .map(tag => String(tag).trim())
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+}
+
+/** "Offer" -> "Offer (2)" while the name is taken (case-insensitive) */
+export function uniqueTemplateName(name, templates, ignoreId = null) {
+  const taken = new Set(templates.filter(t => t.id !== ignoreId).map(t => t.name.toLowerCase()));
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${name} (${n})`;
+  }
+  return candidate;
+}
+
+export function findTemplateByName(templates, name) {
+  const wanted = String(name).trim().toLowerCase();
+  return templates.find(t => t.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Create a template, or update the one with `draft.id`.
+ * @param {{id?: string, name: string, html: string, markdown: string, tags?: string|string[],
+ *   attachment?: {ref: string, name: string, type: string, size: string}|null}} draft
+ * @returns {Promise<Object>} the saved template
+ */
+export async function saveTemplate(draft) {
+  const name = String(draft.name || '').trim();
+  if (!name) {
+    throw new Error('Template name is required');
+  }
+  const templates = await getTemplates();
+  const now = new Date().toISOString();
+  const existing = draft.id ? templates.find(t => t.id === draft.id) : null;
+  const template = {
+    id: existing ? existing.id : createId(),
+    name: uniqueTemplateName(name, templates, existing && existing.id),
+    tags: normalizeTags(draft.tags),
+    html: String(draft.html || ''),
+    markdown: String(draft.markdown || ''),
+    attachment: draft.attachment || null,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+  };
+  await saveTemplates(existing
+    ? templates.map(t => (t.id === existing.id ? template : t))
+    : [...templates, template]);
+  return template;
+}
+
+export async function renameTemplate(id, name) {
+  const templates = await getTemplates();
+  const template = templates.find(t => t.id === id);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+  return saveTemplate({ ...template, name });
+}
+
+/** Copy a template under "<name> (copy)"; the copy shares the attachment reference */
+export async function duplicateTemplate(id) {
+  const templates = await getTemplates();
+  const template = templates.find(t => t.id === id);
+  if (!template) {
+    throw new Error('Template not found');
+  }
+  return saveTemplate({ ...template, id: null, name: `${template.name} (copy)` });
+}
+
+/**
+ * @returns {Promise<{removed: Object|null, attachmentOrphaned: boolean}>} whether no remaining
+ *   template uses the removed template's attachment, so its stored file can be deleted
+ */
+export async function deleteTemplate(id) {
+  const templates = await getTemplates();
+  const removed = templates.find(t => t.id === id) || null;
+  const remaining = templates.filter(t => t.id !== id);
+  await saveTemplates(remaining);
+  const ref = removed && removed.attachment && removed.attachment.ref;
+  return {
+    removed,
+    attachmentOrphaned: !!ref && !remaining.some(t => t.attachment && t.attachment.ref === ref),
+  };
+}
+
+/** All tags in use, sorted, with the number of templates carrying each */
+export function collectTags(templates) {
+  const counts = new Map();
+  templates.forEach(template => {
+    template.tags.forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { tag, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+  });
+  return [...counts.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Filter by free text (name, tags and message) and optionally by one tag.
+ * @returns {Array<Object>}
+ */
+export function searchTemplates(templates, query = '', tag = '') {
+  const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  const wantedTag = String(tag).toLowerCase();
+  return templates.filter(template => {
+    if (wantedTag && !template.tags.some(t => t.toLowerCase() === wantedTag)) {
+      return false;
+    }
+    const haystack = [template.name, template.markdown, ...template.tags].join(' ').toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+/**
+ * JSON document for sharing templates. `attachmentData` maps attachment refs to data URLs;
+ * templates whose attachment could not be read are exported with its metadata only.
+ * @returns {Object}
+ */
+export function buildTemplateExport(templates, attachmentData = {}) {
+  return {
+    type: TEMPLATE_EXPORT_TYPE,
+    version: TEMPLATE_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map(template => ({
+      name: template.name,
+      tags: template.tags,
+      html: template.html,
+      markdown: template.markdown,
+      attachment: template.attachment
+        ? {
+          name: template.attachment.name,
+          type: template.attachment.type,
+          size: template.attachment.size,
+          dataUrl: attachmentData[template.attachment.ref] || null,
+        }
+        : null,
+    })),
+  };
+}
+
+/** Reduce imported HTML to plain formatting tags so shared files can't carry markup or handlers */
+export function sanitizeTemplateHtml(html) {
+  return String(html || '')
+    .replace(/<(script|style)[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<(\/?)([a-z][a-z0-9]*)\b[^>]*>/gi, (tag, slash, name) => (
+      ALLOWED_HTML_TAGS.includes(name.toLowerCase()) ? `<${slash}${name.toLowerCase()}>` : ''
+    ))
+    .replace(/<(?![a-z/])/gi, '&lt;');
+}
+
+/**
+ * Validate an exported library. Throws on anything that isn't one.
+ * @param {string} text - file contents
+ * @returns {Array<Object>} template drafts (attachment carries `dataUrl` instead of `ref`)
+ */
+export function parseTemplateImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || data.type !== TEMPLATE_EXPORT_TYPE || !Array.isArray(data.templates)) {
+    throw new Error('The file is not an exported template library');
+  }
+  if (data.version > TEMPLATE_EXPORT_VERSION) {
+    throw new Error('The file was exported by a newer version of the extension');
+  }
+  return data.templates
+    .filter(t => t && typeof t.name === 'string' && t.name.trim() &&
+      (typeof t.html === 'string' || typeof t.markdown === 'string'))
+    .map(t => {
+      const attachment = t.attachment && ATTACHMENT_TYPES.includes(t.attachment.type)
+        && typeof t.attachment.name === 'string'
+        ? {
+          name: t.attachment.name,
+          type: t.attachment.type,
+          size: String(t.attachment.size || ''),
+          dataUrl: typeof t.attachment.dataUrl === 'string' ? t.attachment.dataUrl : null,
+        }
+        : null;
+      return {
+        name: t.name.trim(),
+        tags: normalizeTags(t.tags),
+        html: typeof t.html === 'string' ? sanitizeTemplateHtml(t.html) : '',
+        markdown: typeof t.markdown === 'string' ? t.markdown : '',
+        attachment,
+      };
+    });
+}
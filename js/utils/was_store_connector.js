@@ -148,6 +148,8 @@
             document.dispatchEvent(new CustomEvent('MyWAppConnectorReady'));
             console.log('[MyWAppConnector] MyWAppConnectorReady event dispatched.');
 
+            installAckTracker(window.MyWAppStore.Store);
+
             if (storeCheckInterval) {
                 clearInterval(storeCheckInterval);
                 storeCheckInterval = null;
@@ -158,6 +160,39 @@
         return false;
     }
 
+    // Relay ack changes (sent → delivered → read → played) of our own outgoing 1:1 messages
+    // to the content script, which forwards them to the background for campaign receipts.
+    function installAckTracker(store) {
+        const msgs = store && store.Msg;
+        if (!msgs || typeof msgs.on !== 'function' || msgs.__waAckTrackerInstalled) {
+            return;
+        }
+        msgs.__waAckTrackerInstalled = true;
+
+        msgs.on('change:ack', (msg, ack) => {
+            try {
+                if (!msg || !msg.id || !msg.id.fromMe) {
+                    return;
+                }
+                const remote = msg.id.remote;
+                const serialized = typeof remote === 'string' ? remote : (remote?._serialized || '');
+                // groups, broadcasts, status
+                if (!serialized.endsWith('@c.us')) {
+                    return;
+                }
+                window.postMessage({
+                    source: 'wa-store-connector',
+                    type: 'MESSAGE_ACK',
+                    number: (remote?.user || serialized.split('@')[0]).toString(),
+                    msgId: msg.id._serialized || msg.id.id,
+                    ack: typeof ack === 'number' ? ack : msg.ack,
+                    t: msg.t || null,
+                }, '*');
+            } catch (e) { /* ignore malformed messages */ }
+        });
+        console.info('[MyWAppConnector] Message ack tracker installed.');
+    }
+
     function attemptWebpackStoreExtraction() {
         if (isStoreInitialized) return;
         console.log("[MyWAppConnector] Attempting webpack store extraction...");